@@ -0,0 +1,231 @@
+'use client';
+
+import Link from "next/link";
+import { use, useEffect, useState } from "react";
+import { notFound } from "next/navigation";
+import SiteNavigation from "@/components/SiteNavigation";
+import { pageSeason, withSeason } from "@/lib/seasons";
+import { getDivision, divisionLabel } from "@/lib/divisions";
+
+type SimTeam = {
+  teamId: string;
+  team: string;
+  conference: string | null;
+  region: string;
+  seed: number;
+  slot: number;
+  playIn: boolean;
+  probabilities: number[];
+};
+
+type Simulation = { name: string | null; iterations: number; rounds: string[]; teams: SimTeam[] };
+
+const CUSTOM = "__custom__";
+const SLOT_HEIGHT = 28;
+
+const EXAMPLE_BRACKET = JSON.stringify({
+  name: "My Bracket",
+  regions: [
+    { name: "East", teams: [{ seed: 1, teamId: "" }, { seed: 2, teamId: "" }, { seed: 3, teamId: "" }] },
+    { name: "West", teams: [{ seed: 1, teamId: "" }, { seed: 2, teamId: "" }, { seed: 3, teamId: "" }] },
+  ],
+  playIns: [
+    { region: "East", seed: 4, teamIds: ["", ""] },
+    { region: "West", seed: 4, teamIds: ["", ""] },
+  ],
+}, null, 2);
+
+function pct(p: number) {
+  if (p <= 0) return "—";
+  if (p < 0.001) return "<0.1%";
+  return `${(p * 100).toFixed(1)}%`;
+}
+
+// Monte Carlo conference tournaments, or any bracket pasted in as JSON
+export default function BracketPage({
+  params,
+  searchParams,
+}: {
+  params: Promise<{ division: string }>;
+  searchParams: Promise<{ season?: string }>;
+}) {
+  const { division } = use(params);
+  const config = getDivision(division);
+  if (!config) notFound();
+  const season = pageSeason(use(searchParams).season);
+  const [choice, setChoice] = useState(config.conferences[0] ?? CUSTOM);
+  const [customJson, setCustomJson] = useState(EXAMPLE_BRACKET);
+  const [simulation, setSimulation] = useState<Simulation | null>(null);
+  const [error, setError] = useState<string | null>(null);
+  const [loading, setLoading] = useState(false);
+
+  const run = (request: Promise<Response>) => {
+    setLoading(true);
+    setError(null);
+    request
+      .then(async res => {
+        const data = await res.json();
+        if (!res.ok) throw new Error(data.error ?? "Simulation failed");
+        setSimulation(data);
+      })
+      .catch(e => {
+        setSimulation(null);
+        setError(e.message);
+      })
+      .finally(() => setLoading(false));
+  };
+
+  useEffect(() => {
+    if (choice === CUSTOM) return;
+    run(fetch(withSeason(`/api/${division}/bracket?conference=${encodeURIComponent(choice)}`, season)));
+  }, [division, season, choice]);
+
+  const simulateCustom = () => {
+    run(fetch(withSeason(`/api/${division}/bracket`, season), {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: customJson,
+    }));
+  };
+
+  const teamLink = (t: SimTeam) => (
+    <Link href={withSeason(`/${division}/team/${t.teamId}`, season)} style={{ color: "#2563eb", textDecoration: "none", fontWeight: 600 }}>
+      {t.team}
+    </Link>
+  );
+
+  // Column r of the bracket: one cell per group of 2^r first-round slots, showing the
+  // team most likely to come out of that group into round r
+  const bracketColumn = (sim: Simulation, round: number) => {
+    const slotCount = 2 ** (sim.rounds.length - 1);
+    const groupSize = 2 ** round;
+    const cells = [];
+    for (let start = 0; start < slotCount; start += groupSize) {
+      const group = sim.teams.filter(t => t.slot >= start && t.slot < start + groupSize && t.probabilities[round] > 0);
+      const favorite = group.sort((a, b) => b.probabilities[round] - a.probabilities[round])[0];
+      cells.push(
+        <div
+          key={start}
+          style={{ height: SLOT_HEIGHT * groupSize, display: "flex", alignItems: "center", borderRight: "1px solid #e5e7eb", padding: "0 8px" }}
+        >
+          {favorite ? (
+            <span style={{ fontSize: 12, whiteSpace: "nowrap" }}>
+              <span style={{ color: "#666", marginRight: 4 }}>{favorite.seed}</span>
+              {teamLink(favorite)}
+              <span style={{ color: "#666", marginLeft: 4 }}>{pct(favorite.probabilities[round])}</span>
+            </span>
+          ) : (
+            <span style={{ fontSize: 12, color: "#bbb" }}>bye</span>
+          )}
+        </div>
+      );
+    }
+    return cells;
+  };
+
+  return (
+    <>
+      <SiteNavigation
+        currentDivision={division}
+        currentPage="bracket"
+        divisionPath={`/${division}`} season={season}
+      />
+
+      <main style={{ maxWidth: 1200, margin: "0 auto", padding: 20 }}>
+        <div style={{ display: "flex", alignItems: "center", gap: 8, marginBottom: 16 }}>
+          <select value={choice} onChange={e => setChoice(e.target.value)} style={{ padding: "5px 8px" }}>
+            {config.conferences.map(c => (
+              <option key={c} value={c}>{c.toUpperCase()} Tournament</option>
+            ))}
+            <option value={CUSTOM}>Custom bracket…</option>
+          </select>
+          <span style={{ color: "#666", marginLeft: 8 }}>{divisionLabel(division)} bracket simulator</span>
+        </div>
+
+        {choice === CUSTOM && (
+          <div style={{ marginBottom: 24 }}>
+            <p style={{ color: "#666", fontSize: 13, margin: "0 0 8px" }}>
+              Regions are seeded 1..n; missing seeds are byes and a play-in winner takes its seed line.
+              Regions meet in order (first vs second, third vs fourth).
+            </p>
+            <textarea
+              value={customJson}
+              onChange={e => setCustomJson(e.target.value)}
+              rows={14}
+              style={{ width: "100%", fontFamily: "monospace", fontSize: 12, padding: 8, border: "1px solid #d0d5de" }}
+            />
+            <button
+              onClick={simulateCustom}
+              style={{ marginTop: 8, padding: "6px 12px", border: "1px solid #d0d5de", background: "#f7f8fa", borderRadius: 4, cursor: "pointer" }}
+            >
+              Simulate
+            </button>
+          </div>
+        )}
+
+        {error && (
+          <div style={{ padding: 16, background: "#fef3c7", border: "1px solid #f59e0b", borderRadius: 6, marginBottom: 24 }}>
+            {error}
+          </div>
+        )}
+
+        {loading ? (
+          <div style={{ padding: 40, textAlign: "center" }}>Simulating...</div>
+        ) : simulation && (
+          <>
+            <h2 style={{ fontSize: 18, margin: "0 0 4px" }}>{simulation.name ?? "Bracket"}</h2>
+            <p style={{ color: "#666", fontSize: 13, margin: "0 0 16px" }}>
+              {simulation.iterations.toLocaleString()} simulations on neutral floors
+            </p>
+
+            <div style={{ overflowX: "auto", marginBottom: 32, border: "1px solid #e5e7eb" }}>
+              <div style={{ display: "flex" }}>
+                {simulation.rounds.map((label, round) => (
+                  <div key={label} style={{ flex: "0 0 auto" }}>
+                    <div style={{ background: "#2d3748", color: "#fff", fontSize: 12, fontWeight: 700, padding: "8px" }}>{label}</div>
+                    {bracketColumn(simulation, round)}
+                  </div>
+                ))}
+              </div>
+            </div>
+
+            <div style={{ overflowX: "auto" }}>
+              <table style={{ width: "100%", borderCollapse: "collapse", fontSize: 14 }}>
+                <thead>
+                  <tr style={{ background: "#2d3748", color: "#fff" }}>
+                    <th style={{ padding: "10px 12px", textAlign: "left" }}>Seed</th>
+                    <th style={{ padding: "10px 12px", textAlign: "left" }}>Team</th>
+                    <th style={{ padding: "10px 12px", textAlign: "left" }}>Region</th>
+                    {simulation.rounds.map(label => (
+                      <th key={label} style={{ padding: "10px 12px", textAlign: "right" }}>{label}</th>
+                    ))}
+                  </tr>
+                </thead>
+                <tbody>
+                  {simulation.teams.map((t, idx) => (
+                    <tr key={t.teamId} style={{ borderBottom: "1px solid #e5e7eb", background: idx % 2 === 0 ? "#fff" : "#f9fafb" }}>
+                      <td style={{ padding: "10px 12px" }}>{t.seed}{t.playIn ? "*" : ""}</td>
+                      <td style={{ padding: "10px 12px" }}>{teamLink(t)}</td>
+                      <td style={{ padding: "10px 12px", color: "#666" }}>{t.region}</td>
+                      {t.probabilities.map((p, round) => (
+                        <td
+                          key={round}
+                          style={{ padding: "10px 12px", textAlign: "right", background: `rgba(46, 125, 209, ${(p * 0.35).toFixed(3)})` }}
+                        >
+                          {pct(p)}
+                        </td>
+                      ))}
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+              {simulation.teams.some(t => t.playIn) && (
+                <p style={{ color: "#666", fontSize: 12 }}>* play-in team</p>
+              )}
+            </div>
+          </>
+        )}
+      </main>
+    </>
+  );
+}
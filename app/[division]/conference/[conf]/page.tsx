@@ -0,0 +1,206 @@
+import Link from "next/link";
+import { headers } from 'next/headers';
+import { notFound } from 'next/navigation';
+import SiteNavigation from '@/components/SiteNavigation';
+import { pageSeason, withSeason } from '@/lib/seasons';
+import { getDivision, divisionLabel } from '@/lib/divisions';
+import type { ConferenceStanding, ConferenceSummary, NonLeagueResult } from '@/lib/conferences';
+
+const ACCENT = "#2d3748";
+
+async function fetchAPI(path: string) {
+  const headersList = await headers();
+  const host = headersList.get('host');
+  const protocol = process.env.NODE_ENV === 'development' ? 'http' : 'https';
+  const res = await fetch(`${protocol}://${host}${path}`, { cache: 'no-store' });
+  if (!res.ok) throw new Error(`Failed to fetch ${path}`);
+  return res.json();
+}
+
+const fmt = (v: number | null | undefined) => (v != null && Number.isFinite(v) ? v.toFixed(1) : "—");
+const signed = (v: number | null | undefined) => (v != null && Number.isFinite(v) ? `${v >= 0 ? "+" : ""}${v.toFixed(1)}` : "—");
+
+export default async function ConferencePage({
+  params,
+  searchParams,
+}: {
+  params: Promise<{ division: string; conf: string }>;
+  searchParams: Promise<{ season?: string }>;
+}) {
+  const { division, conf } = await params;
+  const config = getDivision(division);
+  if (!config || !config.conferences.includes(conf)) notFound();
+  const season = pageSeason((await searchParams).season);
+
+  const data = await fetchAPI(withSeason(`/api/${division}/conferences/${conf}`, season));
+  const standings: ConferenceStanding[] = data.standings ?? [];
+  const conferences: ConferenceSummary[] = data.conferences ?? [];
+  const matrix: NonLeagueResult[] = data.matrix ?? [];
+  const summary: ConferenceSummary | null = data.summary;
+  const projecting = standings.some(t => t.remaining > 0);
+
+  const cell = (a: string, b: string) => matrix.find(m => m.conference === a && m.opponent === b);
+  const th = (label: string, align: "left" | "right" = "right") => (
+    <th style={{ padding: "10px 12px", textAlign: align }}>{label}</th>
+  );
+  const td = { padding: "10px 12px", textAlign: "right" as const };
+
+  return (
+    <>
+      <SiteNavigation
+        currentDivision={division}
+        currentPage="conference"
+        divisionPath={`/${division}`} season={season}
+      />
+
+      <main style={{ maxWidth: 1200, margin: "0 auto", padding: 20 }}>
+        <h1 style={{ fontSize: 26, fontWeight: 800, margin: "0 0 4px", textTransform: "uppercase" }}>{conf}</h1>
+        <p style={{ color: "#666", margin: "0 0 24px" }}>
+          {divisionLabel(division)} · {season}
+          {summary && ` · #${summary.rank} of ${conferences.length} conferences`}
+        </p>
+
+        {summary && (
+          <div style={{ display: "grid", gridTemplateColumns: "repeat(auto-fit, minmax(160px, 1fr))", gap: 16, marginBottom: 32 }}>
+            {[
+              { title: "Avg Adj. Margin", value: signed(summary.adjEM) },
+              { title: "Avg Off. Efficiency", value: fmt(summary.adjO) },
+              { title: "Avg Def. Efficiency", value: fmt(summary.adjD) },
+              { title: "Avg Tempo", value: fmt(summary.adjT) },
+              { title: "Non-League Record", value: `${summary.nonConfWins}-${summary.nonConfLosses}` },
+            ].map(card => (
+              <div key={card.title} style={{ border: "1px solid #e0e0e0", padding: 16 }}>
+                <div style={{ fontSize: 11, fontWeight: 700, color: "#666", textTransform: "uppercase" }}>{card.title}</div>
+                <div style={{ fontSize: 24, fontWeight: 800, color: ACCENT }}>{card.value}</div>
+              </div>
+            ))}
+          </div>
+        )}
+
+        <h2 style={{ fontSize: 18, margin: "0 0 12px" }}>Standings</h2>
+        <div style={{ overflowX: "auto", marginBottom: 32 }}>
+          <table style={{ width: "100%", borderCollapse: "collapse", fontSize: 14 }}>
+            <thead>
+              <tr style={{ background: ACCENT, color: "#fff" }}>
+                {th("Team", "left")}
+                {th("Conf")}
+                {th("Overall")}
+                {th("Adj EM")}
+                {th("Adj O")}
+                {th("Adj D")}
+                {th("Rank")}
+                {projecting && th("Left")}
+                {projecting && th("Proj. Conf")}
+              </tr>
+            </thead>
+            <tbody>
+              {standings.map((t, idx) => (
+                <tr key={t.teamId} style={{ borderBottom: "1px solid #e5e7eb", background: idx % 2 === 0 ? "#fff" : "#f9fafb" }}>
+                  <td style={{ padding: "10px 12px" }}>
+                    <Link href={withSeason(`/${division}/team/${t.teamId}`, season)} style={{ color: "#2563eb", textDecoration: "none", fontWeight: 600 }}>
+                      {t.team}
+                    </Link>
+                  </td>
+                  <td style={{ ...td, fontWeight: 600 }}>{t.confWins}-{t.confLosses}</td>
+                  <td style={td}>{t.wins}-{t.losses}</td>
+                  <td style={{ ...td, fontWeight: 600 }}>{signed(t.adjEM)}</td>
+                  <td style={td}>{fmt(t.adjO)}</td>
+                  <td style={td}>{fmt(t.adjD)}</td>
+                  <td style={{ ...td, color: "#666" }}>{t.rank}</td>
+                  {projecting && <td style={{ ...td, color: "#666" }}>{t.remaining}</td>}
+                  {projecting && <td style={td}>{t.projectedConfWins.toFixed(1)}-{t.projectedConfLosses.toFixed(1)}</td>}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+
+        <h2 style={{ fontSize: 18, margin: "0 0 12px" }}>Conference Ratings</h2>
+        <div style={{ overflowX: "auto", marginBottom: 32 }}>
+          <table style={{ width: "100%", borderCollapse: "collapse", fontSize: 14 }}>
+            <thead>
+              <tr style={{ background: ACCENT, color: "#fff" }}>
+                {th("Rank", "left")}
+                {th("Conference", "left")}
+                {th("Teams")}
+                {th("Avg Adj EM")}
+                {th("Avg Adj O")}
+                {th("Avg Adj D")}
+                {th("Avg Tempo")}
+                {th("Non-League")}
+              </tr>
+            </thead>
+            <tbody>
+              {conferences.map((c, idx) => (
+                <tr
+                  key={c.conference}
+                  style={{
+                    borderBottom: "1px solid #e5e7eb",
+                    background: c.conference === conf ? "#e8f2fc" : idx % 2 === 0 ? "#fff" : "#f9fafb",
+                  }}
+                >
+                  <td style={{ padding: "10px 12px" }}>{c.rank}</td>
+                  <td style={{ padding: "10px 12px", textTransform: "uppercase" }}>
+                    <Link href={withSeason(`/${division}/conference/${c.conference}`, season)} style={{ color: "#2563eb", textDecoration: "none", fontWeight: 600 }}>
+                      {c.conference}
+                    </Link>
+                  </td>
+                  <td style={td}>{c.teams}</td>
+                  <td style={{ ...td, fontWeight: 600 }}>{signed(c.adjEM)}</td>
+                  <td style={td}>{fmt(c.adjO)}</td>
+                  <td style={td}>{fmt(c.adjD)}</td>
+                  <td style={td}>{fmt(c.adjT)}</td>
+                  <td style={td}>{c.nonConfWins}-{c.nonConfLosses}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+
+        <h2 style={{ fontSize: 18, margin: "0 0 4px" }}>Non-League Results</h2>
+        <p style={{ color: "#666", fontSize: 13, margin: "0 0 12px" }}>Row conference&apos;s record against the column conference.</p>
+        <div style={{ overflowX: "auto" }}>
+          <table style={{ borderCollapse: "collapse", fontSize: 11 }}>
+            <thead>
+              <tr style={{ background: ACCENT, color: "#fff" }}>
+                <th style={{ padding: "6px 8px" }} />
+                {conferences.map(c => (
+                  <th key={c.conference} style={{ padding: "6px 8px", textTransform: "uppercase", whiteSpace: "nowrap" }}>{c.conference}</th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {conferences.map(row => (
+                <tr key={row.conference} style={{ borderBottom: "1px solid #f0f0f0" }}>
+                  <td style={{ padding: "6px 8px", fontWeight: 700, textTransform: "uppercase", whiteSpace: "nowrap", background: row.conference === conf ? "#e8f2fc" : undefined }}>
+                    {row.conference}
+                  </td>
+                  {conferences.map(col => {
+                    const r = cell(row.conference, col.conference);
+                    const highlight = row.conference === conf || col.conference === conf;
+                    const winning = r && r.wins > r.losses;
+                    const losing = r && r.wins < r.losses;
+                    return (
+                      <td
+                        key={col.conference}
+                        style={{
+                          padding: "6px 8px",
+                          textAlign: "center",
+                          whiteSpace: "nowrap",
+                          background: row.conference === col.conference ? "#eee" : highlight ? "#e8f2fc" : undefined,
+                          color: winning ? "#15803d" : losing ? "#b91c1c" : "#999",
+                        }}
+                      >
+                        {r ? `${r.wins}-${r.losses}` : ""}
+                      </td>
+                    );
+                  })}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      </main>
+    </>
+  );
+}
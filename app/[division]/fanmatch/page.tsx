@@ -0,0 +1,155 @@
+'use client';
+
+import Link from "next/link";
+import { useEffect, useState } from "react";
+import { useParams } from "next/navigation";
+import SiteNavigation from "@/components/SiteNavigation";
+import { getDivision, divisionLabel, scoreboardToday } from "@/lib/divisions";
+
+type Side = {
+  teamId: string | null;
+  team: string;
+  conference: string | null;
+  rank: number | null;
+  wins: number | null;
+  losses: number | null;
+};
+
+type Game = {
+  gameId: string;
+  startTime: string | null;
+  gameState: string | null;
+  isConferenceGame: boolean;
+  home: Side;
+  away: Side;
+  prediction: { possessions: number; homeScore: number; awayScore: number; margin: number; homeWinProb: number } | null;
+  result: { homeScore: number; awayScore: number } | null;
+};
+
+function shiftDate(date: string, days: number) {
+  const [y, m, d] = date.split('-').map(Number);
+  const dt = new Date(Date.UTC(y, m - 1, d + days));
+  return dt.toISOString().slice(0, 10);
+}
+
+export default function FanMatchPage() {
+  const { division } = useParams<{ division: string }>();
+  const [date, setDate] = useState(scoreboardToday);
+  const [games, setGames] = useState<Game[]>([]);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    setLoading(true);
+    fetch(`/api/${division}/predictions?date=${date}`)
+      .then(res => res.json())
+      .then(data => {
+        setGames(data.games ?? []);
+        setLoading(false);
+      })
+      .catch(() => {
+        setGames([]);
+        setLoading(false);
+      });
+  }, [division, date]);
+
+  if (!getDivision(division)) {
+    return (
+      <main style={{ maxWidth: 1200, margin: "0 auto", padding: 20 }}>
+        <Link href="/" style={{ color: "#2563eb" }}>← Back</Link>
+        <h1>Division not found</h1>
+      </main>
+    );
+  }
+
+  const teamCell = (side: Side) => (
+    <>
+      {side.rank != null && <span style={{ color: "#666", fontSize: 12, marginRight: 4 }}>{side.rank}</span>}
+      {side.teamId ? (
+        <Link href={`/${division}/team/${side.teamId}`} style={{ color: "#2563eb", textDecoration: "none", fontWeight: 600 }}>
+          {side.team}
+        </Link>
+      ) : (
+        <span style={{ fontWeight: 600 }}>{side.team}</span>
+      )}
+      {side.wins != null && side.losses != null && (
+        <span style={{ color: "#666", fontSize: 12, marginLeft: 4 }}>({side.wins}-{side.losses})</span>
+      )}
+    </>
+  );
+
+  const buttonStyle = { padding: "6px 12px", border: "1px solid #d0d5de", background: "#f7f8fa", borderRadius: 4, cursor: "pointer" };
+
+  return (
+    <>
+      <SiteNavigation
+        currentDivision={division}
+        currentPage="fanmatch"
+        divisionPath={`/${division}`}
+      />
+
+      <main style={{ maxWidth: 1200, margin: "0 auto", padding: 20 }}>
+        <div style={{ display: "flex", alignItems: "center", gap: 8, marginBottom: 24 }}>
+          <button style={buttonStyle} onClick={() => setDate(shiftDate(date, -1))}>← Prev</button>
+          <input type="date" value={date} onChange={e => e.target.value && setDate(e.target.value)} style={{ padding: "5px 8px" }} />
+          <button style={buttonStyle} onClick={() => setDate(shiftDate(date, 1))}>Next →</button>
+          <span style={{ color: "#666", marginLeft: 8 }}>{divisionLabel(division)} predictions</span>
+        </div>
+
+        {loading ? (
+          <div style={{ padding: 40, textAlign: "center" }}>Loading...</div>
+        ) : games.length === 0 ? (
+          <p style={{ color: "#666" }}>No games scheduled.</p>
+        ) : (
+          <div style={{ overflowX: "auto" }}>
+            <table style={{ width: "100%", borderCollapse: "collapse", fontSize: 14 }}>
+              <thead>
+                <tr style={{ background: "#2d3748", color: "#fff" }}>
+                  <th style={{ padding: "10px 12px", textAlign: "left" }}>Time</th>
+                  <th style={{ padding: "10px 12px", textAlign: "left" }}>Game</th>
+                  <th style={{ padding: "10px 12px", textAlign: "left" }}>Prediction</th>
+                  <th style={{ padding: "10px 12px", textAlign: "right" }}>Win Prob</th>
+                  <th style={{ padding: "10px 12px", textAlign: "right" }}>Poss</th>
+                  <th style={{ padding: "10px 12px", textAlign: "right" }}>Result</th>
+                </tr>
+              </thead>
+              <tbody>
+                {games.map((g, idx) => {
+                  const p = g.prediction;
+                  const homeFavored = p ? p.margin >= 0 : false;
+                  const favorite = p ? (homeFavored ? g.home.team : g.away.team) : null;
+                  const favScore = p ? Math.round(Math.max(p.homeScore, p.awayScore)) : null;
+                  const dogScore = p ? Math.round(Math.min(p.homeScore, p.awayScore)) : null;
+                  const favProb = p ? (homeFavored ? p.homeWinProb : 1 - p.homeWinProb) : null;
+                  return (
+                    <tr
+                      key={g.gameId}
+                      style={{ borderBottom: "1px solid #e5e7eb", background: idx % 2 === 0 ? "#fff" : "#f9fafb" }}
+                    >
+                      <td style={{ padding: "10px 12px", color: "#666", fontSize: 12, whiteSpace: "nowrap" }}>{g.startTime || "TBA"}</td>
+                      <td style={{ padding: "10px 12px" }}>
+                        {teamCell(g.away)} <span style={{ color: "#666" }}>at</span> {teamCell(g.home)}
+                        {g.isConferenceGame && <span style={{ color: "#666", fontSize: 11, marginLeft: 6 }}>CONF</span>}
+                      </td>
+                      <td style={{ padding: "10px 12px" }}>
+                        {p ? `${favorite} ${favScore}-${dogScore}` : "—"}
+                      </td>
+                      <td style={{ padding: "10px 12px", textAlign: "right", fontWeight: 600 }}>
+                        {favProb != null ? `${(favProb * 100).toFixed(0)}%` : "—"}
+                      </td>
+                      <td style={{ padding: "10px 12px", textAlign: "right", color: "#666" }}>
+                        {p ? p.possessions.toFixed(0) : "—"}
+                      </td>
+                      <td style={{ padding: "10px 12px", textAlign: "right" }}>
+                        {g.result ? `${g.result.awayScore}-${g.result.homeScore}` : "—"}
+                      </td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </main>
+    </>
+  );
+}
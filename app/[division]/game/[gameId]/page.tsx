@@ -0,0 +1,154 @@
+import Link from "next/link";
+import { headers } from 'next/headers';
+import { notFound } from 'next/navigation';
+import SiteNavigation from '@/components/SiteNavigation';
+import { withSeason } from '@/lib/seasons';
+import { getDivision, divisionLabel } from '@/lib/divisions';
+import type { GameDetail, GameSide, PlayerLine } from '@/lib/gameDetail';
+
+const ACCENT = "#2d3748";
+
+async function fetchAPI(path: string) {
+  const headersList = await headers();
+  const host = headersList.get('host');
+  const protocol = process.env.NODE_ENV === 'development' ? 'http' : 'https';
+  const res = await fetch(`${protocol}://${host}${path}`, { cache: 'no-store' });
+  if (res.status === 404) return null;
+  if (!res.ok) throw new Error(`Failed to fetch ${path}`);
+  return res.json();
+}
+
+const made = (m: number, a: number) => `${m}-${a}`;
+
+function SectionTitle({ title }: { title: string }) {
+  return (
+    <div style={{ fontSize: 12, fontWeight: 800, textTransform: "uppercase", letterSpacing: 0.5, color: "#fff", background: ACCENT, padding: "6px 10px", marginBottom: 0 }}>
+      {title}
+    </div>
+  );
+}
+
+const BOX_HEADERS = ["MIN", "FG", "3P", "FT", "ORB", "DRB", "REB", "AST", "STL", "BLK", "TO", "PF", "PTS"];
+
+function boxCells(s: Omit<PlayerLine, 'playerId' | 'firstName' | 'lastName' | 'number' | 'position'>, minutes: number | null) {
+  return [
+    minutes != null ? Math.round(minutes) : "",
+    made(s.fgm, s.fga), made(s.tpm, s.tpa), made(s.ftm, s.fta),
+    s.orb, s.drb, s.trb, s.ast, s.stl, s.blk, s.tov, s.pf, s.points,
+  ];
+}
+
+function PlayerBox({ side }: { side: GameSide }) {
+  const td = { padding: "6px 8px", textAlign: "right" as const };
+  return (
+    <div style={{ border: "1px solid #e0e0e0", marginBottom: 24, overflowX: "auto" }}>
+      <SectionTitle title={side.team} />
+      <table style={{ width: "100%", borderCollapse: "collapse", fontSize: 12 }}>
+        <thead>
+          <tr style={{ background: "#f0f0f0" }}>
+            <th style={{ padding: "6px 8px", textAlign: "left" }}>Player</th>
+            {BOX_HEADERS.map(h => <th key={h} style={td}>{h}</th>)}
+          </tr>
+        </thead>
+        <tbody>
+          {side.players.map(p => (
+            <tr key={p.playerId} style={{ borderBottom: "1px solid #f0f0f0" }}>
+              <td style={{ padding: "6px 8px", whiteSpace: "nowrap" }}>
+                {p.number && <span style={{ color: "#666", marginRight: 6 }}>#{p.number}</span>}
+                <span style={{ fontWeight: 600 }}>{[p.firstName, p.lastName].filter(Boolean).join(" ") || p.playerId}</span>
+                {p.position && <span style={{ color: "#666", marginLeft: 6 }}>{p.position}</span>}
+              </td>
+              {boxCells(p, p.minutes).map((c, i) => <td key={i} style={td}>{c}</td>)}
+            </tr>
+          ))}
+          <tr style={{ borderTop: "2px solid #e0e0e0", fontWeight: 700 }}>
+            <td style={{ padding: "6px 8px" }}>Team</td>
+            {boxCells({ ...side.totals, minutes: 0, points: side.score }, null).map((c, i) => <td key={i} style={td}>{c}</td>)}
+          </tr>
+        </tbody>
+      </table>
+    </div>
+  );
+}
+
+export default async function GamePage({
+  params,
+}: {
+  params: Promise<{ division: string; gameId: string }>;
+}) {
+  const { division, gameId } = await params;
+  if (!getDivision(division)) notFound();
+
+  const data = await fetchAPI(`/api/${division}/games/${gameId}`);
+  if (!data) notFound();
+  const game: GameDetail = data.game;
+  const { home, away, season } = game;
+  const homeWon = home.score > away.score;
+
+  const teamLink = (side: GameSide) => (
+    <Link href={withSeason(`/${division}/team/${side.teamId}`, season)} style={{ color: "#2563eb", textDecoration: "none" }}>
+      {side.team}
+    </Link>
+  );
+
+  const comparison = [
+    { label: "Points per 100 Poss.", away: away.efficiency, home: home.efficiency },
+    { label: "eFG%", away: away.fourFactors.efg, home: home.fourFactors.efg },
+    { label: "TO%", away: away.fourFactors.tov, home: home.fourFactors.tov, lowerIsBetter: true },
+    { label: "OR%", away: away.fourFactors.orb, home: home.fourFactors.orb },
+    { label: "FT Rate", away: away.fourFactors.ftr, home: home.fourFactors.ftr },
+  ];
+
+  return (
+    <>
+      <SiteNavigation
+        currentDivision={division}
+        currentPage="game"
+        divisionPath={`/${division}`} season={season}
+      />
+
+      <main style={{ maxWidth: 1200, margin: "0 auto", padding: 20 }}>
+        <p style={{ color: "#666", margin: "0 0 8px" }}>
+          {divisionLabel(division)} · {new Date(`${game.gameDate}T12:00:00`).toLocaleDateString('en-US', { weekday: 'long', month: 'long', day: 'numeric', year: 'numeric' })}
+          {game.isConferenceGame && " · Conference"}
+          {game.neutralSite && " · Neutral site"}
+          {game.overtimes > 0 && ` · ${game.overtimes > 1 ? game.overtimes : ''}OT`}
+        </p>
+        <h1 style={{ fontSize: 28, fontWeight: 800, margin: "0 0 24px" }}>
+          <span style={{ color: homeWon ? "#666" : undefined }}>{teamLink(away)} {away.score}</span>
+          <span style={{ color: "#666", margin: "0 12px" }}>{game.neutralSite ? "vs" : "@"}</span>
+          <span style={{ color: homeWon ? undefined : "#666" }}>{teamLink(home)} {home.score}</span>
+        </h1>
+
+        <div style={{ border: "1px solid #e0e0e0", marginBottom: 32, maxWidth: 600 }}>
+          <SectionTitle title={`Game Four Factors · ${game.possessions.toFixed(1)} possessions${game.overtimes > 0 ? ` in ${game.gameMinutes} minutes` : ''}`} />
+          <table style={{ width: "100%", borderCollapse: "collapse", fontSize: 13 }}>
+            <thead>
+              <tr style={{ background: "#f0f0f0" }}>
+                <th style={{ padding: "8px 10px", textAlign: "left" }} />
+                <th style={{ padding: "8px 10px", textAlign: "right" }}>{away.team}</th>
+                <th style={{ padding: "8px 10px", textAlign: "right" }}>{home.team}</th>
+              </tr>
+            </thead>
+            <tbody>
+              {comparison.map(row => {
+                const awayBetter = row.lowerIsBetter ? row.away < row.home : row.away > row.home;
+                const homeBetter = row.lowerIsBetter ? row.home < row.away : row.home > row.away;
+                return (
+                  <tr key={row.label} style={{ borderBottom: "1px solid #f0f0f0" }}>
+                    <td style={{ padding: "8px 10px", fontWeight: 600 }}>{row.label}</td>
+                    <td style={{ padding: "8px 10px", textAlign: "right", fontWeight: awayBetter ? 700 : 400 }}>{row.away.toFixed(1)}</td>
+                    <td style={{ padding: "8px 10px", textAlign: "right", fontWeight: homeBetter ? 700 : 400 }}>{row.home.toFixed(1)}</td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        </div>
+
+        <PlayerBox side={away} />
+        <PlayerBox side={home} />
+      </main>
+    </>
+  );
+}
@@ -0,0 +1,234 @@
+'use client';
+
+import Link from "next/link";
+import { use, useEffect, useState } from "react";
+import { notFound } from "next/navigation";
+import SiteNavigation from "@/components/SiteNavigation";
+import { pageSeason, withSeason } from "@/lib/seasons";
+import { getDivision } from "@/lib/divisions";
+
+type Team = {
+  teamId: string;
+  team: string;
+  conference: string;
+  games: number;
+  wins: number;
+  losses: number;
+  adjO: number;
+  adjD: number;
+  adjEM: number;
+  adjT: number;
+  rawO: number;
+  rawD: number;
+  rawEM: number;
+  rawT: number;
+  sos?: number | null;
+  ncSos?: number | null;
+  oppAdjEM?: number | null;
+  quadrants?: Record<'q1' | 'q2' | 'q3' | 'q4', { wins: number; losses: number }>;
+  wab?: number | null;
+};
+
+type SortKey = 'adjEM' | 'adjO' | 'adjD' | 'adjT' | 'rawEM' | 'sos' | 'ncSos' | 'oppAdjEM' | 'q1Wins' | 'wab';
+type SortOrder = 'asc' | 'desc';
+
+// Resume columns are missing for teams with no rated opponents (and on asOf rankings),
+// so those rows sort to the bottom either way
+function sortValue(team: Team, key: SortKey, order: SortOrder) {
+  const value = key === 'q1Wins' ? team.quadrants?.q1.wins : team[key];
+  return value ?? (order === 'asc' ? Infinity : -Infinity);
+}
+
+const record = (r?: { wins: number; losses: number }) => (r ? `${r.wins}-${r.losses}` : "—");
+
+// Rankings for every division in lib/divisions
+export default function DivisionPage({
+  params,
+  searchParams,
+}: {
+  params: Promise<{ division: string }>;
+  searchParams: Promise<{ season?: string }>;
+}) {
+  const { division } = use(params);
+  if (!getDivision(division)) notFound();
+  const season = pageSeason(use(searchParams).season);
+  const [teams, setTeams] = useState<Team[]>([]);
+  const [sortedTeams, setSortedTeams] = useState<Team[]>([]);
+  const [loading, setLoading] = useState(true);
+  const [updatedDate, setUpdatedDate] = useState<string | null>(null);
+  const [sortKey, setSortKey] = useState<SortKey>('adjEM');
+  const [sortOrder, setSortOrder] = useState<SortOrder>('desc');
+
+  useEffect(() => {
+    fetch(withSeason(`/api/${division}/teams`, season))
+      .then(res => res.json())
+      .then(data => {
+        setTeams(data.rows);
+        setSortedTeams(data.rows);
+        setUpdatedDate(data.updated
+          ? new Date(data.updated).toLocaleDateString("en-US", {
+              month: "long",
+              day: "numeric",
+              year: "numeric",
+            })
+          : null
+        );
+        setLoading(false);
+      });
+  }, [division, season]);
+
+  useEffect(() => {
+    const sorted = [...teams].sort((a, b) => {
+      const aVal = sortValue(a, sortKey, sortOrder);
+      const bVal = sortValue(b, sortKey, sortOrder);
+      return sortOrder === 'asc' ? aVal - bVal : bVal - aVal;
+    });
+    setSortedTeams(sorted);
+  }, [teams, sortKey, sortOrder]);
+
+  const handleSort = (key: SortKey) => {
+    if (sortKey === key) {
+      setSortOrder(sortOrder === 'asc' ? 'desc' : 'asc');
+    } else {
+      setSortKey(key);
+      setSortOrder(key === 'adjD' ? 'asc' : 'desc');
+    }
+  };
+
+  const SortableHeader = ({ label, sortKey: key }: { label: string; sortKey: SortKey }) => (
+    <th
+      onClick={() => handleSort(key)}
+      style={{
+        padding: "10px 12px",
+        textAlign: "right",
+        cursor: "pointer",
+        userSelect: "none",
+        background: sortKey === key ? "#1e293b" : "#2d3748",
+        fontWeight: 700,
+      }}
+    >
+      {label} {sortKey === key && (sortOrder === 'desc' ? '↓' : '↑')}
+    </th>
+  );
+
+  if (loading) {
+    return (
+      <>
+        <SiteNavigation
+          currentDivision={division}
+          currentPage="rankings"
+          divisionPath={`/${division}`} season={season}
+        />
+        <div style={{ padding: 40, textAlign: "center" }}>Loading...</div>
+      </>
+    );
+  }
+
+  return (
+    <>
+      <SiteNavigation
+        currentDivision={division}
+        currentPage="rankings"
+        divisionPath={`/${division}`} season={season}
+      />
+
+      <main style={{ maxWidth: 1200, margin: "0 auto", padding: 20 }}>
+        {updatedDate && (
+          <p style={{ color: "#666", marginBottom: 24 }}>
+            Data through {updatedDate}
+          </p>
+        )}
+
+        <div style={{ overflowX: "auto" }}>
+          <table style={{ width: "100%", borderCollapse: "collapse", fontSize: 14 }}>
+            <thead>
+              <tr style={{ background: "#2d3748", color: "#fff" }}>
+                <th style={{ padding: "10px 12px", textAlign: "left" }}>Rank</th>
+                <th style={{ padding: "10px 12px", textAlign: "left" }}>Team</th>
+                <th style={{ padding: "10px 12px", textAlign: "left" }}>Conference</th>
+                <th style={{ padding: "10px 12px", textAlign: "right" }}>Record</th>
+                <SortableHeader label="Adj Efficiency Margin" sortKey="adjEM" />
+                <SortableHeader label="Adj Off Efficiency" sortKey="adjO" />
+                <SortableHeader label="Adj Def Efficiency" sortKey="adjD" />
+                <SortableHeader label="Adj Tempo" sortKey="adjT" />
+                <SortableHeader label="Raw Margin" sortKey="rawEM" />
+                <SortableHeader label="SOS" sortKey="sos" />
+                <SortableHeader label="NC SOS" sortKey="ncSos" />
+                <SortableHeader label="Avg Opp" sortKey="oppAdjEM" />
+                <SortableHeader label="Q1" sortKey="q1Wins" />
+                <th style={{ padding: "10px 12px", textAlign: "right" }}>Q2</th>
+                <th style={{ padding: "10px 12px", textAlign: "right" }}>Q3</th>
+                <th style={{ padding: "10px 12px", textAlign: "right" }}>Q4</th>
+                <SortableHeader label="WAB" sortKey="wab" />
+              </tr>
+            </thead>
+            <tbody>
+              {sortedTeams.map((row, idx) => (
+                <tr
+                  key={row.teamId}
+                  style={{
+                    borderBottom: "1px solid #e5e7eb",
+                    background: idx % 2 === 0 ? "#fff" : "#f9fafb",
+                  }}
+                >
+                  <td style={{ padding: "10px 12px" }}>{idx + 1}</td>
+                  <td style={{ padding: "10px 12px" }}>
+                    <Link
+                      href={withSeason(`/${division}/team/${row.teamId}`, season)}
+                      style={{ color: "#2563eb", textDecoration: "none", fontWeight: 600 }}
+                    >
+                      {row.team}
+                    </Link>
+                  </td>
+                  <td style={{ padding: "10px 12px", textTransform: "uppercase", fontSize: 12, color: "#666" }}>
+                    {row.conference ? (
+                      <Link href={withSeason(`/${division}/conference/${row.conference}`, season)} style={{ color: "#666", textDecoration: "none" }}>
+                        {row.conference}
+                      </Link>
+                    ) : "—"}
+                  </td>
+                  <td style={{ padding: "10px 12px", textAlign: "right" }}>
+                    {row.wins != null && row.losses != null ? `${row.wins}-${row.losses}` : "—"}
+                  </td>
+                  <td style={{ padding: "10px 12px", textAlign: "right", fontWeight: 600 }}>
+                    {row.adjEM != null ? row.adjEM.toFixed(1) : "—"}
+                  </td>
+                  <td style={{ padding: "10px 12px", textAlign: "right" }}>
+                    {row.adjO != null ? row.adjO.toFixed(1) : "—"}
+                  </td>
+                  <td style={{ padding: "10px 12px", textAlign: "right" }}>
+                    {row.adjD != null ? row.adjD.toFixed(1) : "—"}
+                  </td>
+                  <td style={{ padding: "10px 12px", textAlign: "right" }}>
+                    {row.adjT != null ? row.adjT.toFixed(1) : "—"}
+                  </td>
+                  <td style={{ padding: "10px 12px", textAlign: "right", color: "#666" }}>
+                    {row.rawEM != null ? row.rawEM.toFixed(1) : "—"}
+                  </td>
+                  <td style={{ padding: "10px 12px", textAlign: "right" }}>
+                    {row.sos != null ? row.sos.toFixed(1) : "—"}
+                  </td>
+                  <td style={{ padding: "10px 12px", textAlign: "right" }}>
+                    {row.ncSos != null ? row.ncSos.toFixed(1) : "—"}
+                  </td>
+                  <td style={{ padding: "10px 12px", textAlign: "right", color: "#666" }}>
+                    {row.oppAdjEM != null ? row.oppAdjEM.toFixed(1) : "—"}
+                  </td>
+                  <td style={{ padding: "10px 12px", textAlign: "right", fontWeight: 600 }}>
+                    {record(row.quadrants?.q1)}
+                  </td>
+                  <td style={{ padding: "10px 12px", textAlign: "right" }}>{record(row.quadrants?.q2)}</td>
+                  <td style={{ padding: "10px 12px", textAlign: "right" }}>{record(row.quadrants?.q3)}</td>
+                  <td style={{ padding: "10px 12px", textAlign: "right" }}>{record(row.quadrants?.q4)}</td>
+                  <td style={{ padding: "10px 12px", textAlign: "right", fontWeight: 600 }}>
+                    {row.wab != null ? `${row.wab >= 0 ? "+" : ""}${row.wab.toFixed(1)}` : "—"}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      </main>
+    </>
+  );
+}
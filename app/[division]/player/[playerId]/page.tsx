@@ -0,0 +1,228 @@
+import Link from "next/link";
+import { headers } from 'next/headers';
+import { notFound } from 'next/navigation';
+import SiteNavigation from '@/components/SiteNavigation';
+import { pageSeason, withSeason } from '@/lib/seasons';
+import { getDivision, divisionLabel } from '@/lib/divisions';
+import type { PlayerProfile, SplitLine, PercentileMetric } from '@/lib/playerProfile';
+
+const ACCENT = "#2d3748";
+const ACCENT_LIGHT = "#f7f8fa";
+
+async function fetchAPI(path: string) {
+  const headersList = await headers();
+  const host = headersList.get('host');
+  const protocol = process.env.NODE_ENV === 'development' ? 'http' : 'https';
+  const res = await fetch(`${protocol}://${host}${path}`, { cache: 'no-store' });
+  if (res.status === 404) return null;
+  if (!res.ok) throw new Error(`Failed to fetch ${path}`);
+  return res.json();
+}
+
+function formatHeight(inches: number | null | undefined): string {
+  if (!inches || inches === 0) return "—";
+  const feet = Math.floor(inches / 12);
+  const remaining = inches % 12;
+  return `${feet}'${remaining}"`;
+}
+
+const PERCENTILE_LABELS: Record<PercentileMetric, string> = {
+  ppg: "Points", rpg: "Rebounds", apg: "Assists", ortg: "ORtg", usagePct: "%Usage",
+  efg: "eFG%", ts: "TS%", orPct: "OR%", drPct: "DR%", aRate: "ARate",
+  toRate: "TORate", blkPct: "Blk%", stlPct: "Stl%",
+};
+
+function SectionTitle({ title }: { title: string }) {
+  return (
+    <div style={{ fontSize: 12, fontWeight: 800, textTransform: "uppercase", letterSpacing: 0.5, color: "#fff", background: ACCENT, padding: "6px 10px", marginBottom: 0 }}>
+      {title}
+    </div>
+  );
+}
+
+const th = { padding: "6px 6px", textAlign: "right" as const };
+const td = { padding: "6px 6px", textAlign: "right" as const };
+
+function SplitRow({ label, line }: { label: string; line: SplitLine }) {
+  const cells = line.games > 0
+    ? [line.games, line.mpg, line.ppg, line.rpg, line.apg, line.spg, line.bpg, line.topg, line.fgPct, line.threePct, line.ftPct, line.efg, line.ts]
+        .map((v, i) => (i === 0 ? v : v.toFixed(1)))
+    : [0, ...Array(12).fill("—")];
+  return (
+    <tr style={{ borderBottom: "1px solid #f0f0f0" }}>
+      <td style={{ ...td, textAlign: "left", fontWeight: 600 }}>{label}</td>
+      {cells.map((c, i) => <td key={i} style={td}>{c}</td>)}
+    </tr>
+  );
+}
+
+export default async function PlayerPage({
+  params,
+  searchParams,
+}: {
+  params: Promise<{ division: string; playerId: string }>;
+  searchParams: Promise<{ season?: string }>;
+}) {
+  const { division, playerId } = await params;
+  if (!getDivision(division)) notFound();
+  const season = pageSeason((await searchParams).season);
+
+  const data: PlayerProfile | null = await fetchAPI(
+    withSeason(`/api/${division}/players/${encodeURIComponent(decodeURIComponent(playerId))}`, season)
+  );
+  if (!data) notFound();
+  const { player, advanced, splits, trend, gameLog, percentiles, percentilePool } = data;
+  const seasonLine = splits.season;
+
+  const adv: Array<[string, keyof NonNullable<PlayerProfile['advanced']>, boolean?]> = [
+    ["%Min", "minPct"], ["ORtg", "ortg", true], ["%Usage", "usagePct"], ["%Shot", "shotPct"],
+    ["eFG%", "efg"], ["TS%", "ts"], ["OR%", "orPct"], ["DR%", "drPct"],
+    ["ARate", "aRate"], ["TORate", "toRate"], ["Blk%", "blkPct"], ["Stl%", "stlPct"],
+    ["FC/40", "fc40"], ["FTRate", "ftRate"], ["FT%", "ftPct"], ["2P%", "twoPct"], ["3P%", "threePct"],
+  ];
+
+  return (
+    <div style={{ minHeight: "100vh", background: "#fff" }}>
+      <SiteNavigation
+        currentDivision={division}
+        currentPage="players"
+        divisionPath={`/${division}`} season={season}
+      />
+
+      <main style={{ maxWidth: 1200, margin: "0 auto", padding: 20 }}>
+        <div style={{ marginBottom: 24 }}>
+          <h1 style={{ fontSize: 28, fontWeight: 800, margin: "0 0 4px" }}>
+            {player.number != null && <span style={{ color: "#666", fontWeight: 400, marginRight: 8 }}>#{player.number}</span>}
+            {player.firstName} {player.lastName}
+          </h1>
+          <div style={{ color: "#666", fontSize: 14 }}>
+            <Link href={withSeason(`/${division}/team/${player.teamId}`, season)} style={{ color: "#2563eb", textDecoration: "none", fontWeight: 600 }}>
+              {player.teamName}
+            </Link>
+            {" · "}{divisionLabel(division)} · {season}
+            {" · "}{player.position || "—"} · {player.year || "—"} · {formatHeight(player.height)}
+            {" · "}{player.games} G, {player.starts} GS
+            {" · "}
+            <Link href={`/players/${encodeURIComponent(player.playerId)}`} style={{ color: "#2563eb", textDecoration: "none" }}>
+              Career →
+            </Link>
+          </div>
+        </div>
+
+        <div style={{ display: "grid", gridTemplateColumns: "repeat(auto-fit, minmax(140px, 1fr))", gap: 16, marginBottom: 24 }}>
+          {[["PPG", seasonLine.ppg], ["RPG", seasonLine.rpg], ["APG", seasonLine.apg], ["MPG", seasonLine.mpg], ["ORtg", advanced?.ortg ?? 0]].map(([label, value]) => (
+            <div key={label as string} style={{ border: "1px solid #e0e0e0", padding: 16 }}>
+              <div style={{ fontSize: 11, fontWeight: 700, color: "#666", textTransform: "uppercase" }}>{label}</div>
+              <div style={{ fontSize: 24, fontWeight: 800, color: ACCENT }}>{(value as number) > 0 ? (value as number).toFixed(1) : "—"}</div>
+            </div>
+          ))}
+        </div>
+
+        <div style={{ border: "1px solid #e0e0e0", marginBottom: 24, overflowX: "auto" }}>
+          <SectionTitle title="Advanced Stats" />
+          <table style={{ width: "100%", borderCollapse: "collapse", fontSize: 11, whiteSpace: "nowrap" }}>
+            <thead>
+              <tr style={{ background: ACCENT_LIGHT }}>
+                {adv.map(([label]) => <th key={label} style={th}>{label}</th>)}
+              </tr>
+            </thead>
+            <tbody>
+              <tr>
+                {adv.map(([label, key, blankIfZero]) => {
+                  const value = advanced?.[key];
+                  return <td key={label} style={td}>{value == null || (blankIfZero && value <= 0) ? "—" : value.toFixed(1)}</td>;
+                })}
+              </tr>
+            </tbody>
+          </table>
+        </div>
+
+        <div style={{ display: "grid", gridTemplateColumns: percentiles ? "1fr 2fr" : "1fr", gap: 24, marginBottom: 24 }}>
+          {percentiles && <div style={{ border: "1px solid #e0e0e0" }}>
+            <SectionTitle title="Division Percentiles" />
+            <div style={{ padding: 10 }}>
+              {(Object.keys(PERCENTILE_LABELS) as PercentileMetric[]).map(m => (
+                <div key={m} style={{ display: "flex", alignItems: "center", gap: 8, fontSize: 12, marginBottom: 4 }}>
+                  <span style={{ width: 70 }}>{PERCENTILE_LABELS[m]}</span>
+                  <div style={{ flex: 1, background: "#f0f0f0", height: 10 }}>
+                    <div style={{ width: `${percentiles[m]}%`, height: 10, background: "#2E7DD1" }} />
+                  </div>
+                  <span style={{ width: 28, textAlign: "right", fontWeight: 600 }}>{Math.round(percentiles[m])}</span>
+                </div>
+              ))}
+              <div style={{ color: "#666", fontSize: 11, marginTop: 8 }}>
+                vs {percentilePool} players with 40%+ of their team&apos;s minutes
+              </div>
+            </div>
+          </div>}
+
+          <div style={{ border: "1px solid #e0e0e0", overflowX: "auto" }}>
+            <SectionTitle title="Splits" />
+            <table style={{ width: "100%", borderCollapse: "collapse", fontSize: 11, whiteSpace: "nowrap" }}>
+              <thead>
+                <tr style={{ background: ACCENT_LIGHT }}>
+                  <th style={{ ...th, textAlign: "left" }} />
+                  {["G", "MPG", "PPG", "RPG", "APG", "SPG", "BPG", "TOPG", "FG%", "3P%", "FT%", "eFG%", "TS%"].map(h => <th key={h} style={th}>{h}</th>)}
+                </tr>
+              </thead>
+              <tbody>
+                <SplitRow label="Season" line={seasonLine} />
+                <SplitRow label="Conference" line={splits.conference} />
+                <SplitRow label="Non-conference" line={splits.nonConference} />
+                <SplitRow label={`Last ${trend.lastN}`} line={trend.recent} />
+              </tbody>
+            </table>
+          </div>
+        </div>
+
+        <div style={{ border: "1px solid #e0e0e0", overflowX: "auto" }}>
+          <SectionTitle title="Game Log" />
+          <table style={{ width: "100%", borderCollapse: "collapse", fontSize: 11, whiteSpace: "nowrap" }}>
+            <thead>
+              <tr style={{ background: ACCENT_LIGHT }}>
+                <th style={{ ...th, textAlign: "left" }}>Date</th>
+                <th style={{ ...th, textAlign: "left" }}>Opponent</th>
+                <th style={{ ...th, textAlign: "center" }}>Result</th>
+                {["MIN", "PTS", "REB", "ORB", "AST", "STL", "BLK", "TO", "PF", "FG", "3P", "FT"].map(h => <th key={h} style={th}>{h}</th>)}
+              </tr>
+            </thead>
+            <tbody>
+              {gameLog.map(g => {
+                const gameHref = withSeason(`/${division}/game/${g.gameId}`, season);
+                return (
+                  <tr key={g.gameId} style={{ borderBottom: "1px solid #f0f0f0" }}>
+                    <td style={{ ...td, textAlign: "left" }}>
+                      <Link href={gameHref} style={{ color: "inherit", textDecoration: "none" }}>
+                        {new Date(`${g.gameDate}T12:00:00`).toLocaleDateString('en-US', { month: 'numeric', day: 'numeric' })}
+                      </Link>
+                    </td>
+                    <td style={{ ...td, textAlign: "left" }}>
+                      <span style={{ color: "#666", marginRight: 4 }}>{g.location === "neutral" ? "N" : g.location === "home" ? "vs" : "@"}</span>
+                      <Link href={gameHref} style={{ color: "#2563eb", textDecoration: "none" }}>{g.opponent}</Link>
+                      {g.isConferenceGame && <span style={{ color: "#666", fontSize: 10, marginLeft: 4 }}>CONF</span>}
+                    </td>
+                    <td style={{ ...td, textAlign: "center", color: g.won ? "#16a34a" : "#dc2626", fontWeight: 600 }}>
+                      {g.won ? "W" : "L"} {g.teamScore}-{g.oppScore}
+                    </td>
+                    <td style={td}>{Math.round(g.minutes)}</td>
+                    <td style={{ ...td, fontWeight: 600 }}>{g.points}</td>
+                    <td style={td}>{g.trb}</td>
+                    <td style={td}>{g.orb}</td>
+                    <td style={td}>{g.ast}</td>
+                    <td style={td}>{g.stl}</td>
+                    <td style={td}>{g.blk}</td>
+                    <td style={td}>{g.tov}</td>
+                    <td style={td}>{g.pf}</td>
+                    <td style={td}>{g.fgm}-{g.fga}</td>
+                    <td style={td}>{g.tpm}-{g.tpa}</td>
+                    <td style={td}>{g.ftm}-{g.fta}</td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        </div>
+      </main>
+    </div>
+  );
+}
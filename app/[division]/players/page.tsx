@@ -1,8 +1,12 @@
 'use client';
 
-import { useEffect, useState } from 'react';
+import { use, useEffect, useState } from 'react';
 import Link from 'next/link';
+import { notFound } from 'next/navigation';
 import SiteNavigation from '@/components/SiteNavigation';
+import { pageSeason, withSeason } from '@/lib/seasons';
+import type { AdvancedStats } from '@/lib/playerStats';
+import { getDivision } from '@/lib/divisions';
 
 const ACCENT = "#4f46e5";
 const ACCENT_LIGHT = "#f5f5ff";
@@ -26,18 +30,7 @@ type Player = {
   ftm: number; fta: number; orb: number; drb: number;
   trb: number; ast: number; stl: number; blk: number;
   tov: number; pf: number; points: number;
-};
-
-type TeamStats = {
-  games: number;
-  fga: number; fgm: number; tpm: number;
-  orb: number; tov: number; fta: number; ftm: number;
-  ast: number; points: number;
-  opp_fga: number; opp_tpa: number; opp_tpm: number;
-  opp_orb: number; opp_tov: number; opp_fta: number; opp_ftm: number;
-  opp_points: number;
-  trb: number; opp_trb: number;
-};
+} & Partial<AdvancedStats>;
 
 type SortKey = 'name' | 'team' | 'games' | 'starts' | 'minPct' | 'ortg' | 'usagePct' | 'shotPct' |
   'efg' | 'ts' | 'orbPct' | 'drbPct' | 'aRate' | 'toRate' | 'blkPct' | 'stlPct' | 'ftRate' |
@@ -120,9 +113,17 @@ function formatHeight(inches: number | null | undefined): string {
   return `${feet}'${remaining}"`;
 }
 
-export default function MensD2PlayersPage() {
+export default function DivisionPlayersPage({
+  params,
+  searchParams,
+}: {
+  params: Promise<{ division: string }>;
+  searchParams: Promise<{ season?: string }>;
+}) {
+  const { division } = use(params);
+  if (!getDivision(division)) notFound();
+  const season = pageSeason(use(searchParams).season);
   const [players, setPlayers] = useState<Player[]>([]);
-  const [teamStats, setTeamStats] = useState<Map<string, TeamStats>>(new Map());
   const [filteredPlayers, setFilteredPlayers] = useState<Player[]>([]);
   const [loading, setLoading] = useState(true);
   const [statMode, setStatMode] = useState<StatMode>('advanced');
@@ -132,29 +133,14 @@ export default function MensD2PlayersPage() {
   const [minMinutes, setMinMinutes] = useState(100);
 
   useEffect(() => {
-    Promise.all([
-      fetch(`/api/mens-d2/players?minMinutes=${minMinutes}`).then(res => res.json()),
-      fetch('/api/mens-d2/teams/stats').then(res => res.json()),
-    ]).then(([playersData, teamsData]) => {
-      setPlayers(playersData.players);
-      setFilteredPlayers(playersData.players);
-      const statsMap = new Map();
-      teamsData.teams.forEach((t: any) => {
-        statsMap.set(t.teamId, {
-          games: t.games,
-          fga: t.fga, fgm: t.fgm, tpm: t.tpm,
-          orb: t.orb, tov: t.tov, fta: t.fta, ftm: t.ftm,
-          ast: t.ast, points: t.points,
-          opp_fga: t.opp_fga, opp_tpa: t.opp_tpa, opp_tpm: t.opp_tpm,
-          opp_orb: t.opp_orb, opp_tov: t.opp_tov, opp_fta: t.opp_fta,
-          opp_ftm: t.opp_ftm, opp_points: t.opp_points,
-          trb: t.trb, opp_trb: t.opp_trb,
-        });
+    fetch(withSeason(`/api/${division}/players?minMinutes=${minMinutes}`, season))
+      .then(res => res.json())
+      .then(playersData => {
+        setPlayers(playersData.players);
+        setFilteredPlayers(playersData.players);
+        setLoading(false);
       });
-      setTeamStats(statsMap);
-      setLoading(false);
-    });
-  }, [minMinutes]);
+  }, [minMinutes, season]);
 
   useEffect(() => {
     const filtered = players.filter(p => {
@@ -166,81 +152,13 @@ export default function MensD2PlayersPage() {
     setFilteredPlayers(filtered);
   }, [searchTerm, players]);
 
+  // Advanced metrics come from the API (player_advanced); players without a row
+  // yet are left out, as they were when their team's totals were missing
   const calculatePlayerStats = (p: Player) => {
-    const team = teamStats.get(p.teamId);
-    if (!team) return null;
-
-    const teamMinutes = team.games * 200;
-    const opp_drb = team.opp_trb - team.opp_orb;
-    const drb = team.trb - team.orb;
-    const twoPA = p.fga - p.tpa;
-    const twoPM = p.fgm - p.tpm;
+    if (p.minPct == null) return null;
 
-    const Team_ORB_pct = team.orb / (team.orb + opp_drb);
-    const Team_Scoring_Poss = team.fgm +
-      (1 - Math.pow(1 - team.ftm / team.fta, 2)) * team.fta * 0.4;
-    const Team_Play_pct = Team_Scoring_Poss / (team.fga + team.fta * 0.4 + team.tov);
-    const Team_ORB_Weight =
-      ((1 - Team_ORB_pct) * Team_Play_pct) /
-      ((1 - Team_ORB_pct) * Team_Play_pct + Team_ORB_pct * (1 - Team_Play_pct));
-
-    const minPct = teamMinutes > 0 ? (p.minutes / teamMinutes) * 100 * 5 : 0;
-    const teamPossTotal = team.fga + 0.44 * team.fta + team.tov;
-    const usagePct = 100 * (p.fga + 0.44 * p.fta + p.tov) /
-      (teamPossTotal / teamMinutes * p.minutes) / 5;
-    const shotPct = team.fga > 0 && p.minutes > 0
-      ? (p.fga / team.fga) / (p.minutes / teamMinutes) / 5 * 100 : 0;
-    const efg = p.fga > 0 ? ((p.fgm + 0.5 * p.tpm) / p.fga) * 100 : 0;
-    const ts = (p.fga + 0.475 * p.fta) > 0
-      ? (p.points / (2 * (p.fga + 0.475 * p.fta))) * 100 : 0;
-    const orbPct = p.minutes > 0 && (team.orb + opp_drb) > 0
-      ? (p.orb / p.minutes) * (teamMinutes / 5) / (team.orb + opp_drb) * 100 : 0;
-    const drbPct = p.minutes > 0 && (drb + team.opp_orb) > 0
-      ? (p.drb / p.minutes) * (teamMinutes / 5) / (drb + team.opp_orb) * 100 : 0;
-    const aRateDenom = ((p.minutes / (teamMinutes / 5)) * team.fgm) - p.fgm;
-    const aRate = aRateDenom > 0 ? (p.ast / aRateDenom) * 100 : 0;
-    const playerPossSimple = p.fga + 0.44 * p.fta + p.tov;
-    const toRate = playerPossSimple > 0 ? (p.tov / playerPossSimple) * 100 : 0;
-    const oppPoss = team.opp_fga - team.opp_orb + team.opp_tov + 0.475 * team.opp_fta;
-    const opp2PA = team.opp_fga - team.opp_tpa;
-    const blkPct = (p.minutes * opp2PA) > 0
-      ? 100 * (p.blk * (teamMinutes / 5)) / (p.minutes * opp2PA) : 0;
-    const stlPct = (p.minutes * oppPoss) > 0
-      ? 100 * (p.stl * (teamMinutes / 5)) / (p.minutes * oppPoss) : 0;
-    const fc40 = p.minutes > 0 ? p.pf * (40 / p.minutes) : 0;
-    const ftRate = p.fga > 0 ? (p.fta / p.fga) * 100 : 0;
-    const ftPct = p.fta > 0 ? (p.ftm / p.fta) * 100 : 0;
-    const twoPct = twoPA > 0 ? (twoPM / twoPA) * 100 : 0;
-    const threePct = p.tpa > 0 ? (p.tpm / p.tpa) * 100 : 0;
     const fgPct = p.fga > 0 ? (p.fgm / p.fga) * 100 : 0;
 
-    const qAST = ((p.minutes / (teamMinutes / 5)) *
-      (1.14 * ((team.ast - p.ast) / team.fgm))) +
-      ((((team.ast / teamMinutes) * p.minutes * 5 - p.ast) /
-        ((team.fgm / teamMinutes) * p.minutes * 5 - p.fgm)) *
-        (1 - p.minutes / (teamMinutes / 5)));
-    const FG_Part = p.fgm * (1 - 0.5 * ((p.points - p.ftm) / (2 * p.fga)) * qAST);
-    const AST_Part = 0.5 *
-      (((team.points - team.ftm) - (p.points - p.ftm)) / (2 * (team.fga - p.fga))) * p.ast;
-    const FT_Part = (1 - Math.pow(1 - p.ftm / p.fta, 2)) * 0.4 * p.fta;
-    const ORB_Part_sc = p.orb * Team_ORB_Weight * Team_Play_pct;
-    const ScPoss = (FG_Part + AST_Part + FT_Part) *
-      (1 - (team.orb / Team_Scoring_Poss) * Team_ORB_Weight * Team_Play_pct) + ORB_Part_sc;
-    const FGxPoss = (p.fga - p.fgm) * (1 - 1.07 * Team_ORB_pct);
-    const FTxPoss = Math.pow(1 - p.ftm / p.fta, 2) * 0.4 * p.fta;
-    const TotPoss = ScPoss + FGxPoss + FTxPoss + p.tov;
-    const PProd_FG_Part = 2 * (p.fgm + 0.5 * p.tpm) *
-      (1 - 0.5 * ((p.points - p.ftm) / (2 * p.fga)) * qAST);
-    const PProd_AST_Part = 2 *
-      ((team.fgm - p.fgm + 0.5 * (team.tpm - p.tpm)) / (team.fgm - p.fgm)) *
-      0.5 * (((team.points - team.ftm) - (p.points - p.ftm)) / (2 * (team.fga - p.fga))) * p.ast;
-    const PProd_ORB_Part = p.orb * Team_ORB_Weight * Team_Play_pct *
-      (team.points / (team.fgm +
-        (1 - Math.pow(1 - team.ftm / team.fta, 2)) * 0.4 * team.fta));
-    const PProd = (PProd_FG_Part + PProd_AST_Part + p.ftm) *
-      (1 - (team.orb / Team_Scoring_Poss) * Team_ORB_Weight * Team_Play_pct) + PProd_ORB_Part;
-    const ortg = TotPoss > 0 ? 100 * PProd / TotPoss : 0;
-
     const g = p.games || 1;
     const m = p.minutes || 1;
     const ppg   = p.points / g;
@@ -260,8 +178,9 @@ export default function MensD2PlayersPage() {
     const b40   = p.blk    / m * 40;
 
     return {
-      minPct, ortg, usagePct, shotPct, efg, ts, orbPct, drbPct,
-      aRate, toRate, blkPct, stlPct, fc40, ftRate, ftPct, twoPct, threePct,
+      minPct: p.minPct, ortg: p.ortg, usagePct: p.usagePct, shotPct: p.shotPct, efg: p.efg, ts: p.ts,
+      orbPct: p.orPct, drbPct: p.drPct, aRate: p.aRate, toRate: p.toRate, blkPct: p.blkPct,
+      stlPct: p.stlPct, fc40: p.fc40, ftRate: p.ftRate, ftPct: p.ftPct, twoPct: p.twoPct, threePct: p.threePct,
       fgPct, ppg, rpg, orbpg, drbpg, apg, spg, bpg, mpg,
       p40, r40, orb40, drb40, a40, s40, b40,
       twopm: p.fgm - p.tpm, twopa: p.fga - p.tpa,
@@ -318,7 +237,7 @@ export default function MensD2PlayersPage() {
     const url = URL.createObjectURL(blob);
     const a = document.createElement('a');
     a.href = url;
-    a.download = `mens-d2_players_${new Date().toISOString().slice(0, 10)}.csv`;
+    a.download = `${division}_players_${new Date().toISOString().slice(0, 10)}.csv`;
     a.click();
     URL.revokeObjectURL(url);
   };
@@ -339,7 +258,7 @@ export default function MensD2PlayersPage() {
 
   return (
     <>
-      <SiteNavigation currentDivision="mens-d2" currentPage="players" divisionPath="/mens-d2" />
+      <SiteNavigation currentDivision={division} currentPage="players" divisionPath={`/${division}`} season={season} />
       <main style={{ maxWidth: "100%", margin: "0 auto", padding: 20 }}>
         <div style={{ marginBottom: 24 }}>
           <h2 style={{ fontSize: 24, fontWeight: 700, marginBottom: 8 }}>Player Database</h2>
@@ -428,10 +347,12 @@ export default function MensD2PlayersPage() {
                 return (
                   <tr key={p.playerId} style={{ borderBottom: "1px solid #e8f2fc", background: idx % 2 === 0 ? "#fff" : "#EAF4FF" }}>
                     <td style={{ padding: "4px 6px", fontWeight: 600, position: "sticky", left: 0, background: idx % 2 === 0 ? "#fff" : "#EAF4FF", zIndex: 1, maxWidth: 150, overflow: "hidden", textOverflow: "ellipsis" }}>
-                      {p.firstName} {p.lastName}
+                      <Link href={withSeason(`/${division}/player/${encodeURIComponent(p.playerId)}`, season)} style={{ color: "inherit", textDecoration: "none" }}>
+                        {p.firstName} {p.lastName}
+                      </Link>
                     </td>
                     <td style={{ padding: "4px 6px", maxWidth: 110, overflow: "hidden", textOverflow: "ellipsis", background: idx % 2 === 0 ? "#fff" : "#EAF4FF" }}>
-                      <Link href={`/mens-d2/team/${p.teamId}`} style={{ color: ACCENT, textDecoration: "none" }}>
+                      <Link href={withSeason(`/${division}/team/${p.teamId}`, season)} style={{ color: ACCENT, textDecoration: "none" }}>
                         {p.teamName}
                       </Link>
                     </td>
@@ -1,8 +1,11 @@
 'use client';
 
-import { useEffect, useState, useMemo } from 'react';
+import { use, useEffect, useState, useMemo } from 'react';
 import Link from 'next/link';
+import { notFound } from 'next/navigation';
 import SiteNavigation from '@/components/SiteNavigation';
+import { getDivision } from '@/lib/divisions';
+import type { AdvancedStats } from '@/lib/playerStats';
 
 const ACCENT  = "#3B9EFF";
 const NAVY    = "#0D1F3C";
@@ -21,7 +24,7 @@ type TransferPlayer = {
   lastName: string;
   teamId: string;
   teamName: string;
-  division: 'womens-d1' | 'womens-d2';
+  division: string;
   conference: string;
   year: string;
   height: number | null;
@@ -35,18 +38,7 @@ type TransferPlayer = {
   orb: number; drb: number; trb: number;
   ast: number; stl: number; blk: number;
   tov: number; pf: number; points: number;
-};
-
-type TeamStats = {
-  games: number;
-  fga: number; fgm: number; tpm: number;
-  orb: number; tov: number; fta: number; ftm: number;
-  ast: number; points: number;
-  opp_fga: number; opp_tpa: number; opp_tpm: number;
-  opp_orb: number; opp_tov: number; opp_fta: number; opp_ftm: number;
-  opp_points: number;
-  trb: number; opp_trb: number;
-};
+} & Partial<AdvancedStats>;
 
 type SortKey =
   | 'name' | 'team' | 'division' | 'games'
@@ -66,70 +58,18 @@ function formatHeight(inches: number | null | undefined): string {
 }
 
 function divLabel(div: string) {
-  return div === 'womens-d1' ? 'D1' : 'D2';
+  return getDivision(div)?.level.toUpperCase() ?? div;
 }
 
 // ── Stat Calculator ───────────────────────────────────────────
 
-function calcStats(p: TransferPlayer, team: TeamStats | undefined) {
-  if (!team) return null;
-
-  const teamMinutes = team.games * 200;
-  const opp_drb     = team.opp_trb - team.opp_orb;
-  const drb         = team.trb - team.orb;
-
-  const Team_ORB_pct      = team.orb / (team.orb + opp_drb);
-  const Team_Scoring_Poss = team.fgm + (1 - Math.pow(1 - team.ftm / team.fta, 2)) * team.fta * 0.4;
-  const Team_Play_pct     = Team_Scoring_Poss / (team.fga + team.fta * 0.4 + team.tov);
-  const Team_ORB_Weight   =
-    ((1 - Team_ORB_pct) * Team_Play_pct) /
-    ((1 - Team_ORB_pct) * Team_Play_pct + Team_ORB_pct * (1 - Team_Play_pct));
-
-  const teamPossTotal = team.fga + 0.44 * team.fta + team.tov;
-  const usagePct = 100 * (p.fga + 0.44 * p.fta + p.tov) /
-    (teamPossTotal / teamMinutes * p.minutes) / 5;
-  const efg    = p.fga > 0 ? ((p.fgm + 0.5 * p.tpm) / p.fga) * 100 : 0;
-  const ts     = (p.fga + 0.475 * p.fta) > 0 ? (p.points / (2 * (p.fga + 0.475 * p.fta))) * 100 : 0;
-  const orbPct = p.minutes > 0 && (team.orb + opp_drb) > 0
-    ? (p.orb / p.minutes) * (teamMinutes / 5) / (team.orb + opp_drb) * 100 : 0;
-  const drbPct = p.minutes > 0 && (drb + team.opp_orb) > 0
-    ? (p.drb / p.minutes) * (teamMinutes / 5) / (drb + team.opp_orb) * 100 : 0;
-  const aRateDenom = ((p.minutes / (teamMinutes / 5)) * team.fgm) - p.fgm;
-  const aRate  = aRateDenom > 0 ? (p.ast / aRateDenom) * 100 : 0;
-  const playerPoss = p.fga + 0.44 * p.fta + p.tov;
-  const toRate = playerPoss > 0 ? (p.tov / playerPoss) * 100 : 0;
-  const oppPoss = team.opp_fga - team.opp_orb + team.opp_tov + 0.475 * team.opp_fta;
-  const opp2PA  = team.opp_fga - team.opp_tpa;
-  const blkPct  = (p.minutes * opp2PA) > 0
-    ? 100 * (p.blk * (teamMinutes / 5)) / (p.minutes * opp2PA) : 0;
-  const stlPct  = (p.minutes * oppPoss) > 0
-    ? 100 * (p.stl * (teamMinutes / 5)) / (p.minutes * oppPoss) : 0;
-  const ftRate  = p.fga > 0 ? (p.fta / p.fga) * 100 : 0;
-
-  const qAST = ((p.minutes / (teamMinutes / 5)) *
-    (1.14 * ((team.ast - p.ast) / team.fgm))) +
-    ((((team.ast / teamMinutes) * p.minutes * 5 - p.ast) /
-      ((team.fgm / teamMinutes) * p.minutes * 5 - p.fgm)) *
-      (1 - p.minutes / (teamMinutes / 5)));
-  const FG_Part   = p.fgm * (1 - 0.5 * ((p.points - p.ftm) / (2 * p.fga)) * qAST);
-  const AST_Part  = 0.5 * (((team.points - team.ftm) - (p.points - p.ftm)) / (2 * (team.fga - p.fga))) * p.ast;
-  const FT_Part   = (1 - Math.pow(1 - p.ftm / p.fta, 2)) * 0.4 * p.fta;
-  const ORB_Part  = p.orb * Team_ORB_Weight * Team_Play_pct;
-  const ScPoss    = (FG_Part + AST_Part + FT_Part) *
-    (1 - (team.orb / Team_Scoring_Poss) * Team_ORB_Weight * Team_Play_pct) + ORB_Part;
-  const FGxPoss   = (p.fga - p.fgm) * (1 - 1.07 * Team_ORB_pct);
-  const FTxPoss   = Math.pow(1 - p.ftm / p.fta, 2) * 0.4 * p.fta;
-  const TotPoss   = ScPoss + FGxPoss + FTxPoss + p.tov;
-  const PProd_FG  = 2 * (p.fgm + 0.5 * p.tpm) *
-    (1 - 0.5 * ((p.points - p.ftm) / (2 * p.fga)) * qAST);
-  const PProd_AST = 2 *
-    ((team.fgm - p.fgm + 0.5 * (team.tpm - p.tpm)) / (team.fgm - p.fgm)) *
-    0.5 * (((team.points - team.ftm) - (p.points - p.ftm)) / (2 * (team.fga - p.fga))) * p.ast;
-  const PProd_ORB = p.orb * Team_ORB_Weight * Team_Play_pct *
-    (team.points / (team.fgm + (1 - Math.pow(1 - team.ftm / team.fta, 2)) * 0.4 * team.fta));
-  const PProd = (PProd_FG + PProd_AST + p.ftm) *
-    (1 - (team.orb / Team_Scoring_Poss) * Team_ORB_Weight * Team_Play_pct) + PProd_ORB;
-  const ortg = TotPoss > 0 ? 100 * PProd / TotPoss : 0;
+// Advanced metrics arrive with each player from the division's players API
+// (player_advanced); players without them are left out
+function calcStats(p: TransferPlayer) {
+  if (p.minPct == null) return null;
+  const { ortg, usagePct, efg, ts, aRate, toRate, blkPct, stlPct, ftRate } = p;
+  const orbPct = p.orPct;
+  const drbPct = p.drPct;
 
   // Per game
   const g   = p.games || 1;
@@ -199,23 +139,26 @@ const PER_40_COLS: { label: string; key: SortKey }[] = [
 
 // ── Main Page ─────────────────────────────────────────────────
 
-export default function WomensRecruitingPage() {
+// Transfer portal for a division's gender - the D1 and D2 players of that gender
+export default function RecruitingPage({ params }: { params: Promise<{ division: string }> }) {
+  const { division } = use(params);
+  if (!getDivision(division)) notFound();
+  const gender = division.startsWith('womens') ? 'womens' : 'mens';
+  const genderLabel = gender === 'womens' ? "Women's" : "Men's";
+  const portalDivisions = [`${gender}-d1`, `${gender}-d2`];
+
   const [players, setPlayers]       = useState<TransferPlayer[]>([]);
-  const [teamStats, setTeamStats]   = useState<Map<string, TeamStats>>(new Map());
   const [loading, setLoading]       = useState(true);
   const [statMode, setStatMode]     = useState<StatMode>('advanced');
-  const [divFilter, setDivFilter]   = useState<'all' | 'womens-d1' | 'womens-d2'>('all');
+  const [divFilter, setDivFilter]   = useState<string>('all');
   const [searchTerm, setSearchTerm] = useState('');
   const [sortKey, setSortKey]       = useState<SortKey>('usagePct');
   const [sortOrder, setSortOrder]   = useState<'asc' | 'desc'>('desc');
 
   useEffect(() => {
-    // When data is available, fetch from API:
-    // Promise.all([
-    //   fetch('/api/recruiting/womens/transfers').then(r => r.json()),
-    //   fetch('/api/womens-d1/teams/stats').then(r => r.json()),
-    //   fetch('/api/womens-d2/teams/stats').then(r => r.json()),
-    // ]).then(([transferData, d1Teams, d2Teams]) => { ... });
+    // When data is available, fetch from API (transfer rows carry the same
+    // advanced metrics as /api/{division}/players):
+    // fetch(`/api/recruiting/${gender}/transfers`).then(r => r.json()).then(transferData => { ... });
     setLoading(false);
   }, []);
 
@@ -247,21 +190,21 @@ export default function WomensRecruitingPage() {
       if (sortKey === 'division') return sortOrder === 'asc' ? a.division.localeCompare(b.division) : b.division.localeCompare(a.division);
       if (sortKey === 'games') return sortOrder === 'asc' ? a.games - b.games : b.games - a.games;
 
-      const as = calcStats(a, teamStats.get(a.teamId));
-      const bs = calcStats(b, teamStats.get(b.teamId));
+      const as = calcStats(a);
+      const bs = calcStats(b);
       if (!as || !bs) return 0;
       const av = as[sortKey as keyof typeof as] as number ?? 0;
       const bv = bs[sortKey as keyof typeof bs] as number ?? 0;
       return sortOrder === 'asc' ? av - bv : bv - av;
     });
-  }, [filteredPlayers, sortKey, sortOrder, teamStats]);
+  }, [filteredPlayers, sortKey, sortOrder]);
 
   const exportCSV = () => {
     const activeCols = statMode === 'advanced' ? ADVANCED_COLS : statMode === 'perGame' ? PER_GAME_COLS : PER_40_COLS;
     const headers = ['Player', 'Team', 'Division', 'Year', 'Height', 'G',
       ...activeCols.map(c => c.label)];
     const rows = sortedPlayers.map(p => {
-      const stats = calcStats(p, teamStats.get(p.teamId));
+      const stats = calcStats(p);
       const ht = !p.height || p.height === 0 ? '' : `${Math.floor(p.height / 12)}'${p.height % 12}"`;
       if (!stats) return Array(headers.length).fill('');
       return [
@@ -284,7 +227,7 @@ export default function WomensRecruitingPage() {
     const url = URL.createObjectURL(blob);
     const a = document.createElement('a');
     a.href = url;
-    a.download = `womens-transfers_${new Date().toISOString().slice(0, 10)}.csv`;
+    a.download = `${gender}-transfers_${new Date().toISOString().slice(0, 10)}.csv`;
     a.click();
     URL.revokeObjectURL(url);
   };
@@ -323,7 +266,7 @@ export default function WomensRecruitingPage() {
           Transfer Portal Coming Soon
         </h3>
         <p style={{ fontSize: 14, color: MUTED, maxWidth: 380, lineHeight: 1.6, margin: 0 }}>
-          Women's transfer portal data is being compiled. Check back soon — players and their season stats will appear here once available.
+          {genderLabel} transfer portal data is being compiled. Check back soon — players and their season stats will appear here once available.
         </p>
       </div>
     </div>
@@ -331,7 +274,7 @@ export default function WomensRecruitingPage() {
 
   return (
     <>
-      <SiteNavigation currentDivision="womens-d1" currentPage="recruiting" divisionPath="/womens-d1" />
+      <SiteNavigation currentDivision={division} currentPage="recruiting" divisionPath={`/${division}`} />
       <main style={{ maxWidth: '100%', margin: '0 auto', padding: 20 }}>
 
         {/* ── Sub-nav: Transfers tab ── */}
@@ -367,7 +310,7 @@ export default function WomensRecruitingPage() {
 
           {/* Division filter */}
           <div style={{ display: 'flex', borderRadius: 6, overflow: 'hidden', border: `1px solid ${ICE}` }}>
-            {(['all', 'womens-d1', 'womens-d2'] as const).map(val => (
+            {['all', ...portalDivisions].map(val => (
               <button
                 key={val}
                 onClick={() => setDivFilter(val)}
@@ -379,7 +322,7 @@ export default function WomensRecruitingPage() {
                   transition: 'background 0.15s, color 0.15s',
                 }}
               >
-                {val === 'all' ? 'All' : val === 'womens-d1' ? 'D1' : 'D2'}
+                {val === 'all' ? 'All' : divLabel(val)}
               </button>
             ))}
           </div>
@@ -465,7 +408,7 @@ export default function WomensRecruitingPage() {
                 </thead>
                 <tbody>
                   {sortedPlayers.map((p, idx) => {
-                    const stats = calcStats(p, teamStats.get(p.teamId));
+                    const stats = calcStats(p);
                     if (!stats) return null;
                     return (
                       <tr
@@ -483,7 +426,7 @@ export default function WomensRecruitingPage() {
                         <td style={{ padding: '5px 8px', textAlign: 'center' }}>
                           <span style={{
                             display: 'inline-block', padding: '2px 6px', borderRadius: 4, fontSize: 10, fontWeight: 700,
-                            background: p.division === 'womens-d1' ? NAVY : SKY, color: '#fff',
+                            background: p.division === portalDivisions[0] ? NAVY : SKY, color: '#fff',
                           }}>
                             {divLabel(p.division)}
                           </span>
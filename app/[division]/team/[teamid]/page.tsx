@@ -1,6 +1,11 @@
 import Link from "next/link";
 import { headers } from 'next/headers';
+import { notFound } from 'next/navigation';
 import SiteNavigation from '@/components/SiteNavigation';
+import RankHistoryChart from '@/components/RankHistoryChart';
+import LocationSplits from '@/components/LocationSplits';
+import { pageSeason, withSeason } from '@/lib/seasons';
+import { getDivision, gameMinutesOf, tempoOf, PLAYERS_ON_COURT, type Division } from '@/lib/divisions';
 
 const ACCENT = "#2d3748";
 const ACCENT_LIGHT = "#f7f8fa";
@@ -9,6 +14,8 @@ const ACCENT_BORDER = "#d0d5de";
 type TeamStats = {
   teamId: string; teamName: string; conference?: string;
   games: number; wins: number; losses: number;
+  // Team minutes (200 a regulation game); null for seasons stored before they were tracked
+  minutes?: number | null;
   points: number; opp_points: number;
   fgm: number; fga: number; tpm: number; tpa: number; ftm: number; fta: number;
   orb: number; drb: number; trb: number; ast: number; stl: number; blk: number; tov: number; pf: number;
@@ -19,7 +26,7 @@ type TeamStats = {
 
 function coerceTeamStats(t: any): TeamStats {
   const numFields = [
-    'games','wins','losses','points','opp_points',
+    'games','wins','losses','minutes','points','opp_points',
     'fgm','fga','tpm','tpa','ftm','fta',
     'orb','drb','trb','ast','stl','blk','tov','pf',
     'opp_fgm','opp_fga','opp_tpm','opp_tpa','opp_ftm','opp_fta',
@@ -42,7 +49,11 @@ async function fetchAPI(path: string) {
   return res.json();
 }
 
-function buildStatsFromGames(games: any[], teamId: string, teamName: string, conference: string | undefined): TeamStats & { adjO: number; adjD: number; adjEM: number; adjT: number } {
+// Efficiency cards: opponent-adjusted for the full season, raw per-100 for
+// conference-only splits (the adjustment needs the whole schedule)
+type Efficiency = { off: number; def: number; margin: number; tempo: number; raw: boolean };
+
+function buildStatsFromGames(divisionConfig: Division, games: any[], teamId: string, teamName: string, conference: string | undefined): { stats: TeamStats; efficiency: Efficiency } {
   const s = {
     teamId, teamName, conference,
     games: 0, wins: 0, losses: 0, points: 0, opp_points: 0,
@@ -52,8 +63,11 @@ function buildStatsFromGames(games: any[], teamId: string, teamName: string, con
     opp_orb: 0, opp_drb: 0, opp_trb: 0, opp_ast: 0, opp_stl: 0, opp_blk: 0, opp_tov: 0, opp_pf: 0,
   };
 
+  // Minutes of game clock, so overtime games don't inflate tempo
+  let gameMinutes = 0;
   for (const g of games) {
     const isHome = g.homeId === teamId;
+    gameMinutes += gameMinutesOf(divisionConfig, g.gameMinutes);
     const ourScore = Number(isHome ? g.homeScore : g.awayScore);
     const theirScore = Number(isHome ? g.awayScore : g.homeScore);
     s.games++;
@@ -81,9 +95,12 @@ function buildStatsFromGames(games: any[], teamId: string, teamName: string, con
 
   const offPoss = Math.max(1, s.fga - s.orb + s.tov + 0.475 * s.fta);
   const defPoss = Math.max(1, s.opp_fga - s.opp_orb + s.opp_tov + 0.475 * s.opp_fta);
-  const adjO = (s.points / offPoss) * 100;
-  const adjD = (s.opp_points / defPoss) * 100;
-  return { ...s, adjO, adjD, adjEM: adjO - adjD, adjT: offPoss / Math.max(1, s.games) };
+  const rawO = (s.points / offPoss) * 100;
+  const rawD = (s.opp_points / defPoss) * 100;
+  return {
+    stats: { ...s, minutes: gameMinutes * PLAYERS_ON_COURT },
+    efficiency: { off: rawO, def: rawD, margin: rawO - rawD, tempo: tempoOf(divisionConfig, offPoss, gameMinutes), raw: true },
+  };
 }
 
 function calcFourFactors(stats: TeamStats) {
@@ -121,24 +138,32 @@ function calcFourFactors(stats: TeamStats) {
   };
 }
 
-export default async function MensD1TeamPage({
+export default async function DivisionTeamPage({
   params,
   searchParams,
 }: {
-  params: Promise<{ teamid: string }>;
-  searchParams: Promise<{ conf?: string }>;
+  params: Promise<{ division: string; teamid: string }>;
+  searchParams: Promise<{ conf?: string; season?: string }>;
 }) {
-  const { teamid: teamId } = await params;
-  const { conf } = await searchParams;
+  const { division, teamid: teamId } = await params;
+  const divisionConfig = getDivision(division);
+  if (!divisionConfig) notFound();
+  const { conf, season: seasonParam } = await searchParams;
+  const season = pageSeason(seasonParam);
   const confOnly = conf === "true";
 
   const [teamsData, teamApiData, gamesData, playersData, allTeamStatsData] = await Promise.all([
-    fetchAPI('/api/mens-d1/teams'),
-    fetchAPI(`/api/mens-d1/teams/${teamId}`),
-    fetchAPI(`/api/mens-d1/teams/${teamId}/games?conf=${confOnly}`),
-    fetchAPI(`/api/mens-d1/teams/${teamId}/players${confOnly ? '?conf=true' : ''}`),
-    fetchAPI('/api/mens-d1/teams/stats'),
+    fetchAPI(withSeason(`/api/${division}/teams`, season)),
+    fetchAPI(withSeason(`/api/${division}/teams/${teamId}`, season)),
+    fetchAPI(withSeason(`/api/${division}/teams/${teamId}/games?conf=${confOnly}`, season)),
+    fetchAPI(withSeason(`/api/${division}/teams/${teamId}/players${confOnly ? '?conf=true' : ''}`, season)),
+    fetchAPI(withSeason(`/api/${division}/teams/stats`, season)),
   ]);
+  const historyData = await fetchAPI(withSeason(`/api/${division}/teams/${teamId}/history`, season))
+    .catch(() => ({ history: [] }));
+  // Lineups need play-by-play, which not every game has - the page works without them
+  const lineupsData = await fetchAPI(withSeason(`/api/${division}/teams/${teamId}/lineups${confOnly ? '?conf=true' : ''}`, season))
+    .catch(() => ({ lineups: [], players: [] }));
 
   const rawTeam = teamApiData.team ?? teamApiData;
   const fullTeamData = coerceTeamStats(rawTeam);
@@ -146,14 +171,17 @@ export default async function MensD1TeamPage({
   const allGames: any[] = gamesData.games ?? [];
   const filteredGames = allGames;
 
-  const team = confOnly && filteredGames.length > 0
-    ? buildStatsFromGames(filteredGames, teamId, fullTeamData.teamName, fullTeamData.conference)
-    : { ...fullTeamData, adjO: fullTeamData.adjO ?? 0, adjD: fullTeamData.adjD ?? 0, adjEM: fullTeamData.adjEM ?? 0, adjT: fullTeamData.adjT ?? 0 };
+  const { stats: team, efficiency } = confOnly && filteredGames.length > 0
+    ? buildStatsFromGames(divisionConfig, filteredGames, teamId, fullTeamData.teamName, fullTeamData.conference)
+    : {
+        stats: fullTeamData,
+        efficiency: { off: fullTeamData.adjO ?? 0, def: fullTeamData.adjD ?? 0, margin: fullTeamData.adjEM ?? 0, tempo: fullTeamData.adjT ?? 0, raw: false },
+      };
 
   if (!team.teamName) {
     return (
       <main style={{ maxWidth: 1200, margin: "0 auto", padding: 20 }}>
-        <Link href="/mens-d1" style={{ color: "#2563eb" }}>← Back</Link>
+        <Link href={withSeason(`/${division}`, season)} style={{ color: "#2563eb" }}>← Back</Link>
         <h1>Team not found</h1>
       </main>
     );
@@ -199,7 +227,7 @@ export default async function MensD1TeamPage({
     }
   };
 
-  const d1Avg = {
+  const divisionAvg = {
     off: {
       efg: allTeamFactors.reduce((s, t) => s + t.ff.off.efg, 0) / allTeamFactors.length,
       tov: allTeamFactors.reduce((s, t) => s + t.ff.off.tov, 0) / allTeamFactors.length,
@@ -228,11 +256,11 @@ export default async function MensD1TeamPage({
     }
   };
 
-  const confOnlyUrl = confOnly ? `/mens-d1/team/${teamId}` : `/mens-d1/team/${teamId}?conf=true`;
+  const confOnlyUrl = withSeason(confOnly ? `/${division}/team/${teamId}` : `/${division}/team/${teamId}?conf=true`, season);
 
   return (
     <div>
-      <SiteNavigation currentDivision="mens-d1" currentPage="rankings" divisionPath="/mens-d1" />
+      <SiteNavigation currentDivision={division} currentPage="rankings" divisionPath={`/${division}`} season={season} />
       <main style={{ maxWidth: 1200, margin: "0 auto", padding: 20 }}>
 
         <div style={{ marginBottom: 24 }}>
@@ -248,16 +276,23 @@ export default async function MensD1TeamPage({
         </div>
 
         <div style={{ display: "grid", gridTemplateColumns: "repeat(auto-fit, minmax(200px, 1fr))", gap: 16, marginBottom: 24 }}>
-          <StatCard title="Off. Efficiency" value={team.adjO ?? null} rank={confOnly ? undefined : teamsData.rows.filter((r: any) => Number(r.rawO) > (team.adjO ?? 0)).length + 1} />
-          <StatCard title="Def. Efficiency" value={team.adjD ?? null} rank={confOnly ? undefined : teamsData.rows.filter((r: any) => Number(r.rawD) < (team.adjD ?? 999)).length + 1} />
-          <StatCard title="Raw Margin" value={team.adjEM ?? null} prefix="+" rank={confOnly ? undefined : teamsData.rows.filter((r: any) => Number(r.rawEM) > (team.adjEM ?? 0)).length + 1} />
-          <StatCard title="Tempo" value={team.adjT ?? null} rank={confOnly ? undefined : teamsData.rows.filter((r: any) => Number(r.rawT) > (team.adjT ?? 0)).length + 1} />
+          <StatCard title={efficiency.raw ? "Raw Off. Efficiency" : "Adj. Off. Efficiency"} value={efficiency.off} rank={efficiency.raw ? undefined : teamsData.rows.filter((r: any) => Number(r.adjO) > efficiency.off).length + 1} />
+          <StatCard title={efficiency.raw ? "Raw Def. Efficiency" : "Adj. Def. Efficiency"} value={efficiency.def} rank={efficiency.raw ? undefined : teamsData.rows.filter((r: any) => Number(r.adjD) < efficiency.def).length + 1} />
+          <StatCard title={efficiency.raw ? "Raw Margin" : "Adj. Margin"} value={efficiency.margin} prefix="+" rank={efficiency.raw ? undefined : teamsData.rows.filter((r: any) => Number(r.adjEM) > efficiency.margin).length + 1} />
+          <StatCard title={efficiency.raw ? "Raw Tempo" : "Adj. Tempo"} value={efficiency.tempo} rank={efficiency.raw ? undefined : teamsData.rows.filter((r: any) => Number(r.adjT) > efficiency.tempo).length + 1} />
         </div>
 
         <div style={{ display: "flex", gap: 12, marginBottom: 24 }}>
           <ToggleLink href={confOnlyUrl} checked={confOnly} label="Conference games only" />
         </div>
 
+        {filteredGames.length > 0 && (
+          <>
+            <SectionTitle title={`Home / Away / Neutral${confOnly ? " (Conf. only)" : ""}`} />
+            <LocationSplits games={filteredGames} teamId={teamId} division={divisionConfig} accent={ACCENT} />
+          </>
+        )}
+
         {confOnly && filteredGames.length === 0 && (
           <div style={{ padding: 16, background: "#fef3c7", border: "1px solid #f59e0b", borderRadius: 6, marginBottom: 24 }}>
             No conference games found for this team.
@@ -268,21 +303,21 @@ export default async function MensD1TeamPage({
           <div>
             <SectionTitle title={`Team Scouting Report${confOnly ? " (Conf. only)" : ""}`} />
             <StatsTable title="Four Factors" rows={[
-              { label: "EFG%", off: ff.off.efg, def: ff.def.efg, offRank: confOnly ? undefined : rankings.off.efg, defRank: confOnly ? undefined : rankings.def.efg, offAvg: d1Avg.off.efg, defAvg: d1Avg.def.efg },
-              { label: "TO%", off: ff.off.tov, def: ff.def.tov, offRank: confOnly ? undefined : rankings.off.tov, defRank: confOnly ? undefined : rankings.def.tov, offAvg: d1Avg.off.tov, defAvg: d1Avg.def.tov },
-              { label: "OR%", off: ff.off.orb, def: ff.def.orb, offRank: confOnly ? undefined : rankings.off.orb, defRank: confOnly ? undefined : rankings.def.orb, offAvg: d1Avg.off.orb, defAvg: d1Avg.def.orb },
-              { label: "FTA/FGA", off: ff.off.ftr, def: ff.def.ftr, offRank: confOnly ? undefined : rankings.off.ftr, defRank: confOnly ? undefined : rankings.def.ftr, offAvg: d1Avg.off.ftr, defAvg: d1Avg.def.ftr },
+              { label: "EFG%", off: ff.off.efg, def: ff.def.efg, offRank: confOnly ? undefined : rankings.off.efg, defRank: confOnly ? undefined : rankings.def.efg, offAvg: divisionAvg.off.efg, defAvg: divisionAvg.def.efg },
+              { label: "TO%", off: ff.off.tov, def: ff.def.tov, offRank: confOnly ? undefined : rankings.off.tov, defRank: confOnly ? undefined : rankings.def.tov, offAvg: divisionAvg.off.tov, defAvg: divisionAvg.def.tov },
+              { label: "OR%", off: ff.off.orb, def: ff.def.orb, offRank: confOnly ? undefined : rankings.off.orb, defRank: confOnly ? undefined : rankings.def.orb, offAvg: divisionAvg.off.orb, defAvg: divisionAvg.def.orb },
+              { label: "FTA/FGA", off: ff.off.ftr, def: ff.def.ftr, offRank: confOnly ? undefined : rankings.off.ftr, defRank: confOnly ? undefined : rankings.def.ftr, offAvg: divisionAvg.off.ftr, defAvg: divisionAvg.def.ftr },
             ]} />
             <StatsTable title="Shooting" rows={[
-              { label: "2P%", off: ff.off.two, def: ff.def.two, offRank: confOnly ? undefined : rankings.off.two, defRank: confOnly ? undefined : rankings.def.two, offAvg: d1Avg.off.two, defAvg: d1Avg.def.two },
-              { label: "3P%", off: ff.off.three, def: ff.def.three, offRank: confOnly ? undefined : rankings.off.three, defRank: confOnly ? undefined : rankings.def.three, offAvg: d1Avg.off.three, defAvg: d1Avg.def.three },
-              { label: "FT%", off: ff.off.ft, def: ff.def.ft, offRank: confOnly ? undefined : rankings.off.ft, defRank: confOnly ? undefined : rankings.def.ft, offAvg: d1Avg.off.ft, defAvg: d1Avg.def.ft },
+              { label: "2P%", off: ff.off.two, def: ff.def.two, offRank: confOnly ? undefined : rankings.off.two, defRank: confOnly ? undefined : rankings.def.two, offAvg: divisionAvg.off.two, defAvg: divisionAvg.def.two },
+              { label: "3P%", off: ff.off.three, def: ff.def.three, offRank: confOnly ? undefined : rankings.off.three, defRank: confOnly ? undefined : rankings.def.three, offAvg: divisionAvg.off.three, defAvg: divisionAvg.def.three },
+              { label: "FT%", off: ff.off.ft, def: ff.def.ft, offRank: confOnly ? undefined : rankings.off.ft, defRank: confOnly ? undefined : rankings.def.ft, offAvg: divisionAvg.off.ft, defAvg: divisionAvg.def.ft },
             ]} />
             <StatsTable title="Other Stats" rows={[
-              { label: "3PA/FGA", off: ff.off.threePaRate, def: ff.def.threePaRate, offRank: confOnly ? undefined : rankings.off.threePaRate, defRank: confOnly ? undefined : rankings.def.threePaRate, offAvg: d1Avg.off.threePaRate, defAvg: d1Avg.def.threePaRate },
-              { label: "Block%", off: ff.off.blk, def: ff.def.blk, offRank: confOnly ? undefined : rankings.off.blk, defRank: confOnly ? undefined : rankings.def.blk, offAvg: d1Avg.off.blk, defAvg: d1Avg.def.blk },
-              { label: "Steal%", off: ff.off.stl, def: ff.def.stl, offRank: confOnly ? undefined : rankings.off.stl, defRank: confOnly ? undefined : rankings.def.stl, offAvg: d1Avg.off.stl, defAvg: d1Avg.def.stl },
-              { label: "A/FGM", off: ff.off.ast, def: ff.def.ast, offRank: confOnly ? undefined : rankings.off.ast, defRank: confOnly ? undefined : rankings.def.ast, offAvg: d1Avg.off.ast, defAvg: d1Avg.def.ast },
+              { label: "3PA/FGA", off: ff.off.threePaRate, def: ff.def.threePaRate, offRank: confOnly ? undefined : rankings.off.threePaRate, defRank: confOnly ? undefined : rankings.def.threePaRate, offAvg: divisionAvg.off.threePaRate, defAvg: divisionAvg.def.threePaRate },
+              { label: "Block%", off: ff.off.blk, def: ff.def.blk, offRank: confOnly ? undefined : rankings.off.blk, defRank: confOnly ? undefined : rankings.def.blk, offAvg: divisionAvg.off.blk, defAvg: divisionAvg.def.blk },
+              { label: "Steal%", off: ff.off.stl, def: ff.def.stl, offRank: confOnly ? undefined : rankings.off.stl, defRank: confOnly ? undefined : rankings.def.stl, offAvg: divisionAvg.off.stl, defAvg: divisionAvg.def.stl },
+              { label: "A/FGM", off: ff.off.ast, def: ff.def.ast, offRank: confOnly ? undefined : rankings.off.ast, defRank: confOnly ? undefined : rankings.def.ast, offAvg: divisionAvg.off.ast, defAvg: divisionAvg.def.ast },
             ]} />
           </div>
 
@@ -306,17 +341,24 @@ export default async function MensD1TeamPage({
                     const ourScore = isHome ? game.homeScore : game.awayScore;
                     const theirScore = isHome ? game.awayScore : game.homeScore;
                     const won = ourScore > theirScore;
+                    const gameHref = withSeason(`/${division}/game/${game.gameId}`, season);
                     return (
                       <tr key={game.gameId} style={{ borderBottom: "1px solid #f0f0f0" }}>
                         <td style={{ padding: "6px 8px" }}>
-                          {new Date(game.gameDate ?? game.date).toLocaleDateString('en-US', { month: 'numeric', day: 'numeric' })}
+                          <Link href={gameHref} style={{ color: "inherit", textDecoration: "none" }}>
+                            {new Date(game.gameDate ?? game.date).toLocaleDateString('en-US', { month: 'numeric', day: 'numeric' })}
+                          </Link>
+                        </td>
+                        <td style={{ padding: "6px 8px" }}>
+                          <Link href={gameHref} style={{ color: "#2563eb", textDecoration: "none" }}>{opponent}</Link>
                         </td>
-                        <td style={{ padding: "6px 8px" }}>{opponent}</td>
-                        <td style={{ padding: "6px 8px", textAlign: "center" }}>{isHome ? "vs" : "@"}</td>
+                        <td style={{ padding: "6px 8px", textAlign: "center" }}>{game.neutralSite ? "N" : isHome ? "vs" : "@"}</td>
                         <td style={{ padding: "6px 8px", textAlign: "center", fontWeight: 600, color: won ? "#16a34a" : "#dc2626" }}>
                           {won ? "W" : "L"}
                         </td>
-                        <td style={{ padding: "6px 8px", textAlign: "right" }}>{ourScore}-{theirScore}</td>
+                        <td style={{ padding: "6px 8px", textAlign: "right" }}>
+                          <Link href={gameHref} style={{ color: "inherit", textDecoration: "none" }}>{ourScore}-{theirScore}</Link>
+                        </td>
                       </tr>
                     );
                   })}
@@ -326,8 +368,19 @@ export default async function MensD1TeamPage({
           </div>
         </div>
 
+        {!confOnly && historyData.history?.length > 1 && (
+          <div style={{ marginBottom: 32 }}>
+            <SectionTitle title="Rank History" />
+            <RankHistoryChart history={historyData.history} color={ACCENT} />
+          </div>
+        )}
+
         {playersData.players && playersData.players.length > 0 && (
-          <PlayerStats players={playersData.players} team={team} />
+          <PlayerStats players={playersData.players} division={division} season={season} />
+        )}
+
+        {(lineupsData.lineups?.length > 0 || lineupsData.players?.length > 0) && (
+          <LineupStats lineups={lineupsData.lineups ?? []} players={lineupsData.players ?? []} confOnly={confOnly} />
         )}
 
         <div style={{ marginBottom: 32 }}>
@@ -379,94 +432,17 @@ function formatHeight(inches: number | null | undefined): string {
   return `${feet}'${remaining}"`;
 }
 
-function PlayerStats({ players, team }: { players: any[]; team: any }) {
-  const teamMinutes = team.games * 200;
-  const opp_drb = team.opp_trb - team.opp_orb;
-  const drb = team.trb - team.orb;
-
-  const Team_ORB_pct = team.orb / (team.orb + opp_drb);
-  const Team_Scoring_Poss = team.fgm +
-    (1 - Math.pow(1 - team.ftm / team.fta, 2)) * team.fta * 0.4;
-  const Team_Play_pct = Team_Scoring_Poss / (team.fga + team.fta * 0.4 + team.tov);
-  const Team_ORB_Weight =
-    ((1 - Team_ORB_pct) * Team_Play_pct) /
-    ((1 - Team_ORB_pct) * Team_Play_pct + Team_ORB_pct * (1 - Team_Play_pct));
-
+function PlayerStats({ players, division, season }: { players: any[]; division: string; season: string }) {
+  // Advanced metrics come with each player from the API (player_advanced, or
+  // computed for conference-only splits); only the makes and attempts are derived here
   const calcStats = (p: any) => {
-    const pg = {
-      minutes: Number(p.minutes)||0, fgm: Number(p.fgm)||0, fga: Number(p.fga)||0,
-      tpm: Number(p.tpm)||0, tpa: Number(p.tpa)||0, ftm: Number(p.ftm)||0, fta: Number(p.fta)||0,
-      orb: Number(p.orb)||0, drb: Number(p.drb)||0, ast: Number(p.ast)||0,
-      stl: Number(p.stl)||0, blk: Number(p.blk)||0, tov: Number(p.tov)||0,
-      pf: Number(p.pf)||0, points: Number(p.points)||0,
-    };
-
-    const twoPA = pg.fga - pg.tpa;
-    const twoPM = pg.fgm - pg.tpm;
-    const minPct = teamMinutes > 0 ? (pg.minutes / teamMinutes) * 100 * 5 : 0;
-    const teamPossTotal = team.fga + 0.44 * team.fta + team.tov;
-    const usagePct = teamPossTotal > 0 && pg.minutes > 0
-      ? 100 * (pg.fga + 0.44 * pg.fta + pg.tov) / (teamPossTotal / teamMinutes * pg.minutes) / 5
-      : 0;
-    const shotPct = team.fga > 0 && pg.minutes > 0
-      ? (pg.fga / team.fga) / (pg.minutes / teamMinutes) / 5 * 100 : 0;
-    const efg = pg.fga > 0 ? ((pg.fgm + 0.5 * pg.tpm) / pg.fga) * 100 : 0;
-    const ts = (pg.fga + 0.475 * pg.fta) > 0
-      ? (pg.points / (2 * (pg.fga + 0.475 * pg.fta))) * 100 : 0;
-    const orPct = pg.minutes > 0 && (team.orb + opp_drb) > 0
-      ? (pg.orb / pg.minutes) * (teamMinutes / 5) / (team.orb + opp_drb) * 100 : 0;
-    const drPct = pg.minutes > 0 && (drb + team.opp_orb) > 0
-      ? (pg.drb / pg.minutes) * (teamMinutes / 5) / (drb + team.opp_orb) * 100 : 0;
-    const aRateDenom = ((pg.minutes / (teamMinutes / 5)) * team.fgm) - pg.fgm;
-    const aRate = aRateDenom > 0 ? (pg.ast / aRateDenom) * 100 : 0;
-    const playerPossSimple = pg.fga + 0.44 * pg.fta + pg.tov;
-    const toRate = playerPossSimple > 0 ? (pg.tov / playerPossSimple) * 100 : 0;
-    const oppPoss = Math.max(1, team.opp_fga - team.opp_orb + team.opp_tov + 0.475 * team.opp_fta);
-    const opp2PA = team.opp_fga - team.opp_tpa;
-    const blkPct = pg.minutes > 0 && opp2PA > 0
-      ? 100 * (pg.blk * (teamMinutes / 5)) / (pg.minutes * opp2PA) : 0;
-    const stlPct = pg.minutes > 0
-      ? 100 * (pg.stl * (teamMinutes / 5)) / (pg.minutes * oppPoss) : 0;
-    const fc40 = pg.minutes > 0 ? pg.pf * (40 / pg.minutes) : 0;
-    const ftRate = pg.fga > 0 ? (pg.fta / pg.fga) * 100 : 0;
-    const ftPct = pg.fta > 0 ? (pg.ftm / pg.fta) * 100 : 0;
-    const twoPct = twoPA > 0 ? (twoPM / twoPA) * 100 : 0;
-    const threePct = pg.tpa > 0 ? (pg.tpm / pg.tpa) * 100 : 0;
-
-    let ortg = 0;
-    if (pg.fga > 0 && pg.fta > 0 && pg.minutes > 0) {
-      const qAST = ((pg.minutes / (teamMinutes / 5)) *
-        (1.14 * ((team.ast - pg.ast) / team.fgm))) +
-        ((((team.ast / teamMinutes) * pg.minutes * 5 - pg.ast) /
-          ((team.fgm / teamMinutes) * pg.minutes * 5 - pg.fgm)) *
-          (1 - pg.minutes / (teamMinutes / 5)));
-      const FG_Part = pg.fgm * (1 - 0.5 * ((pg.points - pg.ftm) / (2 * pg.fga)) * qAST);
-      const AST_Part = 0.5 *
-        (((team.points - team.ftm) - (pg.points - pg.ftm)) / (2 * (team.fga - pg.fga))) * pg.ast;
-      const FT_Part = (1 - Math.pow(1 - pg.ftm / pg.fta, 2)) * 0.4 * pg.fta;
-      const ORB_Part_sc = pg.orb * Team_ORB_Weight * Team_Play_pct;
-      const ScPoss = (FG_Part + AST_Part + FT_Part) *
-        (1 - (team.orb / Team_Scoring_Poss) * Team_ORB_Weight * Team_Play_pct) + ORB_Part_sc;
-      const FGxPoss = (pg.fga - pg.fgm) * (1 - 1.07 * Team_ORB_pct);
-      const FTxPoss = Math.pow(1 - pg.ftm / pg.fta, 2) * 0.4 * pg.fta;
-      const TotPoss = ScPoss + FGxPoss + FTxPoss + pg.tov;
-      const PProd_FG_Part = 2 * (pg.fgm + 0.5 * pg.tpm) *
-        (1 - 0.5 * ((pg.points - pg.ftm) / (2 * pg.fga)) * qAST);
-      const PProd_AST_Part = 2 *
-        ((team.fgm - pg.fgm + 0.5 * (team.tpm - pg.tpm)) / (team.fgm - pg.fgm)) *
-        0.5 * (((team.points - team.ftm) - (pg.points - pg.ftm)) / (2 * (team.fga - pg.fga))) * pg.ast;
-      const PProd_ORB_Part = pg.orb * Team_ORB_Weight * Team_Play_pct *
-        (team.points / (team.fgm +
-          (1 - Math.pow(1 - team.ftm / team.fta, 2)) * 0.4 * team.fta));
-      const PProd = (PProd_FG_Part + PProd_AST_Part + pg.ftm) *
-        (1 - (team.orb / Team_Scoring_Poss) * Team_ORB_Weight * Team_Play_pct) + PProd_ORB_Part;
-      ortg = TotPoss > 0 ? 100 * PProd / TotPoss : 0;
-    }
-
+    const n = (v: any) => Number(v) || 0;
     return {
-      minPct, ortg, usagePct, shotPct, efg, ts, orPct, drPct,
-      aRate, toRate, blkPct, stlPct, fc40, ftRate, ftPct, twoPct, threePct,
-      twoPM, twoPA, ftm: pg.ftm, fta: pg.fta, tpm: pg.tpm, tpa: pg.tpa,
+      minPct: n(p.minPct), ortg: n(p.ortg), usagePct: n(p.usagePct), shotPct: n(p.shotPct),
+      efg: n(p.efg), ts: n(p.ts), orPct: n(p.orPct), drPct: n(p.drPct),
+      aRate: n(p.aRate), toRate: n(p.toRate), blkPct: n(p.blkPct), stlPct: n(p.stlPct),
+      fc40: n(p.fc40), ftRate: n(p.ftRate), ftPct: n(p.ftPct), twoPct: n(p.twoPct), threePct: n(p.threePct),
+      twoPM: n(p.fgm) - n(p.tpm), twoPA: n(p.fga) - n(p.tpa), ftm: n(p.ftm), fta: n(p.fta), tpm: n(p.tpm), tpa: n(p.tpa),
     };
   };
 
@@ -511,7 +487,9 @@ function PlayerStats({ players, team }: { players: any[]; team: any }) {
               return (
                 <tr key={p.playerId} style={{ borderBottom: "1px solid #f0f0f0" }}>
                   <td style={{ padding: "6px 4px", fontWeight: 600, position: "sticky", left: 0, background: "#fff", zIndex: 1 }}>
-                    {p.firstName} {p.lastName}
+                    <Link href={withSeason(`/${division}/player/${encodeURIComponent(p.playerId)}`, season)} style={{ color: "inherit", textDecoration: "none" }}>
+                      {p.firstName} {p.lastName}
+                    </Link>
                   </td>
                   <td style={{ padding: "6px 4px", textAlign: "center" }}>{p.year || "—"}</td>
                   <td style={{ padding: "6px 4px", textAlign: "center" }}>{formatHeight(p.height)}</td>
@@ -546,6 +524,85 @@ function PlayerStats({ players, team }: { players: any[]; team: any }) {
   );
 }
 
+function fmtRtg(v: number | null | undefined, signed = false) {
+  if (v == null || !isFinite(v)) return "—";
+  return `${signed && v > 0 ? "+" : ""}${v.toFixed(1)}`;
+}
+
+function LineupStats({ lineups, players, confOnly }: { lineups: any[]; players: any[]; confOnly: boolean }) {
+  const th = { padding: "6px 4px", textAlign: "right" as const };
+  const td = { padding: "6px 4px", textAlign: "right" as const };
+  const netColor = (v: number | null) => v == null ? "#666" : v >= 0 ? "#16a34a" : "#dc2626";
+
+  return (
+    <div style={{ marginBottom: 32 }}>
+      <SectionTitle title={`Lineups${confOnly ? " (Conf. only)" : ""}`} />
+      <div style={{ overflowX: "auto", marginBottom: 16 }}>
+        <table style={{ width: "100%", borderCollapse: "collapse", fontSize: 10, whiteSpace: "nowrap" }}>
+          <thead>
+            <tr style={{ borderBottom: `2px solid ${ACCENT}`, background: ACCENT_LIGHT }}>
+              <th style={{ ...th, textAlign: "left" }}>Lineup</th>
+              <th style={th}>G</th>
+              <th style={th}>Min</th>
+              <th style={th}>Poss</th>
+              <th style={th}>ORtg</th>
+              <th style={th}>DRtg</th>
+              <th style={th}>Net</th>
+            </tr>
+          </thead>
+          <tbody>
+            {lineups.map((l: any, i: number) => (
+              <tr key={i} style={{ borderBottom: "1px solid #f0f0f0" }}>
+                <td style={{ ...td, textAlign: "left" }}>{l.players.map((p: any) => p.lastName).join(", ")}</td>
+                <td style={td}>{l.games}</td>
+                <td style={td}>{l.minutes.toFixed(0)}</td>
+                <td style={td}>{l.offPoss + l.defPoss}</td>
+                <td style={td}>{fmtRtg(l.offRtg)}</td>
+                <td style={td}>{fmtRtg(l.defRtg)}</td>
+                <td style={{ ...td, fontWeight: 600, color: netColor(l.netRtg) }}>{fmtRtg(l.netRtg, true)}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      <SectionTitle title={`On/Off${confOnly ? " (Conf. only)" : ""}`} />
+      <div style={{ overflowX: "auto" }}>
+        <table style={{ width: "100%", borderCollapse: "collapse", fontSize: 10, whiteSpace: "nowrap" }}>
+          <thead>
+            <tr style={{ borderBottom: `2px solid ${ACCENT}`, background: ACCENT_LIGHT }}>
+              <th style={{ ...th, textAlign: "left" }}>Player</th>
+              <th style={th}>Min On</th>
+              <th style={th}>ORtg On</th>
+              <th style={th}>DRtg On</th>
+              <th style={th}>Net On</th>
+              <th style={th}>ORtg Off</th>
+              <th style={th}>DRtg Off</th>
+              <th style={th}>Net Off</th>
+              <th style={th}>On-Off</th>
+            </tr>
+          </thead>
+          <tbody>
+            {players.map((p: any) => (
+              <tr key={p.playerId} style={{ borderBottom: "1px solid #f0f0f0" }}>
+                <td style={{ ...td, textAlign: "left", fontWeight: 600 }}>{p.firstName} {p.lastName}</td>
+                <td style={td}>{p.on.minutes.toFixed(0)}</td>
+                <td style={td}>{fmtRtg(p.on.offRtg)}</td>
+                <td style={td}>{fmtRtg(p.on.defRtg)}</td>
+                <td style={td}>{fmtRtg(p.on.netRtg, true)}</td>
+                <td style={td}>{fmtRtg(p.off.offRtg)}</td>
+                <td style={td}>{fmtRtg(p.off.defRtg)}</td>
+                <td style={td}>{fmtRtg(p.off.netRtg, true)}</td>
+                <td style={{ ...td, fontWeight: 600, color: netColor(p.netDiff) }}>{fmtRtg(p.netDiff, true)}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+}
+
 function StatCard({ title, value, prefix = "", rank }: { title: string; value: number | null; prefix?: string; rank?: number }) {
   return (
     <div style={{ background: ACCENT_LIGHT, padding: 20, borderRadius: 8, border: `1px solid ${ACCENT_BORDER}` }}>
@@ -586,7 +643,7 @@ function StatsTable({ title, rows }: { title: string; rows: Array<{ label: strin
             <th style={{ fontSize: 11, fontWeight: 700, padding: "8px 10px", textAlign: "left", width: "40%" }}>{title}</th>
             <th style={{ fontSize: 11, fontWeight: 700, padding: "8px 10px", textAlign: "right", width: "20%" }}>Off</th>
             <th style={{ fontSize: 11, fontWeight: 700, padding: "8px 10px", textAlign: "right", width: "20%" }}>Def</th>
-            <th style={{ fontSize: 11, fontWeight: 700, padding: "8px 10px", textAlign: "right", width: "20%" }}>D1 Avg</th>
+            <th style={{ fontSize: 11, fontWeight: 700, padding: "8px 10px", textAlign: "right", width: "20%" }}>Div Avg</th>
           </tr>
         </thead>
         <tbody>
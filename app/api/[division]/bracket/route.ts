@@ -0,0 +1,101 @@
+import { NextResponse } from 'next/server';
+import { pool, databaseError } from '@/lib/db';
+import { getDivision } from '@/lib/divisions';
+import { seasonParam } from '@/lib/seasons';
+import { intParam, invalidSeason, badRequest, unknownDivision } from '@/lib/apiParams';
+import {
+  simulateBracket, validateBracket, bracketTeamIds, conferenceBracket, fetchBracketTeams,
+  DEFAULT_ITERATIONS, MAX_ITERATIONS, type BracketDefinition,
+} from '@/lib/bracket';
+
+// Monte Carlo bracket simulation.
+// GET  ?conference=<slug>  the conference tournament, seeded by conference record
+// POST <bracket JSON>      any bracket (see BracketDefinition in lib/bracket.ts), with
+//                          seeds up to MAX_SEED and at most MAX_REGIONS regions
+// Both take ?season and ?iterations (up to 100000).
+
+function iterationsParam(searchParams: URLSearchParams) {
+  return intParam(searchParams, 'iterations', DEFAULT_ITERATIONS, 1, MAX_ITERATIONS);
+}
+
+function invalidIterations() {
+  return badRequest(`iterations must be a whole number from 1 to ${MAX_ITERATIONS}`);
+}
+
+function simulationResponse(
+  division: string,
+  season: string,
+  bracket: BracketDefinition,
+  data: Awaited<ReturnType<typeof fetchBracketTeams>>,
+  iterations: number,
+) {
+  const unrated = bracketTeamIds(bracket).filter(id => !data.teams.has(id));
+  if (unrated.length > 0) return badRequest(`No ${season} rating for team(s): ${unrated.join(', ')}`);
+
+  const result = simulateBracket(bracket, data.teams, data.avg, iterations);
+  return NextResponse.json({
+    division,
+    season,
+    ...result,
+    teams: result.teams.map(t => ({
+      ...t,
+      team: data.teams.get(t.teamId).team,
+      conference: data.teams.get(t.teamId).conference,
+    })),
+  });
+}
+
+export async function GET(
+  request: Request,
+  { params }: { params: Promise<{ division: string }> }
+) {
+  const { division: divisionId } = await params;
+  const division = getDivision(divisionId);
+  if (!division) return unknownDivision(divisionId);
+
+  const { searchParams } = new URL(request.url);
+  const season = seasonParam(searchParams);
+  if (!season) return invalidSeason();
+  const iterations = iterationsParam(searchParams);
+  if (iterations === null) return invalidIterations();
+  const conference = searchParams.get('conference');
+  if (!conference) return badRequest('conference is required (or POST a bracket)');
+  if (!division.conferences.includes(conference)) return badRequest(`Unknown conference: ${conference}`);
+
+  try {
+    const data = await fetchBracketTeams(pool, division.id, season);
+    const bracket = conferenceBracket(conference, Array.from(data.teams.values()));
+    if (bracket.regions[0].teams.length < 2) {
+      return NextResponse.json({ error: 'Not enough rated teams in this conference' }, { status: 404 });
+    }
+    return simulationResponse(division.id, season, bracket, data, iterations);
+  } catch (error) {
+    return databaseError(error, 'Failed to simulate bracket');
+  }
+}
+
+export async function POST(
+  request: Request,
+  { params }: { params: Promise<{ division: string }> }
+) {
+  const { division: divisionId } = await params;
+  const division = getDivision(divisionId);
+  if (!division) return unknownDivision(divisionId);
+
+  const { searchParams } = new URL(request.url);
+  const season = seasonParam(searchParams);
+  if (!season) return invalidSeason();
+  const iterations = iterationsParam(searchParams);
+  if (iterations === null) return invalidIterations();
+
+  const bracket = await request.json().catch(() => null);
+  const invalid = validateBracket(bracket);
+  if (invalid) return badRequest(invalid);
+
+  try {
+    const data = await fetchBracketTeams(pool, division.id, season);
+    return simulationResponse(division.id, season, bracket as BracketDefinition, data, iterations);
+  } catch (error) {
+    return databaseError(error, 'Failed to simulate bracket');
+  }
+}
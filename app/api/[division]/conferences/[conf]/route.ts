@@ -0,0 +1,38 @@
+import { NextResponse } from 'next/server';
+import { pool, databaseError } from '@/lib/db';
+import { getDivision } from '@/lib/divisions';
+import { fetchConferenceStandings, fetchConferenceSummaries } from '@/lib/conferences';
+import { seasonParam } from '@/lib/seasons';
+import { invalidSeason, unknownDivision, unknownConference } from '@/lib/apiParams';
+
+// Standings with projected conference records, the conference's average ratings and
+// its non-league record against every other conference
+export async function GET(
+  request: Request,
+  { params }: { params: Promise<{ division: string; conf: string }> }
+) {
+  const { division: divisionId, conf } = await params;
+  const division = getDivision(divisionId);
+  if (!division) return unknownDivision(divisionId);
+  if (!division.conferences.includes(conf)) return unknownConference(conf);
+  const season = seasonParam(new URL(request.url).searchParams);
+  if (!season) return invalidSeason();
+
+  try {
+    const [standings, { conferences, matrix }] = await Promise.all([
+      fetchConferenceStandings(pool, division.id, season, conf),
+      fetchConferenceSummaries(pool, division.id, season, division.conferences),
+    ]);
+    return NextResponse.json({
+      season,
+      division: division.id,
+      conference: conf,
+      summary: conferences.find(c => c.conference === conf) ?? null,
+      conferences,
+      standings,
+      matrix,
+    });
+  } catch (error) {
+    return databaseError(error, 'Failed to fetch conference');
+  }
+}
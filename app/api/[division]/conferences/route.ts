@@ -0,0 +1,25 @@
+import { NextResponse } from 'next/server';
+import { pool, databaseError } from '@/lib/db';
+import { getDivision } from '@/lib/divisions';
+import { fetchConferenceSummaries } from '@/lib/conferences';
+import { seasonParam } from '@/lib/seasons';
+import { invalidSeason, unknownDivision } from '@/lib/apiParams';
+
+// Conference average ratings and the conference-vs-conference non-league matrix
+export async function GET(
+  request: Request,
+  { params }: { params: Promise<{ division: string }> }
+) {
+  const { division: divisionId } = await params;
+  const division = getDivision(divisionId);
+  if (!division) return unknownDivision(divisionId);
+  const season = seasonParam(new URL(request.url).searchParams);
+  if (!season) return invalidSeason();
+
+  try {
+    const { conferences, matrix } = await fetchConferenceSummaries(pool, division.id, season, division.conferences);
+    return NextResponse.json({ season, division: division.id, conferences, matrix });
+  } catch (error) {
+    return databaseError(error, 'Failed to fetch conferences');
+  }
+}
@@ -0,0 +1,23 @@
+import { NextResponse } from 'next/server';
+import { pool, databaseError } from '@/lib/db';
+import { fetchGameDetail } from '@/lib/gameDetail';
+import { isGameId, badRequest, isDivision, unknownDivision } from '@/lib/apiParams';
+
+// Full box score for one game: both teams' totals and player lines, possessions,
+// four factors and efficiency. Game IDs are unique across seasons, so no ?season.
+export async function GET(
+  request: Request,
+  { params }: { params: Promise<{ division: string; gameId: string }> }
+) {
+  const { division, gameId } = await params;
+  if (!isDivision(division)) return unknownDivision(division);
+  if (!isGameId(gameId)) return badRequest('Invalid game id');
+
+  try {
+    const game = await fetchGameDetail(pool, division, gameId);
+    if (!game) return NextResponse.json({ error: 'Game not found' }, { status: 404 });
+    return NextResponse.json({ game });
+  } catch (error) {
+    return databaseError(error, 'Failed to fetch game');
+  }
+}
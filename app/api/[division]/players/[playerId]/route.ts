@@ -0,0 +1,29 @@
+import { NextResponse } from 'next/server';
+import { pool, databaseError } from '@/lib/db';
+import { fetchPlayerProfile } from '@/lib/playerProfile';
+import { seasonParam } from '@/lib/seasons';
+import { intParam, invalidSeason, isPlayerKey, badRequest, isDivision, unknownDivision } from '@/lib/apiParams';
+
+// One player's season: bio, advanced stats, game log, conference splits,
+// the last ?lastN games (default 5) and percentile ranks within the division
+export async function GET(
+  request: Request,
+  { params }: { params: Promise<{ division: string; playerId: string }> }
+) {
+  const { division, playerId } = await params;
+  if (!isDivision(division)) return unknownDivision(division);
+  if (!isPlayerKey(playerId)) return badRequest('Invalid player id');
+  const { searchParams } = new URL(request.url);
+  const season = seasonParam(searchParams);
+  if (!season) return invalidSeason();
+  const lastN = intParam(searchParams, 'lastN', 5, 1, 50);
+  if (lastN === null) return badRequest('lastN must be a whole number from 1 to 50');
+
+  try {
+    const profile = await fetchPlayerProfile(pool, division, season, playerId, lastN);
+    if (!profile) return NextResponse.json({ error: 'Player not found' }, { status: 404 });
+    return NextResponse.json({ season, division, ...profile });
+  } catch (error) {
+    return databaseError(error, 'Failed to fetch player');
+  }
+}
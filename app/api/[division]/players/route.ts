@@ -0,0 +1,50 @@
+import { NextResponse } from 'next/server';
+import { pool, databaseError } from '@/lib/db';
+import { seasonParam } from '@/lib/seasons';
+import { advancedColumns } from '@/lib/playerStats';
+import { intParam, invalidSeason, badRequest, isDivision, unknownDivision } from '@/lib/apiParams';
+
+// Season totals plus the advanced metrics stored by the pipeline (null until
+// scripts/build_player_advanced.mjs has run for the division-season)
+export async function GET(
+  request: Request,
+  { params }: { params: Promise<{ division: string }> }
+) {
+  const { division } = await params;
+  if (!isDivision(division)) return unknownDivision(division);
+
+  const { searchParams } = new URL(request.url);
+  const minMinutes = intParam(searchParams, 'minMinutes', 0);
+  if (minMinutes === null) return badRequest('minMinutes must be a whole number');
+  const season = seasonParam(searchParams);
+  if (!season) return invalidSeason();
+  try {
+    const result = await pool.query(`
+      SELECT
+        p.player_id as "playerId",
+        p.first_name as "firstName",
+        p.last_name as "lastName",
+        p.team_name as "teamName",
+        p.team_id as "teamId",
+        p.year,
+        p.height,
+        p.position,
+        p.number,
+        p.games,
+        p.starts,
+        p.minutes,
+        p.fgm, p.fga, p.tpm, p.tpa, p.ftm, p.fta,
+        p.orb, p.drb, p.trb, p.ast, p.stl, p.blk, p.tov, p.pf, p.points,
+        ${advancedColumns('pa')}
+      FROM players p
+      LEFT JOIN player_advanced pa ON pa.player_id = p.player_id AND pa.season = p.season
+      WHERE p.division = $1
+        AND p.minutes >= $2
+        AND p.season = $3
+      ORDER BY p.points DESC
+    `, [division, minMinutes, season]);
+    return NextResponse.json({ players: result.rows, total: result.rows.length });
+  } catch (error) {
+    return databaseError(error, 'Failed to fetch players');
+  }
+}
@@ -0,0 +1,100 @@
+import { NextResponse } from 'next/server';
+import { pool, databaseError } from '@/lib/db';
+import { predictGame } from '@/lib/predictions';
+import { scoreboardToday } from '@/lib/divisions';
+import { seasonParam, seasonForDate } from '@/lib/seasons';
+import { invalidSeason, isDivision, unknownDivision, isIsoDate, badRequest } from '@/lib/apiParams';
+
+// Projected score, margin, possessions and win probability for every game on a date
+export async function GET(
+  request: Request,
+  { params }: { params: Promise<{ division: string }> }
+) {
+  const { division } = await params;
+  if (!isDivision(division)) return unknownDivision(division);
+
+  const { searchParams } = new URL(request.url);
+  const date = searchParams.get('date') ?? scoreboardToday();
+  if (!isIsoDate(date)) return badRequest('date must be YYYY-MM-DD');
+  // Ratings come from the season the date falls in unless one is asked for
+  const season = searchParams.has('season') ? seasonParam(searchParams) : seasonForDate(date);
+  if (!season) return invalidSeason();
+
+  try {
+    const [gamesResult, avgResult] = await Promise.all([
+      pool.query(`
+        WITH ranked AS (
+          SELECT team_id, adj_o, adj_d, adj_t, adj_em, wins, losses,
+                 RANK() OVER (ORDER BY adj_em DESC) as rank
+          FROM teams
+          WHERE division = $1 AND season = $3 AND adj_em IS NOT NULL
+        )
+        SELECT
+          s.game_id as "gameId",
+          s.game_date as "date",
+          s.start_time as "startTime",
+          s.start_epoch as "startEpoch",
+          s.game_state as "gameState",
+          s.is_conference_game as "isConferenceGame",
+          s.neutral_site as "neutralSite",
+          s.home_team_id as "homeId", s.home_team_name as "homeTeam", s.home_conference as "homeConf",
+          s.away_team_id as "awayId", s.away_team_name as "awayTeam", s.away_conference as "awayConf",
+          h.adj_o as home_adj_o, h.adj_d as home_adj_d, h.adj_t as home_adj_t, h.rank as home_rank,
+          h.wins as home_wins, h.losses as home_losses,
+          a.adj_o as away_adj_o, a.adj_d as away_adj_d, a.adj_t as away_adj_t, a.rank as away_rank,
+          a.wins as away_wins, a.losses as away_losses,
+          g.home_score as "homeFinal", g.away_score as "awayFinal"
+        FROM scheduled_games s
+        LEFT JOIN ranked h ON h.team_id = s.home_team_id
+        LEFT JOIN ranked a ON a.team_id = s.away_team_id
+        LEFT JOIN games g ON g.game_id = s.game_id
+        WHERE s.division = $1 AND s.game_date = $2
+        ORDER BY s.start_epoch NULLS LAST, s.game_id
+      `, [division, date, season]),
+      pool.query(`
+        SELECT AVG(adj_o) as eff, AVG(adj_t) as tempo
+        FROM teams
+        WHERE division = $1 AND season = $2 AND adj_o IS NOT NULL
+      `, [division, season]),
+    ]);
+
+    const avg = { eff: Number(avgResult.rows[0]?.eff), tempo: Number(avgResult.rows[0]?.tempo) };
+
+    const games = gamesResult.rows.map((r: any) => {
+      const rated = r.home_adj_o != null && r.away_adj_o != null && avg.eff > 0 && avg.tempo > 0;
+      const prediction = rated
+        ? predictGame(
+            { adjO: Number(r.home_adj_o), adjD: Number(r.home_adj_d), adjT: Number(r.home_adj_t) },
+            { adjO: Number(r.away_adj_o), adjD: Number(r.away_adj_d), adjT: Number(r.away_adj_t) },
+            avg,
+            r.neutralSite === true,
+          )
+        : null;
+
+      return {
+        gameId: r.gameId,
+        date: r.date,
+        startTime: r.startTime,
+        gameState: r.gameState,
+        isConferenceGame: r.isConferenceGame,
+        neutralSite: r.neutralSite === true,
+        home: {
+          teamId: r.homeId, team: r.homeTeam, conference: r.homeConf,
+          rank: r.home_rank != null ? Number(r.home_rank) : null,
+          wins: r.home_wins, losses: r.home_losses,
+        },
+        away: {
+          teamId: r.awayId, team: r.awayTeam, conference: r.awayConf,
+          rank: r.away_rank != null ? Number(r.away_rank) : null,
+          wins: r.away_wins, losses: r.away_losses,
+        },
+        prediction,
+        result: r.homeFinal != null ? { homeScore: Number(r.homeFinal), awayScore: Number(r.awayFinal) } : null,
+      };
+    });
+
+    return NextResponse.json({ division, season, date, games });
+  } catch (error) {
+    return databaseError(error, 'Failed to fetch predictions');
+  }
+}
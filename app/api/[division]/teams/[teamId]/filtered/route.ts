@@ -0,0 +1,72 @@
+import { NextResponse } from 'next/server';
+import { pool, SqlParams, databaseError } from '@/lib/db';
+import { getDivision } from '@/lib/divisions';
+import { seasonParam } from '@/lib/seasons';
+import { boolParam, invalidSeason, isTeamId, badRequest, unknownDivision, locationParam, invalidLocation } from '@/lib/apiParams';
+import { teamGamesWhere, teamSideAggregates, parseTeamTotals } from '@/lib/teamQueries';
+
+export async function GET(
+  request: Request,
+  { params }: { params: Promise<{ division: string; teamId: string }> }
+) {
+  const { division: divisionId, teamId } = await params;
+  const division = getDivision(divisionId);
+  if (!division) return unknownDivision(divisionId);
+  if (!isTeamId(teamId)) return badRequest('Invalid team id');
+  const { searchParams } = new URL(request.url);
+  const confOnly = boolParam(searchParams, 'conf');
+  const inDivision = boolParam(searchParams, 'inDivision') || boolParam(searchParams, 'd1');
+  const location = locationParam(searchParams);
+  if (location === null) return invalidLocation();
+  const season = seasonParam(searchParams);
+  if (!season) return invalidSeason();
+
+  try {
+    // Get team info and conference
+    const teamInfo = await pool.query('SELECT team_name, conference FROM teams WHERE team_id = $1 AND division = $2 AND season = $3', [teamId, division.id, season]);
+    const teamName = teamInfo.rows[0]?.team_name || '';
+    const conference = teamInfo.rows[0]?.conference || '';
+
+    const sql = new SqlParams();
+    const { where, team } = teamGamesWhere(sql, {
+      teamId,
+      season,
+      division: division.id,
+      location,
+      opponentConference: confOnly && conference ? conference : undefined,
+      conferences: inDivision ? division.conferences : undefined,
+    });
+
+    // Aggregate stats from filtered games
+    const result = await pool.query(`
+      SELECT
+        ${teamSideAggregates(team)}
+      FROM games
+      WHERE ${where}
+    `, sql.values);
+
+    const totals = parseTeamTotals(result.rows[0]);
+    if (totals.games === 0) {
+      return NextResponse.json({ 
+        error: 'No games found',
+        teamId,
+        teamName,
+        conference,
+        games: 0
+      }, { status: 404 });
+    }
+
+    return NextResponse.json({
+      teamId,
+      teamName,
+      conference,
+      ...totals,
+      adjO: null,
+      adjD: null,
+      adjEM: null,
+      adjT: null,
+    });
+  } catch (error) {
+    return databaseError(error, 'Failed to fetch filtered stats');
+  }
+}
@@ -0,0 +1,83 @@
+import { NextResponse } from 'next/server';
+import { pool, SqlParams, databaseError } from '@/lib/db';
+import { getDivision } from '@/lib/divisions';
+import { seasonParam } from '@/lib/seasons';
+import { boolParam, invalidSeason, isTeamId, badRequest, unknownDivision, locationParam, invalidLocation } from '@/lib/apiParams';
+import { teamGamesWhere, gameBoxStats, GAME_BOX_COLUMNS } from '@/lib/teamQueries';
+
+// ?conf=true        conference games only
+// ?inDivision=true  only games where both teams are in the division's conferences
+//                   (?d1=true is the old name, still accepted)
+// ?location=home|away|neutral
+export async function GET(
+  request: Request,
+  { params }: { params: Promise<{ division: string; teamId: string }> }
+) {
+  const { division: divisionId, teamId } = await params;
+  const division = getDivision(divisionId);
+  if (!division) return unknownDivision(divisionId);
+  if (!isTeamId(teamId)) return badRequest('Invalid team id');
+  const { searchParams } = new URL(request.url);
+  const confOnly = boolParam(searchParams, 'conf');
+  const inDivision = boolParam(searchParams, 'inDivision') || boolParam(searchParams, 'd1');
+  const location = locationParam(searchParams);
+  if (location === null) return invalidLocation();
+  const season = seasonParam(searchParams);
+  if (!season) return invalidSeason();
+
+  try {
+    const sql = new SqlParams();
+    const { where } = teamGamesWhere(sql, {
+      teamId,
+      season,
+      division: division.id,
+      conferenceGamesOnly: confOnly,
+      location,
+      conferences: inDivision ? division.conferences : undefined,
+    });
+
+    const result = await pool.query(`
+      SELECT
+        game_id as "gameId",
+        game_date as "gameDate",
+        home_team_id as "homeId",
+        home_team_name as "homeTeam",
+        home_score as "homeScore",
+        home_conference as "homeConf",
+        away_team_id as "awayId",
+        away_team_name as "awayTeam",
+        away_score as "awayScore",
+        away_conference as "awayConf",
+        is_conference_game as "isConferenceGame",
+        neutral_site as "neutralSite",
+        periods,
+        game_minutes as "gameMinutes",
+        ${GAME_BOX_COLUMNS}
+      FROM games
+      WHERE ${where}
+      ORDER BY game_date ASC
+    `, sql.values);
+
+    const games = result.rows.map(row => ({
+      gameId: row.gameId,
+      gameDate: row.gameDate,
+      homeId: row.homeId,
+      homeTeam: row.homeTeam,
+      homeScore: row.homeScore,
+      homeConf: row.homeConf,
+      awayId: row.awayId,
+      awayTeam: row.awayTeam,
+      awayScore: row.awayScore,
+      awayConf: row.awayConf,
+      isConferenceGame: row.isConferenceGame,
+      neutralSite: row.neutralSite,
+      periods: row.periods,
+      gameMinutes: row.gameMinutes,
+      ...gameBoxStats(row),
+    }));
+
+    return NextResponse.json({ games });
+  } catch (error) {
+    return databaseError(error, 'Failed to fetch games');
+  }
+}
@@ -0,0 +1,24 @@
+import { NextResponse } from 'next/server';
+import { pool, databaseError } from '@/lib/db';
+import { fetchTeamRatingsHistory } from '@/lib/ratingsHistory';
+import { seasonParam } from '@/lib/seasons';
+import { invalidSeason, isDivision, unknownDivision, isTeamId, badRequest } from '@/lib/apiParams';
+
+// Day-by-day adjusted ratings and rank for one team
+export async function GET(
+  request: Request,
+  { params }: { params: Promise<{ division: string; teamId: string }> }
+) {
+  const { division, teamId } = await params;
+  if (!isTeamId(teamId)) return badRequest('Invalid team id');
+  if (!isDivision(division)) return unknownDivision(division);
+  const season = seasonParam(new URL(request.url).searchParams);
+  if (!season) return invalidSeason();
+
+  try {
+    const history = await fetchTeamRatingsHistory(pool, division, teamId, season);
+    return NextResponse.json({ division, season, teamId, history });
+  } catch (error) {
+    return databaseError(error, 'Failed to fetch ratings history');
+  }
+}
@@ -0,0 +1,127 @@
+import { NextResponse } from 'next/server';
+import { pool, databaseError } from '@/lib/db';
+import { seasonParam } from '@/lib/seasons';
+import { boolParam, intParam, invalidSeason, isTeamId, badRequest, isDivision, unknownDivision, locationParam, invalidLocation } from '@/lib/apiParams';
+import { locationCondition } from '@/lib/teamQueries';
+
+type Split = { seconds: number; offPoss: number; defPoss: number; pointsFor: number; pointsAgainst: number };
+
+function withRatings(s: Split) {
+  const offRtg = s.offPoss > 0 ? (s.pointsFor / s.offPoss) * 100 : null;
+  const defRtg = s.defPoss > 0 ? (s.pointsAgainst / s.defPoss) * 100 : null;
+  return {
+    minutes: s.seconds / 60,
+    offPoss: s.offPoss, defPoss: s.defPoss,
+    pointsFor: s.pointsFor, pointsAgainst: s.pointsAgainst,
+    offRtg, defRtg,
+    netRtg: offRtg != null && defRtg != null ? offRtg - defRtg : null,
+  };
+}
+
+function toSplit(r: any): Split {
+  return {
+    seconds: Number(r.seconds) || 0,
+    offPoss: Number(r.off_poss) || 0,
+    defPoss: Number(r.def_poss) || 0,
+    pointsFor: Number(r.points_for) || 0,
+    pointsAgainst: Number(r.points_against) || 0,
+  };
+}
+
+// Lineup and on/off efficiency from the lineup_games stints built at ingest
+export async function GET(
+  request: Request,
+  { params }: { params: Promise<{ division: string; teamId: string }> }
+) {
+  const { division, teamId } = await params;
+  if (!isDivision(division)) return unknownDivision(division);
+  if (!isTeamId(teamId)) return badRequest('Invalid team id');
+  const { searchParams } = new URL(request.url);
+  const confOnly = boolParam(searchParams, 'conf');
+  const location = locationParam(searchParams);
+  if (location === null) return invalidLocation();
+  const minPoss = intParam(searchParams, 'minPoss', 10);
+  if (minPoss === null) return badRequest('minPoss must be a whole number');
+  const season = seasonParam(searchParams);
+  if (!season) return invalidSeason();
+
+  // Every query below binds the team as $1
+  const gameFilters = [
+    ...(confOnly ? ['g.is_conference_game = true'] : []),
+    ...(location ? [locationCondition('$1', location, 'g')] : []),
+  ];
+  const gamesJoin = gameFilters.length > 0
+    ? `JOIN games g ON g.game_id = lg.game_id AND ${gameFilters.join(' AND ')}`
+    : '';
+  const sums = `
+    SUM(lg.seconds) as seconds, SUM(lg.off_poss) as off_poss, SUM(lg.def_poss) as def_poss,
+    SUM(lg.points_for) as points_for, SUM(lg.points_against) as points_against
+  `;
+
+  try {
+    const [lineupsResult, onCourtResult, totalsResult, namesResult] = await Promise.all([
+      pool.query(`
+        SELECT lg.player_ids, COUNT(DISTINCT lg.game_id) as games, ${sums}
+        FROM lineup_games lg ${gamesJoin}
+        WHERE lg.team_id = $1 AND lg.division = $4 AND lg.season = $3 AND lg.is_complete = true
+        GROUP BY lg.lineup_key, lg.player_ids
+        HAVING SUM(lg.off_poss + lg.def_poss) >= $2
+        ORDER BY SUM(lg.off_poss + lg.def_poss) DESC
+        LIMIT 50
+      `, [teamId, minPoss, season, division]),
+      pool.query(`
+        SELECT pid as player_id, ${sums}
+        FROM lineup_games lg ${gamesJoin}, unnest(lg.player_ids) as pid
+        WHERE lg.team_id = $1 AND lg.division = $3 AND lg.season = $2
+        GROUP BY pid
+      `, [teamId, season, division]),
+      pool.query(`
+        SELECT ${sums}
+        FROM lineup_games lg ${gamesJoin}
+        WHERE lg.team_id = $1 AND lg.division = $3 AND lg.season = $2
+      `, [teamId, season, division]),
+      pool.query(`
+        SELECT player_id, first_name as "firstName", last_name as "lastName"
+        FROM players
+        WHERE team_id = $1 AND division = $3 AND season = $2
+      `, [teamId, season, division]),
+    ]);
+
+    const names = new Map<string, { firstName: string; lastName: string }>(namesResult.rows.map((r: any) => [r.player_id, { firstName: r.firstName, lastName: r.lastName }]));
+    const totals = toSplit(totalsResult.rows[0] ?? {});
+
+    const lineups = lineupsResult.rows.map((r: any) => ({
+      players: (r.player_ids as string[]).map((playerId) => ({ playerId, ...(names.get(playerId) ?? { firstName: '', lastName: playerId }) })),
+      games: Number(r.games),
+      ...withRatings(toSplit(r)),
+    }));
+
+    // Off-court numbers are whatever the team did while the player sat
+    const players = onCourtResult.rows
+      .filter((r: any) => names.has(r.player_id))
+      .map((r: any) => {
+        const on = toSplit(r);
+        const off: Split = {
+          seconds: totals.seconds - on.seconds,
+          offPoss: totals.offPoss - on.offPoss,
+          defPoss: totals.defPoss - on.defPoss,
+          pointsFor: totals.pointsFor - on.pointsFor,
+          pointsAgainst: totals.pointsAgainst - on.pointsAgainst,
+        };
+        const onRatings = withRatings(on);
+        const offRatings = withRatings(off);
+        return {
+          playerId: r.player_id,
+          ...names.get(r.player_id),
+          on: onRatings,
+          off: offRatings,
+          netDiff: onRatings.netRtg != null && offRatings.netRtg != null ? onRatings.netRtg - offRatings.netRtg : null,
+        };
+      })
+      .sort((a: any, b: any) => b.on.minutes - a.on.minutes);
+
+    return NextResponse.json({ lineups, players, totals: withRatings(totals) });
+  } catch (error) {
+    return databaseError(error, 'Failed to fetch lineups');
+  }
+}
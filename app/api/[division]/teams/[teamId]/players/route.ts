@@ -0,0 +1,121 @@
+import { NextResponse } from 'next/server';
+import { pool, SqlParams, databaseError } from '@/lib/db';
+import { seasonParam } from '@/lib/seasons';
+import { getDivision } from '@/lib/divisions';
+import { boolParam, invalidSeason, isTeamId, badRequest, unknownDivision, locationParam, invalidLocation } from '@/lib/apiParams';
+import { locationCondition, teamGamesWhere, teamSideAggregates, parseTeamTotals } from '@/lib/teamQueries';
+import { advancedColumns, advancedStats, toPlayerTotals, toTeamTotals } from '@/lib/playerStats';
+
+export async function GET(
+  request: Request,
+  { params }: { params: Promise<{ division: string; teamId: string }> }
+) {
+  const { division: divisionId, teamId } = await params;
+  const divisionConfig = getDivision(divisionId);
+  if (!divisionConfig) return unknownDivision(divisionId);
+  const division = divisionConfig.id;
+  if (!isTeamId(teamId)) return badRequest('Invalid team id');
+  const { searchParams } = new URL(request.url);
+  const confOnly = boolParam(searchParams, 'conf');
+  const location = locationParam(searchParams);
+  if (location === null) return invalidLocation();
+  const season = seasonParam(searchParams);
+  if (!season) return invalidSeason();
+  try {
+    const fullSeasonQuery = `
+      SELECT
+        p.player_id as "playerId",
+        p.team_id as "teamId",
+        p.team_name as "teamName",
+        p.first_name as "firstName",
+        p.last_name as "lastName",
+        p.number,
+        p.position,
+        p.year,
+        p.height,
+        p.games,
+        p.starts,
+        p.minutes,
+        p.fgm, p.fga, p.tpm, p.tpa, p.ftm, p.fta,
+        p.orb, p.drb, p.trb, p.ast, p.stl, p.blk, p.tov, p.pf, p.points,
+        ${advancedColumns('pa')}
+      FROM players p
+      LEFT JOIN player_advanced pa ON pa.player_id = p.player_id AND pa.season = p.season
+      WHERE p.team_id = $1 AND p.division = $2 AND p.season = $3
+      ORDER BY p.points DESC
+    `;
+    // Conference games and home/away/neutral splits are re-summed from player_games,
+    // and their advanced metrics computed against the team's totals over the same games
+    if (confOnly || location) {
+      const sql = new SqlParams();
+      const team = sql.add(teamId);
+      const conditions = [
+        `p.team_id = ${team}`,
+        `p.division = ${sql.add(division)}`,
+        `p.season = ${sql.add(season)}`,
+        'g.division = p.division',
+        `(g.home_team_id = ${team} OR g.away_team_id = ${team})`,
+      ];
+      if (confOnly) conditions.push('g.is_conference_game = true');
+      if (location) conditions.push(locationCondition(team, location, 'g'));
+
+      const splitResult = await pool.query(`
+        SELECT
+          p.player_id as "playerId",
+          p.team_id as "teamId",
+          p.team_name as "teamName",
+          p.first_name as "firstName",
+          p.last_name as "lastName",
+          p.number,
+          p.position,
+          p.year,
+          p.height,
+          COUNT(DISTINCT pg.game_id) as "games",
+          p.starts,
+          SUM(pg.minutes) as "minutes",
+          SUM(pg.fgm) as "fgm", SUM(pg.fga) as "fga",
+          SUM(pg.tpm) as "tpm", SUM(pg.tpa) as "tpa",
+          SUM(pg.ftm) as "ftm", SUM(pg.fta) as "fta",
+          SUM(pg.orb) as "orb", SUM(pg.drb) as "drb", SUM(pg.trb) as "trb",
+          SUM(pg.ast) as "ast", SUM(pg.stl) as "stl", SUM(pg.blk) as "blk",
+          SUM(pg.tov) as "tov", SUM(pg.pf) as "pf", SUM(pg.points) as "points"
+        FROM players p
+        JOIN player_games pg ON pg.player_id = p.player_id AND pg.season = p.season
+        JOIN games g ON g.game_id = pg.game_id
+        WHERE ${conditions.join('\n          AND ')}
+        GROUP BY
+          p.player_id, p.team_id, p.team_name, p.first_name, p.last_name,
+          p.number, p.position, p.year, p.height, p.starts
+        HAVING SUM(pg.points) > 0 OR SUM(pg.minutes) > 0
+        ORDER BY SUM(pg.points) DESC
+      `, sql.values);
+      if (splitResult.rows.length > 0) {
+        const teamSql = new SqlParams();
+        const { where, team: teamRef } = teamGamesWhere(teamSql, {
+          teamId, season, division, conferenceGamesOnly: confOnly, location,
+        });
+        const teamResult = await pool.query(`
+          SELECT ${teamSideAggregates(teamRef)}
+          FROM games
+          WHERE ${where}
+        `, teamSql.values);
+        const teamTotals = toTeamTotals(parseTeamTotals(teamResult.rows[0]));
+        const players = splitResult.rows.map(row => ({
+          ...row,
+          ...advancedStats(toPlayerTotals(row), teamTotals, divisionConfig),
+        }));
+        return NextResponse.json({ players, filtered: true });
+      }
+      // No conference games yet - show the full season rather than an empty table
+      if (confOnly && !location) {
+        const fallbackResult = await pool.query(fullSeasonQuery, [teamId, division, season]);
+        return NextResponse.json({ players: fallbackResult.rows, filtered: false, fallback: true });
+      }
+      return NextResponse.json({ players: [], filtered: true });
+    }
+    const result = await pool.query(fullSeasonQuery, [teamId, division, season]);
+    return NextResponse.json({ players: result.rows, filtered: false });
+  } catch (error) {
+    return databaseError(error, 'Failed to fetch players');
+  }
+}
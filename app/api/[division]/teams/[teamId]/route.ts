@@ -1,28 +1,29 @@
-import { Pool } from 'pg';
 import { NextResponse } from 'next/server';
-
-const pool = new Pool({
-  connectionString: process.env.POSTGRES_URL,
-  ssl: { rejectUnauthorized: false }
-});
+import { pool, databaseError } from '@/lib/db';
+import { seasonParam } from '@/lib/seasons';
+import { fetchResumeMetrics } from '@/lib/resume';
+import { invalidSeason, isTeamId, badRequest, isDivision, unknownDivision } from '@/lib/apiParams';
 
 export async function GET(
   request: Request,
-  { params }: { params: Promise<{ teamid: string }> }
+  { params }: { params: Promise<{ division: string; teamId: string }> }
 ) {
-  const { teamid } = await params;
-  const teamId = teamid;
+  const { division, teamId } = await params;
+  if (!isDivision(division)) return unknownDivision(division);
+  if (!isTeamId(teamId)) return badRequest('Invalid team id');
+  const season = seasonParam(new URL(request.url).searchParams);
+  if (!season) return invalidSeason();
 
   try {
-    // Get team info
     const teamResult = await pool.query(`
-      SELECT 
+      SELECT
         team_id as "teamId",
         team_name as "teamName",
         conference,
         games,
         wins,
         losses,
+        minutes,
         adj_o::float as "adjO",
         adj_d::float as "adjD",
         adj_em::float as "adjEM",
@@ -33,17 +34,16 @@ export async function GET(
         orb, drb, trb, ast, stl, blk, tov, pf,
         opp_fgm, opp_fga, opp_tpm, opp_tpa, opp_ftm, opp_fta,
         opp_orb, opp_drb, opp_trb, opp_ast, opp_stl, opp_blk, opp_tov, opp_pf
-      FROM teams 
-      WHERE team_id = $1 AND division = 'mens-d2'
-    `, [teamId]);
+      FROM teams
+      WHERE team_id = $1 AND division = $2 AND season = $3
+    `, [teamId, division, season]);
 
     if (teamResult.rows.length === 0) {
       return NextResponse.json({ error: 'Team not found' }, { status: 404 });
     }
 
-    // Get players for this team
     const playersResult = await pool.query(`
-      SELECT 
+      SELECT
         player_id as "playerId",
         first_name as "firstName",
         last_name as "lastName",
@@ -55,17 +55,19 @@ export async function GET(
         minutes,
         fgm, fga, tpm, tpa, ftm, fta,
         orb, drb, trb, ast, stl, blk, tov, pf, points
-      FROM players 
-      WHERE team_id = $1 AND division = 'mens-d2'
+      FROM players
+      WHERE team_id = $1 AND division = $2 AND season = $3
       ORDER BY points DESC
-    `, [teamId]);
+    `, [teamId, division, season]);
+
+    // Ranks are division-wide, so the whole division is computed
+    const resume = await fetchResumeMetrics(pool, division, season);
 
     return NextResponse.json({
-      team: teamResult.rows[0],
+      team: { ...teamResult.rows[0], ...resume.get(teamId) },
       players: playersResult.rows
     });
   } catch (error) {
-    console.error('Database error:', error);
-    return NextResponse.json({ error: 'Failed to fetch team' }, { status: 500 });
+    return databaseError(error, 'Failed to fetch team');
   }
 }
@@ -0,0 +1,100 @@
+import { NextResponse } from 'next/server';
+import { pool, databaseError } from '@/lib/db';
+import { getDivision } from '@/lib/divisions';
+import { fetchRatingsAsOf } from '@/lib/ratingsHistory';
+import { fetchResumeMetrics, NO_RESUME_METRICS } from '@/lib/resume';
+import { seasonParam, seasonForDate } from '@/lib/seasons';
+import { invalidSeason, isIsoDate, badRequest, unknownDivision } from '@/lib/apiParams';
+
+export async function GET(
+  request: Request,
+  { params }: { params: Promise<{ division: string }> }
+) {
+  const { division: divisionId } = await params;
+  const division = getDivision(divisionId);
+  if (!division) return unknownDivision(divisionId);
+
+  const { searchParams } = new URL(request.url);
+  const asOf = searchParams.get('asOf');
+  if (asOf !== null && !isIsoDate(asOf)) return badRequest('asOf must be YYYY-MM-DD');
+  // asOf rankings come from the season the date falls in unless one is asked for
+  const season = asOf && !searchParams.has('season') ? seasonForDate(asOf) : seasonParam(searchParams);
+  if (!season) return invalidSeason();
+
+  try {
+    // Historical rankings come from the daily ratings_history snapshots
+    if (asOf) {
+      const rows = await fetchRatingsAsOf(pool, division.id, season, division.conferences, asOf);
+      return NextResponse.json({
+        season,
+        division: division.id,
+        displayName: division.displayName,
+        updated: asOf,
+        asOf,
+        rows,
+      });
+    }
+
+    const [result, resume] = await Promise.all([
+      pool.query(`
+        SELECT
+          team_id as "teamId",
+          team_name as "team",
+          conference,
+          games,
+          wins,
+          losses,
+          adj_o as "adjO",
+          adj_d as "adjD",
+          adj_em as "adjEM",
+          adj_t as "adjT",
+          raw_o as "rawO",
+          raw_d as "rawD",
+          raw_em as "rawEM",
+          raw_t as "rawT",
+          points,
+          opp_points,
+          fga,
+          orb,
+          tov,
+          fta,
+          opp_fga,
+          opp_orb,
+          opp_tov,
+          opp_fta,
+          updated_at as "updated"
+        FROM teams
+        WHERE division = $1
+          AND conference = ANY($2)
+          AND season = $3
+        ORDER BY adj_em DESC
+      `, [division.id, division.conferences, season]),
+      fetchResumeMetrics(pool, division.id, season),
+    ]);
+
+    // Parse numeric values - adj is opponent-adjusted, raw is plain per-100
+    const rows = result.rows.map(row => ({
+      ...row,
+      adjO: row.adjO ? parseFloat(row.adjO) : null,
+      adjD: row.adjD ? parseFloat(row.adjD) : null,
+      adjEM: row.adjEM ? parseFloat(row.adjEM) : null,
+      adjT: row.adjT ? parseFloat(row.adjT) : null,
+      rawO: row.rawO ? parseFloat(row.rawO) : null,
+      rawD: row.rawD ? parseFloat(row.rawD) : null,
+      rawEM: row.rawEM ? parseFloat(row.rawEM) : null,
+      rawT: row.rawT ? parseFloat(row.rawT) : null,
+      // SOS, quadrant records and wins above bubble
+      ...(resume.get(String(row.teamId)) ?? NO_RESUME_METRICS),
+    }));
+
+    return NextResponse.json({
+      season,
+      division: division.id,
+      displayName: division.displayName,
+      updated: rows[0]?.updated ?? null,
+      rows,
+    });
+  } catch (error) {
+    return databaseError(error, 'Failed to fetch teams');
+  }
+}
@@ -1,15 +1,22 @@
 import { NextResponse } from 'next/server';
-import { Pool } from 'pg';
+import { pool, databaseError } from '@/lib/db';
+import { getDivision } from '@/lib/divisions';
+import { seasonParam } from '@/lib/seasons';
+import { invalidSeason, unknownDivision } from '@/lib/apiParams';
 
-const pool = new Pool({
-  connectionString: process.env.POSTGRES_URL,
-  ssl: { rejectUnauthorized: false }
-});
+export async function GET(
+  request: Request,
+  { params }: { params: Promise<{ division: string }> }
+) {
+  const { division: divisionId } = await params;
+  const division = getDivision(divisionId);
+  if (!division) return unknownDivision(divisionId);
 
-export async function GET() {
+  const season = seasonParam(new URL(request.url).searchParams);
+  if (!season) return invalidSeason();
   try {
     const result = await pool.query(`
-      SELECT 
+      SELECT
         team_id as "teamId",
         team_name as "teamName",
         conference,
@@ -35,13 +42,13 @@ export async function GET() {
         opp_tov as "opp_tov",
         opp_pf as "opp_pf"
       FROM teams
-      WHERE division = 'mens-d1'
-        AND conference IS NOT NULL
-        AND conference != ''
-    `);
+      WHERE division = $1
+        AND season = $2
+        AND conference = ANY($3)
+    `, [division.id, season, division.conferences]);
+
     return NextResponse.json({ teams: result.rows });
   } catch (error) {
-    console.error('Database error:', error);
-    return NextResponse.json({ error: 'Failed to fetch team stats' }, { status: 500 });
+    return databaseError(error, 'Failed to fetch team stats');
   }
 }
@@ -0,0 +1,75 @@
+import { NextResponse } from 'next/server';
+import { pool, SqlParams, databaseError } from '@/lib/db';
+import { seasonParam } from '@/lib/seasons';
+import { isAdminRequest, unauthorized } from '@/lib/admin';
+import { invalidSeason, isDivision, unknownDivision, isGameId, badRequest, boolParam, intParam } from '@/lib/apiParams';
+
+const SEVERITIES = ['error', 'warning'];
+
+// Current box score validation issues (scripts/box_validation.mjs) for one season,
+// hard failures first. Filters: ?division= ?severity=error|warning ?check= ?gameId=
+// ?blocked=true ?limit= (default 200). The summary counts every matching issue,
+// not just the page returned.
+export async function GET(request: Request) {
+  if (!isAdminRequest(request)) return unauthorized();
+
+  const { searchParams } = new URL(request.url);
+  const season = seasonParam(searchParams);
+  if (!season) return invalidSeason();
+  const division = searchParams.get('division');
+  if (division && !isDivision(division)) return unknownDivision(division);
+  const severity = searchParams.get('severity');
+  if (severity && !SEVERITIES.includes(severity)) return badRequest('severity must be error or warning');
+  const gameId = searchParams.get('gameId');
+  if (gameId && !isGameId(gameId)) return badRequest('Invalid game id');
+  const check = searchParams.get('check');
+  const limit = intParam(searchParams, 'limit', 200, 1, 1000);
+  if (limit === null) return badRequest('limit must be a whole number from 1 to 1000');
+
+  const params = new SqlParams();
+  const conditions = [`season = ${params.add(season)}`];
+  if (division) conditions.push(`division = ${params.add(division)}`);
+  if (severity) conditions.push(`severity = ${params.add(severity)}`);
+  if (check) conditions.push(`check_name = ${params.add(check)}`);
+  if (gameId) conditions.push(`game_id = ${params.add(gameId)}`);
+  if (boolParam(searchParams, 'blocked')) conditions.push('blocked = true');
+  const where = conditions.join(' AND ');
+  const filterValues = [...params.values];
+  const limitParam = params.add(limit);
+
+  try {
+    const [issuesResult, summaryResult] = await Promise.all([
+      pool.query(`
+        SELECT
+          game_id as "gameId", division, game_date::text as "gameDate",
+          team_id as "teamId", player_id as "playerId",
+          check_name as "check", severity, message, blocked,
+          detected_at as "detectedAt"
+        FROM data_quality_issues
+        WHERE ${where}
+        ORDER BY blocked DESC, severity = 'error' DESC, game_date DESC NULLS LAST, game_id, id
+        LIMIT ${limitParam}
+      `, params.values),
+      pool.query(`
+        SELECT division, severity, check_name, COUNT(*)::int as issues, COUNT(DISTINCT game_id)::int as games,
+               COUNT(DISTINCT game_id) FILTER (WHERE blocked)::int as blocked_games
+        FROM data_quality_issues
+        WHERE ${where}
+        GROUP BY division, severity, check_name
+        ORDER BY division, severity, issues DESC
+      `, filterValues),
+    ]);
+
+    return NextResponse.json({
+      season,
+      division,
+      summary: summaryResult.rows.map((r) => ({
+        division: r.division, severity: r.severity, check: r.check_name,
+        issues: r.issues, games: r.games, blockedGames: r.blocked_games,
+      })),
+      issues: issuesResult.rows,
+    });
+  } catch (error) {
+    return databaseError(error, 'Failed to fetch data quality issues');
+  }
+}
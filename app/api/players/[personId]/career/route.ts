@@ -0,0 +1,23 @@
+import { NextResponse } from 'next/server';
+import { pool, databaseError } from '@/lib/db';
+import { fetchPlayerCareer } from '@/lib/playerCareer';
+import { isPlayerKey, badRequest } from '@/lib/apiParams';
+
+// Every season a player has played, across teams and divisions
+export async function GET(
+  request: Request,
+  { params }: { params: Promise<{ personId: string }> }
+) {
+  const { personId } = await params;
+  if (!isPlayerKey(personId)) return badRequest('Invalid player id');
+
+  try {
+    const career = await fetchPlayerCareer(pool, personId);
+    if (!career) {
+      return NextResponse.json({ error: 'Player not found' }, { status: 404 });
+    }
+    return NextResponse.json(career);
+  } catch (error) {
+    return databaseError(error, 'Failed to fetch player career');
+  }
+}
@@ -0,0 +1,136 @@
+import Link from "next/link";
+import { headers } from 'next/headers';
+import SiteNavigation from '@/components/SiteNavigation';
+import { withSeason } from '@/lib/seasons';
+import { divisionLabel } from '@/lib/divisions';
+import type { PlayerCareer } from '@/lib/playerCareer';
+
+const ACCENT = "#1B4B8A";
+const ACCENT_LIGHT = "#E8F2FC";
+const ACCENT_BORDER = "#A8C8F0";
+
+async function fetchAPI(path: string) {
+  const headersList = await headers();
+  const host = headersList.get('host');
+  const protocol = process.env.NODE_ENV === 'development' ? 'http' : 'https';
+  const res = await fetch(`${protocol}://${host}${path}`, { cache: 'no-store' });
+  if (res.status === 404) return null;
+  if (!res.ok) throw new Error(`Failed to fetch ${path}`);
+  return res.json();
+}
+
+type Line = PlayerCareer['totals'];
+
+function perGame(total: number, games: number) {
+  return games > 0 ? (total / games).toFixed(1) : "—";
+}
+
+function pct(made: number, att: number) {
+  return att > 0 ? ((made / att) * 100).toFixed(1) : "—";
+}
+
+function formatHeight(height: string | null) {
+  const inches = Number(height);
+  if (!inches) return "—";
+  return `${Math.floor(inches / 12)}'${inches % 12}"`;
+}
+
+function LineCells({ line }: { line: Line }) {
+  const cells = [
+    line.games,
+    line.starts,
+    perGame(line.minutes, line.games),
+    perGame(line.points, line.games),
+    perGame(line.trb, line.games),
+    perGame(line.ast, line.games),
+    perGame(line.stl, line.games),
+    perGame(line.blk, line.games),
+    perGame(line.tov, line.games),
+    pct(line.fgm, line.fga),
+    pct(line.tpm, line.tpa),
+    pct(line.ftm, line.fta),
+  ];
+  return (
+    <>
+      {cells.map((value, i) => (
+        <td key={i} style={{ padding: "6px 8px", textAlign: "right" }}>{value}</td>
+      ))}
+    </>
+  );
+}
+
+export default async function PlayerCareerPage({
+  params,
+}: {
+  params: Promise<{ personId: string }>;
+}) {
+  const { personId } = await params;
+  const career: PlayerCareer | null = await fetchAPI(`/api/players/${encodeURIComponent(personId)}/career`);
+
+  if (!career) {
+    return (
+      <main style={{ maxWidth: 1200, margin: "0 auto", padding: 20 }}>
+        <Link href="/" style={{ color: "#2563eb" }}>← Back</Link>
+        <h1>Player not found</h1>
+      </main>
+    );
+  }
+
+  const latest = career.seasons[career.seasons.length - 1];
+  const teams = Array.from(new Set(career.seasons.map(s => s.teamName)));
+  const headerCells = ["Season", "Team", "Div", "Yr", "G", "GS", "MPG", "PPG", "RPG", "APG", "SPG", "BPG", "TOV", "FG%", "3P%", "FT%"];
+
+  return (
+    <div>
+      <SiteNavigation currentDivision={latest.division} currentPage="players" divisionPath={`/${latest.division}`} />
+      <main style={{ maxWidth: 1200, margin: "0 auto", padding: 20 }}>
+        <Link href={`/${latest.division}/players`} style={{ color: "#2563eb" }}>← Players</Link>
+
+        <div style={{ margin: "16px 0 24px" }}>
+          <h1 style={{ fontSize: 32, fontWeight: 800 }}>{career.firstName} {career.lastName}</h1>
+          <div style={{ color: "#666" }}>
+            {teams.join(" → ")} • {career.seasons.length} season{career.seasons.length === 1 ? "" : "s"}
+            {latest.position ? ` • ${latest.position}` : ""}
+            {latest.height ? ` • ${formatHeight(latest.height)}` : ""}
+          </div>
+        </div>
+
+        <div style={{ fontSize: 12, fontWeight: 800, textTransform: "uppercase", letterSpacing: 0.5, color: "#fff", background: ACCENT, padding: "6px 10px" }}>
+          Career Stats
+        </div>
+        <div style={{ overflowX: "auto", border: `1px solid ${ACCENT_BORDER}`, borderTop: "none" }}>
+          <table style={{ width: "100%", borderCollapse: "collapse", fontSize: 12 }}>
+            <thead>
+              <tr style={{ background: ACCENT_LIGHT, borderBottom: `2px solid ${ACCENT}` }}>
+                {headerCells.map((label, i) => (
+                  <th key={label} style={{ padding: "6px 8px", textAlign: i < 4 ? "left" : "right" }}>{label}</th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {career.seasons.map((s, idx) => (
+                <tr key={`${s.season}-${s.teamId}`} style={{ borderBottom: "1px solid #eee", background: idx % 2 === 0 ? "#fff" : ACCENT_LIGHT }}>
+                  <td style={{ padding: "6px 8px" }}>{s.season}</td>
+                  <td style={{ padding: "6px 8px" }}>
+                    <Link href={withSeason(`/${s.division}/team/${s.teamId}`, s.season)} style={{ color: ACCENT, textDecoration: "none", fontWeight: 600 }}>
+                      {s.teamName}
+                    </Link>
+                  </td>
+                  <td style={{ padding: "6px 8px" }}>{divisionLabel(s.division)}</td>
+                  <td style={{ padding: "6px 8px" }}>{s.year || "—"}</td>
+                  <LineCells line={s} />
+                </tr>
+              ))}
+              {career.seasons.length > 1 && (
+                <tr style={{ borderTop: `2px solid ${ACCENT}`, fontWeight: 700 }}>
+                  <td style={{ padding: "6px 8px" }} colSpan={4}>Career</td>
+                  <LineCells line={career.totals} />
+                </tr>
+              )}
+            </tbody>
+          </table>
+        </div>
+      </main>
+    </div>
+  );
+}
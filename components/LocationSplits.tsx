@@ -0,0 +1,91 @@
+import { gameMinutesOf, tempoOf, type Division } from '@/lib/divisions';
+
+type SplitGame = {
+  homeId: string;
+  homeScore: number | string;
+  awayScore: number | string;
+  neutralSite?: boolean;
+  gameMinutes?: number | string;
+  homeStats?: Record<string, number | string>;
+  awayStats?: Record<string, number | string>;
+};
+
+type Split = { games: number; wins: number; losses: number; points: number; oppPoints: number; poss: number; oppPoss: number; minutes: number };
+
+const LOCATIONS = [
+  { id: 'home', label: 'Home' },
+  { id: 'away', label: 'Away' },
+  { id: 'neutral', label: 'Neutral' },
+] as const;
+
+function possessions(s: Record<string, number | string> | undefined) {
+  if (!s) return 0;
+  return Math.max(0, Number(s.fga) - Number(s.orb) + Number(s.tov) + 0.475 * Number(s.fta)) || 0;
+}
+
+function gameLocation(game: SplitGame, teamId: string) {
+  if (game.neutralSite) return 'neutral';
+  return game.homeId === teamId ? 'home' : 'away';
+}
+
+// Home / away / neutral records, per-100 efficiency and per-40 tempo from a team's game log
+export default function LocationSplits({ games, teamId, division, accent = "#2d3748" }: { games: SplitGame[]; teamId: string; division: Division; accent?: string }) {
+  const splits: Record<string, Split> = {};
+  for (const { id } of LOCATIONS) splits[id] = { games: 0, wins: 0, losses: 0, points: 0, oppPoints: 0, poss: 0, oppPoss: 0, minutes: 0 };
+
+  for (const g of games) {
+    const isHome = g.homeId === teamId;
+    const ours = Number(isHome ? g.homeScore : g.awayScore);
+    const theirs = Number(isHome ? g.awayScore : g.homeScore);
+    const s = splits[gameLocation(g, teamId)];
+    s.games++;
+    if (ours > theirs) s.wins++; else s.losses++;
+    s.points += ours;
+    s.oppPoints += theirs;
+    s.poss += possessions(isHome ? g.homeStats : g.awayStats);
+    s.oppPoss += possessions(isHome ? g.awayStats : g.homeStats);
+    s.minutes += gameMinutesOf(division, g.gameMinutes);
+  }
+
+  const fmt = (v: number | null) => (v == null ? "—" : v.toFixed(1));
+  const headers = ["Location", "G", "W-L", "PPG", "Opp PPG", "ORtg", "DRtg", "Net", "Tempo"];
+
+  return (
+    <div style={{ border: "1px solid #e0e0e0", marginBottom: 24 }}>
+      <table style={{ width: "100%", borderCollapse: "collapse", fontSize: 11 }}>
+        <thead>
+          <tr style={{ background: "#f0f0f0" }}>
+            {headers.map((h, i) => (
+              <th key={h} style={{ fontSize: 11, fontWeight: 700, padding: "8px 10px", textAlign: i === 0 ? "left" : "right" }}>{h}</th>
+            ))}
+          </tr>
+        </thead>
+        <tbody>
+          {LOCATIONS.map(({ id, label }) => {
+            const s = splits[id];
+            const oRtg = s.poss > 0 ? (s.points / s.poss) * 100 : null;
+            const dRtg = s.oppPoss > 0 ? (s.oppPoints / s.oppPoss) * 100 : null;
+            const cells = [
+              s.games,
+              `${s.wins}-${s.losses}`,
+              s.games > 0 ? fmt(s.points / s.games) : "—",
+              s.games > 0 ? fmt(s.oppPoints / s.games) : "—",
+              fmt(oRtg),
+              fmt(dRtg),
+              oRtg != null && dRtg != null ? `${oRtg - dRtg >= 0 ? "+" : ""}${(oRtg - dRtg).toFixed(1)}` : "—",
+              s.games > 0 ? fmt(tempoOf(division, (s.poss + s.oppPoss) / 2, s.minutes)) : "—",
+            ];
+            return (
+              <tr key={id} style={{ borderBottom: "1px solid #f0f0f0", color: s.games === 0 ? "#999" : undefined }}>
+                <td style={{ padding: "6px 10px", fontWeight: 600, color: s.games === 0 ? undefined : accent }}>{label}</td>
+                {cells.map((c, i) => (
+                  <td key={i} style={{ padding: "6px 10px", textAlign: "right" }}>{c}</td>
+                ))}
+              </tr>
+            );
+          })}
+        </tbody>
+      </table>
+    </div>
+  );
+}
@@ -0,0 +1,50 @@
+type HistoryPoint = { date: string; rank: number; adjEM: number };
+
+const WIDTH = 600;
+const HEIGHT = 180;
+const PAD = { top: 12, right: 16, bottom: 24, left: 40 };
+
+function shortDate(date: string) {
+  const [, m, d] = date.split('-').map(Number);
+  return `${m}/${d}`;
+}
+
+// Rank over the season from ratings_history. #1 is at the top.
+export default function RankHistoryChart({ history, color = "#2d3748" }: { history: HistoryPoint[]; color?: string }) {
+  if (history.length < 2) {
+    return <div style={{ padding: 12, color: "#666", fontSize: 12 }}>Not enough history yet.</div>;
+  }
+
+  const worst = Math.max(...history.map(h => h.rank));
+  const best = Math.min(...history.map(h => h.rank));
+  const plotW = WIDTH - PAD.left - PAD.right;
+  const plotH = HEIGHT - PAD.top - PAD.bottom;
+
+  const x = (i: number) => PAD.left + (i / (history.length - 1)) * plotW;
+  const y = (rank: number) => PAD.top + (worst === 1 ? 0 : ((rank - 1) / (worst - 1)) * plotH);
+
+  const points = history.map((h, i) => `${x(i).toFixed(1)},${y(h.rank).toFixed(1)}`).join(" ");
+  const latest = history[history.length - 1];
+
+  return (
+    <div style={{ border: "1px solid #e0e0e0", padding: 8 }}>
+      <svg viewBox={`0 0 ${WIDTH} ${HEIGHT}`} style={{ width: "100%", height: "auto", display: "block" }}>
+        <line x1={PAD.left} y1={y(1)} x2={WIDTH - PAD.right} y2={y(1)} stroke="#f0f0f0" />
+        <line x1={PAD.left} y1={y(worst)} x2={WIDTH - PAD.right} y2={y(worst)} stroke="#f0f0f0" />
+        <text x={PAD.left - 6} y={y(1) + 4} fontSize={10} textAnchor="end" fill="#666">#1</text>
+        <text x={PAD.left - 6} y={y(worst) + 4} fontSize={10} textAnchor="end" fill="#666">#{worst}</text>
+        <polyline points={points} fill="none" stroke={color} strokeWidth={2} />
+        {history.map((h, i) => (
+          <circle key={h.date} cx={x(i)} cy={y(h.rank)} r={2.5} fill={color}>
+            <title>{`${h.date}: #${h.rank} (${h.adjEM >= 0 ? "+" : ""}${h.adjEM.toFixed(1)})`}</title>
+          </circle>
+        ))}
+        <text x={PAD.left} y={HEIGHT - 6} fontSize={10} fill="#666">{shortDate(history[0].date)}</text>
+        <text x={WIDTH - PAD.right} y={HEIGHT - 6} fontSize={10} textAnchor="end" fill="#666">{shortDate(latest.date)}</text>
+      </svg>
+      <div style={{ fontSize: 11, color: "#666", marginTop: 4 }}>
+        Now #{latest.rank} · Best #{best} · Worst #{worst}
+      </div>
+    </div>
+  );
+}
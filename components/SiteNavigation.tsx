@@ -1,7 +1,9 @@
 'use client';
 
 import Link from 'next/link';
+import { usePathname, useRouter } from 'next/navigation';
 import { useState } from 'react';
+import { listSeasons, withSeason } from '@/lib/seasons';
 
 // ── Brand Tokens ──────────────────────────────────────────────
 const NAVY    = "#0D1F3C";
@@ -22,10 +24,10 @@ type Division = {
 const ALL_DIVISIONS: Division[] = [
   { id: 'womens-d1', label: "Women's D1", path: '/womens-d1', enabled: true  },
   { id: 'womens-d2', label: "Women's D2", path: '/womens-d2', enabled: true  },
-  { id: 'womens-d3', label: "Women's D3", path: '/womens-d3', enabled: false },
+  { id: 'womens-d3', label: "Women's D3", path: '/womens-d3', enabled: true  },
   { id: 'mens-d1',   label: "Men's D1",   path: '/mens-d1',   enabled: true  },
   { id: 'mens-d2',   label: "Men's D2",   path: '/mens-d2',   enabled: true  },
-  { id: 'mens-d3',   label: "Men's D3",   path: '/mens-d3',   enabled: false },
+  { id: 'mens-d3',   label: "Men's D3",   path: '/mens-d3',   enabled: true  },
 ];
 
 // Map each division to the gender-shared recruiting path
@@ -34,6 +36,8 @@ const RECRUITING_PATH: Record<string, string> = {
   'womens-d2': '/womens-d1/recruiting', // shared — resolves to same page
   'mens-d1':   '/mens-d1/recruiting',
   'mens-d2':   '/mens-d1/recruiting',   // shared — resolves to same page
+  'womens-d3': '/womens-d1/recruiting', // shared — resolves to same page
+  'mens-d3':   '/mens-d1/recruiting',   // shared — resolves to same page
 };
 
 function Wordmark({ size = 'md' }: { size?: 'sm' | 'md' }) {
@@ -54,7 +58,7 @@ function Wordmark({ size = 'md' }: { size?: 'sm' | 'md' }) {
   );
 }
 
-function DivisionSwitcher({ currentDivision }: { currentDivision: string }) {
+function DivisionSwitcher({ currentDivision, season }: { currentDivision: string; season?: string }) {
   const [isOpen, setIsOpen] = useState(false);
   const current         = ALL_DIVISIONS.find(d => d.id === currentDivision);
   const womensDivisions = ALL_DIVISIONS.filter(d => d.id.startsWith('womens'));
@@ -71,7 +75,7 @@ function DivisionSwitcher({ currentDivision }: { currentDivision: string }) {
   const divLink = (div: Division) => (
     <Link
       key={div.id}
-      href={div.enabled ? div.path : '#'}
+      href={div.enabled ? withSeason(div.path, season) : '#'}
       style={{
         display: 'block',
         padding: '10px 16px',
@@ -134,12 +138,40 @@ function DivisionSwitcher({ currentDivision }: { currentDivision: string }) {
   );
 }
 
-function SectionNav({ currentPage, divisionPath, currentDivision }: { currentPage: string; divisionPath: string; currentDivision: string }) {
+// Reloads the current page for another season; the page reads ?season= itself
+function SeasonPicker({ season }: { season: string }) {
+  const pathname = usePathname();
+  const router = useRouter();
+
+  return (
+    <select
+      value={season}
+      onChange={e => router.push(withSeason(pathname, e.target.value))}
+      aria-label="Season"
+      style={{
+        padding: '7px 10px',
+        background: NAVY,
+        color: '#fff',
+        border: `1px solid ${BLUE}`,
+        borderRadius: 6,
+        fontSize: 13,
+        fontFamily: "'DM Mono', monospace",
+        cursor: 'pointer',
+      }}
+    >
+      {listSeasons().map(s => <option key={s} value={s}>{s}</option>)}
+    </select>
+  );
+}
+
+function SectionNav({ currentPage, divisionPath, currentDivision, season }: { currentPage: string; divisionPath: string; currentDivision: string; season?: string }) {
   const recruitingPath = RECRUITING_PATH[currentDivision] ?? `${divisionPath}/recruiting`;
 
   const pages = [
-    { id: 'rankings',   label: 'Rankings',   path: divisionPath },
-    { id: 'players',    label: 'Players',     path: `${divisionPath}/players` },
+    { id: 'rankings',   label: 'Rankings',   path: withSeason(divisionPath, season) },
+    { id: 'players',    label: 'Players',     path: withSeason(`${divisionPath}/players`, season) },
+    { id: 'fanmatch',   label: 'Fan Match',   path: `${divisionPath}/fanmatch` },
+    { id: 'bracket',    label: 'Bracket',     path: withSeason(`${divisionPath}/bracket`, season) },
     { id: 'recruiting', label: 'Recruiting',  path: recruitingPath },
   ];
 
@@ -168,14 +200,18 @@ function SectionNav({ currentPage, divisionPath, currentDivision }: { currentPag
   );
 }
 
+// season: the season the page is showing. Pages that aren't per-season leave it
+// out and get no season picker.
 export default function SiteNavigation({
   currentDivision,
   currentPage,
   divisionPath,
+  season,
 }: {
   currentDivision: string;
   currentPage: string;
   divisionPath: string;
+  season?: string;
 }) {
   return (
     <>
@@ -186,12 +222,15 @@ export default function SiteNavigation({
             <Link href="/" style={{ textDecoration: 'none' }}>
               <Wordmark />
             </Link>
-            <DivisionSwitcher currentDivision={currentDivision} />
+            <div style={{ display: 'flex', gap: 10, alignItems: 'center' }}>
+              {season && <SeasonPicker season={season} />}
+              <DivisionSwitcher currentDivision={currentDivision} season={season} />
+            </div>
           </div>
         </div>
         <div style={{ background: '#fff', borderBottom: `1px solid ${FROST}` }}>
           <div style={{ maxWidth: 1200, margin: '0 auto', paddingLeft: 20, paddingRight: 20 }}>
-            <SectionNav currentPage={currentPage} divisionPath={divisionPath} currentDivision={currentDivision} />
+            <SectionNav currentPage={currentPage} divisionPath={divisionPath} currentDivision={currentDivision} season={season} />
           </div>
         </div>
       </div>
@@ -0,0 +1,128 @@
+-- Core tables the ingest pipeline writes and every API route reads.
+--
+-- Databases that predate migrations already have these tables, created by hand,
+-- without some of the columns the pipeline later added lazily (season, neutral_site,
+-- raw_*, height). Everything here is IF NOT EXISTS so running it against one of
+-- those brings it up to the same shape as a fresh database.
+
+CREATE TABLE IF NOT EXISTS teams (
+  team_id TEXT NOT NULL,
+  season TEXT NOT NULL DEFAULT '2025-26',
+  team_name TEXT NOT NULL,
+  conference TEXT,
+  division TEXT,
+  games INTEGER NOT NULL DEFAULT 0,
+  wins INTEGER NOT NULL DEFAULT 0,
+  losses INTEGER NOT NULL DEFAULT 0,
+  adj_o NUMERIC,
+  adj_d NUMERIC,
+  adj_em NUMERIC,
+  adj_t NUMERIC,
+  raw_o NUMERIC,
+  raw_d NUMERIC,
+  raw_em NUMERIC,
+  raw_t NUMERIC,
+  points INTEGER, opp_points INTEGER,
+  fgm INTEGER, fga INTEGER, tpm INTEGER, tpa INTEGER, ftm INTEGER, fta INTEGER,
+  orb INTEGER, drb INTEGER, trb INTEGER, ast INTEGER, stl INTEGER, blk INTEGER, tov INTEGER, pf INTEGER,
+  opp_fgm INTEGER, opp_fga INTEGER, opp_tpm INTEGER, opp_tpa INTEGER, opp_ftm INTEGER, opp_fta INTEGER,
+  opp_orb INTEGER, opp_drb INTEGER, opp_trb INTEGER, opp_ast INTEGER, opp_stl INTEGER, opp_blk INTEGER,
+  opp_tov INTEGER, opp_pf INTEGER,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (team_id, season)
+);
+
+CREATE TABLE IF NOT EXISTS games (
+  game_id TEXT PRIMARY KEY,
+  game_date DATE NOT NULL,
+  division TEXT,
+  season TEXT NOT NULL DEFAULT '2025-26',
+  home_team_id TEXT NOT NULL,
+  home_team_name TEXT,
+  home_score INTEGER,
+  home_conference TEXT,
+  away_team_id TEXT NOT NULL,
+  away_team_name TEXT,
+  away_score INTEGER,
+  away_conference TEXT,
+  is_conference_game BOOLEAN NOT NULL DEFAULT false,
+  neutral_site BOOLEAN NOT NULL DEFAULT false,
+  home_fgm INTEGER, home_fga INTEGER, home_tpm INTEGER, home_tpa INTEGER, home_ftm INTEGER, home_fta INTEGER,
+  home_orb INTEGER, home_drb INTEGER, home_trb INTEGER, home_ast INTEGER, home_stl INTEGER, home_blk INTEGER,
+  home_tov INTEGER, home_pf INTEGER,
+  away_fgm INTEGER, away_fga INTEGER, away_tpm INTEGER, away_tpa INTEGER, away_ftm INTEGER, away_fta INTEGER,
+  away_orb INTEGER, away_drb INTEGER, away_trb INTEGER, away_ast INTEGER, away_stl INTEGER, away_blk INTEGER,
+  away_tov INTEGER, away_pf INTEGER
+);
+
+-- height (inches) and year come from the roster imports (import_roster_csv.mjs,
+-- scrape_espn_rosters.mjs), never from box scores - upsertPlayer leaves them alone
+CREATE TABLE IF NOT EXISTS players (
+  player_id TEXT NOT NULL,
+  season TEXT NOT NULL DEFAULT '2025-26',
+  team_id TEXT NOT NULL,
+  team_name TEXT,
+  division TEXT,
+  first_name TEXT,
+  last_name TEXT,
+  number INTEGER,
+  position TEXT,
+  year TEXT,
+  height INTEGER,
+  games INTEGER NOT NULL DEFAULT 0,
+  starts INTEGER NOT NULL DEFAULT 0,
+  minutes NUMERIC NOT NULL DEFAULT 0,
+  fgm INTEGER, fga INTEGER, tpm INTEGER, tpa INTEGER, ftm INTEGER, fta INTEGER,
+  orb INTEGER, drb INTEGER, trb INTEGER, ast INTEGER, stl INTEGER, blk INTEGER, tov INTEGER, pf INTEGER,
+  points INTEGER,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (player_id, season)
+);
+
+CREATE TABLE IF NOT EXISTS player_games (
+  game_id TEXT NOT NULL,
+  player_id TEXT NOT NULL,
+  team_id TEXT NOT NULL,
+  division TEXT,
+  season TEXT NOT NULL DEFAULT '2025-26',
+  minutes NUMERIC,
+  fgm INTEGER, fga INTEGER, tpm INTEGER, tpa INTEGER, ftm INTEGER, fta INTEGER,
+  orb INTEGER, drb INTEGER, trb INTEGER, ast INTEGER, stl INTEGER, blk INTEGER, tov INTEGER, pf INTEGER,
+  points INTEGER,
+  PRIMARY KEY (game_id, player_id)
+);
+
+-- Columns added after the tables were first created; older databases lack them
+ALTER TABLE teams
+  ADD COLUMN IF NOT EXISTS season TEXT NOT NULL DEFAULT '2025-26',
+  ADD COLUMN IF NOT EXISTS raw_o NUMERIC,
+  ADD COLUMN IF NOT EXISTS raw_d NUMERIC,
+  ADD COLUMN IF NOT EXISTS raw_em NUMERIC,
+  ADD COLUMN IF NOT EXISTS raw_t NUMERIC;
+ALTER TABLE games
+  ADD COLUMN IF NOT EXISTS season TEXT NOT NULL DEFAULT '2025-26',
+  ADD COLUMN IF NOT EXISTS neutral_site BOOLEAN NOT NULL DEFAULT false;
+ALTER TABLE players
+  ADD COLUMN IF NOT EXISTS season TEXT NOT NULL DEFAULT '2025-26',
+  ADD COLUMN IF NOT EXISTS height INTEGER;
+ALTER TABLE player_games ADD COLUMN IF NOT EXISTS season TEXT NOT NULL DEFAULT '2025-26';
+
+-- Team and player IDs repeat every season, so season is part of their keys.
+-- Databases whose keys predate the season column get them rebuilt here.
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM information_schema.key_column_usage
+    WHERE table_name = 'teams' AND constraint_name = 'teams_pkey' AND column_name = 'season'
+  ) THEN
+    ALTER TABLE teams DROP CONSTRAINT IF EXISTS teams_pkey;
+    ALTER TABLE teams ADD CONSTRAINT teams_pkey PRIMARY KEY (team_id, season);
+  END IF;
+  IF NOT EXISTS (
+    SELECT 1 FROM information_schema.key_column_usage
+    WHERE table_name = 'players' AND constraint_name = 'players_pkey' AND column_name = 'season'
+  ) THEN
+    ALTER TABLE players DROP CONSTRAINT IF EXISTS players_pkey;
+    ALTER TABLE players ADD CONSTRAINT players_pkey PRIMARY KEY (player_id, season);
+  END IF;
+END $$;
@@ -0,0 +1,119 @@
+-- Tables the ingest pipeline fills besides the core ones: play-by-play, lineups,
+-- scheduled games, ratings history, player identities and advanced metrics.
+-- Older databases may already have some of them, so everything is IF NOT EXISTS
+-- and the columns added later (season, neutral_site) are added where missing.
+
+CREATE TABLE IF NOT EXISTS play_events (
+  game_id TEXT NOT NULL,
+  event_num INTEGER NOT NULL,
+  division TEXT,
+  season TEXT,
+  period INTEGER NOT NULL,
+  clock TEXT,
+  clock_seconds INTEGER,
+  team_id TEXT,
+  player_id TEXT,
+  event_type TEXT NOT NULL,
+  description TEXT,
+  home_score INTEGER,
+  away_score INTEGER,
+  possession INTEGER,
+  possession_team_id TEXT,
+  PRIMARY KEY (game_id, event_num)
+);
+ALTER TABLE play_events ADD COLUMN IF NOT EXISTS season TEXT;
+CREATE INDEX IF NOT EXISTS play_events_division_idx ON play_events (division);
+
+CREATE TABLE IF NOT EXISTS lineup_games (
+  game_id TEXT NOT NULL,
+  team_id TEXT NOT NULL,
+  division TEXT,
+  season TEXT,
+  lineup_key TEXT NOT NULL,
+  player_ids TEXT[] NOT NULL,
+  is_complete BOOLEAN NOT NULL,
+  seconds INTEGER NOT NULL DEFAULT 0,
+  off_poss INTEGER NOT NULL DEFAULT 0,
+  def_poss INTEGER NOT NULL DEFAULT 0,
+  points_for INTEGER NOT NULL DEFAULT 0,
+  points_against INTEGER NOT NULL DEFAULT 0,
+  PRIMARY KEY (game_id, team_id, lineup_key)
+);
+ALTER TABLE lineup_games ADD COLUMN IF NOT EXISTS season TEXT;
+CREATE INDEX IF NOT EXISTS lineup_games_team_idx ON lineup_games (team_id, division);
+
+CREATE TABLE IF NOT EXISTS scheduled_games (
+  game_id TEXT PRIMARY KEY,
+  division TEXT NOT NULL,
+  season TEXT,
+  game_date DATE NOT NULL,
+  start_time TEXT,
+  start_epoch BIGINT,
+  game_state TEXT,
+  home_team_id TEXT,
+  home_team_name TEXT,
+  home_conference TEXT,
+  away_team_id TEXT,
+  away_team_name TEXT,
+  away_conference TEXT,
+  is_conference_game BOOLEAN,
+  neutral_site BOOLEAN NOT NULL DEFAULT false,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+ALTER TABLE scheduled_games
+  ADD COLUMN IF NOT EXISTS season TEXT,
+  ADD COLUMN IF NOT EXISTS neutral_site BOOLEAN NOT NULL DEFAULT false;
+CREATE INDEX IF NOT EXISTS scheduled_games_date_idx ON scheduled_games (division, game_date);
+
+CREATE TABLE IF NOT EXISTS ratings_history (
+  division TEXT NOT NULL,
+  team_id TEXT NOT NULL,
+  snapshot_date DATE NOT NULL,
+  season TEXT,
+  rank INTEGER,
+  games INTEGER,
+  wins INTEGER,
+  losses INTEGER,
+  adj_o NUMERIC,
+  adj_d NUMERIC,
+  adj_em NUMERIC,
+  adj_t NUMERIC,
+  PRIMARY KEY (division, team_id, snapshot_date)
+);
+ALTER TABLE ratings_history ADD COLUMN IF NOT EXISTS season TEXT;
+
+CREATE TABLE IF NOT EXISTS player_identities (
+  player_id TEXT NOT NULL,
+  season TEXT NOT NULL,
+  person_id TEXT NOT NULL,
+  match_rule TEXT,
+  PRIMARY KEY (player_id, season)
+);
+CREATE INDEX IF NOT EXISTS player_identities_person_idx ON player_identities (person_id);
+
+CREATE TABLE IF NOT EXISTS player_advanced (
+  player_id TEXT NOT NULL,
+  season TEXT NOT NULL,
+  division TEXT NOT NULL,
+  team_id TEXT NOT NULL,
+  min_pct DOUBLE PRECISION,
+  ortg DOUBLE PRECISION,
+  usage_pct DOUBLE PRECISION,
+  shot_pct DOUBLE PRECISION,
+  efg DOUBLE PRECISION,
+  ts DOUBLE PRECISION,
+  or_pct DOUBLE PRECISION,
+  dr_pct DOUBLE PRECISION,
+  a_rate DOUBLE PRECISION,
+  to_rate DOUBLE PRECISION,
+  blk_pct DOUBLE PRECISION,
+  stl_pct DOUBLE PRECISION,
+  fc40 DOUBLE PRECISION,
+  ft_rate DOUBLE PRECISION,
+  ft_pct DOUBLE PRECISION,
+  two_pct DOUBLE PRECISION,
+  three_pct DOUBLE PRECISION,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (player_id, season)
+);
+CREATE INDEX IF NOT EXISTS player_advanced_division_idx ON player_advanced (division, season);
@@ -0,0 +1,29 @@
+-- Indexes for the filters the API routes run on every request. Nearly every
+-- query is scoped to one division and season; team pages then narrow to one
+-- team's games (home_team_id = $x OR away_team_id = $x, see lib/teamQueries.ts)
+-- and player pages to one player's game log.
+
+-- Rankings, conference tables, predictions, bracket
+CREATE INDEX IF NOT EXISTS teams_division_season_idx ON teams (division, season);
+
+-- Division-wide game scans (ratings, resume, conference records, clearDivisionData)
+CREATE INDEX IF NOT EXISTS games_division_season_idx ON games (division, season);
+-- One team's schedule and splits: the OR above becomes a bitmap OR of these two
+CREATE INDEX IF NOT EXISTS games_home_team_idx ON games (home_team_id, season);
+CREATE INDEX IF NOT EXISTS games_away_team_idx ON games (away_team_id, season);
+
+-- Players leaderboard and player profile percentile pool
+CREATE INDEX IF NOT EXISTS players_division_season_idx ON players (division, season);
+-- Team roster
+CREATE INDEX IF NOT EXISTS players_team_season_idx ON players (team_id, season);
+
+-- Player game log and career totals (game_id lookups use the primary key)
+CREATE INDEX IF NOT EXISTS player_games_player_season_idx ON player_games (player_id, season);
+-- Team player splits re-summed from box scores
+CREATE INDEX IF NOT EXISTS player_games_team_season_idx ON player_games (team_id, season);
+-- clearDivisionData
+CREATE INDEX IF NOT EXISTS player_games_division_season_idx ON player_games (division, season);
+
+-- Ratings as of a date, and one team's rating trend
+CREATE INDEX IF NOT EXISTS ratings_history_date_idx ON ratings_history (division, snapshot_date);
+CREATE INDEX IF NOT EXISTS ratings_history_team_idx ON ratings_history (team_id, season);
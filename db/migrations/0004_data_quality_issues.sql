@@ -0,0 +1,18 @@
+-- Box score validation results (scripts/box_validation.mjs), one row per issue.
+
+CREATE TABLE IF NOT EXISTS data_quality_issues (
+  id BIGSERIAL PRIMARY KEY,
+  game_id TEXT NOT NULL,
+  division TEXT NOT NULL,
+  season TEXT NOT NULL,
+  game_date DATE,
+  team_id TEXT,
+  player_id TEXT,
+  check_name TEXT NOT NULL,
+  severity TEXT NOT NULL,
+  message TEXT NOT NULL,
+  blocked BOOLEAN NOT NULL DEFAULT false,
+  detected_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+CREATE INDEX IF NOT EXISTS data_quality_issues_division_idx ON data_quality_issues (division, season);
+CREATE INDEX IF NOT EXISTS data_quality_issues_game_idx ON data_quality_issues (game_id);
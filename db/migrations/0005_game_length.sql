@@ -0,0 +1,11 @@
+-- Game length (scripts/game_length.mjs): periods played and minutes of game clock
+-- per game, and season team minutes (200 a regulation game) for tempo and the
+-- player rate formulas. Games stored before this read as regulation until the
+-- next full rebuild; teams read as NULL minutes, which the formulas treat as 200 a game.
+
+ALTER TABLE games
+  ADD COLUMN IF NOT EXISTS periods INTEGER,
+  ADD COLUMN IF NOT EXISTS game_minutes INTEGER NOT NULL DEFAULT 40;
+
+ALTER TABLE teams
+  ADD COLUMN IF NOT EXISTS minutes INTEGER;
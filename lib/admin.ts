@@ -0,0 +1,18 @@
+import { timingSafeEqual } from 'node:crypto';
+import { NextResponse } from 'next/server';
+
+// Admin routes answer only requests carrying `Authorization: Bearer <ADMIN_TOKEN>`.
+// With ADMIN_TOKEN unset they refuse everything.
+export function isAdminRequest(request: Request) {
+  const token = process.env.ADMIN_TOKEN;
+  const header = request.headers.get('authorization') ?? '';
+  if (!token || !header.startsWith('Bearer ')) return false;
+
+  const given = Buffer.from(header.slice('Bearer '.length));
+  const expected = Buffer.from(token);
+  return given.length === expected.length && timingSafeEqual(given, expected);
+}
+
+export function unauthorized() {
+  return NextResponse.json({ error: 'Unauthorized' }, { status: 401 });
+}
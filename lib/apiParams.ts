@@ -0,0 +1,70 @@
+import { NextResponse } from 'next/server';
+import { getDivision } from '@/lib/divisions';
+import { GAME_LOCATIONS, type GameLocation } from '@/lib/teamQueries';
+
+// Validation for route params and query strings. Every route checks its input
+// here before it reaches SQL and answers bad input with a 400 { error }.
+
+export function isDivision(value: string) {
+  return getDivision(value) !== null;
+}
+
+// NCAA team IDs are numeric
+export function isTeamId(value: string) {
+  return /^\d{1,10}$/.test(value);
+}
+
+// NCAA contest IDs are numeric too
+export function isGameId(value: string) {
+  return /^\d{1,12}$/.test(value);
+}
+
+// person_ids and player_ids are built from names, so only the length is checked
+export function isPlayerKey(value: string) {
+  return value.length > 0 && value.length <= 200;
+}
+
+export function isIsoDate(value: string | null): value is string {
+  return !!value && /^\d{4}-\d{2}-\d{2}$/.test(value) && !Number.isNaN(Date.parse(value));
+}
+
+export function badRequest(message: string) {
+  return NextResponse.json({ error: message }, { status: 400 });
+}
+
+export function unknownDivision(division: string) {
+  return NextResponse.json({ error: `Unknown division: ${division}` }, { status: 404 });
+}
+
+export function unknownConference(conference: string) {
+  return NextResponse.json({ error: `Unknown conference: ${conference}` }, { status: 404 });
+}
+
+export function invalidSeason() {
+  return badRequest('season must look like 2025-26');
+}
+
+// ?flag=true
+export function boolParam(searchParams: URLSearchParams, name: string) {
+  return searchParams.get(name) === 'true';
+}
+
+// Whole number in [min, max], the default when absent, null when malformed
+export function intParam(searchParams: URLSearchParams, name: string, fallback: number, min = 0, max = Number.MAX_SAFE_INTEGER) {
+  const raw = searchParams.get(name);
+  if (raw === null || raw === '') return fallback;
+  if (!/^-?\d+$/.test(raw)) return null;
+  const value = Number(raw);
+  return value >= min && value <= max ? value : null;
+}
+
+// ?location=home|away|neutral - undefined when absent, null when malformed
+export function locationParam(searchParams: URLSearchParams): GameLocation | undefined | null {
+  const raw = searchParams.get('location');
+  if (raw === null || raw === '') return undefined;
+  return (GAME_LOCATIONS as readonly string[]).includes(raw) ? raw as GameLocation : null;
+}
+
+export function invalidLocation() {
+  return badRequest('location must be home, away or neutral');
+}
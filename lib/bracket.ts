@@ -0,0 +1,253 @@
+import type { Pool } from 'pg';
+import { predictGame, type TeamRating, type DivisionAverages } from '@/lib/predictions';
+
+// Monte Carlo tournament simulator.
+// A bracket is a set of regions, each seeded 1..n, plus optional play-in games that
+// feed a seed line. Regions are laid out in order and meet in the final rounds (the
+// first region plays the second, the third the fourth, ...). Missing seed lines are
+// byes, so a 12-team conference tournament is a 16-slot region where seeds 1-4 skip
+// the first round. Every game is played on a neutral floor with the ratings-based
+// win probability from lib/predictions.
+
+export type BracketDefinition = {
+  name?: string;
+  regions: { name: string; teams: { seed: number; teamId: string }[] }[];
+  // The play-in winner takes this seed line in its region
+  playIns?: { region: string; seed: number; teamIds: [string, string] }[];
+};
+
+export type SimulatedTeam = {
+  teamId: string;
+  region: string;
+  seed: number;
+  // Position in the full bracket, left to right; play-in teams share one slot
+  slot: number;
+  playIn: boolean;
+  // Chance of reaching each round in `rounds`, the last being the title
+  probabilities: number[];
+};
+
+export type SimulationResult = {
+  name: string | null;
+  iterations: number;
+  rounds: string[];
+  teams: SimulatedTeam[];
+};
+
+export type BracketTeam = TeamRating & {
+  teamId: string;
+  team: string;
+  conference: string | null;
+  adjEM: number;
+  confWins: number;
+  confLosses: number;
+};
+
+export const DEFAULT_ITERATIONS = 10000;
+export const MAX_ITERATIONS = 100000;
+// Seed lines per region and regions per bracket. A region is laid out over the next
+// power of two above its highest seed, so both are capped before simulateBracket
+// allocates slots: 64 seeds covers a single-region field of any conference.
+export const MAX_SEED = 64;
+export const MAX_REGIONS = 16;
+
+const nextPowerOfTwo = (n: number) => 2 ** Math.ceil(Math.log2(Math.max(1, n)));
+const isPowerOfTwo = (n: number) => n > 0 && (n & (n - 1)) === 0;
+
+// Seed lines in bracket order for a region of `size` slots: 1,16,8,9,4,13,5,12,...
+// so the top seeds can only meet in the last rounds of the region
+export function seedOrder(size: number): number[] {
+  let order = [1];
+  while (order.length < size) {
+    const n = order.length * 2;
+    order = order.flatMap(seed => [seed, n + 1 - seed]);
+  }
+  return order;
+}
+
+function roundLabel(teamsLeft: number) {
+  if (teamsLeft === 1) return 'Champion';
+  if (teamsLeft === 2) return 'Final';
+  if (teamsLeft === 4) return 'Semifinals';
+  if (teamsLeft === 8) return 'Quarterfinals';
+  return `Round of ${teamsLeft}`;
+}
+
+// Null when the bracket is usable, otherwise what's wrong with it
+export function validateBracket(bracket: any): string | null {
+  if (!bracket || !Array.isArray(bracket.regions) || bracket.regions.length === 0) {
+    return 'bracket needs a non-empty regions array';
+  }
+  if (!isPowerOfTwo(bracket.regions.length)) return 'the number of regions must be a power of two';
+  if (bracket.regions.length > MAX_REGIONS) return `a bracket can have at most ${MAX_REGIONS} regions`;
+
+  const seen = new Set<string>();
+  const regionSeeds = new Map<string, Set<number>>();
+  const claim = (teamId: unknown) => {
+    if (typeof teamId !== 'string' || teamId === '') return 'every team needs a teamId string';
+    if (seen.has(teamId)) return `team ${teamId} appears more than once`;
+    seen.add(teamId);
+    return null;
+  };
+  const claimSeed = (region: string, seed: unknown) => {
+    if (!Number.isInteger(seed) || (seed as number) < 1 || (seed as number) > MAX_SEED) {
+      return `seeds must be whole numbers from 1 to ${MAX_SEED} (region ${region})`;
+    }
+    const seeds = regionSeeds.get(region);
+    if (seeds.has(seed as number)) return `seed ${seed} is used twice in region ${region}`;
+    seeds.add(seed as number);
+    return null;
+  };
+
+  for (const region of bracket.regions) {
+    if (typeof region?.name !== 'string' || !Array.isArray(region.teams)) return 'each region needs a name and a teams array';
+    if (regionSeeds.has(region.name)) return `region ${region.name} is defined twice`;
+    regionSeeds.set(region.name, new Set());
+    for (const entry of region.teams) {
+      const error = claimSeed(region.name, entry?.seed) ?? claim(entry?.teamId);
+      if (error) return error;
+    }
+  }
+
+  for (const playIn of bracket.playIns ?? []) {
+    if (!regionSeeds.has(playIn?.region)) return `play-in region ${playIn?.region} is not in the bracket`;
+    if (!Array.isArray(playIn.teamIds) || playIn.teamIds.length !== 2) return 'each play-in needs exactly two teamIds';
+    const error = claimSeed(playIn.region, playIn.seed) ?? claim(playIn.teamIds[0]) ?? claim(playIn.teamIds[1]);
+    if (error) return error;
+  }
+
+  if (seen.size < 2) return 'a bracket needs at least two teams';
+  return null;
+}
+
+// Every team id a bracket refers to
+export function bracketTeamIds(bracket: BracketDefinition): string[] {
+  return [
+    ...bracket.regions.flatMap(r => r.teams.map(t => t.teamId)),
+    ...(bracket.playIns ?? []).flatMap(p => p.teamIds),
+  ];
+}
+
+// Simulate a validated bracket `iterations` times
+export function simulateBracket(
+  bracket: BracketDefinition,
+  ratings: Map<string, TeamRating>,
+  avg: DivisionAverages,
+  iterations = DEFAULT_ITERATIONS,
+): SimulationResult {
+  const playIns = bracket.playIns ?? [];
+  const maxSeed = Math.max(
+    ...bracket.regions.flatMap(r => r.teams.map(t => t.seed)),
+    ...playIns.map(p => p.seed),
+  );
+  const regionSize = nextPowerOfTwo(maxSeed);
+  const order = seedOrder(regionSize);
+
+  // Each slot holds a team, a play-in pair, or nothing (a bye)
+  const slots: (string[] | null)[] = [];
+  const teams: SimulatedTeam[] = [];
+  for (const region of bracket.regions) {
+    for (const seed of order) {
+      const slot = slots.length;
+      const direct = region.teams.find(t => t.seed === seed);
+      const playIn = playIns.find(p => p.region === region.name && p.seed === seed);
+      const entrants = direct ? [direct.teamId] : playIn ? [...playIn.teamIds] : null;
+      slots.push(entrants);
+      for (const teamId of entrants ?? []) {
+        teams.push({ teamId, region: region.name, seed, slot, playIn: !direct, probabilities: [] });
+      }
+    }
+  }
+
+  const rounds: string[] = [];
+  for (let left = slots.length; left >= 1; left /= 2) rounds.push(roundLabel(left));
+
+  const winProbCache = new Map<string, number>();
+  const beats = (a: string, b: string) => {
+    const key = `${a}|${b}`;
+    let p = winProbCache.get(key);
+    if (p === undefined) {
+      p = predictGame(ratings.get(a), ratings.get(b), avg, true).homeWinProb;
+      winProbCache.set(key, p);
+    }
+    return Math.random() < p;
+  };
+  const play = (a: string | null, b: string | null) => {
+    if (a === null) return b;
+    if (b === null) return a;
+    return beats(a, b) ? a : b;
+  };
+
+  const reached = new Map<string, number[]>(teams.map(t => [t.teamId, rounds.map(() => 0)]));
+  for (let i = 0; i < iterations; i++) {
+    let field = slots.map(entrants => (entrants === null ? null : entrants.length === 1 ? entrants[0] : play(entrants[0], entrants[1])));
+    for (let round = 0; ; round++) {
+      for (const teamId of field) if (teamId !== null) reached.get(teamId)[round]++;
+      if (field.length === 1) break;
+      const next: (string | null)[] = [];
+      for (let s = 0; s < field.length; s += 2) next.push(play(field[s], field[s + 1]));
+      field = next;
+    }
+  }
+
+  for (const team of teams) team.probabilities = reached.get(team.teamId).map(n => n / iterations);
+  teams.sort((a, b) => b.probabilities[rounds.length - 1] - a.probabilities[rounds.length - 1] || a.slot - b.slot);
+
+  return { name: bracket.name ?? null, iterations, rounds, teams };
+}
+
+// A conference tournament with every team in the conference, seeded by conference
+// record (then adjEM). When the conference isn't a power of two the top seeds get
+// first-round byes, since missing seed lines are byes.
+export function conferenceBracket(conference: string, teams: BracketTeam[]): BracketDefinition {
+  const pct = (t: BracketTeam) => (t.confWins + t.confLosses > 0 ? t.confWins / (t.confWins + t.confLosses) : 0);
+  const seeded = teams
+    .filter(t => t.conference === conference)
+    .sort((a, b) => pct(b) - pct(a) || b.adjEM - a.adjEM);
+
+  return {
+    name: `${conference.toUpperCase()} Tournament`,
+    regions: [{ name: conference, teams: seeded.map((t, i) => ({ seed: i + 1, teamId: t.teamId })) }],
+  };
+}
+
+// Rated teams for a division's season with their conference records, plus the
+// division averages the win-probability model needs
+export async function fetchBracketTeams(pool: Pool, division: string, season: string) {
+  const result = await pool.query(`
+    WITH conf_results AS (
+      SELECT home_team_id as team_id, (home_score > away_score) as won
+      FROM games WHERE division = $1 AND season = $2 AND is_conference_game = true
+      UNION ALL
+      SELECT away_team_id, (away_score > home_score)
+      FROM games WHERE division = $1 AND season = $2 AND is_conference_game = true
+    )
+    SELECT
+      t.team_id, t.team_name, t.conference, t.adj_o, t.adj_d, t.adj_em, t.adj_t,
+      COUNT(*) FILTER (WHERE c.won) as conf_wins,
+      COUNT(*) FILTER (WHERE NOT c.won) as conf_losses
+    FROM teams t
+    LEFT JOIN conf_results c ON c.team_id = t.team_id
+    WHERE t.division = $1 AND t.season = $2 AND t.adj_em IS NOT NULL
+    GROUP BY t.team_id, t.team_name, t.conference, t.adj_o, t.adj_d, t.adj_em, t.adj_t
+  `, [division, season]);
+
+  const teams = new Map<string, BracketTeam>(result.rows.map(r => [String(r.team_id), {
+    teamId: String(r.team_id),
+    team: r.team_name,
+    conference: r.conference,
+    adjO: Number(r.adj_o),
+    adjD: Number(r.adj_d),
+    adjEM: Number(r.adj_em),
+    adjT: Number(r.adj_t),
+    confWins: Number(r.conf_wins),
+    confLosses: Number(r.conf_losses),
+  }]));
+
+  const all = Array.from(teams.values());
+  const avg: DivisionAverages = {
+    eff: all.reduce((sum, t) => sum + t.adjO, 0) / Math.max(1, all.length),
+    tempo: all.reduce((sum, t) => sum + t.adjT, 0) / Math.max(1, all.length),
+  };
+  return { teams, avg };
+}
@@ -0,0 +1,188 @@
+import type { Pool } from 'pg';
+import { predictGame, type DivisionAverages } from '@/lib/predictions';
+
+// Conference views: standings with projected final league records, conference
+// average ratings, and non-league results between conferences.
+
+export type ConferenceStanding = {
+  teamId: string;
+  team: string;
+  rank: number;
+  wins: number;
+  losses: number;
+  confWins: number;
+  confLosses: number;
+  adjO: number;
+  adjD: number;
+  adjEM: number;
+  adjT: number;
+  // Conference games left on the schedule and the expected final conference record
+  remaining: number;
+  projectedConfWins: number;
+  projectedConfLosses: number;
+};
+
+export type ConferenceSummary = {
+  conference: string;
+  rank: number;
+  teams: number;
+  adjO: number;
+  adjD: number;
+  adjEM: number;
+  adjT: number;
+  nonConfWins: number;
+  nonConfLosses: number;
+};
+
+// One cell of the non-league matrix: `conference`'s record against `opponent`
+export type NonLeagueResult = { conference: string; opponent: string; wins: number; losses: number };
+
+async function divisionAverages(pool: Pool, division: string, season: string): Promise<DivisionAverages> {
+  const result = await pool.query(`
+    SELECT AVG(adj_o) as eff, AVG(adj_t) as tempo
+    FROM teams
+    WHERE division = $1 AND season = $2 AND adj_o IS NOT NULL
+  `, [division, season]);
+  return { eff: Number(result.rows[0]?.eff), tempo: Number(result.rows[0]?.tempo) };
+}
+
+// Unplayed conference games from the schedule (scripts/ingest_schedule.mjs)
+async function remainingConferenceGames(pool: Pool, division: string, season: string, conference: string) {
+  const result = await pool.query(`
+    SELECT s.home_team_id, s.away_team_id, s.neutral_site
+    FROM scheduled_games s
+    WHERE s.division = $1 AND s.season = $2
+      AND s.is_conference_game = true
+      AND s.home_conference = $3 AND s.away_conference = $3
+      AND NOT EXISTS (SELECT 1 FROM games g WHERE g.game_id = s.game_id)
+  `, [division, season, conference]);
+  return result.rows.map(r => ({ homeId: String(r.home_team_id), awayId: String(r.away_team_id), neutralSite: r.neutral_site === true }));
+}
+
+export async function fetchConferenceStandings(pool: Pool, division: string, season: string, conference: string): Promise<ConferenceStanding[]> {
+  const [teamsResult, remaining, avg] = await Promise.all([
+    pool.query(`
+      WITH ranked AS (
+        SELECT team_id, team_name, conference, wins, losses, adj_o, adj_d, adj_em, adj_t,
+               RANK() OVER (ORDER BY adj_em DESC NULLS LAST) as rank
+        FROM teams
+        WHERE division = $1 AND season = $2
+      ),
+      conf_results AS (
+        SELECT home_team_id as team_id, (home_score > away_score) as won
+        FROM games WHERE division = $1 AND season = $2 AND is_conference_game = true
+        UNION ALL
+        SELECT away_team_id, (away_score > home_score)
+        FROM games WHERE division = $1 AND season = $2 AND is_conference_game = true
+      )
+      SELECT
+        r.team_id, r.team_name, r.wins, r.losses, r.adj_o, r.adj_d, r.adj_em, r.adj_t, r.rank,
+        COUNT(c.won) FILTER (WHERE c.won) as conf_wins,
+        COUNT(c.won) FILTER (WHERE NOT c.won) as conf_losses
+      FROM ranked r
+      LEFT JOIN conf_results c ON c.team_id = r.team_id
+      WHERE r.conference = $3
+      GROUP BY r.team_id, r.team_name, r.wins, r.losses, r.adj_o, r.adj_d, r.adj_em, r.adj_t, r.rank
+    `, [division, season, conference]),
+    remainingConferenceGames(pool, division, season, conference),
+    divisionAverages(pool, division, season),
+  ]);
+
+  const standings = new Map<string, ConferenceStanding>(teamsResult.rows.map(r => {
+    const confWins = Number(r.conf_wins);
+    const confLosses = Number(r.conf_losses);
+    return [String(r.team_id), {
+      teamId: String(r.team_id),
+      team: r.team_name,
+      rank: Number(r.rank),
+      wins: Number(r.wins),
+      losses: Number(r.losses),
+      confWins,
+      confLosses,
+      adjO: Number(r.adj_o),
+      adjD: Number(r.adj_d),
+      adjEM: Number(r.adj_em),
+      adjT: Number(r.adj_t),
+      remaining: 0,
+      projectedConfWins: confWins,
+      projectedConfLosses: confLosses,
+    }];
+  }));
+
+  // Each remaining game adds the win probability to one side and the rest to the other
+  for (const g of remaining) {
+    const home = standings.get(g.homeId);
+    const away = standings.get(g.awayId);
+    if (!home || !away) continue;
+    const homeWinProb = predictGame(home, away, avg, g.neutralSite).homeWinProb;
+    home.remaining++;
+    away.remaining++;
+    home.projectedConfWins += homeWinProb;
+    home.projectedConfLosses += 1 - homeWinProb;
+    away.projectedConfWins += 1 - homeWinProb;
+    away.projectedConfLosses += homeWinProb;
+  }
+
+  const pct = (w: number, l: number) => (w + l > 0 ? w / (w + l) : 0);
+  return Array.from(standings.values()).sort((a, b) =>
+    pct(b.confWins, b.confLosses) - pct(a.confWins, a.confLosses)
+    || b.confWins - a.confWins
+    || b.adjEM - a.adjEM
+  );
+}
+
+// Average ratings and non-league records for every conference in `conferences`,
+// plus the conference-vs-conference matrix of non-league results
+export async function fetchConferenceSummaries(pool: Pool, division: string, season: string, conferences: string[]) {
+  const [averagesResult, matrixResult] = await Promise.all([
+    pool.query(`
+      SELECT conference, COUNT(*) as teams,
+             AVG(adj_o) as adj_o, AVG(adj_d) as adj_d, AVG(adj_em) as adj_em, AVG(adj_t) as adj_t
+      FROM teams
+      WHERE division = $1 AND season = $2 AND conference = ANY($3) AND adj_em IS NOT NULL
+      GROUP BY conference
+    `, [division, season, conferences]),
+    pool.query(`
+      WITH results AS (
+        SELECT home_conference as conference, away_conference as opponent, (home_score > away_score) as won
+        FROM games
+        WHERE division = $1 AND season = $2 AND is_conference_game = false
+        UNION ALL
+        SELECT away_conference, home_conference, (away_score > home_score)
+        FROM games
+        WHERE division = $1 AND season = $2 AND is_conference_game = false
+      )
+      SELECT conference, opponent,
+             COUNT(*) FILTER (WHERE won) as wins,
+             COUNT(*) FILTER (WHERE NOT won) as losses
+      FROM results
+      WHERE conference = ANY($3) AND opponent = ANY($3) AND conference <> opponent
+      GROUP BY conference, opponent
+      ORDER BY conference, opponent
+    `, [division, season, conferences]),
+  ]);
+
+  const matrix: NonLeagueResult[] = matrixResult.rows.map(r => ({
+    conference: r.conference,
+    opponent: r.opponent,
+    wins: Number(r.wins),
+    losses: Number(r.losses),
+  }));
+
+  const summaries: ConferenceSummary[] = averagesResult.rows
+    .map(r => ({
+      conference: r.conference,
+      rank: 0,
+      teams: Number(r.teams),
+      adjO: Number(r.adj_o),
+      adjD: Number(r.adj_d),
+      adjEM: Number(r.adj_em),
+      adjT: Number(r.adj_t),
+      nonConfWins: matrix.filter(m => m.conference === r.conference).reduce((sum, m) => sum + m.wins, 0),
+      nonConfLosses: matrix.filter(m => m.conference === r.conference).reduce((sum, m) => sum + m.losses, 0),
+    }))
+    .sort((a, b) => b.adjEM - a.adjEM);
+  summaries.forEach((s, i) => { s.rank = i + 1; });
+
+  return { conferences: summaries, matrix };
+}
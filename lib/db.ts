@@ -0,0 +1,43 @@
+import { NextResponse } from 'next/server';
+import { Pool } from 'pg';
+
+// The one database pool every API route shares. Routes used to open a pool each,
+// which under `next dev` hot reloads meant a new set of connections per edit -
+// keep it on globalThis so reloads reuse it.
+
+const globalForDb = globalThis as unknown as { sidelinePool?: Pool };
+
+export const pool = globalForDb.sidelinePool ?? new Pool({
+  connectionString: process.env.POSTGRES_URL,
+  // A local Postgres (see scripts/migrate.mjs) doesn't speak SSL
+  ssl: process.env.POSTGRES_URL?.includes('localhost') ? false : { rejectUnauthorized: false }
+});
+
+if (process.env.NODE_ENV !== 'production') globalForDb.sidelinePool = pool;
+
+// Every table and column comes from db/migrations. A query against a database that
+// hasn't had them all applied fails with undefined_table or undefined_column.
+export function isSchemaOutOfDate(error: any) {
+  return error?.code === '42P01' || error?.code === '42703';
+}
+
+// A route's answer to a failed query: logged, then a 500 with the route's message -
+// or a 503 naming the fix when the database is behind its migrations
+export function databaseError(error: unknown, message: string) {
+  console.error('Database error:', error);
+  if (isSchemaOutOfDate(error)) {
+    return NextResponse.json({ error: 'Database schema is out of date - run npm run migrate' }, { status: 503 });
+  }
+  return NextResponse.json({ error: message }, { status: 500 });
+}
+
+// Collects query parameters and hands back their $n placeholders, so query
+// builders never paste values into SQL text
+export class SqlParams {
+  readonly values: unknown[] = [];
+
+  add(value: unknown): string {
+    this.values.push(value);
+    return `$${this.values.length}`;
+  }
+}
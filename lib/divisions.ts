@@ -0,0 +1,55 @@
+import { DIVISIONS as DIVISION_CONFIGS, isSeason as isSeasonLabel } from '@/scripts/divisions.mjs';
+
+export { PLAYERS_ON_COURT, scoreboardToday, seasonForDate, currentSeason } from '@/scripts/divisions.mjs';
+
+// The app's view of the division registry in scripts/divisions.mjs - the same
+// entries the ingest pipeline runs from, so conference membership can't drift
+// between what gets ingested and what the API serves.
+
+export type Division = {
+  id: string;
+  displayName: string;
+  level: string;
+  minutesPerGame: number;
+  overtimeMinutes: number;
+  conferences: string[];
+};
+
+export const DIVISIONS: Division[] = Object.values(DIVISION_CONFIGS).map(config => ({
+  id: config.division,
+  displayName: config.label,
+  level: config.level,
+  minutesPerGame: config.minutesPerGame,
+  overtimeMinutes: config.overtimeMinutes,
+  conferences: Array.from(config.conferences as Set<string>),
+}));
+
+const byId = new Map(DIVISIONS.map(d => [d.id, d]));
+
+export function getDivision(id: string): Division | null {
+  return byId.get(id) ?? null;
+}
+
+export function divisionLabel(id: string): string {
+  return byId.get(id)?.displayName ?? id;
+}
+
+// Game length helpers, so regulation and overtime lengths come only from the
+// division config. Games stored without a length count as regulation.
+export function gameMinutesOf(division: Division, gameMinutes: unknown): number {
+  return Number(gameMinutes) || division.minutesPerGame;
+}
+
+export function overtimesOf(division: Division, gameMinutes: number): number {
+  return Math.max(0, Math.round((gameMinutes - division.minutesPerGame) / division.overtimeMinutes));
+}
+
+// Possessions per regulation game, as adjusted_ratings.mjs tempo()
+export function tempoOf(division: Division, poss: number, gameMinutes: number): number {
+  return gameMinutes > 0 ? (poss * division.minutesPerGame) / gameMinutes : poss;
+}
+
+// "2025-26" style season label, typed as a guard for the app
+export function isSeason(s: string | null | undefined): s is string {
+  return isSeasonLabel(s);
+}
@@ -0,0 +1,146 @@
+import type { Pool } from 'pg';
+import { gameBoxStats, GAME_BOX_COLUMNS, type BoxStats } from '@/lib/teamQueries';
+import { getDivision, gameMinutesOf, overtimesOf } from '@/lib/divisions';
+
+// One game from both sides: team totals, the game's possessions, each side's four
+// factors and efficiency, and the player lines from player_games.
+
+export type FourFactors = { efg: number; tov: number; orb: number; ftr: number };
+
+export type PlayerLine = {
+  playerId: string;
+  firstName: string | null;
+  lastName: string | null;
+  number: string | null;
+  position: string | null;
+  minutes: number;
+  points: number;
+} & BoxStats;
+
+export type GameSide = {
+  teamId: string;
+  team: string;
+  conference: string | null;
+  score: number;
+  totals: BoxStats;
+  fourFactors: FourFactors;
+  // Points per 100 possessions in this game
+  efficiency: number;
+  players: PlayerLine[];
+};
+
+export type GameDetail = {
+  gameId: string;
+  gameDate: string;
+  season: string;
+  neutralSite: boolean;
+  isConferenceGame: boolean;
+  // Minutes of game clock (40, 45 after one overtime, ...) and overtimes played
+  gameMinutes: number;
+  overtimes: number;
+  possessions: number;
+  home: GameSide;
+  away: GameSide;
+};
+
+// Same estimate as scripts/adjusted_ratings.mjs
+export function possessions(s: BoxStats) {
+  return s.fga - s.orb + s.tov + 0.475 * s.fta;
+}
+
+// Percentages, from `s`'s offensive point of view against `opp`
+export function fourFactors(s: BoxStats, opp: BoxStats, poss: number): FourFactors {
+  const pct = (num: number, den: number) => (den > 0 ? (num / den) * 100 : 0);
+  return {
+    efg: pct(s.fgm + 0.5 * s.tpm, s.fga),
+    tov: pct(s.tov, poss),
+    orb: pct(s.orb, s.orb + opp.drb),
+    ftr: pct(s.fta, s.fga),
+  };
+}
+
+const toNumbers = (stats: BoxStats) =>
+  Object.fromEntries(Object.entries(stats).map(([k, v]) => [k, Number(v) || 0])) as BoxStats;
+
+// Null when the game isn't stored for this division
+export async function fetchGameDetail(pool: Pool, division: string, gameId: string): Promise<GameDetail | null> {
+  const divisionConfig = getDivision(division);
+  if (!divisionConfig) return null;
+
+  const [gameResult, playersResult] = await Promise.all([
+    pool.query(`
+      SELECT
+        game_id, game_date, season, neutral_site, is_conference_game, game_minutes,
+        home_team_id, home_team_name, home_conference, home_score,
+        away_team_id, away_team_name, away_conference, away_score,
+        ${GAME_BOX_COLUMNS}
+      FROM games
+      WHERE game_id = $1 AND division = $2
+    `, [gameId, division]),
+    pool.query(`
+      SELECT
+        pg.player_id, pg.team_id,
+        p.first_name, p.last_name, p.number, p.position,
+        pg.minutes, pg.fgm, pg.fga, pg.tpm, pg.tpa, pg.ftm, pg.fta,
+        pg.orb, pg.drb, pg.trb, pg.ast, pg.stl, pg.blk, pg.tov, pg.pf, pg.points
+      FROM player_games pg
+      LEFT JOIN players p ON p.player_id = pg.player_id AND p.season = pg.season
+      WHERE pg.game_id = $1
+      ORDER BY pg.minutes DESC NULLS LAST, pg.points DESC
+    `, [gameId]),
+  ]);
+
+  const row = gameResult.rows[0];
+  if (!row) return null;
+
+  const { homeStats, awayStats } = gameBoxStats(row);
+  const home = toNumbers(homeStats);
+  const away = toNumbers(awayStats);
+  // Both sides get the same count, the average of the two estimates
+  const poss = (possessions(home) + possessions(away)) / 2;
+  const gameMinutes = gameMinutesOf(divisionConfig, row.game_minutes);
+
+  const playersFor = (teamId: string): PlayerLine[] => playersResult.rows
+    .filter(p => String(p.team_id) === teamId)
+    .map(p => ({
+      playerId: p.player_id,
+      firstName: p.first_name,
+      lastName: p.last_name,
+      number: p.number,
+      position: p.position,
+      minutes: Number(p.minutes) || 0,
+      points: Number(p.points) || 0,
+      ...toNumbers({
+        fgm: p.fgm, fga: p.fga, tpm: p.tpm, tpa: p.tpa, ftm: p.ftm, fta: p.fta,
+        orb: p.orb, drb: p.drb, trb: p.trb, ast: p.ast, stl: p.stl, blk: p.blk, tov: p.tov, pf: p.pf,
+      }),
+    }));
+
+  const side = (prefix: 'home' | 'away', totals: BoxStats, opp: BoxStats): GameSide => {
+    const teamId = String(row[`${prefix}_team_id`]);
+    const score = Number(row[`${prefix}_score`]);
+    return {
+      teamId,
+      team: row[`${prefix}_team_name`],
+      conference: row[`${prefix}_conference`],
+      score,
+      totals,
+      fourFactors: fourFactors(totals, opp, poss),
+      efficiency: poss > 0 ? (score / poss) * 100 : 0,
+      players: playersFor(teamId),
+    };
+  };
+
+  return {
+    gameId: String(row.game_id),
+    gameDate: row.game_date instanceof Date ? row.game_date.toISOString().slice(0, 10) : String(row.game_date),
+    season: row.season,
+    neutralSite: row.neutral_site === true,
+    isConferenceGame: row.is_conference_game === true,
+    gameMinutes,
+    overtimes: overtimesOf(divisionConfig, gameMinutes),
+    possessions: poss,
+    home: side('home', home, away),
+    away: side('away', away, home),
+  };
+}
@@ -0,0 +1,131 @@
+import type { Pool } from 'pg';
+
+// Career lines for one person across seasons, teams and divisions, using the
+// player_identities table written by scripts/resolve_players.mjs.
+// A person can have several player_ids in the same team-season (old and new ID
+// formats, name spelling fixes), so stats are re-summed from player_games with
+// each game counted once rather than added up from the players rows.
+
+const STAT_KEYS = ['minutes', 'fgm', 'fga', 'tpm', 'tpa', 'ftm', 'fta', 'orb', 'drb', 'trb', 'ast', 'stl', 'blk', 'tov', 'pf', 'points'] as const;
+
+type StatKey = typeof STAT_KEYS[number];
+
+export type CareerSeason = {
+  season: string;
+  division: string;
+  teamId: string;
+  teamName: string;
+  number: number | null;
+  position: string | null;
+  year: string | null;
+  height: string | null;
+  games: number;
+  starts: number;
+} & Record<StatKey, number>;
+
+export type PlayerCareer = {
+  personId: string;
+  firstName: string;
+  lastName: string;
+  playerIds: string[];
+  seasons: CareerSeason[];
+  totals: { games: number; starts: number } & Record<StatKey, number>;
+};
+
+// personId may also be any player_id belonging to the person (player lists link by player_id)
+export async function fetchPlayerCareer(pool: Pool, personId: string): Promise<PlayerCareer | null> {
+  const idResult = await pool.query(`
+    SELECT person_id
+    FROM player_identities
+    WHERE person_id = $1 OR player_id = $1
+    ORDER BY (person_id = $1) DESC, season DESC
+    LIMIT 1
+  `, [personId]);
+  if (idResult.rows.length === 0) return null;
+  const resolvedId: string = idResult.rows[0].person_id;
+
+  const [rowsResult, gamesResult] = await Promise.all([
+    pool.query(`
+      SELECT DISTINCT ON (p.season, p.team_id)
+        p.season,
+        p.division,
+        p.team_id as "teamId",
+        p.team_name as "teamName",
+        p.first_name as "firstName",
+        p.last_name as "lastName",
+        p.number,
+        p.position,
+        p.year,
+        p.height,
+        p.games,
+        p.starts,
+        p.minutes,
+        p.fgm, p.fga, p.tpm, p.tpa, p.ftm, p.fta,
+        p.orb, p.drb, p.trb, p.ast, p.stl, p.blk, p.tov, p.pf, p.points,
+        array_agg(p.player_id) OVER (PARTITION BY p.season, p.team_id) as "playerIds"
+      FROM player_identities i
+      JOIN players p ON p.player_id = i.player_id AND p.season = i.season
+      WHERE i.person_id = $1
+      ORDER BY p.season, p.team_id, p.minutes DESC
+    `, [resolvedId]),
+    pool.query(`
+      SELECT
+        g.season,
+        g.team_id as "teamId",
+        COUNT(*) FILTER (WHERE g.minutes > 0 OR g.points > 0) as games,
+        SUM(g.minutes) as minutes,
+        SUM(g.fgm) as fgm, SUM(g.fga) as fga, SUM(g.tpm) as tpm, SUM(g.tpa) as tpa,
+        SUM(g.ftm) as ftm, SUM(g.fta) as fta, SUM(g.orb) as orb, SUM(g.drb) as drb,
+        SUM(g.trb) as trb, SUM(g.ast) as ast, SUM(g.stl) as stl, SUM(g.blk) as blk,
+        SUM(g.tov) as tov, SUM(g.pf) as pf, SUM(g.points) as points
+      FROM (
+        SELECT DISTINCT ON (pg.game_id) pg.*
+        FROM player_identities i
+        JOIN player_games pg ON pg.player_id = i.player_id AND pg.season = i.season
+        WHERE i.person_id = $1
+        ORDER BY pg.game_id, pg.minutes DESC
+      ) g
+      GROUP BY g.season, g.team_id
+    `, [resolvedId]),
+  ]);
+  if (rowsResult.rows.length === 0) return null;
+
+  const gameTotals = new Map(gamesResult.rows.map(r => [`${r.season}|${r.teamId}`, r]));
+
+  const seasons: CareerSeason[] = rowsResult.rows.map(row => {
+    // Fall back to the players row when there are no per-game rows for the season
+    const fromGames = gameTotals.get(`${row.season}|${row.teamId}`);
+    const source = fromGames ?? row;
+    const stats = Object.fromEntries(STAT_KEYS.map(k => [k, Number(source[k]) || 0])) as Record<StatKey, number>;
+    return {
+      season: row.season,
+      division: row.division,
+      teamId: String(row.teamId),
+      teamName: row.teamName,
+      number: row.number != null ? Number(row.number) : null,
+      position: row.position || null,
+      year: row.year || null,
+      height: row.height != null ? String(row.height) : null,
+      games: Number(source.games) || 0,
+      starts: Number(row.starts) || 0,
+      ...stats,
+    };
+  });
+
+  const totals = { games: 0, starts: 0, ...Object.fromEntries(STAT_KEYS.map(k => [k, 0])) } as PlayerCareer['totals'];
+  for (const s of seasons) {
+    totals.games += s.games;
+    totals.starts += s.starts;
+    for (const k of STAT_KEYS) totals[k] += s[k];
+  }
+
+  const latest = rowsResult.rows[rowsResult.rows.length - 1];
+  return {
+    personId: resolvedId,
+    firstName: latest.firstName,
+    lastName: latest.lastName,
+    playerIds: Array.from(new Set<string>(rowsResult.rows.flatMap(r => r.playerIds as string[]))),
+    seasons,
+    totals,
+  };
+}
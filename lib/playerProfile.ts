@@ -0,0 +1,206 @@
+import type { Pool } from 'pg';
+import type { GameLocation } from '@/lib/teamQueries';
+import { advancedColumns, toPlayerTotals, type AdvancedStats, type PlayerTotals } from '@/lib/playerStats';
+
+// One player's season in one division: bio, the advanced stats stored in
+// player_advanced, the game log from player_games, conference/non-conference
+// splits, recent form, and percentile ranks against the division's regulars.
+// Advanced stats and percentiles are null until the pipeline has computed them.
+
+export type GameLogEntry = PlayerTotals & {
+  gameId: string;
+  gameDate: string;
+  opponentId: string;
+  opponent: string;
+  location: GameLocation;
+  isConferenceGame: boolean;
+  won: boolean;
+  teamScore: number;
+  oppScore: number;
+  trb: number;
+};
+
+// Per-game averages and shooting over a set of games
+export type SplitLine = {
+  games: number;
+  mpg: number; ppg: number; rpg: number; apg: number; spg: number; bpg: number; topg: number;
+  fgPct: number; threePct: number; ftPct: number; efg: number; ts: number;
+};
+
+// Higher is better unless listed in LOWER_IS_BETTER
+export const PERCENTILE_METRICS = ['ppg', 'rpg', 'apg', 'ortg', 'usagePct', 'efg', 'ts', 'orPct', 'drPct', 'aRate', 'toRate', 'blkPct', 'stlPct'] as const;
+export type PercentileMetric = typeof PERCENTILE_METRICS[number];
+const LOWER_IS_BETTER: PercentileMetric[] = ['toRate'];
+
+// Players under this share of their team's minutes don't enter the percentile pool
+export const PERCENTILE_MIN_PCT = 40;
+
+export type PlayerProfile = {
+  player: PlayerTotals & {
+    playerId: string;
+    firstName: string;
+    lastName: string;
+    teamId: string;
+    teamName: string;
+    number: string | null;
+    position: string | null;
+    year: string | null;
+    height: number | null;
+    games: number;
+    starts: number;
+    trb: number;
+  };
+  advanced: AdvancedStats | null;
+  gameLog: GameLogEntry[];
+  splits: { season: SplitLine; conference: SplitLine; nonConference: SplitLine };
+  trend: { lastN: number; recent: SplitLine };
+  percentiles: Record<PercentileMetric, number> | null;
+  percentilePool: number;
+};
+
+export function splitLine(games: (PlayerTotals & { trb: number })[]): SplitLine {
+  const sum = (key: keyof (PlayerTotals & { trb: number })) => games.reduce((total, g) => total + g[key], 0);
+  const n = games.length;
+  const per = (v: number) => (n > 0 ? v / n : 0);
+  const pct = (num: number, den: number) => (den > 0 ? (num / den) * 100 : 0);
+  const fga = sum('fga');
+  const fta = sum('fta');
+  const points = sum('points');
+  return {
+    games: n,
+    mpg: per(sum('minutes')),
+    ppg: per(points),
+    rpg: per(sum('trb')),
+    apg: per(sum('ast')),
+    spg: per(sum('stl')),
+    bpg: per(sum('blk')),
+    topg: per(sum('tov')),
+    fgPct: pct(sum('fgm'), fga),
+    threePct: pct(sum('tpm'), sum('tpa')),
+    ftPct: pct(sum('ftm'), fta),
+    efg: pct(sum('fgm') + 0.5 * sum('tpm'), fga),
+    ts: pct(points, 2 * (fga + 0.475 * fta)),
+  };
+}
+
+// The row's player_advanced columns, or null when it has none
+function storedAdvanced(r: any): AdvancedStats | null {
+  return r.minPct == null ? null : {
+    minPct: r.minPct, ortg: r.ortg, usagePct: r.usagePct, shotPct: r.shotPct, efg: r.efg, ts: r.ts,
+    orPct: r.orPct, drPct: r.drPct, aRate: r.aRate, toRate: r.toRate, blkPct: r.blkPct, stlPct: r.stlPct,
+    fc40: r.fc40, ftRate: r.ftRate, ftPct: r.ftPct, twoPct: r.twoPct, threePct: r.threePct,
+  };
+}
+
+// Per-game scoring, rebounding and assists next to the advanced metrics
+function percentileValues(r: any, advanced: AdvancedStats) {
+  const games = Number(r.games) || 0;
+  const per = (v: any) => (games > 0 ? (Number(v) || 0) / games : 0);
+  return { ...advanced, ppg: per(r.points), rpg: per(r.trb), apg: per(r.ast) };
+}
+
+// Share of the pool below `value` (ties count half), 0-100
+function percentile(value: number, pool: number[], lowerIsBetter: boolean) {
+  if (pool.length === 0) return 0;
+  let below = 0;
+  let ties = 0;
+  for (const v of pool) {
+    if (v === value) ties++;
+    else if (lowerIsBetter ? v > value : v < value) below++;
+  }
+  return ((below + ties / 2) / pool.length) * 100;
+}
+
+// Null when the player has no row for this division and season
+export async function fetchPlayerProfile(pool: Pool, division: string, season: string, playerId: string, lastN: number): Promise<PlayerProfile | null> {
+  const [divisionResult, logResult] = await Promise.all([
+    pool.query(`
+      SELECT
+        p.player_id, p.first_name, p.last_name, p.team_id, p.team_name,
+        p.number, p.position, p.year, p.height, p.games, p.starts,
+        p.minutes, p.fgm, p.fga, p.tpm, p.tpa, p.ftm, p.fta,
+        p.orb, p.drb, p.trb, p.ast, p.stl, p.blk, p.tov, p.pf, p.points,
+        ${advancedColumns('pa')}
+      FROM players p
+      LEFT JOIN player_advanced pa ON pa.player_id = p.player_id AND pa.season = p.season
+      WHERE p.division = $1 AND p.season = $2
+    `, [division, season]),
+    pool.query(`
+      SELECT
+        g.game_id, g.game_date, g.neutral_site, g.is_conference_game,
+        g.home_team_id, g.home_team_name, g.home_score,
+        g.away_team_id, g.away_team_name, g.away_score,
+        pg.team_id,
+        pg.minutes, pg.fgm, pg.fga, pg.tpm, pg.tpa, pg.ftm, pg.fta,
+        pg.orb, pg.drb, pg.trb, pg.ast, pg.stl, pg.blk, pg.tov, pg.pf, pg.points
+      FROM player_games pg
+      JOIN games g ON g.game_id = pg.game_id
+      WHERE pg.player_id = $1 AND pg.season = $2 AND g.division = $3
+      ORDER BY g.game_date, g.game_id
+    `, [playerId, season, division]),
+  ]);
+
+  const row = divisionResult.rows.find(r => r.player_id === playerId);
+  if (!row) return null;
+
+  const gameLog: GameLogEntry[] = logResult.rows.map(r => {
+    const isHome = String(r.home_team_id) === String(r.team_id);
+    const teamScore = Number(isHome ? r.home_score : r.away_score);
+    const oppScore = Number(isHome ? r.away_score : r.home_score);
+    return {
+      gameId: String(r.game_id),
+      gameDate: r.game_date instanceof Date ? r.game_date.toISOString().slice(0, 10) : String(r.game_date),
+      opponentId: String(isHome ? r.away_team_id : r.home_team_id),
+      opponent: isHome ? r.away_team_name : r.home_team_name,
+      location: r.neutral_site === true ? 'neutral' : isHome ? 'home' : 'away',
+      isConferenceGame: r.is_conference_game === true,
+      won: teamScore > oppScore,
+      teamScore,
+      oppScore,
+      ...toPlayerTotals(r),
+      trb: Number(r.trb) || 0,
+    };
+  });
+
+  // Percentile pool: the division's regulars
+  const regulars = divisionResult.rows
+    .filter(r => r.minPct != null && r.minPct >= PERCENTILE_MIN_PCT)
+    .map(r => percentileValues(r, storedAdvanced(r)));
+
+  const totals = toPlayerTotals(row);
+  const games = Number(row.games) || 0;
+  const advanced = storedAdvanced(row);
+  const own = advanced && percentileValues(row, advanced);
+  const percentiles = own && Object.fromEntries(PERCENTILE_METRICS.map(m => [
+    m,
+    percentile(own[m], regulars.map(p => p[m]), LOWER_IS_BETTER.includes(m)),
+  ])) as Record<PercentileMetric, number>;
+
+  return {
+    player: {
+      playerId: row.player_id,
+      firstName: row.first_name,
+      lastName: row.last_name,
+      teamId: String(row.team_id),
+      teamName: row.team_name,
+      number: row.number,
+      position: row.position,
+      year: row.year,
+      height: row.height != null ? Number(row.height) : null,
+      games,
+      starts: Number(row.starts) || 0,
+      ...totals,
+      trb: Number(row.trb) || 0,
+    },
+    advanced,
+    gameLog,
+    splits: {
+      season: splitLine(gameLog),
+      conference: splitLine(gameLog.filter(g => g.isConferenceGame)),
+      nonConference: splitLine(gameLog.filter(g => !g.isConferenceGame)),
+    },
+    trend: { lastN, recent: splitLine(gameLog.slice(-lastN)) },
+    percentiles,
+    percentilePool: regulars.length,
+  };
+}
@@ -0,0 +1,48 @@
+import {
+  computePlayerAdvanced,
+  PLAYER_ADVANCED_COLUMNS,
+  toPlayerTotals as playerTotalsFromRow,
+  toTeamTotals as teamTotalsFromRow,
+} from '@/scripts/player_advanced.mjs';
+import type { Division } from '@/lib/divisions';
+
+// The app's view of scripts/player_advanced.mjs. Season numbers are read from the
+// player_advanced table the pipeline fills; advancedStats is only for totals the
+// API re-sums itself (conference-only and home/away splits), and runs the same code.
+
+export type PlayerTotals = {
+  minutes: number; fgm: number; fga: number; tpm: number; tpa: number; ftm: number; fta: number;
+  orb: number; drb: number; ast: number; stl: number; blk: number; tov: number; pf: number; points: number;
+};
+
+export type TeamTotals = {
+  games: number; minutes: number; points: number;
+  fgm: number; fga: number; tpm: number; tpa: number; ftm: number; fta: number;
+  orb: number; trb: number; ast: number; tov: number;
+  opp_fga: number; opp_tpa: number; opp_fta: number; opp_orb: number; opp_trb: number; opp_tov: number;
+};
+
+export type AdvancedStats = {
+  minPct: number; ortg: number; usagePct: number; shotPct: number; efg: number; ts: number;
+  orPct: number; drPct: number; aRate: number; toRate: number; blkPct: number; stlPct: number;
+  fc40: number; ftRate: number; ftPct: number; twoPct: number; threePct: number;
+};
+
+export function toPlayerTotals(row: any): PlayerTotals {
+  return playerTotalsFromRow(row) as PlayerTotals;
+}
+
+export function toTeamTotals(row: any, prefix = ''): TeamTotals {
+  return teamTotalsFromRow(row, prefix) as TeamTotals;
+}
+
+export function advancedStats(pg: PlayerTotals, team: TeamTotals, division: Division): AdvancedStats {
+  return computePlayerAdvanced(pg, team, division);
+}
+
+// player_advanced columns as the camelCase metric keys, for a table aliased `alias`
+export function advancedColumns(alias: string) {
+  return Object.entries(PLAYER_ADVANCED_COLUMNS)
+    .map(([key, column]) => `${alias}.${column} as "${key}"`)
+    .join(',\n        ');
+}
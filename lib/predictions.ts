@@ -0,0 +1,50 @@
+import { HOME_COURT_ADVANTAGE } from '@/scripts/rating_constants.mjs';
+
+// Game prediction engine.
+// Projects a matchup from the two teams' opponent-adjusted ratings (teams.adj_*),
+// the same way the ratings are built: tempo sets the possessions, each offense is
+// scaled by how the opposing defense compares to the division average, and
+// home court is added back on top.
+
+// Same home-court edge the ratings were solved with
+export { HOME_COURT_ADVANTAGE };
+
+// Spread of actual margins around the projected margin, in points
+export const MARGIN_STDDEV = 11;
+
+export type TeamRating = { adjO: number; adjD: number; adjT: number };
+export type DivisionAverages = { eff: number; tempo: number };
+
+export type Prediction = {
+  possessions: number;
+  homeScore: number;
+  awayScore: number;
+  margin: number;
+  homeWinProb: number;
+};
+
+// Standard normal CDF (Abramowitz-Stegun 7.1.26 erf approximation)
+function normalCdf(z: number) {
+  const x = Math.abs(z) / Math.SQRT2;
+  const t = 1 / (1 + 0.3275911 * x);
+  const erf = 1 - (((((1.061405429 * t - 1.453152027) * t) + 1.421413741) * t - 0.284496736) * t + 0.254829592) * t * Math.exp(-x * x);
+  return z >= 0 ? 0.5 * (1 + erf) : 0.5 * (1 - erf);
+}
+
+export function winProbability(margin: number) {
+  return normalCdf(margin / MARGIN_STDDEV);
+}
+
+export function predictGame(home: TeamRating, away: TeamRating, avg: DivisionAverages, neutral = false): Prediction {
+  const hca = neutral ? 0 : HOME_COURT_ADVANTAGE;
+  const possessions = (home.adjT * away.adjT) / avg.tempo;
+
+  const homeEff = (home.adjO * away.adjD) / avg.eff * (1 + hca);
+  const awayEff = (away.adjO * home.adjD) / avg.eff * (1 - hca);
+
+  const homeScore = (homeEff * possessions) / 100;
+  const awayScore = (awayEff * possessions) / 100;
+  const margin = homeScore - awayScore;
+
+  return { possessions, homeScore, awayScore, margin, homeWinProb: winProbability(margin) };
+}
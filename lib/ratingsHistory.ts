@@ -0,0 +1,86 @@
+import type { Pool } from 'pg';
+import { NO_RESUME_METRICS } from '@/lib/resume';
+
+// Reads from ratings_history, the daily snapshots written by scripts/ingest.mjs.
+// A team's rating "as of" a date is its most recent snapshot on or before it.
+
+// Teams-route rows as of a date, in the live query's shape: the snapshots carry no
+// raw ratings, box totals or resume numbers, so those fields are null
+export async function fetchRatingsAsOf(pool: Pool, division: string, season: string, conferences: string[], asOf: string) {
+  const result = await pool.query(`
+    SELECT
+      t.team_id as "teamId",
+      t.team_name as "team",
+      t.conference,
+      h.games, h.wins, h.losses,
+      h.adj_o as "adjO",
+      h.adj_d as "adjD",
+      h.adj_em as "adjEM",
+      h.adj_t as "adjT",
+      h.snapshot_date as "updated"
+    FROM (
+      SELECT DISTINCT ON (team_id) *
+      FROM ratings_history
+      WHERE division = $1 AND season = $2 AND snapshot_date <= $4
+      ORDER BY team_id, snapshot_date DESC
+    ) h
+    JOIN teams t ON t.team_id = h.team_id AND t.division = h.division AND t.season = h.season
+    WHERE t.conference = ANY($3)
+    ORDER BY h.adj_em DESC
+  `, [division, season, conferences, asOf]);
+
+  return result.rows.map(row => ({
+    ...row,
+    games: Number(row.games),
+    wins: row.wins != null ? Number(row.wins) : null,
+    losses: row.losses != null ? Number(row.losses) : null,
+    adjO: row.adjO != null ? parseFloat(row.adjO) : null,
+    adjD: row.adjD != null ? parseFloat(row.adjD) : null,
+    adjEM: row.adjEM != null ? parseFloat(row.adjEM) : null,
+    adjT: row.adjT != null ? parseFloat(row.adjT) : null,
+    rawO: null,
+    rawD: null,
+    rawEM: null,
+    rawT: null,
+    points: null,
+    opp_points: null,
+    fga: null,
+    orb: null,
+    tov: null,
+    fta: null,
+    opp_fga: null,
+    opp_orb: null,
+    opp_tov: null,
+    opp_fta: null,
+    ...NO_RESUME_METRICS,
+  }));
+}
+
+// One team's snapshots for a season, oldest first
+export async function fetchTeamRatingsHistory(pool: Pool, division: string, teamId: string, season: string) {
+  const result = await pool.query(`
+    SELECT
+      snapshot_date as "date",
+      rank,
+      games, wins, losses,
+      adj_o as "adjO",
+      adj_d as "adjD",
+      adj_em as "adjEM",
+      adj_t as "adjT"
+    FROM ratings_history
+    WHERE division = $1 AND team_id = $2 AND season = $3
+    ORDER BY snapshot_date
+  `, [division, teamId, season]);
+
+  return result.rows.map(row => ({
+    date: row.date instanceof Date ? row.date.toISOString().slice(0, 10) : String(row.date),
+    rank: Number(row.rank),
+    games: Number(row.games),
+    wins: row.wins != null ? Number(row.wins) : null,
+    losses: row.losses != null ? Number(row.losses) : null,
+    adjO: parseFloat(row.adjO),
+    adjD: parseFloat(row.adjD),
+    adjEM: parseFloat(row.adjEM),
+    adjT: parseFloat(row.adjT),
+  }));
+}
@@ -0,0 +1,177 @@
+import type { Pool } from 'pg';
+import { predictGame, HOME_COURT_ADVANTAGE, type TeamRating, type DivisionAverages } from '@/lib/predictions';
+import type { GameLocation } from '@/lib/teamQueries';
+
+// Strength of schedule and resume numbers, computed from the games table against
+// the current adjusted ratings. Only games between two rated teams of the division
+// count, the way the NET ignores games against non-Division I opponents.
+
+export type WinLoss = { wins: number; losses: number };
+
+export type ResumeMetrics = {
+  // Mean opponent adjEM, with the opponent's home court added back in (points per 100)
+  sos: number | null;
+  sosRank: number | null;
+  // The same over non-conference games only
+  ncSos: number | null;
+  ncSosRank: number | null;
+  // Plain mean opponent adjEM, ignoring venue
+  oppAdjEM: number | null;
+  quadrants: { q1: WinLoss; q2: WinLoss; q3: WinLoss; q4: WinLoss };
+  // Wins minus the wins a bubble team would expect against the same schedule
+  wab: number | null;
+  wabRank: number | null;
+};
+
+// Every resume field, blank - for teams with no rated opponents and asOf rankings
+export const NO_RESUME_METRICS: { [K in keyof ResumeMetrics]: null } = {
+  sos: null,
+  sosRank: null,
+  ncSos: null,
+  ncSosRank: null,
+  oppAdjEM: null,
+  quadrants: null,
+  wab: null,
+  wabRank: null,
+};
+
+type RatedTeam = TeamRating & { teamId: string; adjEM: number; rank: number };
+
+type ResultGame = {
+  homeId: string;
+  awayId: string;
+  homeScore: number;
+  awayScore: number;
+  neutralSite: boolean;
+  isConferenceGame: boolean;
+};
+
+// Highest opponent rank that still lands in Q1, Q2 and Q3 for each venue (NET cutoffs).
+// Every division uses the Division I numbers so quadrants read the same everywhere.
+const QUADRANT_CUTOFFS: { [L in GameLocation]: [number, number, number] } = {
+  home: [30, 75, 160],
+  neutral: [50, 100, 200],
+  away: [75, 135, 240],
+};
+
+// The bubble team sits at this share of the division's rankings - about 45th of
+// 360 in Division I, where the last at-large bids usually fall
+const BUBBLE_PERCENTILE = 0.125;
+
+export function quadrant(oppRank: number, location: GameLocation): 1 | 2 | 3 | 4 {
+  const [q1, q2, q3] = QUADRANT_CUTOFFS[location];
+  if (oppRank <= q1) return 1;
+  if (oppRank <= q2) return 2;
+  if (oppRank <= q3) return 3;
+  return 4;
+}
+
+const mean = (values: number[]) =>
+  values.length > 0 ? values.reduce((sum, v) => sum + v, 0) / values.length : null;
+
+// 1 = best, higher values first; teams without a value get no rank
+function rankBy(metrics: Map<string, ResumeMetrics>, key: 'sos' | 'ncSos' | 'wab', rankKey: 'sosRank' | 'ncSosRank' | 'wabRank') {
+  const ordered = Array.from(metrics.values())
+    .filter(m => m[key] != null)
+    .sort((a, b) => b[key] - a[key]);
+  ordered.forEach((m, i) => { m[rankKey] = i + 1; });
+}
+
+export function computeResumeMetrics(games: ResultGame[], teams: RatedTeam[]): Map<string, ResumeMetrics> {
+  const metrics = new Map<string, ResumeMetrics>();
+  if (teams.length === 0) return metrics;
+
+  const byId = new Map(teams.map(t => [t.teamId, t]));
+  const avg: DivisionAverages = {
+    eff: mean(teams.map(t => t.adjO)) ?? 0,
+    tempo: mean(teams.map(t => t.adjT)) ?? 0,
+  };
+  // Home court in adjEM terms: the home offense gains what the road offense loses
+  const homeCourtPoints = 2 * HOME_COURT_ADVANTAGE * avg.eff;
+
+  const ranked = [...teams].sort((a, b) => a.rank - b.rank);
+  const bubble = ranked[Math.max(0, Math.round(ranked.length * BUBBLE_PERCENTILE) - 1)];
+
+  const schedule = new Map<string, { opp: RatedTeam; location: GameLocation; won: boolean; conference: boolean }[]>();
+  for (const t of teams) schedule.set(t.teamId, []);
+
+  for (const g of games) {
+    const home = byId.get(g.homeId);
+    const away = byId.get(g.awayId);
+    if (!home || !away || home === away) continue;
+    const homeWon = g.homeScore > g.awayScore;
+    schedule.get(home.teamId).push({ opp: away, location: g.neutralSite ? 'neutral' : 'home', won: homeWon, conference: g.isConferenceGame });
+    schedule.get(away.teamId).push({ opp: home, location: g.neutralSite ? 'neutral' : 'away', won: !homeWon, conference: g.isConferenceGame });
+  }
+
+  for (const [teamId, played] of Array.from(schedule)) {
+    const venueRating = (p: { opp: RatedTeam; location: GameLocation }) =>
+      p.opp.adjEM + (p.location === 'away' ? homeCourtPoints : p.location === 'home' ? -homeCourtPoints : 0);
+
+    const quadrants = { q1: { wins: 0, losses: 0 }, q2: { wins: 0, losses: 0 }, q3: { wins: 0, losses: 0 }, q4: { wins: 0, losses: 0 } };
+    let wab = 0;
+    for (const p of played) {
+      const q = quadrants[`q${quadrant(p.opp.rank, p.location)}`];
+      if (p.won) q.wins++; else q.losses++;
+
+      // Bubble team's chance of winning this game at the same venue
+      const neutral = p.location === 'neutral';
+      const bubbleWinProb = p.location === 'away'
+        ? 1 - predictGame(p.opp, bubble, avg, neutral).homeWinProb
+        : predictGame(bubble, p.opp, avg, neutral).homeWinProb;
+      wab += (p.won ? 1 : 0) - bubbleWinProb;
+    }
+
+    metrics.set(teamId, {
+      sos: mean(played.map(venueRating)),
+      sosRank: null,
+      ncSos: mean(played.filter(p => !p.conference).map(venueRating)),
+      ncSosRank: null,
+      oppAdjEM: mean(played.map(p => p.opp.adjEM)),
+      quadrants,
+      wab: played.length > 0 ? wab : null,
+      wabRank: null,
+    });
+  }
+
+  rankBy(metrics, 'sos', 'sosRank');
+  rankBy(metrics, 'ncSos', 'ncSosRank');
+  rankBy(metrics, 'wab', 'wabRank');
+  return metrics;
+}
+
+// Resume metrics for every rated team in a division's season, keyed by team id
+export async function fetchResumeMetrics(pool: Pool, division: string, season: string) {
+  const [teamsResult, gamesResult] = await Promise.all([
+    pool.query(`
+      SELECT team_id, adj_o, adj_d, adj_em, adj_t,
+             RANK() OVER (ORDER BY adj_em DESC) as rank
+      FROM teams
+      WHERE division = $1 AND season = $2 AND adj_em IS NOT NULL
+    `, [division, season]),
+    pool.query(`
+      SELECT home_team_id, away_team_id, home_score, away_score, neutral_site, is_conference_game
+      FROM games
+      WHERE division = $1 AND season = $2
+    `, [division, season]),
+  ]);
+
+  const teams: RatedTeam[] = teamsResult.rows.map(r => ({
+    teamId: String(r.team_id),
+    adjO: Number(r.adj_o),
+    adjD: Number(r.adj_d),
+    adjEM: Number(r.adj_em),
+    adjT: Number(r.adj_t),
+    rank: Number(r.rank),
+  }));
+  const games: ResultGame[] = gamesResult.rows.map(r => ({
+    homeId: String(r.home_team_id),
+    awayId: String(r.away_team_id),
+    homeScore: Number(r.home_score),
+    awayScore: Number(r.away_score),
+    neutralSite: r.neutral_site === true,
+    isConferenceGame: r.is_conference_game === true,
+  }));
+
+  return computeResumeMetrics(games, teams);
+}
@@ -0,0 +1,38 @@
+import { currentSeason, isSeason } from '@/lib/divisions';
+
+// Seasons are labelled by academic year ("2025-26"), the same labels scripts/ingest.mjs
+// writes to every table's season column. The rollover itself lives in
+// scripts/divisions.mjs, shared with the ingest pipeline.
+
+export { seasonForDate, currentSeason, isSeason } from '@/lib/divisions';
+
+// The first season with data in the database
+export const FIRST_SEASON = '2025-26';
+
+// Every season from FIRST_SEASON to the current one, newest first
+export function listSeasons(): string[] {
+  const seasons: string[] = [];
+  const first = Number(FIRST_SEASON.slice(0, 4));
+  for (let year = Number(currentSeason().slice(0, 4)); year >= first; year--) {
+    seasons.push(`${year}-${String((year + 1) % 100).padStart(2, '0')}`);
+  }
+  return seasons;
+}
+
+// ?season= on an API request: the current season when absent, null when malformed
+export function seasonParam(searchParams: URLSearchParams): string | null {
+  const season = searchParams.get('season');
+  if (season === null || season === '') return currentSeason();
+  return isSeason(season) ? season : null;
+}
+
+// Adds ?season= to a page or API path, leaving current-season URLs unchanged
+export function withSeason(path: string, season: string | null | undefined): string {
+  if (!season || season === currentSeason()) return path;
+  return `${path}${path.includes('?') ? '&' : '?'}season=${season}`;
+}
+
+// ?season= on a page: anything missing or malformed means the current season
+export function pageSeason(value: string | string[] | undefined): string {
+  return typeof value === 'string' && isSeason(value) ? value : currentSeason();
+}
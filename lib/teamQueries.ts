@@ -0,0 +1,116 @@
+import { SqlParams } from '@/lib/db';
+import { PLAYERS_ON_COURT } from '@/lib/divisions';
+
+// Query builders for the "team side vs opponent side" shape of the games table.
+// A game row stores both teams (home_x / away_x); for one team's view every stat is
+// picked from whichever side the team was on. Values always go through SqlParams -
+// the builders only ever splice $n placeholders into the SQL text.
+
+// Box score columns kept per side on games (home_fgm, away_fgm, ...)
+export const BOX_STATS = ['fgm', 'fga', 'tpm', 'tpa', 'ftm', 'fta', 'orb', 'drb', 'trb', 'ast', 'stl', 'blk', 'tov', 'pf'] as const;
+
+export type BoxStats = Record<typeof BOX_STATS[number], number>;
+
+export const GAME_BOX_COLUMNS = [
+  ...BOX_STATS.map(s => `home_${s}`),
+  ...BOX_STATS.map(s => `away_${s}`),
+].join(', ');
+
+function assertPlaceholder(ref: string) {
+  if (!/^\$\d+$/.test(ref)) throw new Error(`Expected a $n placeholder, got ${ref}`);
+}
+
+// CASE picking the team's side (or the opponent's) of a home_/away_ column pair
+function side(team: string, column: string, opponent = false) {
+  const [mine, theirs] = opponent ? ['away', 'home'] : ['home', 'away'];
+  return `CASE WHEN home_team_id = ${team} THEN ${mine}_${column} ELSE ${theirs}_${column} END`;
+}
+
+// games / wins / losses / minutes / points / opp_points and every box stat with its
+// opp_ twin, summed over the selected games from the point of view of `team` (a
+// placeholder). minutes are team minutes: PLAYERS_ON_COURT per minute of game clock.
+export function teamSideAggregates(team: string) {
+  assertPlaceholder(team);
+  const scored = side(team, 'score');
+  const allowed = side(team, 'score', true);
+  return [
+    'COUNT(*) as games',
+    `SUM(CASE WHEN ${scored} > ${allowed} THEN 1 ELSE 0 END) as wins`,
+    `SUM(CASE WHEN ${scored} < ${allowed} THEN 1 ELSE 0 END) as losses`,
+    `SUM(game_minutes) * ${PLAYERS_ON_COURT} as minutes`,
+    `SUM(${scored}) as points`,
+    `SUM(${allowed}) as opp_points`,
+    ...BOX_STATS.map(s => `SUM(${side(team, s)}) as ${s}`),
+    ...BOX_STATS.map(s => `SUM(${side(team, s, true)}) as opp_${s}`),
+  ].join(',\n        ');
+}
+
+export const TEAM_TOTAL_KEYS = [
+  'games', 'wins', 'losses', 'minutes', 'points', 'opp_points',
+  ...BOX_STATS,
+  ...BOX_STATS.map(s => `opp_${s}`),
+];
+
+// teamSideAggregates row -> numbers (SUM comes back from pg as a string)
+export function parseTeamTotals(row: any): Record<string, number> {
+  return Object.fromEntries(TEAM_TOTAL_KEYS.map(k => [k, parseInt(row?.[k]) || 0]));
+}
+
+// Where the team played: its own court, the opponent's, or a neutral site
+export const GAME_LOCATIONS = ['home', 'away', 'neutral'] as const;
+
+export type GameLocation = typeof GAME_LOCATIONS[number];
+
+// Condition on a games row (optionally aliased) for one team's location
+export function locationCondition(team: string, location: GameLocation, alias = '') {
+  assertPlaceholder(team);
+  const col = (name: string) => (alias ? `${alias}.${name}` : name);
+  if (location === 'neutral') return `${col('neutral_site')} = true`;
+  const side = location === 'home' ? col('home_team_id') : col('away_team_id');
+  return `(${side} = ${team} AND ${col('neutral_site')} = false)`;
+}
+
+export type TeamGamesFilter = {
+  teamId: string;
+  season: string;
+  division?: string;
+  // Only games against teams from this conference
+  opponentConference?: string;
+  // Only games where both teams are in one of these conferences
+  conferences?: string[];
+  // Only games the feed flags as conference games
+  conferenceGamesOnly?: boolean;
+  location?: GameLocation;
+};
+
+// WHERE conditions (without the WHERE) for one team's games. `team` is the
+// placeholder used for teamId, for teamSideAggregates to share.
+export function teamGamesWhere(params: SqlParams, filter: TeamGamesFilter) {
+  const team = params.add(filter.teamId);
+  const season = params.add(filter.season);
+  const conditions = [`(home_team_id = ${team} OR away_team_id = ${team})`, `season = ${season}`];
+
+  if (filter.division) conditions.push(`division = ${params.add(filter.division)}`);
+  if (filter.conferenceGamesOnly) conditions.push('is_conference_game = true');
+  if (filter.location) conditions.push(locationCondition(team, filter.location));
+
+  if (filter.opponentConference) {
+    conditions.push(`(CASE WHEN home_team_id = ${team} THEN away_team_id ELSE home_team_id END) IN (
+        SELECT team_id FROM teams WHERE season = ${season} AND conference = ${params.add(filter.opponentConference)}
+      )`);
+  }
+
+  if (filter.conferences) {
+    const inConferences = `(SELECT team_id FROM teams WHERE season = ${season} AND conference = ANY(${params.add(filter.conferences)}))`;
+    conditions.push(`home_team_id IN ${inConferences}`, `away_team_id IN ${inConferences}`);
+  }
+
+  return { where: conditions.join('\n        AND '), team };
+}
+
+// home_/away_ box columns of a games row -> { homeStats, awayStats }
+export function gameBoxStats(row: any): { homeStats: BoxStats; awayStats: BoxStats } {
+  const pickSide = (prefix: string) =>
+    Object.fromEntries(BOX_STATS.map(s => [s, row[`${prefix}_${s}`]])) as BoxStats;
+  return { homeStats: pickSide('home'), awayStats: pickSide('away') };
+}
@@ -1,3 +1,15 @@
 /** @type {import('next').NextConfig} */
-const nextConfig = {};
+const nextConfig = {
+  async rewrites() {
+    return [
+      // The D2 API used to live at /api/{division}/team/{id}; keep those URLs
+      // working on top of the shared /api/[division]/teams tree
+      {
+        source: '/api/:division/team/:teamId/:path*',
+        destination: '/api/:division/teams/:teamId/:path*',
+      },
+    ];
+  },
+};
+
 module.exports = nextConfig;
@@ -0,0 +1,168 @@
+import * as db from "./db_writer.mjs";
+import { PLAYERS_ON_COURT, getDivisionConfig } from "./divisions.mjs";
+import { HOME_COURT_ADVANTAGE } from "./rating_constants.mjs";
+
+// Opponent-adjusted efficiency ratings.
+//
+// Raw ratings are season points per 100 possessions, regardless of who a team
+// played or where. Adjusted ratings re-solve every game against the opponent's
+// current rating (schedule strength) after removing home-court advantage, and
+// iterate until the whole division settles.
+//
+// Tempo is possessions per 40 minutes: overtime games are scaled down to
+// regulation length so a few extra periods don't read as a faster pace.
+
+const MAX_ITERATIONS = 200;
+const TOLERANCE = 0.001;
+
+export function possessions(s) {
+  return (s?.fga || 0) - (s?.orb || 0) + (s?.tov || 0) + 0.475 * (s?.fta || 0);
+}
+
+// Possessions per regulation game (config.minutesPerGame) of game clock
+export function tempo(poss, gameMinutes, config) {
+  return gameMinutes > 0 ? (poss * config.minutesPerGame) / gameMinutes : poss;
+}
+
+// Raw per-100 ratings from season totals. Totals without team minutes (written
+// before they were tracked) count every game as regulation.
+export function computeRawRatings(stats, config) {
+  const offPoss = Math.max(1, stats.fga - stats.orb + stats.tov + 0.475 * stats.fta);
+  const defPoss = Math.max(1, stats.opp_fga - stats.opp_orb + stats.opp_tov + 0.475 * stats.opp_fta);
+  const rawO = (stats.points / offPoss) * 100;
+  const rawD = (stats.opp_points / defPoss) * 100;
+  const gameMinutes = stats.minutes > 0
+    ? stats.minutes / PLAYERS_ON_COURT
+    : Math.max(1, stats.games) * config.minutesPerGame;
+  return { rawO, rawD, rawEM: rawO - rawD, rawT: tempo(offPoss, gameMinutes, config) };
+}
+
+// Solve adjusted ratings over a list of games shaped like the games log / games table
+// ({ homeId, awayId, homeScore, awayScore, homeStats, awayStats, neutralSite?, gameMinutes? }).
+// Only games between two teams in teamIds are used, so the solution stays inside
+// the division (config). Returns Map<teamId, { adjO, adjD, adjEM, adjT }>.
+export function computeAdjustedRatings(games, teamIds, config) {
+  const rated = new Set([...teamIds].map(String));
+  const teamGames = new Map();
+  let totalPoints = 0;
+  let totalPoss = 0;
+  let totalTempo = 0;
+  let gameCount = 0;
+
+  for (const g of games) {
+    const homeId = String(g.homeId);
+    const awayId = String(g.awayId);
+    if (!rated.has(homeId) || !rated.has(awayId) || homeId === awayId) continue;
+
+    const homeScore = Number(g.homeScore);
+    const awayScore = Number(g.awayScore);
+    if (!Number.isFinite(homeScore) || !Number.isFinite(awayScore)) continue;
+
+    // Both sides get the same possession count - the average of the two estimates
+    const poss = (possessions(g.homeStats) + possessions(g.awayStats)) / 2;
+    if (poss <= 0) continue;
+
+    const homeEff = (homeScore / poss) * 100;
+    const awayEff = (awayScore / poss) * 100;
+    const pace = tempo(poss, g.gameMinutes ?? config.minutesPerGame, config);
+    const hca = g.neutralSite ? 0 : HOME_COURT_ADVANTAGE;
+
+    if (!teamGames.has(homeId)) teamGames.set(homeId, []);
+    if (!teamGames.has(awayId)) teamGames.set(awayId, []);
+
+    // Strip home court out of each side's numbers before adjusting for opponent
+    teamGames.get(homeId).push({ opp: awayId, off: homeEff / (1 + hca), def: awayEff / (1 - hca), tempo: pace });
+    teamGames.get(awayId).push({ opp: homeId, off: awayEff / (1 - hca), def: homeEff / (1 + hca), tempo: pace });
+
+    totalPoints += homeScore + awayScore;
+    totalPoss += 2 * poss;
+    totalTempo += pace;
+    gameCount++;
+  }
+
+  const ratings = new Map();
+  if (gameCount === 0) return ratings;
+
+  const avgEff = (totalPoints / totalPoss) * 100;
+  const avgTempo = totalTempo / gameCount;
+
+  const mean = (list, fn) => list.reduce((sum, x) => sum + fn(x), 0) / list.length;
+
+  let adjO = new Map();
+  let adjD = new Map();
+  let adjT = new Map();
+  for (const [teamId, list] of teamGames) {
+    adjO.set(teamId, mean(list, (x) => x.off));
+    adjD.set(teamId, mean(list, (x) => x.def));
+    adjT.set(teamId, mean(list, (x) => x.tempo));
+  }
+
+  for (let iter = 0; iter < MAX_ITERATIONS; iter++) {
+    const nextO = new Map();
+    const nextD = new Map();
+    const nextT = new Map();
+
+    for (const [teamId, list] of teamGames) {
+      // A 110 offense against a defense 10% better than average is worth ~122
+      nextO.set(teamId, mean(list, (x) => x.off * avgEff / adjD.get(x.opp)));
+      nextD.set(teamId, mean(list, (x) => x.def * avgEff / adjO.get(x.opp)));
+      nextT.set(teamId, mean(list, (x) => x.tempo * avgTempo / adjT.get(x.opp)));
+    }
+
+    // Keep the division average pinned so ratings don't drift between iterations
+    const scale = (m, target) => {
+      const avg = [...m.values()].reduce((a, b) => a + b, 0) / m.size;
+      for (const [k, v] of m) m.set(k, v * target / avg);
+    };
+    scale(nextO, avgEff);
+    scale(nextD, avgEff);
+    scale(nextT, avgTempo);
+
+    let maxDelta = 0;
+    for (const teamId of teamGames.keys()) {
+      maxDelta = Math.max(
+        maxDelta,
+        Math.abs(nextO.get(teamId) - adjO.get(teamId)),
+        Math.abs(nextD.get(teamId) - adjD.get(teamId)),
+      );
+    }
+
+    adjO = nextO;
+    adjD = nextD;
+    adjT = nextT;
+    if (maxDelta < TOLERANCE) break;
+  }
+
+  for (const teamId of teamGames.keys()) {
+    const o = adjO.get(teamId);
+    const d = adjD.get(teamId);
+    ratings.set(teamId, { adjO: o, adjD: d, adjEM: o - d, adjT: adjT.get(teamId) });
+  }
+  return ratings;
+}
+
+// Fill adjO/adjD/adjEM/adjT on ratings rows that already carry raw values and
+// re-sort by adjusted margin. Teams without an adjusted solution keep their raw numbers.
+export function applyAdjustedRatings(rows, ratings) {
+  for (const row of rows) {
+    const adj = ratings.get(String(row.teamId));
+    row.adjO = adj ? adj.adjO : row.rawO;
+    row.adjD = adj ? adj.adjD : row.rawD;
+    row.adjEM = adj ? adj.adjEM : row.rawEM;
+    row.adjT = adj ? adj.adjT : row.rawT;
+  }
+  rows.sort((a, b) => b.adjEM - a.adjEM);
+  return rows;
+}
+
+// Re-solve adjusted ratings over every game stored for a division's season and write
+// them back onto the teams table. The incremental builders only hold the last few days
+// of games in memory, so they rely on this instead of computeAdjustedRatings directly.
+export async function adjustDivisionRatingsFromDb(division, season) {
+  const games = await db.fetchDivisionGames(division, season);
+  const teamIds = await db.fetchDivisionTeamIds(division, season);
+  const ratings = computeAdjustedRatings(games, teamIds, getDivisionConfig(division));
+  await db.updateTeamAdjustedRatings(season, ratings);
+  console.log(`✅ Adjusted ratings solved for ${ratings.size} teams over ${games.length} games`);
+  return ratings;
+}
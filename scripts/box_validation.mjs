@@ -0,0 +1,130 @@
+import { MIN_PLAYERS_PER_TEAM, buildPlayerId, extractCompleteStats } from "./boxscore_parser.mjs";
+import { PLAYERS_ON_COURT } from "./divisions.mjs";
+import { TEAM_MINUTES_TOLERANCE, gameMinutesFor, nearestOvertimes } from "./game_length.mjs";
+
+// Consistency checks run on every parsed box score (parseCompleteGameData output).
+//
+// severity "error"   the box score contradicts itself (more makes than attempts, team
+//                    points that don't add up from its shooting) - ingest drops the game
+//                    and leaves it uncached so the next run fetches it again
+// severity "warning" the box score is usable but something is missing or off (player
+//                    lines that don't sum to the team's, minutes that don't match the
+//                    game's length - 200, plus 25 per overtime) - the game is kept and
+//                    the issue recorded
+//
+// Team rebounds are credited to the team but no player, so player rebounds are
+// only checked line by line, never summed against the team total.
+
+export const SEVERITY_ERROR = "error";
+export const SEVERITY_WARNING = "warning";
+
+const issue = (game, severity, check, message, { teamId = null, playerId = null } = {}) => ({
+  gameId: String(game.gameId), date: game.date, teamId, playerId, check, severity, message,
+});
+
+// Made/attempted pairs that can't go the wrong way, as [made, attempted, label]
+const SHOOTING_PAIRS = [
+  ["fgm", "fga", "FGM > FGA"],
+  ["tpm", "tpa", "3PM > 3PA"],
+  ["ftm", "fta", "FTM > FTA"],
+  ["tpm", "fgm", "3PM > FGM"],
+  ["tpa", "fga", "3PA > FGA"],
+];
+const COUNT_KEYS = ["points", "fgm", "fga", "tpm", "tpa", "ftm", "fta", "orb", "drb", "trb", "ast", "stl", "blk", "tov", "pf", "minutes"];
+
+// Shooting, sign and rebound checks that apply to a team's totals and a player's line alike
+function lineProblems(s) {
+  const problems = [];
+  const negative = COUNT_KEYS.filter((k) => s[k] < 0);
+  if (negative.length) problems.push(`negative ${negative.join(", ")}`);
+  for (const [made, attempted, label] of SHOOTING_PAIRS) {
+    if (s[made] > s[attempted]) problems.push(`${label} (${s[made]} > ${s[attempted]})`);
+  }
+  if (s.trb < s.orb) problems.push(`ORB > TRB (${s.orb} > ${s.trb})`);
+  // Feeds without defensive rebounds report 0 - only check the sum when it's there
+  if (s.drb > 0 && s.trb !== s.orb + s.drb) problems.push(`TRB ${s.trb} != ORB ${s.orb} + DRB ${s.drb}`);
+  return problems;
+}
+
+function validateSide(config, game, side, playerEntry) {
+  const issues = [];
+  const { teamId, stats } = side;
+
+  for (const problem of lineProblems(stats)) {
+    issues.push(issue(game, SEVERITY_ERROR, "team_line", `${side.teamName}: ${problem}`, { teamId }));
+  }
+  const shotPoints = 2 * stats.fgm + stats.tpm + stats.ftm;
+  if (stats.points !== shotPoints) {
+    issues.push(issue(game, SEVERITY_ERROR, "team_points",
+      `${side.teamName}: ${stats.points} points but 2*FGM + 3PM + FTM = ${shotPoints}`, { teamId }));
+  }
+
+  const rawPlayers = playerEntry?.players ?? [];
+  if (rawPlayers.length < MIN_PLAYERS_PER_TEAM) {
+    issues.push(issue(game, SEVERITY_WARNING, "sparse_box",
+      `${side.teamName}: ${rawPlayers.length} player lines (need ${MIN_PLAYERS_PER_TEAM})`, { teamId }));
+    return issues;
+  }
+
+  const players = rawPlayers.map((raw) => ({ playerId: buildPlayerId(teamId, raw), stats: extractCompleteStats(raw) }));
+  for (const { playerId, stats: line } of players) {
+    for (const problem of lineProblems(line)) {
+      issues.push(issue(game, SEVERITY_ERROR, "player_line", `${side.teamName} ${playerId}: ${problem}`, { teamId, playerId }));
+    }
+  }
+
+  const sum = (key) => players.reduce((total, p) => total + p.stats[key], 0);
+  const mismatched = ["points", "fgm", "fga", "tpm", "tpa", "ftm", "fta"]
+    .filter((key) => sum(key) !== stats[key])
+    .map((key) => `${key} ${sum(key)} vs ${stats[key]}`);
+  if (mismatched.length) {
+    issues.push(issue(game, SEVERITY_WARNING, "player_sums",
+      `${side.teamName}: player lines don't add up to the team's (${mismatched.join(", ")})`, { teamId }));
+  }
+
+  const minutes = Math.round(sum("minutes") * 10) / 10;
+  if (minutes === 0) {
+    issues.push(issue(game, SEVERITY_WARNING, "minutes_missing", `${side.teamName}: no player minutes`, { teamId }));
+  } else {
+    // The length ingest detected (game_length.mjs); without one, the nearest whole overtime
+    const gameMinutes = game.gameMinutes ?? gameMinutesFor(nearestOvertimes(minutes, config), config);
+    const expected = gameMinutes * PLAYERS_ON_COURT;
+    if (Math.abs(minutes - expected) > TEAM_MINUTES_TOLERANCE) {
+      issues.push(issue(game, SEVERITY_WARNING, "minutes_total",
+        `${side.teamName}: player minutes sum to ${minutes}, expected about ${expected}`, { teamId }));
+    }
+  }
+  return issues;
+}
+
+// Every issue found in one parsed game from the given division
+export function validateBoxScore(game, config) {
+  const { home, away } = game;
+  const issues = [];
+
+  if (home.teamId === away.teamId) {
+    issues.push(issue(game, SEVERITY_ERROR, "same_team", `home and away are both team ${home.teamId}`));
+  }
+  if (home.stats.points === 0 && away.stats.points === 0) {
+    issues.push(issue(game, SEVERITY_ERROR, "no_score", "both teams have 0 points"));
+  }
+
+  for (const side of [home, away]) {
+    const playerEntry = (game.players || []).find((pd) => pd.teamId === side.teamId);
+    issues.push(...validateSide(config, game, side, playerEntry));
+  }
+  return issues;
+}
+
+export const hasHardFailure = (issues) => issues.some((i) => i.severity === SEVERITY_ERROR);
+
+// Counts by severity and by check, for logs and the JSON report
+export function summarizeIssues(issues) {
+  const bySeverity = {};
+  const byCheck = {};
+  for (const i of issues) {
+    bySeverity[i.severity] = (bySeverity[i.severity] ?? 0) + 1;
+    byCheck[i.check] = (byCheck[i.check] ?? 0) + 1;
+  }
+  return { total: issues.length, games: new Set(issues.map((i) => i.gameId)).size, bySeverity, byCheck };
+}
@@ -0,0 +1,276 @@
+// Box score and scoreboard parsing for the NCAA API.
+// The payload shape shifts between divisions and seasons, so extraction walks the
+// whole tree and picks the most complete candidate rather than trusting one path.
+
+// Minimum players per team in a box score to be considered complete.
+// Games below this threshold are NOT cached so they get re-attempted on the next run.
+export const MIN_PLAYERS_PER_TEAM = 5;
+
+export function extractGameIds(obj) {
+  const ids = new Set();
+  const walk = (x) => {
+    if (Array.isArray(x)) return x.forEach(walk);
+    if (x && typeof x === "object") return Object.values(x).forEach(walk);
+    if (typeof x === "string") {
+      const matches = x.match(/\/game\/(\d+)/g);
+      if (matches) matches.forEach((m) => ids.add(m.replace("/game/", "")));
+    }
+  };
+  walk(obj);
+  return [...ids];
+}
+
+export function extractConferenceFromGame(gameObj) {
+  try {
+    const game = gameObj?.game;
+    if (!game) return {};
+    const homeConf = game.home?.conferences?.[0]?.conferenceSeo || null;
+    const awayConf = game.away?.conferences?.[0]?.conferenceSeo || null;
+    const gameId = game.gameID || game.gameId;
+    return {
+      gameId: String(gameId),
+      homeConf,
+      awayConf,
+      isConferenceGame: homeConf && awayConf && homeConf === awayConf,
+      neutralSite: isNeutralSite(game),
+    };
+  } catch {
+    return {};
+  }
+}
+
+// ===== NEUTRAL SITES =====
+// The "home" team of a tournament or early-season event game is just the team
+// listed second. Scoreboards and box scores flag these in a handful of ways
+// depending on the feed version: a boolean, a Y/N string, or a site/venue type.
+const NEUTRAL_FLAG_KEYS = ["neutralSite", "neutral_site", "isNeutral", "isNeutralSite", "neutral"];
+const SITE_TYPE_KEYS = ["siteType", "site_type", "locationType", "venueType"];
+const SITE_OBJECT_KEYS = ["venue", "site", "location", "gameInfo", "meta"];
+
+function flagValue(v) {
+  if (v === true || v === 1) return true;
+  if (v === false || v === 0) return false;
+  if (typeof v === "string") {
+    const s = v.trim().toLowerCase();
+    if (["true", "y", "yes", "1", "neutral"].includes(s)) return true;
+    if (["false", "n", "no", "0", "home"].includes(s)) return false;
+  }
+  return null;
+}
+
+// true/false when the payload says, null when it doesn't mention the site at all
+export function isNeutralSite(obj) {
+  const candidates = [obj, ...SITE_OBJECT_KEYS.map((k) => obj?.[k])].filter((x) => x && typeof x === "object");
+  for (const c of candidates) {
+    const flag = flagValue(pick(c, NEUTRAL_FLAG_KEYS));
+    if (flag !== null) return flag;
+    const siteType = pick(c, SITE_TYPE_KEYS);
+    if (typeof siteType === "string") return siteType.trim().toLowerCase() === "neutral";
+  }
+  return null;
+}
+
+export function toInt(x, d = 0) {
+  const n = parseInt(String(x ?? ""), 10);
+  return Number.isFinite(n) ? n : d;
+}
+
+export function toFloat(x, d = 0) {
+  const n = parseFloat(String(x ?? ""));
+  return Number.isFinite(n) ? n : d;
+}
+
+export function pick(obj, keys) {
+  for (const k of keys) {
+    if (obj && obj[k] != null) return obj[k];
+  }
+  return null;
+}
+
+export function buildPlayerId(teamId, p) {
+  const ncaaId = p.id ?? p.ncaaId ?? 0;
+  const first = (p.firstName || "").toLowerCase().replace(/\s+/g, "");
+  const last = (p.lastName || "").toLowerCase().replace(/\s+/g, "");
+  return `${teamId}_${ncaaId}_${first}_${last}`;
+}
+
+export function extractCompleteStats(raw) {
+  return {
+    points: toInt(pick(raw, ["points", "pts", "score"]), 0),
+    fgm: toInt(pick(raw, ["fieldGoalsMade", "fgm", "fgMade"]), 0),
+    fga: toInt(pick(raw, ["fieldGoalsAttempted", "fga", "fgAttempts"]), 0),
+    tpm: toInt(pick(raw, ["threePointsMade", "3pm", "threePointersMade", "threePtMade"]), 0),
+    tpa: toInt(pick(raw, ["threePointsAttempted", "3pa", "threePointersAttempted", "threePtAttempts"]), 0),
+    ftm: toInt(pick(raw, ["freeThrowsMade", "ftm", "ftMade"]), 0),
+    fta: toInt(pick(raw, ["freeThrowsAttempted", "fta", "ftAttempts"]), 0),
+    orb: toInt(pick(raw, ["offensiveRebounds", "oreb", "offReb", "orb"]), 0),
+    drb: toInt(pick(raw, ["defensiveRebounds", "dreb", "defReb", "drb"]), 0),
+    trb: toInt(pick(raw, ["totalRebounds", "treb", "rebounds", "reb", "trb"]), 0),
+    ast: toInt(pick(raw, ["assists", "ast"]), 0),
+    stl: toInt(pick(raw, ["steals", "stl"]), 0),
+    blk: toInt(pick(raw, ["blockedShots", "blocks", "blk"]), 0),
+    tov: toInt(pick(raw, ["turnovers", "tov", "to"]), 0),
+    pf: toInt(pick(raw, ["fouls", "pf", "personalFouls"]), 0),
+    minutes: toFloat(pick(raw, ["minutesPlayed", "minutes", "mins", "min"]), 0),
+  };
+}
+
+function deepCollectTeamStats(root) {
+  const out = [];
+  const walk = (x) => {
+    if (Array.isArray(x)) return x.forEach(walk);
+    if (!x || typeof x !== "object") return;
+
+    const teamId = pick(x, ["teamId", "team_id", "id"]);
+    if (teamId != null) {
+      const stats = extractCompleteStats(x);
+      if (stats.points || stats.fga || stats.fta) {
+        out.push({ teamId: String(teamId), stats });
+      }
+      const nested = pick(x, ["teamStats", "team_stats", "statistics", "stats", "totals"]);
+      if (nested && typeof nested === "object") {
+        const nestedStats = extractCompleteStats(nested);
+        if (nestedStats.points || nestedStats.fga || nestedStats.fta) {
+          out.push({ teamId: String(teamId), stats: nestedStats });
+        }
+      }
+    }
+    Object.values(x).forEach(walk);
+  };
+  walk(root);
+  return out;
+}
+
+export function extractPlayers(gameJson) {
+  const result = [];
+
+  if (gameJson.teamBoxscore && Array.isArray(gameJson.teamBoxscore)) {
+    for (const entry of gameJson.teamBoxscore) {
+      const teamId = pick(entry, ["teamId", "team_id", "id"]);
+      if (teamId && entry.playerStats && Array.isArray(entry.playerStats) && entry.playerStats.length > 0) {
+        result.push({ teamId: String(teamId), players: entry.playerStats });
+      }
+    }
+    if (result.length > 0) return result;
+  }
+
+  const walk = (x) => {
+    if (Array.isArray(x)) {
+      x.forEach(walk);
+    } else if (x && typeof x === "object") {
+      if (x.playerStats && Array.isArray(x.playerStats) && x.playerStats.length > 0) {
+        const teamId = pick(x, ["teamId", "team_id", "id"]);
+        if (teamId) {
+          result.push({ teamId: String(teamId), players: x.playerStats });
+        }
+      }
+      Object.values(x).forEach(walk);
+    }
+  };
+  walk(gameJson);
+  return result;
+}
+
+function findTeamsMeta(gameJson) {
+  const candidates = [
+    gameJson?.teams,
+    gameJson?.game?.teams,
+    gameJson?.meta?.teams,
+    gameJson?.header?.teams,
+  ].filter(Array.isArray);
+
+  for (const arr of candidates) {
+    const filtered = arr.filter((t) => t && (t.teamId != null || t.id != null));
+    if (filtered.length >= 2) return filtered;
+  }
+
+  let found = null;
+  const walk = (x) => {
+    if (found) return;
+    if (Array.isArray(x)) {
+      const ok = x.filter(
+        (t) => t && typeof t === "object" && (t.teamId != null || t.id != null)
+      );
+      if (ok.length >= 2) { found = ok; return; }
+      x.forEach(walk);
+      return;
+    }
+    if (x && typeof x === "object") Object.values(x).forEach(walk);
+  };
+  walk(gameJson);
+  return found;
+}
+
+function nameFromMeta(t) {
+  return String(
+    pick(t, ["nameShort", "name_short", "shortName", "nameFull", "name_full", "fullName", "name"]) ?? "Team"
+  );
+}
+
+function isHomeFromMeta(t) {
+  const v = pick(t, ["isHome", "home", "is_home", "homeAway", "home_away"]);
+  if (v === true) return true;
+  if (v === false) return false;
+  if (typeof v === "string") {
+    const s = v.toLowerCase();
+    if (s === "home" || s === "h") return true;
+    if (s === "away" || s === "a") return false;
+  }
+  return null;
+}
+
+export function parseCompleteGameData(gameId, gameJson, gameDate) {
+  const teamsArr = findTeamsMeta(gameJson);
+  if (!teamsArr || teamsArr.length < 2) return null;
+
+  const withHomeFlag = teamsArr.map((t) => ({
+    t,
+    id: String(pick(t, ["teamId", "team_id", "id"])),
+    home: isHomeFromMeta(t),
+  }));
+
+  let homeMeta = withHomeFlag.find((x) => x.home === true)?.t ?? withHomeFlag[0]?.t;
+  let awayMeta = withHomeFlag.find((x) => x.home === false)?.t ?? withHomeFlag[1]?.t;
+
+  const homeId = String(pick(homeMeta, ["teamId", "team_id", "id"]));
+  const awayId = String(pick(awayMeta, ["teamId", "team_id", "id"]));
+
+  const candidates = deepCollectTeamStats(gameJson);
+  if (!candidates.length) return null;
+
+  const bestById = new Map();
+  for (const c of candidates) {
+    const key = String(c.teamId);
+    const s = c.stats;
+    const score =
+      (s.points || 0) + (s.fga || 0) + (s.fta || 0) +
+      (s.blk || 0) * 100 + (s.stl || 0) * 100 +
+      (s.ast || 0) * 10 + (s.orb || 0) + (s.tov || 0);
+    const prev = bestById.get(key);
+    if (!prev || score > prev.score) bestById.set(key, { stats: c.stats, score });
+  }
+
+  const homeStats = bestById.get(homeId)?.stats ?? null;
+  const awayStats = bestById.get(awayId)?.stats ?? null;
+  if (!homeStats || !awayStats) return null;
+
+  const playerData = extractPlayers(gameJson);
+
+  return {
+    gameId,
+    date: gameDate,
+    neutralSite: isNeutralSite(gameJson),
+    home: { teamId: homeId, teamName: nameFromMeta(homeMeta), stats: homeStats },
+    away: { teamId: awayId, teamName: nameFromMeta(awayMeta), stats: awayStats },
+    players: playerData,
+  };
+}
+
+// ===== SPARSE BOX SCORE DETECTION =====
+export function isBoxScoreComplete(playerData, homeId, awayId) {
+  const homeEntry = playerData.find(pd => pd.teamId === homeId);
+  const awayEntry = playerData.find(pd => pd.teamId === awayId);
+  const homePlayers = homeEntry?.players?.length ?? 0;
+  const awayPlayers = awayEntry?.players?.length ?? 0;
+  return homePlayers >= MIN_PLAYERS_PER_TEAM && awayPlayers >= MIN_PLAYERS_PER_TEAM;
+}
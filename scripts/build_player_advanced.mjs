@@ -0,0 +1,70 @@
+/**
+ * build_player_advanced.mjs — Sideline Stats
+ * Recomputes every player's season advanced metrics for one division-season from
+ * the players and teams tables and rewrites that slice of player_advanced. ingest.mjs
+ * runs this after every database write; run it by hand to backfill a season or after
+ * changing the formulas in scripts/player_advanced.mjs.
+ *
+ * USAGE:
+ *   POSTGRES_URL=your_url node scripts/build_player_advanced.mjs --division womens-d1
+ *   POSTGRES_URL=your_url node scripts/build_player_advanced.mjs --division mens-d2 --season 2024-25
+ *
+ * FLAGS:
+ *   --division <slug>   any slug in scripts/divisions.mjs
+ *   --season <YYYY-YY>  season to rebuild (default: the current season)
+ */
+
+import { pathToFileURL } from "node:url";
+import * as db from "./db_writer.mjs";
+import { DIVISIONS, currentSeason, isSeason } from "./divisions.mjs";
+import { computePlayerAdvanced, toPlayerTotals, toTeamTotals } from "./player_advanced.mjs";
+
+// client: run inside an open transaction (ingest.mjs passes the full rebuild's)
+export async function buildAndStorePlayerAdvanced(division, season, client = null) {
+  const config = DIVISIONS[division];
+  const inputs = await db.fetchPlayerAdvancedInputs(division, season, client);
+  const rows = inputs.map((r) => ({
+    playerId: r.player_id,
+    teamId: String(r.team_id),
+    ...computePlayerAdvanced(toPlayerTotals(r), toTeamTotals(r, "t_"), config),
+  }));
+  await db.replacePlayerAdvanced(division, season, rows, { client });
+  return { players: rows.length };
+}
+
+// ===== CLI =====
+
+if (import.meta.url === pathToFileURL(process.argv[1]).href) {
+  const args = process.argv.slice(2);
+
+  function getArg(flag) {
+    const idx = args.indexOf(flag);
+    return idx !== -1 ? args[idx + 1] : null;
+  }
+
+  const division = getArg("--division");
+  const season = getArg("--season") ?? currentSeason();
+
+  if (!process.env.POSTGRES_URL) {
+    console.error("❌ Error: POSTGRES_URL is required");
+    process.exit(1);
+  }
+  if (!division || !DIVISIONS[division]) {
+    console.error(`❌ Error: --division must be one of ${Object.keys(DIVISIONS).join(" | ")}`);
+    process.exit(1);
+  }
+  if (!isSeason(season)) {
+    console.error(`❌ Error: --season must look like 2025-26 (got "${season}")`);
+    process.exit(1);
+  }
+
+  try {
+    const summary = await buildAndStorePlayerAdvanced(division, season);
+    console.log(`✅ Advanced metrics for ${summary.players} ${division} players (${season})`);
+  } catch (err) {
+    console.error("❌ Player advanced metrics failed:", err.message);
+    process.exitCode = 1;
+  } finally {
+    await db.closeDb();
+  }
+}
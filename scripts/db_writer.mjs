@@ -1,4 +1,10 @@
 import pg from 'pg';
+import { from as copyFrom } from 'pg-copy-streams';
+import fs from 'node:fs/promises';
+import { Readable } from 'node:stream';
+import { pipeline } from 'node:stream/promises';
+import { PLAYER_ADVANCED_COLUMNS } from './player_advanced.mjs';
+import { getDivisionConfig } from './divisions.mjs';
 const { Pool } = pg;
 
 // Database connection pool
@@ -9,7 +15,7 @@ export function initDb() {
   
   pool = new Pool({
     connectionString: process.env.POSTGRES_URL,
-    ssl: { rejectUnauthorized: false }
+    ssl: process.env.POSTGRES_URL?.includes('localhost') ? false : { rejectUnauthorized: false }
   });
   
   return pool;
@@ -22,6 +28,37 @@ export async function closeDb() {
   }
 }
 
+// Tables and columns come only from db/migrations (scripts/migrate.mjs) - nothing
+// here creates or alters them. Every function that touches the database checks
+// once per process that all migrations are applied, so a database that is behind
+// fails up front with the fix instead of halfway through a write.
+const MIGRATIONS_DIR = new URL('../db/migrations/', import.meta.url);
+let schemaCheck = null;
+
+export function requireMigratedSchema() {
+  schemaCheck ??= checkMigrations().catch((err) => {
+    schemaCheck = null;
+    throw err;
+  });
+  return schemaCheck;
+}
+
+async function checkMigrations() {
+  const files = (await fs.readdir(MIGRATIONS_DIR)).filter((f) => /^\d+_[\w-]+\.sql$/.test(f)).sort();
+  let applied = new Set();
+  try {
+    const result = await initDb().query('SELECT version FROM schema_migrations');
+    applied = new Set(result.rows.map((r) => Number(r.version)));
+  } catch (err) {
+    // No schema_migrations table: the database has never been migrated
+    if (err.code !== '42P01') throw err;
+  }
+  const pending = files.filter((f) => !applied.has(Number(f.split('_')[0])));
+  if (pending.length > 0) {
+    throw new Error(`Database schema is out of date (pending: ${pending.join(', ')}) - run npm run migrate`);
+  }
+}
+
 // Clear all data (for fresh rebuild)
 export async function clearAllData() {
   const db = initDb();
@@ -34,42 +71,75 @@ export async function clearAllData() {
   console.log('✅ Cleared all existing data');
 }
 
-// Clear data for specific division only
+// Clear data for one division and season only
 // NOTE: Does NOT delete from players table - height/year data must be preserved.
 // Player stats are overwritten by upsertPlayer during rebuild instead.
-export async function clearDivisionData(division) {
+export async function clearDivisionData(division, season) {
   const db = initDb();
   
-  await db.query('DELETE FROM player_games WHERE division = $1', [division]);
-  await db.query('DELETE FROM games WHERE division = $1', [division]);
-  await db.query('DELETE FROM teams WHERE division = $1', [division]);
+  await requireMigratedSchema();
+  await db.query('DELETE FROM play_events WHERE division = $1 AND season = $2', [division, season]);
+  await db.query('DELETE FROM lineup_games WHERE division = $1 AND season = $2', [division, season]);
+  await db.query('DELETE FROM player_advanced WHERE division = $1 AND season = $2', [division, season]);
+  await db.query('DELETE FROM player_games WHERE division = $1 AND season = $2', [division, season]);
+  await db.query('DELETE FROM games WHERE division = $1 AND season = $2', [division, season]);
+  await db.query('DELETE FROM teams WHERE division = $1 AND season = $2', [division, season]);
   
-  console.log(`✅ Cleared existing data for division: ${division}`);
+  console.log(`✅ Cleared existing data for division: ${division} (${season})`);
 }
 
+const TEAM_COLUMNS = [
+  'team_id', 'season', 'team_name', 'conference', 'division', 'games', 'wins', 'losses',
+  'adj_o', 'adj_d', 'adj_em', 'adj_t',
+  'raw_o', 'raw_d', 'raw_em', 'raw_t',
+  'points', 'opp_points',
+  'fgm', 'fga', 'tpm', 'tpa', 'ftm', 'fta',
+  'orb', 'drb', 'trb', 'ast', 'stl', 'blk', 'tov', 'pf',
+  'opp_fgm', 'opp_fga', 'opp_tpm', 'opp_tpa', 'opp_ftm', 'opp_fta',
+  'opp_orb', 'opp_drb', 'opp_trb', 'opp_ast', 'opp_stl', 'opp_blk', 'opp_tov', 'opp_pf',
+  'minutes',
+];
+
+const teamValues = (team) => [
+  team.teamId, team.season, team.teamName, team.conference, team.division || null, team.games, team.wins, team.losses,
+  team.adjO, team.adjD, team.adjEM, team.adjT,
+  team.rawO ?? team.adjO, team.rawD ?? team.adjD, team.rawEM ?? team.adjEM, team.rawT ?? team.adjT,
+  team.points, team.opp_points,
+  team.fgm, team.fga, team.tpm, team.tpa, team.ftm, team.fta,
+  team.orb, team.drb, team.trb, team.ast, team.stl, team.blk, team.tov, team.pf,
+  team.opp_fgm, team.opp_fga, team.opp_tpm, team.opp_tpa, team.opp_ftm, team.opp_fta,
+  team.opp_orb, team.opp_drb, team.opp_trb, team.opp_ast, team.opp_stl, team.opp_blk, team.opp_tov, team.opp_pf,
+  team.minutes ?? null
+];
+
 // Insert or update team
 export async function upsertTeam(team) {
   const db = initDb();
+  await requireMigratedSchema();
   
   const query = `
     INSERT INTO teams (
-      team_id, team_name, conference, division, games, wins, losses,
+      team_id, season, team_name, conference, division, games, wins, losses,
       adj_o, adj_d, adj_em, adj_t,
+      raw_o, raw_d, raw_em, raw_t,
       points, opp_points,
       fgm, fga, tpm, tpa, ftm, fta,
       orb, drb, trb, ast, stl, blk, tov, pf,
       opp_fgm, opp_fga, opp_tpm, opp_tpa, opp_ftm, opp_fta,
       opp_orb, opp_drb, opp_trb, opp_ast, opp_stl, opp_blk, opp_tov, opp_pf,
+      minutes,
       updated_at
     ) VALUES (
-      $1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11,
-      $12, $13, $14, $15, $16, $17, $18, $19,
-      $20, $21, $22, $23, $24, $25, $26, $27,
-      $28, $29, $30, $31, $32, $33,
-      $34, $35, $36, $37, $38, $39, $40, $41,
+      $1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12,
+      $13, $14, $15, $16,
+      $17, $18, $19, $20, $21, $22, $23, $24,
+      $25, $26, $27, $28, $29, $30, $31, $32,
+      $33, $34, $35, $36, $37, $38,
+      $39, $40, $41, $42, $43, $44, $45, $46,
+      $47,
       CURRENT_TIMESTAMP
     )
-    ON CONFLICT (team_id) DO UPDATE SET
+    ON CONFLICT (team_id, season) DO UPDATE SET
       team_name = EXCLUDED.team_name,
       conference = EXCLUDED.conference,
       division = EXCLUDED.division,
@@ -80,6 +150,10 @@ export async function upsertTeam(team) {
       adj_d = EXCLUDED.adj_d,
       adj_em = EXCLUDED.adj_em,
       adj_t = EXCLUDED.adj_t,
+      raw_o = EXCLUDED.raw_o,
+      raw_d = EXCLUDED.raw_d,
+      raw_em = EXCLUDED.raw_em,
+      raw_t = EXCLUDED.raw_t,
       points = EXCLUDED.points,
       opp_points = EXCLUDED.opp_points,
       fgm = EXCLUDED.fgm,
@@ -110,82 +184,164 @@ export async function upsertTeam(team) {
       opp_blk = EXCLUDED.opp_blk,
       opp_tov = EXCLUDED.opp_tov,
       opp_pf = EXCLUDED.opp_pf,
+      minutes = EXCLUDED.minutes,
       updated_at = CURRENT_TIMESTAMP
   `;
   
-  await db.query(query, [
-    team.teamId, team.teamName, team.conference, team.division || null, team.games, team.wins, team.losses,
-    team.adjO, team.adjD, team.adjEM, team.adjT,
-    team.points, team.opp_points,
-    team.fgm, team.fga, team.tpm, team.tpa, team.ftm, team.fta,
-    team.orb, team.drb, team.trb, team.ast, team.stl, team.blk, team.tov, team.pf,
-    team.opp_fgm, team.opp_fga, team.opp_tpm, team.opp_tpa, team.opp_ftm, team.opp_fta,
-    team.opp_orb, team.opp_drb, team.opp_trb, team.opp_ast, team.opp_stl, team.opp_blk, team.opp_tov, team.opp_pf
-  ]);
+  await db.query(query, teamValues(team));
+}
+
+// Overwrite adj_* for one season's teams with a fresh opponent-adjusted solution
+// ratings: Map<teamId, { adjO, adjD, adjEM, adjT }>
+export async function updateTeamAdjustedRatings(season, ratings) {
+  const db = initDb();
+  await requireMigratedSchema();
+
+  for (const [teamId, r] of ratings) {
+    await db.query(
+      `UPDATE teams SET adj_o = $3, adj_d = $4, adj_em = $5, adj_t = $6, updated_at = CURRENT_TIMESTAMP
+       WHERE team_id = $1 AND season = $2`,
+      [teamId, season, r.adjO, r.adjD, r.adjEM, r.adjT]
+    );
+  }
+}
+
+// All team IDs stored for a division and season
+export async function fetchDivisionTeamIds(division, season) {
+  const db = initDb();
+  await requireMigratedSchema();
+
+  const result = await db.query('SELECT team_id FROM teams WHERE division = $1 AND season = $2', [division, season]);
+  return result.rows.map(r => String(r.team_id));
+}
+
+// All games stored for a division and season, in the same shape as the builders' games log
+export async function fetchDivisionGames(division, season) {
+  const db = initDb();
+  await requireMigratedSchema();
+
+  const result = await db.query(`
+    SELECT
+      game_id, game_date, home_team_id, away_team_id, home_score, away_score, neutral_site, game_minutes,
+      home_fga, home_orb, home_tov, home_fta,
+      away_fga, away_orb, away_tov, away_fta
+    FROM games
+    WHERE division = $1 AND season = $2
+  `, [division, season]);
+
+  return result.rows.map(r => ({
+    gameId: r.game_id,
+    date: r.game_date,
+    homeId: String(r.home_team_id),
+    awayId: String(r.away_team_id),
+    homeScore: Number(r.home_score),
+    awayScore: Number(r.away_score),
+    neutralSite: r.neutral_site === true,
+    gameMinutes: Number(r.game_minutes),
+    homeStats: { fga: Number(r.home_fga), orb: Number(r.home_orb), tov: Number(r.home_tov), fta: Number(r.home_fta) },
+    awayStats: { fga: Number(r.away_fga), orb: Number(r.away_orb), tov: Number(r.away_tov), fta: Number(r.away_fta) },
+  }));
 }
 
+const GAME_COLUMNS = [
+  'game_id', 'game_date', 'division', 'season',
+  'home_team_id', 'home_team_name', 'home_score', 'home_conference',
+  'away_team_id', 'away_team_name', 'away_score', 'away_conference',
+  'is_conference_game', 'neutral_site',
+  'home_fgm', 'home_fga', 'home_tpm', 'home_tpa', 'home_ftm', 'home_fta',
+  'home_orb', 'home_drb', 'home_trb', 'home_ast', 'home_stl', 'home_blk', 'home_tov', 'home_pf',
+  'away_fgm', 'away_fga', 'away_tpm', 'away_tpa', 'away_ftm', 'away_fta',
+  'away_orb', 'away_drb', 'away_trb', 'away_ast', 'away_stl', 'away_blk', 'away_tov', 'away_pf',
+  'periods', 'game_minutes',
+];
+
+const gameValues = (game) => [
+  game.gameId, game.date, game.division || null, game.season,
+  game.homeId, game.homeTeam, game.homeScore, game.homeConf,
+  game.awayId, game.awayTeam, game.awayScore, game.awayConf,
+  game.isConferenceGame, !!game.neutralSite,
+  game.homeStats.fgm, game.homeStats.fga, game.homeStats.tpm, game.homeStats.tpa,
+  game.homeStats.ftm, game.homeStats.fta, game.homeStats.orb, game.homeStats.drb,
+  game.homeStats.trb, game.homeStats.ast, game.homeStats.stl, game.homeStats.blk,
+  game.homeStats.tov, game.homeStats.pf,
+  game.awayStats.fgm, game.awayStats.fga, game.awayStats.tpm, game.awayStats.tpa,
+  game.awayStats.ftm, game.awayStats.fta, game.awayStats.orb, game.awayStats.drb,
+  game.awayStats.trb, game.awayStats.ast, game.awayStats.stl, game.awayStats.blk,
+  game.awayStats.tov, game.awayStats.pf,
+  game.periods ?? null, game.gameMinutes ?? getDivisionConfig(game.division).minutesPerGame
+];
+
 // Insert game
 export async function insertGame(game) {
   const db = initDb();
+  await requireMigratedSchema();
   
   const query = `
     INSERT INTO games (
-      game_id, game_date, division,
+      game_id, game_date, division, season,
       home_team_id, home_team_name, home_score, home_conference,
       away_team_id, away_team_name, away_score, away_conference,
-      is_conference_game,
+      is_conference_game, neutral_site,
       home_fgm, home_fga, home_tpm, home_tpa, home_ftm, home_fta,
       home_orb, home_drb, home_trb, home_ast, home_stl, home_blk, home_tov, home_pf,
       away_fgm, away_fga, away_tpm, away_tpa, away_ftm, away_fta,
-      away_orb, away_drb, away_trb, away_ast, away_stl, away_blk, away_tov, away_pf
+      away_orb, away_drb, away_trb, away_ast, away_stl, away_blk, away_tov, away_pf,
+      periods, game_minutes
     ) VALUES (
-      $1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12,
-      $13, $14, $15, $16, $17, $18, $19, $20, $21, $22, $23, $24, $25, $26,
-      $27, $28, $29, $30, $31, $32, $33, $34, $35, $36, $37, $38, $39, $40
+      $1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13,
+      $14, $15, $16, $17, $18, $19, $20, $21, $22, $23, $24, $25, $26, $27,
+      $28, $29, $30, $31, $32, $33, $34, $35, $36, $37, $38, $39, $40, $41, $42,
+      $43, $44
     )
     ON CONFLICT (game_id) DO NOTHING
   `;
   
   try {
-    await db.query(query, [
-      game.gameId, game.date, game.division || null,
-      game.homeId, game.homeTeam, game.homeScore, game.homeConf,
-      game.awayId, game.awayTeam, game.awayScore, game.awayConf,
-      game.isConferenceGame,
-      game.homeStats.fgm, game.homeStats.fga, game.homeStats.tpm, game.homeStats.tpa,
-      game.homeStats.ftm, game.homeStats.fta, game.homeStats.orb, game.homeStats.drb,
-      game.homeStats.trb, game.homeStats.ast, game.homeStats.stl, game.homeStats.blk,
-      game.homeStats.tov, game.homeStats.pf,
-      game.awayStats.fgm, game.awayStats.fga, game.awayStats.tpm, game.awayStats.tpa,
-      game.awayStats.ftm, game.awayStats.fta, game.awayStats.orb, game.awayStats.drb,
-      game.awayStats.trb, game.awayStats.ast, game.awayStats.stl, game.awayStats.blk,
-      game.awayStats.tov, game.awayStats.pf
-    ]);
+    await db.query(query, gameValues(game));
   } catch (err) {
     console.log(`insertGame skipped game ${game.gameId}: ${err.message}`);
   }
 }
 
+const PLAYER_COLUMNS = [
+  'player_id', 'season', 'team_id', 'team_name', 'division',
+  'first_name', 'last_name', 'number', 'position', 'year',
+  'games', 'starts', 'minutes',
+  'fgm', 'fga', 'tpm', 'tpa', 'ftm', 'fta',
+  'orb', 'drb', 'trb', 'ast', 'stl', 'blk', 'tov', 'pf', 'points',
+];
+
+const playerValues = (player) => [
+  player.playerId, player.season, player.teamId, player.teamName, player.division || null,
+  player.firstName, player.lastName,
+  player.number && !isNaN(parseInt(player.number)) ? parseInt(player.number) : null,
+  player.position, player.year,
+  player.games, player.starts, player.minutes,
+  player.fgm, player.fga, player.tpm, player.tpa, player.ftm, player.fta,
+  player.orb, player.drb, player.trb, player.ast, player.stl, player.blk, player.tov, player.pf, player.points
+];
+
 // Insert or update player
 // NOTE: height and year are intentionally excluded from ON CONFLICT DO UPDATE
 // so that manually imported height/year data is never overwritten by a rebuild.
 export async function upsertPlayer(player) {
   const db = initDb();
+  await requireMigratedSchema();
   
   const query = `
     INSERT INTO players (
-      player_id, team_id, team_name, division,
+      player_id, season, team_id, team_name, division,
       first_name, last_name, number, position, year,
       games, starts, minutes,
       fgm, fga, tpm, tpa, ftm, fta,
       orb, drb, trb, ast, stl, blk, tov, pf, points,
       updated_at
     ) VALUES (
-      $1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12,
-      $13, $14, $15, $16, $17, $18, $19, $20, $21, $22, $23, $24, $25, $26, $27,
+      $1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13,
+      $14, $15, $16, $17, $18, $19, $20, $21, $22, $23, $24, $25, $26, $27, $28,
       CURRENT_TIMESTAMP
     )
-    ON CONFLICT (player_id) DO UPDATE SET
+    ON CONFLICT (player_id, season) DO UPDATE SET
       team_id = EXCLUDED.team_id,
       team_name = EXCLUDED.team_name,
       division = EXCLUDED.division,
@@ -214,29 +370,22 @@ export async function upsertPlayer(player) {
       updated_at = CURRENT_TIMESTAMP
   `;
   
-  await db.query(query, [
-    player.playerId, player.teamId, player.teamName, player.division || null,
-    player.firstName, player.lastName, 
-    player.number && !isNaN(parseInt(player.number)) ? parseInt(player.number) : null, 
-    player.position, player.year,
-    player.games, player.starts, player.minutes,
-    player.fgm, player.fga, player.tpm, player.tpa, player.ftm, player.fta,
-    player.orb, player.drb, player.trb, player.ast, player.stl, player.blk, player.tov, player.pf, player.points
-  ]);
+  await db.query(query, playerValues(player));
 }
 
 // Insert or update player game stats - single row (kept for compatibility)
 // CHANGED: DO UPDATE instead of DO NOTHING so sparse rows get overwritten with better data
 export async function insertPlayerGame(gameId, playerId, teamId, stats) {
   const db = initDb();
+  await requireMigratedSchema();
   
   const query = `
     INSERT INTO player_games (
-      game_id, player_id, team_id, division,
+      game_id, player_id, team_id, division, season,
       minutes, fgm, fga, tpm, tpa, ftm, fta,
       orb, drb, trb, ast, stl, blk, tov, pf, points
     ) VALUES (
-      $1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19, $20
+      $1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19, $20, $21
     )
     ON CONFLICT (game_id, player_id) DO UPDATE SET
       minutes = EXCLUDED.minutes,
@@ -249,18 +398,31 @@ export async function insertPlayerGame(gameId, playerId, teamId, stats) {
   `;
   
   await db.query(query, [
-    gameId, playerId, teamId, stats.division || null,
+    gameId, playerId, teamId, stats.division || null, stats.season,
     stats.minutes, stats.fgm, stats.fga, stats.tpm, stats.tpa, stats.ftm, stats.fta,
     stats.orb, stats.drb, stats.trb, stats.ast, stats.stl, stats.blk, stats.tov, stats.pf, stats.points
   ]);
 }
 
+const PLAYER_GAME_COLUMNS = [
+  'game_id', 'player_id', 'team_id', 'division', 'season',
+  'minutes', 'fgm', 'fga', 'tpm', 'tpa', 'ftm', 'fta',
+  'orb', 'drb', 'trb', 'ast', 'stl', 'blk', 'tov', 'pf', 'points',
+];
+
+const playerGameValues = (row) => [
+  row.gameId, row.playerId, row.teamId, row.division || null, row.season,
+  row.minutes, row.fgm, row.fga, row.tpm, row.tpa, row.ftm, row.fta,
+  row.orb, row.drb, row.trb, row.ast, row.stl, row.blk, row.tov, row.pf, row.points
+];
+
 // Batch insert player game stats - much faster than one at a time
 // CHANGED: DO UPDATE instead of DO NOTHING so sparse rows get overwritten with better data
 export async function insertPlayerGamesBatch(rows, batchSize = 500) {
   if (!rows || rows.length === 0) return 0;
   
   const db = initDb();
+  await requireMigratedSchema();
   let totalInserted = 0;
 
   for (let i = 0; i < rows.length; i += batchSize) {
@@ -268,18 +430,14 @@ export async function insertPlayerGamesBatch(rows, batchSize = 500) {
     
     const values = [];
     const placeholders = batch.map((row, idx) => {
-      const base = idx * 20;
-      values.push(
-        row.gameId, row.playerId, row.teamId, row.division || null,
-        row.minutes, row.fgm, row.fga, row.tpm, row.tpa, row.ftm, row.fta,
-        row.orb, row.drb, row.trb, row.ast, row.stl, row.blk, row.tov, row.pf, row.points
-      );
-      return `($${base+1},$${base+2},$${base+3},$${base+4},$${base+5},$${base+6},$${base+7},$${base+8},$${base+9},$${base+10},$${base+11},$${base+12},$${base+13},$${base+14},$${base+15},$${base+16},$${base+17},$${base+18},$${base+19},$${base+20})`;
+      const base = idx * 21;
+      values.push(...playerGameValues(row));
+      return `($${base+1},$${base+2},$${base+3},$${base+4},$${base+5},$${base+6},$${base+7},$${base+8},$${base+9},$${base+10},$${base+11},$${base+12},$${base+13},$${base+14},$${base+15},$${base+16},$${base+17},$${base+18},$${base+19},$${base+20},$${base+21})`;
     });
 
     const query = `
       INSERT INTO player_games (
-        game_id, player_id, team_id, division,
+        game_id, player_id, team_id, division, season,
         minutes, fgm, fga, tpm, tpa, ftm, fta,
         orb, drb, trb, ast, stl, blk, tov, pf, points
       ) VALUES ${placeholders.join(',')}
@@ -302,10 +460,10 @@ export async function insertPlayerGamesBatch(rows, batchSize = 500) {
         try {
           await db.query(`
             INSERT INTO player_games (
-              game_id, player_id, team_id, division,
+              game_id, player_id, team_id, division, season,
               minutes, fgm, fga, tpm, tpa, ftm, fta,
               orb, drb, trb, ast, stl, blk, tov, pf, points
-            ) VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,$12,$13,$14,$15,$16,$17,$18,$19,$20)
+            ) VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,$12,$13,$14,$15,$16,$17,$18,$19,$20,$21)
             ON CONFLICT (game_id, player_id) DO UPDATE SET
               minutes = EXCLUDED.minutes,
               fgm = EXCLUDED.fgm, fga = EXCLUDED.fga,
@@ -314,11 +472,7 @@ export async function insertPlayerGamesBatch(rows, batchSize = 500) {
               orb = EXCLUDED.orb, drb = EXCLUDED.drb, trb = EXCLUDED.trb,
               ast = EXCLUDED.ast, stl = EXCLUDED.stl, blk = EXCLUDED.blk,
               tov = EXCLUDED.tov, pf = EXCLUDED.pf, points = EXCLUDED.points
-          `, [
-            row.gameId, row.playerId, row.teamId, row.division || null,
-            row.minutes, row.fgm, row.fga, row.tpm, row.tpa, row.ftm, row.fta,
-            row.orb, row.drb, row.trb, row.ast, row.stl, row.blk, row.tov, row.pf, row.points
-          ]);
+          `, playerGameValues(row));
           totalInserted++;
         } catch (rowErr) {
           console.log(`insertPlayerGamesBatch skipped row game=${row.gameId} player=${row.playerId}: ${rowErr.message}`);
@@ -333,3 +487,542 @@ export async function insertPlayerGamesBatch(rows, batchSize = 500) {
 
   return totalInserted;
 }
+
+// Normalized play-by-play, one row per event (see pbp_parser.mjs)
+const PLAY_EVENT_COLUMNS = [
+  'game_id', 'event_num', 'division', 'season', 'period',
+  'clock', 'clock_seconds', 'team_id', 'player_id',
+  'event_type', 'description', 'home_score', 'away_score',
+  'possession', 'possession_team_id',
+];
+
+const playEventValues = (row) => [
+  String(row.gameId), row.eventNum, row.division || null, row.season, row.period,
+  row.clock, row.clockSeconds, row.teamId, row.playerId,
+  row.eventType, row.description, row.homeScore, row.awayScore,
+  row.possession, row.possessionTeamId
+];
+
+// Replace the play-by-play for every game in rows.
+// Deletes first so a re-parsed game with fewer events doesn't keep stale rows.
+export async function insertPlayEventsBatch(rows, batchSize = 500) {
+  if (!rows || rows.length === 0) return 0;
+
+  await requireMigratedSchema();
+  const db = initDb();
+
+  const gameIds = [...new Set(rows.map(r => String(r.gameId)))];
+  await db.query('DELETE FROM play_events WHERE game_id = ANY($1)', [gameIds]);
+
+  let totalInserted = 0;
+
+  for (let i = 0; i < rows.length; i += batchSize) {
+    const batch = rows.slice(i, i + batchSize);
+
+    const values = [];
+    const placeholders = batch.map((row, idx) => {
+      const base = idx * 15;
+      values.push(...playEventValues(row));
+      return `(${Array.from({ length: 15 }, (_, k) => `$${base + k + 1}`).join(',')})`;
+    });
+
+    try {
+      await db.query(`
+        INSERT INTO play_events (
+          game_id, event_num, division, season, period,
+          clock, clock_seconds, team_id, player_id,
+          event_type, description, home_score, away_score,
+          possession, possession_team_id
+        ) VALUES ${placeholders.join(',')}
+        ON CONFLICT (game_id, event_num) DO NOTHING
+      `, values);
+      totalInserted += batch.length;
+    } catch (err) {
+      console.log(`insertPlayEventsBatch skipped batch at offset ${i}: ${err.message}`);
+    }
+  }
+
+  return totalInserted;
+}
+
+// Per-game lineup stints reconstructed from play-by-play (see lineups.mjs)
+const LINEUP_GAME_COLUMNS = [
+  'game_id', 'team_id', 'division', 'season', 'lineup_key',
+  'player_ids', 'is_complete', 'seconds', 'off_poss', 'def_poss',
+  'points_for', 'points_against',
+];
+
+const lineupGameValues = (row) => [
+  String(row.gameId), row.teamId, row.division || null, row.season, row.lineupKey,
+  row.playerIds, row.isComplete, row.seconds, row.offPoss, row.defPoss,
+  row.pointsFor, row.pointsAgainst
+];
+
+// Replace the lineup rows for every game in rows
+export async function insertLineupGamesBatch(rows, batchSize = 500) {
+  if (!rows || rows.length === 0) return 0;
+
+  await requireMigratedSchema();
+  const db = initDb();
+
+  const gameIds = [...new Set(rows.map(r => String(r.gameId)))];
+  await db.query('DELETE FROM lineup_games WHERE game_id = ANY($1)', [gameIds]);
+
+  let totalInserted = 0;
+
+  for (let i = 0; i < rows.length; i += batchSize) {
+    const batch = rows.slice(i, i + batchSize);
+
+    const values = [];
+    const placeholders = batch.map((row, idx) => {
+      const base = idx * 12;
+      values.push(...lineupGameValues(row));
+      return `(${Array.from({ length: 12 }, (_, k) => `$${base + k + 1}`).join(',')})`;
+    });
+
+    try {
+      await db.query(`
+        INSERT INTO lineup_games (
+          game_id, team_id, division, season, lineup_key,
+          player_ids, is_complete, seconds, off_poss, def_poss,
+          points_for, points_against
+        ) VALUES ${placeholders.join(',')}
+        ON CONFLICT (game_id, team_id, lineup_key) DO NOTHING
+      `, values);
+      totalInserted += batch.length;
+    } catch (err) {
+      console.log(`insertLineupGamesBatch skipped batch at offset ${i}: ${err.message}`);
+    }
+  }
+
+  return totalInserted;
+}
+
+// Upcoming (and same-day) games from the scoreboards, for predictions.
+// Team IDs are null when the scoreboard name doesn't match a team we rate.
+export async function upsertScheduledGame(game) {
+  await requireMigratedSchema();
+  const db = initDb();
+
+  await db.query(`
+    INSERT INTO scheduled_games (
+      game_id, division, season, game_date, start_time, start_epoch, game_state,
+      home_team_id, home_team_name, home_conference,
+      away_team_id, away_team_name, away_conference,
+      is_conference_game, neutral_site, updated_at
+    ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, CURRENT_TIMESTAMP)
+    ON CONFLICT (game_id) DO UPDATE SET
+      season = EXCLUDED.season,
+      game_date = EXCLUDED.game_date,
+      start_time = EXCLUDED.start_time,
+      start_epoch = EXCLUDED.start_epoch,
+      game_state = EXCLUDED.game_state,
+      home_team_id = EXCLUDED.home_team_id,
+      away_team_id = EXCLUDED.away_team_id,
+      is_conference_game = EXCLUDED.is_conference_game,
+      neutral_site = EXCLUDED.neutral_site,
+      updated_at = CURRENT_TIMESTAMP
+  `, [
+    game.gameId, game.division, game.season, game.date, game.startTime, game.startEpoch, game.gameState,
+    game.homeId, game.homeTeam, game.homeConf,
+    game.awayId, game.awayTeam, game.awayConf,
+    game.isConferenceGame, !!game.neutralSite,
+  ]);
+}
+
+// team name -> team ID for a division, for matching scoreboard names.
+// Falls back to earlier seasons so the first week of a season still matches.
+export async function fetchDivisionTeamNames(division, season) {
+  const db = initDb();
+  await requireMigratedSchema();
+
+  const result = await db.query(`
+    SELECT DISTINCT ON (team_id) team_id, team_name
+    FROM teams
+    WHERE division = $1 AND season <= $2
+    ORDER BY team_id, season DESC
+  `, [division, season]);
+  return new Map(result.rows.map(r => [String(r.team_name).toLowerCase(), String(r.team_id)]));
+}
+
+// Daily snapshot of every team's adjusted ratings and rank, so rankings can be
+// looked up as of any past date. One row per team per division per day.
+//
+// rows: ratings rows sorted by adjEM (rank = position), with wins/losses from teamTotals
+export async function insertRatingsSnapshot(division, season, snapshotDate, rows, teamTotals) {
+  await requireMigratedSchema();
+  const db = initDb();
+
+  for (let i = 0; i < rows.length; i++) {
+    const r = rows[i];
+    const totals = teamTotals.get(r.teamId) ?? {};
+    await db.query(`
+      INSERT INTO ratings_history (
+        division, team_id, snapshot_date, season, rank, games, wins, losses,
+        adj_o, adj_d, adj_em, adj_t
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
+      ON CONFLICT (division, team_id, snapshot_date) DO UPDATE SET
+        season = EXCLUDED.season,
+        rank = EXCLUDED.rank,
+        games = EXCLUDED.games, wins = EXCLUDED.wins, losses = EXCLUDED.losses,
+        adj_o = EXCLUDED.adj_o, adj_d = EXCLUDED.adj_d,
+        adj_em = EXCLUDED.adj_em, adj_t = EXCLUDED.adj_t
+    `, [
+      division, r.teamId, snapshotDate, season, i + 1,
+      totals.games ?? r.games, totals.wins ?? null, totals.losses ?? null,
+      r.adjO, r.adjD, r.adjEM, r.adjT,
+    ]);
+  }
+}
+
+// Every player row in every division and season, for identity matching
+export async function fetchPlayersForIdentity() {
+  const db = initDb();
+  await requireMigratedSchema();
+  const result = await db.query(`
+    SELECT player_id, season, team_id, division, first_name, last_name, number, year
+    FROM players
+  `);
+  return result.rows.map(r => ({
+    playerId: r.player_id,
+    season: r.season,
+    teamId: String(r.team_id),
+    division: r.division,
+    firstName: r.first_name || "",
+    lastName: r.last_name || "",
+    number: r.number,
+    year: r.year || "",
+  }));
+}
+
+// The current person_id of every (player_id, season), so a re-resolve keeps them
+export async function fetchPlayerIdentities() {
+  await requireMigratedSchema();
+  const result = await initDb().query('SELECT player_id, season, person_id FROM player_identities');
+  return result.rows.map(r => ({ playerId: r.player_id, season: r.season, personId: r.person_id }));
+}
+
+// person_id for every (player_id, season) in players - see player_identity.mjs.
+// Rebuilt in full on every resolve, so it always matches the current overrides file.
+export async function replacePlayerIdentities(rows, batchSize = 1000) {
+  await requireMigratedSchema();
+  const client = await initDb().connect();
+
+  try {
+    await client.query('BEGIN');
+    await client.query('DELETE FROM player_identities');
+    for (let i = 0; i < rows.length; i += batchSize) {
+      const batch = rows.slice(i, i + batchSize);
+      const values = [];
+      const placeholders = batch.map((row, idx) => {
+        const base = idx * 4;
+        values.push(row.playerId, row.season, row.personId, row.matchRule);
+        return `($${base+1},$${base+2},$${base+3},$${base+4})`;
+      });
+      await client.query(`
+        INSERT INTO player_identities (player_id, season, person_id, match_rule)
+        VALUES ${placeholders.join(',')}
+      `, values);
+    }
+    await client.query('COMMIT');
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+// Season advanced metrics per player (scripts/player_advanced.mjs), recomputed for
+// a whole division-season after every write so the app never does the math itself.
+//
+// Every player in a division-season with their season totals and their team's
+// (team columns prefixed t_). Pass the rebuild's client to read its uncommitted rows.
+export async function fetchPlayerAdvancedInputs(division, season, client = null) {
+  await requireMigratedSchema();
+  const db = client ?? initDb();
+  const result = await db.query(`
+    SELECT
+      p.player_id, p.team_id,
+      p.minutes, p.fgm, p.fga, p.tpm, p.tpa, p.ftm, p.fta,
+      p.orb, p.drb, p.ast, p.stl, p.blk, p.tov, p.pf, p.points,
+      t.games as t_games, t.minutes as t_minutes, t.points as t_points,
+      t.fgm as t_fgm, t.fga as t_fga, t.tpm as t_tpm, t.tpa as t_tpa, t.ftm as t_ftm, t.fta as t_fta,
+      t.orb as t_orb, t.trb as t_trb, t.ast as t_ast, t.tov as t_tov,
+      t.opp_fga as t_opp_fga, t.opp_tpa as t_opp_tpa, t.opp_fta as t_opp_fta,
+      t.opp_orb as t_opp_orb, t.opp_trb as t_opp_trb, t.opp_tov as t_opp_tov
+    FROM players p
+    JOIN teams t ON t.team_id = p.team_id AND t.season = p.season
+    WHERE p.division = $1 AND p.season = $2
+  `, [division, season]);
+  return result.rows;
+}
+
+// rows: { playerId, teamId, ...metrics } - replaces the division-season in one transaction,
+// or inside the caller's when a client is passed (replaceDivisionData)
+export async function replacePlayerAdvanced(division, season, rows, { client = null, batchSize = 500 } = {}) {
+  await requireMigratedSchema();
+  if (client) return writePlayerAdvanced(client, division, season, rows, batchSize);
+
+  const own = await initDb().connect();
+  try {
+    await own.query('BEGIN');
+    await writePlayerAdvanced(own, division, season, rows, batchSize);
+    await own.query('COMMIT');
+  } catch (err) {
+    await own.query('ROLLBACK');
+    throw err;
+  } finally {
+    own.release();
+  }
+}
+
+async function writePlayerAdvanced(client, division, season, rows, batchSize) {
+  const metrics = Object.keys(PLAYER_ADVANCED_COLUMNS);
+  const columns = ['player_id', 'season', 'division', 'team_id', ...metrics.map((m) => PLAYER_ADVANCED_COLUMNS[m])];
+
+  await client.query('DELETE FROM player_advanced WHERE division = $1 AND season = $2', [division, season]);
+  for (let i = 0; i < rows.length; i += batchSize) {
+    const batch = rows.slice(i, i + batchSize);
+    const values = [];
+    const placeholders = batch.map((row, idx) => {
+      const base = idx * columns.length;
+      values.push(row.playerId, season, division, row.teamId, ...metrics.map((m) => row[m]));
+      return `(${columns.map((_, c) => `$${base + c + 1}`).join(',')})`;
+    });
+    await client.query(`
+      INSERT INTO player_advanced (${columns.join(', ')})
+      VALUES ${placeholders.join(',')}
+    `, values);
+  }
+}
+
+// Box score validation results (scripts/box_validation.mjs), one row per issue.
+// blocked: the game failed a hard check and was left out of the load.
+//
+// Replaces the recorded issues for a whole division-season, or with gameIds only
+// for those games (incremental runs - a game that now validates clean loses its
+// old rows). issues: box_validation.mjs issues plus { blocked }.
+export async function replaceDataQualityIssues(division, season, issues, { gameIds = null, client = null, batchSize = 500 } = {}) {
+  await requireMigratedSchema();
+  const db = client ?? initDb();
+  const columns = ['game_id', 'division', 'season', 'game_date', 'team_id', 'player_id', 'check_name', 'severity', 'message', 'blocked'];
+
+  if (gameIds) {
+    await db.query('DELETE FROM data_quality_issues WHERE game_id = ANY($1)', [gameIds.map(String)]);
+  } else {
+    await db.query('DELETE FROM data_quality_issues WHERE division = $1 AND season = $2', [division, season]);
+  }
+  for (let i = 0; i < issues.length; i += batchSize) {
+    const batch = issues.slice(i, i + batchSize);
+    const values = [];
+    const placeholders = batch.map((row, idx) => {
+      const base = idx * columns.length;
+      values.push(
+        row.gameId, division, season, row.date || null, row.teamId, row.playerId,
+        row.check, row.severity, row.message, !!row.blocked
+      );
+      return `(${columns.map((_, c) => `$${base + c + 1}`).join(',')})`;
+    });
+    await db.query(`
+      INSERT INTO data_quality_issues (${columns.join(', ')})
+      VALUES ${placeholders.join(',')}
+    `, values);
+  }
+}
+
+// ===== STAGED DIVISION REBUILDS =====
+// A full rebuild replaces a whole division-season. Everything is loaded into temp
+// staging tables on one connection, checked against what's live, and swapped in
+// within the same transaction: the site keeps serving the previous load until
+// COMMIT, and a rebuild that fails at any point rolls back leaving it untouched.
+// The big tables (copy: true) are streamed into staging with COPY FROM STDIN
+// rather than multi-row INSERTs; conflicts with live rows are settled by the merge.
+
+// Live tables a rebuild replaces, in merge order. The conflict clauses keep the
+// row writers' semantics: a game another division already stored stays theirs,
+// and players keep their roster-imported height/year.
+const STAGED_TABLES = {
+  teams: {
+    columns: TEAM_COLUMNS, key: ['team_id', 'season'], touch: true,
+    update: TEAM_COLUMNS.filter((c) => !['team_id', 'season'].includes(c)),
+  },
+  games: { columns: GAME_COLUMNS, key: ['game_id'], copy: true },
+  players: {
+    columns: PLAYER_COLUMNS, key: ['player_id', 'season'], touch: true, copy: true,
+    update: PLAYER_COLUMNS.filter((c) => !['player_id', 'season', 'year'].includes(c)),
+  },
+  player_games: {
+    columns: PLAYER_GAME_COLUMNS, key: ['game_id', 'player_id'], copy: true,
+    update: PLAYER_GAME_COLUMNS.filter((c) => !['game_id', 'player_id', 'team_id', 'division', 'season'].includes(c)),
+  },
+  play_events: { columns: PLAY_EVENT_COLUMNS, key: ['game_id', 'event_num'] },
+  lineup_games: { columns: LINEUP_GAME_COLUMNS, key: ['game_id', 'team_id', 'lineup_key'] },
+};
+
+const STAGED_ROW_VALUES = {
+  teams: teamValues,
+  games: gameValues,
+  players: playerValues,
+  player_games: playerGameValues,
+  play_events: playEventValues,
+  lineup_games: lineupGameValues,
+};
+
+// A new load smaller than this share of the live one is refused - a partial scrape
+// (API outage, parser regression) looks exactly like that
+export const REBUILD_MIN_SHARE = 0.9;
+const REBUILD_CHECKED_TABLES = ['teams', 'games', 'players', 'player_games'];
+
+// COPY text format: tab-separated, \N for null, backslash escapes
+function copyField(value) {
+  if (value === null || value === undefined || Number.isNaN(value)) return '\\N';
+  if (value instanceof Date) return value.toISOString();
+  if (typeof value === 'boolean') return value ? 't' : 'f';
+  return String(value).replace(/\\/g, '\\\\').replace(/\t/g, '\\t').replace(/\n/g, '\\n').replace(/\r/g, '\\r');
+}
+
+// Rows as COPY text, a few hundred rows per chunk
+function* copyChunks(valueRows, rowsPerChunk = 500) {
+  for (let i = 0; i < valueRows.length; i += rowsPerChunk) {
+    yield valueRows.slice(i, i + rowsPerChunk)
+      .map((values) => values.map(copyField).join('\t') + '\n')
+      .join('');
+  }
+}
+
+async function copyRows(client, table, columns, valueRows) {
+  if (valueRows.length === 0) return 0;
+  const stream = client.query(copyFrom(`COPY ${table} (${columns.join(', ')}) FROM STDIN`));
+  await pipeline(Readable.from(copyChunks(valueRows)), stream);
+  return Number(stream.rowCount);
+}
+
+async function insertRows(client, table, columns, valueRows, batchSize = 500) {
+  let inserted = 0;
+  for (let i = 0; i < valueRows.length; i += batchSize) {
+    const batch = valueRows.slice(i, i + batchSize);
+    const placeholders = batch.map((_, idx) =>
+      `(${columns.map((_, c) => `$${idx * columns.length + c + 1}`).join(',')})`
+    );
+    const result = await client.query(`
+      INSERT INTO ${table} (${columns.join(', ')})
+      VALUES ${placeholders.join(',')}
+    `, batch.flat());
+    inserted += result.rowCount;
+  }
+  return inserted;
+}
+
+// Loads rows into staging_<table>; the first row for each key wins, like the
+// row writers' ON CONFLICT DO NOTHING. The key is added after the load (cheaper
+// than maintaining it row by row) and would fail the rebuild on a duplicate.
+async function stageTable(client, table, rows, { copy }) {
+  const { columns, key } = STAGED_TABLES[table];
+  const toValues = STAGED_ROW_VALUES[table];
+  const keyIndexes = key.map((c) => columns.indexOf(c));
+
+  const seen = new Set();
+  const valueRows = [];
+  for (const row of rows) {
+    const values = toValues(row);
+    const rowKey = keyIndexes.map((i) => String(values[i])).join('\u0000');
+    if (seen.has(rowKey)) continue;
+    seen.add(rowKey);
+    valueRows.push(values);
+  }
+
+  const started = Date.now();
+  const method = copy && STAGED_TABLES[table].copy ? 'COPY' : 'INSERT';
+  const staged = method === 'COPY'
+    ? await copyRows(client, `staging_${table}`, columns, valueRows)
+    : await insertRows(client, `staging_${table}`, columns, valueRows);
+  await client.query(`ALTER TABLE staging_${table} ADD PRIMARY KEY (${key.join(', ')})`);
+
+  return { rows: staged, duplicates: rows.length - valueRows.length, method, ms: Date.now() - started };
+}
+async function countDivisionRows(client, division, season, prefix = '') {
+  const counts = {};
+  for (const table of Object.keys(STAGED_TABLES)) {
+    const result = await client.query(
+      `SELECT COUNT(*)::int as n FROM ${prefix}${table} WHERE division = $1 AND season = $2`,
+      [division, season]
+    );
+    counts[table] = result.rows[0].n;
+  }
+  return counts;
+}
+
+function checkStagedCounts(staged, live, minShare) {
+  const short = REBUILD_CHECKED_TABLES
+    .filter((table) => live[table] > 0 && staged[table] < live[table] * minShare)
+    .map((table) => `${table} ${staged[table]} staged vs ${live[table]} live (${Math.round(100 * staged[table] / live[table])}%)`);
+  if (short.length) {
+    throw new Error(`New load is smaller than ${Math.round(minShare * 100)}% of the live data: ${short.join('; ')}`);
+  }
+}
+
+async function mergeStagedTable(client, table) {
+  const { columns, key, update, touch } = STAGED_TABLES[table];
+  const insertColumns = touch ? [...columns, 'updated_at'] : columns;
+  const selectColumns = touch ? [...columns, 'CURRENT_TIMESTAMP'] : columns;
+  const onConflict = update
+    ? `DO UPDATE SET ${[...update, ...(touch ? ['updated_at'] : [])].map((c) => `${c} = EXCLUDED.${c}`).join(', ')}`
+    : 'DO NOTHING';
+
+  const result = await client.query(`
+    INSERT INTO ${table} (${insertColumns.join(', ')})
+    SELECT ${selectColumns.join(', ')} FROM staging_${table}
+    ON CONFLICT (${key.join(', ')}) ${onConflict}
+  `);
+  return result.rowCount;
+}
+
+// Replaces one division-season with `data`: { teams, games, players, player_games,
+// play_events, lineup_games }, each an array of rows in the shape upsertTeam,
+// insertGame, upsertPlayer and the batch inserts take. beforeCommit(client) runs
+// after the swap, inside the transaction, for tables derived from the new rows.
+// copy: false stages everything with INSERTs instead of COPY.
+// Returns per table: the staged, previously live and merged row counts, and how
+// each table was loaded ({ rows, duplicates, method, ms }) and merged ({ rows, ms }).
+export async function replaceDivisionData(division, season, data, { minShare = REBUILD_MIN_SHARE, beforeCommit = null, copy = true } = {}) {
+  await requireMigratedSchema();
+
+  const client = await initDb().connect();
+  try {
+    await client.query('BEGIN');
+    // Two rebuilds of the same division-season would otherwise both swap
+    await client.query('SELECT pg_advisory_xact_lock(hashtext($1))', [`rebuild:${division}:${season}`]);
+
+    const loads = {};
+    for (const table of Object.keys(STAGED_TABLES)) {
+      await client.query(`CREATE TEMP TABLE staging_${table} (LIKE ${table} INCLUDING DEFAULTS) ON COMMIT DROP`);
+      loads[table] = await stageTable(client, table, data[table] ?? [], { copy });
+    }
+
+    const staged = await countDivisionRows(client, division, season, 'staging_');
+    const live = await countDivisionRows(client, division, season);
+    checkStagedCounts(staged, live, minShare);
+
+    // Swap: same deletes as clearDivisionData (players are kept for their height/year)
+    for (const table of ['play_events', 'lineup_games', 'player_advanced', 'player_games', 'games', 'teams']) {
+      await client.query(`DELETE FROM ${table} WHERE division = $1 AND season = $2`, [division, season]);
+    }
+    const merged = {};
+    const merges = {};
+    for (const table of Object.keys(STAGED_TABLES)) {
+      const started = Date.now();
+      merged[table] = await mergeStagedTable(client, table);
+      merges[table] = { rows: merged[table], ms: Date.now() - started };
+    }
+
+    if (beforeCommit) await beforeCommit(client);
+    await client.query('COMMIT');
+    return { staged, live, merged, loads, merges };
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+}
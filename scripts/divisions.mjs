@@ -0,0 +1,187 @@
+// Per-division ingestion config.
+// Everything that used to be a copy-pasted constant at the top of each build_* script
+// lives here, so scripts/ingest.mjs can run any division with the same code.
+
+const D1_CONFERENCES = [
+  'acc', 'american', 'america-east', 'asun', 'atlantic-10',
+  'big-12', 'big-east', 'big-sky', 'big-south', 'big-ten', 'big-west',
+  'caa', 'cusa', 'horizon', 'ivy-league', 'maac', 'mac', 'meac',
+  'mountain-west', 'mvc', 'nec', 'ovc', 'patriot', 'sec', 'socon',
+  'southland', 'summit-league', 'sun-belt', 'swac', 'wac', 'wcc'
+];
+
+const D2_CONFERENCES = [
+  'cacc', 'ciaa', 'conference-carolinas', 'ecc', 'gliac', 'glvc',
+  'g-mac', 'gac', 'gulf-south', 'lone-star', 'mec',
+  'ne10', 'nsic', 'peach-belt', 'psac', 'rmac',
+  'sac', 'siac', 'sunshine-state',
+  'mid-america-intercollegiate', 'pacwest', 'ccaa', 'great-northwest',
+  'dii-independent'
+];
+
+const D3_CONFERENCES = [
+  'amcc', 'american-rivers', 'asc', 'atlantic-east', 'c2c', 'ccc', 'cciw',
+  'ccs', 'centennial', 'cne', 'empire-8', 'gnac', 'hcac', 'landmark',
+  'liberty-league', 'little-east', 'mac-commonwealth', 'mac-freedom',
+  'mascac', 'miaa', 'miac', 'midwest-conference', 'nacc', 'ncac',
+  'nescac', 'newmac', 'njac', 'nwc', 'oac', 'odac', 'pac', 'saa',
+  'scac', 'sciac', 'skyline', 'sliac', 'sunyac', 'uaa', 'umac',
+  'usa-south', 'wiac',
+  'diii-independent'
+];
+
+// sport/level: path segments in /scoreboard/{sport}/{level}/Y/M/D/{scope}
+// scoreboardScopes: D1 also pulls all-games to pick up games missing from all-conf
+// seasonStartDay: MM-DD of opening day; the year comes from the season being ingested
+// filePrefix: public/data/{filePrefix}_*.json
+// minTeams: incremental runs refuse to overwrite JSON with fewer rated teams than this
+// minutesPerGame: regulation length, for per-40 and team-minute formulas
+// overtimeMinutes: length of each overtime period (game_length.mjs)
+// periodsPerGame: regulation periods - women play quarters, men halves (game_length.mjs)
+// Team minutes are PLAYERS_ON_COURT per minute of game clock (200 a regulation game).
+// The API routes read this registry too (lib/divisions.ts), so a division added here
+// is served by app/api/[division] without new route files.
+export const PLAYERS_ON_COURT = 5;
+
+export const DIVISIONS = {
+  'womens-d1': {
+    division: 'womens-d1',
+    label: "Women's D1",
+    sport: 'basketball-women',
+    level: 'd1',
+    seasonStartDay: '11-03',
+    scoreboardScopes: ['all-conf', 'all-games'],
+    conferences: new Set(D1_CONFERENCES),
+    filePrefix: 'womens_d1',
+    minTeams: 300,
+    minutesPerGame: 40,
+    overtimeMinutes: 5,
+    periodsPerGame: 4,
+  },
+  'mens-d1': {
+    division: 'mens-d1',
+    label: "Men's D1",
+    sport: 'basketball-men',
+    level: 'd1',
+    seasonStartDay: '11-03',
+    scoreboardScopes: ['all-conf', 'all-games'],
+    conferences: new Set(D1_CONFERENCES),
+    filePrefix: 'mens_d1',
+    minTeams: 300,
+    minutesPerGame: 40,
+    overtimeMinutes: 5,
+    periodsPerGame: 2,
+  },
+  'womens-d2': {
+    division: 'womens-d2',
+    label: "Women's D2",
+    sport: 'basketball-women',
+    level: 'd2',
+    seasonStartDay: '11-14',
+    scoreboardScopes: ['all-conf'],
+    conferences: new Set(D2_CONFERENCES),
+    filePrefix: 'womens_d2',
+    minTeams: 200,
+    minutesPerGame: 40,
+    overtimeMinutes: 5,
+    periodsPerGame: 4,
+  },
+  'mens-d2': {
+    division: 'mens-d2',
+    label: "Men's D2",
+    sport: 'basketball-men',
+    level: 'd2',
+    seasonStartDay: '11-14',
+    scoreboardScopes: ['all-conf'],
+    conferences: new Set(D2_CONFERENCES),
+    filePrefix: 'mens_d2',
+    minTeams: 200,
+    minutesPerGame: 40,
+    overtimeMinutes: 5,
+    periodsPerGame: 2,
+  },
+  'womens-d3': {
+    division: 'womens-d3',
+    label: "Women's D3",
+    sport: 'basketball-women',
+    level: 'd3',
+    seasonStartDay: '11-07',
+    scoreboardScopes: ['all-conf'],
+    conferences: new Set(D3_CONFERENCES),
+    filePrefix: 'womens_d3',
+    minTeams: 300,
+    minutesPerGame: 40,
+    overtimeMinutes: 5,
+    periodsPerGame: 4,
+  },
+  'mens-d3': {
+    division: 'mens-d3',
+    label: "Men's D3",
+    sport: 'basketball-men',
+    level: 'd3',
+    seasonStartDay: '11-07',
+    scoreboardScopes: ['all-conf'],
+    conferences: new Set(D3_CONFERENCES),
+    filePrefix: 'mens_d3',
+    minTeams: 300,
+    minutesPerGame: 40,
+    overtimeMinutes: 5,
+    periodsPerGame: 2,
+  },
+};
+
+export function getDivisionConfig(division) {
+  const config = DIVISIONS[division];
+  if (!config) {
+    throw new Error(`Unknown division "${division}". Expected one of: ${Object.keys(DIVISIONS).join(', ')}`);
+  }
+  return config;
+}
+
+// True if a conference slug belongs to the division (filters out non-division opponents)
+export function isDivisionConference(config, conf) {
+  return !!conf && config.conferences.has(conf.toLowerCase());
+}
+
+// ===== SCOREBOARD DATES =====
+// The NCAA files games under their US Eastern date, so "today" for the scoreboards,
+// scheduled_games and the predictions route is always today in Eastern time.
+
+export const SCOREBOARD_TIME_ZONE = 'America/New_York';
+
+// Today's scoreboard date as YYYY-MM-DD
+export function scoreboardToday() {
+  return new Date().toLocaleDateString('en-CA', { timeZone: SCOREBOARD_TIME_ZONE });
+}
+
+// ===== SEASONS =====
+// Seasons are labelled by academic year ("2025-26"). Opening day is in November,
+// so until then the current season is the one that ended in the spring.
+
+const SEASON_ROLLOVER_MONTH = 10; // November, 0-based
+const SEASON_END_DAY = '04-15'; // after the last tournament game
+
+export function seasonForDate(date) {
+  const d = date instanceof Date ? date : new Date(`${date}T00:00:00Z`);
+  const startYear = d.getUTCMonth() >= SEASON_ROLLOVER_MONTH ? d.getUTCFullYear() : d.getUTCFullYear() - 1;
+  return `${startYear}-${String((startYear + 1) % 100).padStart(2, '0')}`;
+}
+
+export function currentSeason() {
+  return seasonForDate(new Date());
+}
+
+// "2025-26" style, with the second year following the first
+export function isSeason(season) {
+  const match = /^(\d{4})-(\d{2})$/.exec(String(season || ''));
+  return !!match && (Number(match[1]) + 1) % 100 === Number(match[2]);
+}
+
+// First and last day of a season for a division, as YYYY-MM-DD
+export function seasonDates(config, season) {
+  const startYear = Number(season.slice(0, 4));
+  return {
+    start: `${startYear}-${config.seasonStartDay}`,
+    end: `${startYear + 1}-${SEASON_END_DAY}`,
+  };
+}
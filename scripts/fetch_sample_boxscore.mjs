@@ -1,6 +1,6 @@
 import fs from "node:fs/promises";
 
-const NCAA_API_BASE = "https://ncaa-api.henrygd.me";
+const NCAA_API_BASE = process.env.NCAA_API_BASE || "https://ncaa-api.henrygd.me";
 
 // Known working game IDs from previous runs
 const GAME_IDS = ["6518189", "6519393", "6529125"];
@@ -1,6 +1,6 @@
 import fs from "node:fs/promises";
 
-const NCAA_API_BASE = "https://ncaa-api.henrygd.me";
+const NCAA_API_BASE = process.env.NCAA_API_BASE || "https://ncaa-api.henrygd.me";
 
 async function fetchJson(url) {
   const res = await fetch(url, {
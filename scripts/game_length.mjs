@@ -0,0 +1,70 @@
+import { extractCompleteStats, pick, toInt } from "./boxscore_parser.mjs";
+import { PLAYERS_ON_COURT } from "./divisions.mjs";
+
+// How long a game ran. Tempo, %Min, usage and the per-minute rebound, assist,
+// block and steal rates all divide by the minutes a team actually played, so an
+// overtime game counts as 45 (or 50...) minutes instead of an inflated 40.
+//
+// Overtimes come from the first of these that knows:
+//   the box score's status line      "FINAL", "FINAL (OT)", "FINAL (2OT)"
+//   the play-by-play's last period   periods past the division's regulation count
+//   the box score's player minutes   a side's lines sum to 200 + 25 per overtime
+// A game none of them can place is taken as regulation.
+
+// Regulation and overtime lengths come from the division config (divisions.mjs
+// minutesPerGame, overtimeMinutes), as does PLAYERS_ON_COURT.
+// Player minutes are rounded per line, so a side's total drifts a little
+export const TEAM_MINUTES_TOLERANCE = 3;
+
+// "FINAL (2OT)" -> 2, "FINAL" -> 0; null when the status line isn't a final score
+export function overtimesFromStatus(gameJson) {
+  const status = pick(gameJson, ["period", "finalMessage", "currentPeriod"]);
+  if (typeof status !== "string" || !/final/i.test(status)) return null;
+  const ot = status.match(/(\d+)?\s*OT\b/i);
+  return ot ? toInt(ot[1], 1) : 0;
+}
+
+// Periods past regulation in the play-by-play; null without events
+export function overtimesFromPeriods(playEvents, regulationPeriods) {
+  const periods = (playEvents || []).map((e) => e.period).filter(Number.isFinite);
+  if (!periods.length) return null;
+  return Math.max(0, Math.max(...periods) - regulationPeriods);
+}
+
+// Nearest whole number of overtimes for a side's summed player minutes
+export function nearestOvertimes(teamMinutes, config) {
+  const regulation = config.minutesPerGame * PLAYERS_ON_COURT;
+  return Math.max(0, Math.round((teamMinutes - regulation) / (config.overtimeMinutes * PLAYERS_ON_COURT)));
+}
+
+export const gameMinutesFor = (overtimes, config) =>
+  config.minutesPerGame + overtimes * config.overtimeMinutes;
+
+// Overtimes the player minutes point to. Sides whose lines are missing or don't
+// land near a whole number of overtimes are ignored; null if neither side is usable.
+export function overtimesFromMinutes(gameData, config) {
+  const counts = [];
+  for (const entry of gameData.players || []) {
+    const minutes = (entry.players || []).reduce((sum, raw) => sum + extractCompleteStats(raw).minutes, 0);
+    if (minutes <= 0) continue;
+    const overtimes = nearestOvertimes(minutes, config);
+    const expected = gameMinutesFor(overtimes, config) * PLAYERS_ON_COURT;
+    if (Math.abs(minutes - expected) <= TEAM_MINUTES_TOLERANCE) counts.push(overtimes);
+  }
+  return counts.length ? Math.max(...counts) : null;
+}
+
+// { overtimes, periods, gameMinutes } for a parsed game (parseCompleteGameData output
+// with its playEvents attached), using the division's regulation and overtime lengths
+export function detectGameLength(config, gameJson, gameData) {
+  const overtimes =
+    overtimesFromStatus(gameJson) ??
+    overtimesFromPeriods(gameData.playEvents, config.periodsPerGame) ??
+    overtimesFromMinutes(gameData, config) ??
+    0;
+  return {
+    overtimes,
+    periods: config.periodsPerGame + overtimes,
+    gameMinutes: gameMinutesFor(overtimes, config),
+  };
+}
@@ -6,7 +6,7 @@
  *   POSTGRES_URL=your_url node scripts/generate_missing_roster_csv.mjs
  *
  * FLAGS:
- *   --division womens-d1     only export one division (womens-d1, mens-d1, mens-d2, womens-d2)
+ *   --division womens-d1     only export one division (any slug in scripts/divisions.mjs)
  *   --team "Alabama St."     only export one team (exact DB name)
  *   --out roster_missing.csv custom output filename (default: missing_rosters_YYYY-MM-DD.csv)
  *
@@ -22,6 +22,7 @@
 import pg from 'pg';
 import fs from 'fs';
 import path from 'path';
+import { DIVISIONS } from './divisions.mjs';
 
 const { Pool } = pg;
 
@@ -45,7 +46,7 @@ const OUT_FILE        = getArg('--out') ?? `missing_rosters_${new Date().toISOSt
 
 // ─── VALID DIVISIONS ───────────────────────────────────────────────────────────
 
-const ALL_DIVISIONS = ['womens-d1', 'mens-d1', 'mens-d2', 'womens-d2'];
+const ALL_DIVISIONS = Object.keys(DIVISIONS);
 
 const divisions = DIVISION_FILTER
   ? [DIVISION_FILTER]
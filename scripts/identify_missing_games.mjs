@@ -1,7 +1,16 @@
 import fs from "node:fs/promises";
+import { DIVISIONS, currentSeason, isSeason, seasonDates } from "./divisions.mjs";
 
-const NCAA_API_BASE = "https://ncaa-api.henrygd.me";
-const SEASON_START = "2025-11-01";
+const NCAA_API_BASE = process.env.NCAA_API_BASE || "https://ncaa-api.henrygd.me";
+
+// --season 2024-25 to look at a past season (default: the current one)
+const seasonIdx = process.argv.indexOf("--season");
+const SEASON = seasonIdx !== -1 ? process.argv[seasonIdx + 1] : currentSeason();
+if (!isSeason(SEASON)) {
+  console.error(`❌ Error: --season must look like 2025-26 (got "${SEASON}")`);
+  process.exit(1);
+}
+const { start: SEASON_START, end: SEASON_END } = seasonDates(DIVISIONS["womens-d1"], SEASON);
 
 console.log("START find_all_missing_games", new Date().toISOString());
 
@@ -65,7 +74,8 @@ function extractGameIds(obj) {
 
 async function main() {
   const today = new Date();
-  const end = new Date(Date.UTC(today.getUTCFullYear(), today.getUTCMonth(), today.getUTCDate()));
+  const todayUtc = new Date(Date.UTC(today.getUTCFullYear(), today.getUTCMonth(), today.getUTCDate()));
+  const end = todayUtc < toDate(SEASON_END) ? todayUtc : toDate(SEASON_END);
   const start = toDate(SEASON_START);
 
   // Step 1: Get ALL game IDs from scoreboards
@@ -4,10 +4,14 @@
  *
  * USAGE:
  *   POSTGRES_URL=your_url node scripts/import_roster_csv.mjs --file missing_rosters_2026-02-27.csv
+ *   POSTGRES_URL=your_url node scripts/import_roster_csv.mjs --file rosters_2024-25.csv --season 2024-25
  *
  * FLAGS:
- *   --file <path>    path to filled CSV (required)
- *   --dry-run        preview changes without writing to DB
+ *   --file <path>        path to filled CSV (required)
+ *   --season <YYYY-YY>   season the rosters belong to (default: the current season).
+ *                        Only that season's player rows are updated - class year changes
+ *                        every season, so one CSV must not overwrite the others
+ *   --dry-run            preview changes without writing to DB
  *
  * CSV FORMAT (must match output of generate_missing_roster_csv.mjs):
  *   division,team_name,first_name,last_name,height,year
@@ -31,6 +35,7 @@
 
 import pg from 'pg';
 import fs from 'fs';
+import { currentSeason, isSeason } from './divisions.mjs';
 
 const { Pool } = pg;
 
@@ -49,6 +54,7 @@ function getArg(flag) {
 }
 
 const FILE    = getArg('--file');
+const SEASON  = getArg('--season') ?? currentSeason();
 const DRY_RUN = args.includes('--dry-run');
 
 if (!FILE) {
@@ -57,6 +63,11 @@ if (!FILE) {
   process.exit(1);
 }
 
+if (!isSeason(SEASON)) {
+  console.error(`❌ Error: --season must look like 2025-26 (got "${SEASON}")`);
+  process.exit(1);
+}
+
 if (!fs.existsSync(FILE)) {
   console.error(`❌ Error: File not found: ${FILE}`);
   process.exit(1);
@@ -176,7 +187,7 @@ async function run() {
   const content = fs.readFileSync(FILE, 'utf8');
   const rawRows = parseCSV(content);
 
-  console.log(`📄 Parsed ${rawRows.length} rows from ${FILE}`);
+  console.log(`📄 Parsed ${rawRows.length} rows from ${FILE} (season ${SEASON})`);
 
   let updated = 0;
   let skipped = 0;
@@ -220,8 +231,9 @@ async function run() {
         AND LOWER(last_name) = LOWER($4)
         AND division = $5
         AND LOWER(team_name) = LOWER($6)
+        AND season = $7
       RETURNING player_id
-    `, [height, year, row.first_name, row.last_name, row.division, row.team_name]);
+    `, [height, year, row.first_name, row.last_name, row.division, row.team_name, SEASON]);
 
     if (res.rowCount === 0) {
       noMatch++;
@@ -0,0 +1,747 @@
+/**
+ * ingest.mjs — Sideline Stats
+ * Scrapes NCAA scoreboards, box scores and play-by-play for one division and
+ * writes the public/data/{division}_*.json files and, when POSTGRES_URL is set,
+ * the database (play-by-play goes to the play_events table only). After a database
+ * write, the division's player advanced metrics are recomputed
+ * (scripts/build_player_advanced.mjs) and players are re-matched across seasons into
+ * people (scripts/resolve_players.mjs).
+ *
+ * USAGE:
+ *   node scripts/ingest.mjs --division womens-d1 --mode full
+ *   POSTGRES_URL=your_url node scripts/ingest.mjs --division mens-d2 --mode incremental
+ *   node scripts/ingest.mjs --division womens-d1 --mode full --from-archive
+ *   POSTGRES_URL=your_url node scripts/ingest.mjs --division mens-d1 --mode full --season 2024-25
+ *
+ * FLAGS:
+ *   --division <slug>   womens-d1 | mens-d1 | womens-d2 | mens-d2 | womens-d3 | mens-d3
+ *   --mode <mode>       full         rebuild the whole season and replace that season in the DB
+ *                       incremental  check the last few days and add new games to existing totals
+ *   --season <YYYY-YY>  season to ingest (default: the current season). Other seasons
+ *                       in the DB are never touched. Incremental runs only make sense
+ *                       for the current season. Past seasons' JSON goes to {data dir}/{season}/
+ *   --from-archive      (full mode only) rebuild from the raw payload archive instead of the API,
+ *                       e.g. to re-apply a box score parser fix to the whole season
+ *   --allow-shrink      (full mode only) swap the rebuild in even if it has far fewer teams,
+ *                       games or players than the database has now (e.g. after dropping bad games)
+ *   --no-copy           (full mode only) stage with multi-row INSERTs instead of COPY FROM STDIN
+ *
+ * Every parsed box score is checked by scripts/box_validation.mjs. Games that fail
+ * a hard check are left out (and uncached, so they're fetched again next run); all
+ * issues go to {prefix}_data_quality.json and the data_quality_issues table.
+ *
+ * Full rebuilds load the season into staging tables and swap it into the live
+ * tables in one transaction (db_writer.mjs replaceDivisionData): if anything fails,
+ * or the new load is much smaller than the live one, the database keeps the
+ * previous load and the log says why.
+ *
+ * Per-division settings (opening day, conferences, scoreboard URLs, file names)
+ * live in scripts/divisions.mjs. Every payload fetched from the API is kept in
+ * the raw archive (scripts/raw_archive.mjs, RAW_ARCHIVE_DIR to relocate it).
+ *
+ * Local runs against the fixture server (scripts/ncaa_fixture_server.mjs) should
+ * set INGEST_DATA_DIR so they don't overwrite public/data.
+ */
+
+import fs from "node:fs/promises";
+import * as db from "./db_writer.mjs";
+import { DIVISIONS, PLAYERS_ON_COURT, getDivisionConfig, isDivisionConference, currentSeason, isSeason, seasonDates } from "./divisions.mjs";
+import { fetchJson, setPayloadSource, mapLimit, sleep, toDate, fmtDate, addDays, scoreboardPath, boxscorePath, playByPlayPath } from "./ncaa_client.mjs";
+import { extractGameIds, extractConferenceFromGame, parseCompleteGameData, isBoxScoreComplete } from "./boxscore_parser.mjs";
+import { parsePlayByPlay } from "./pbp_parser.mjs";
+import { validateBoxScore, hasHardFailure, summarizeIssues, SEVERITY_ERROR } from "./box_validation.mjs";
+import { computeGameLineups } from "./lineups.mjs";
+import { detectGameLength } from "./game_length.mjs";
+import { buildGameLogEntry, addGameToTeamTotals, addGameToPlayerTotals, buildPlayerGameRows } from "./season_stats.mjs";
+import { computeRawRatings, computeAdjustedRatings, applyAdjustedRatings, adjustDivisionRatingsFromDb } from "./adjusted_ratings.mjs";
+import { resolveAndStorePlayerIdentities } from "./resolve_players.mjs";
+import { buildAndStorePlayerAdvanced } from "./build_player_advanced.mjs";
+
+const BOX_DELAY_MS = 400;
+const BOX_CONCURRENCY = 4;
+
+// Full rebuilds replace the whole division-season - refuse outright if the API clearly fell over
+const MIN_GAMES_FULL_REBUILD = 500;
+
+// Incremental runs re-check this many days back so recently-sparse games get retried
+const INCREMENTAL_LOOKBACK_DAYS = 3;
+
+// ===== ARGS =====
+
+const args = process.argv.slice(2);
+
+function getArg(flag) {
+  const idx = args.indexOf(flag);
+  return idx !== -1 ? args[idx + 1] : null;
+}
+
+const DIVISION_ARG = getArg('--division');
+const MODE = getArg('--mode');
+const FROM_ARCHIVE = args.includes('--from-archive');
+const ALLOW_SHRINK = args.includes('--allow-shrink');
+const NO_COPY = args.includes('--no-copy');
+const SEASON = getArg('--season') ?? currentSeason();
+
+if (!DIVISION_ARG || !DIVISIONS[DIVISION_ARG] || !['full', 'incremental'].includes(MODE)) {
+  console.error('❌ Error: --division and --mode are required');
+  console.error(`   --division: ${Object.keys(DIVISIONS).join(' | ')}`);
+  console.error('   --mode:     full | incremental');
+  console.error('   Example: node scripts/ingest.mjs --division mens-d2 --mode incremental');
+  process.exit(1);
+}
+
+if ((FROM_ARCHIVE || ALLOW_SHRINK || NO_COPY) && MODE !== 'full') {
+  console.error('❌ Error: --from-archive, --allow-shrink and --no-copy only work with --mode full');
+  process.exit(1);
+}
+
+if (!isSeason(SEASON)) {
+  console.error(`❌ Error: --season must look like 2025-26 (got "${SEASON}")`);
+  process.exit(1);
+}
+
+if (MODE === 'incremental' && SEASON !== currentSeason()) {
+  console.error(`❌ Error: --mode incremental only works for the current season (${currentSeason()})`);
+  process.exit(1);
+}
+
+// ===== SHARED STEPS =====
+
+const DATA_DIR = process.env.INGEST_DATA_DIR || "public/data";
+
+// The current season keeps the top-level file names the site and workflows expect
+function seasonDataDir(config) {
+  return config.season === currentSeason() ? DATA_DIR : `${DATA_DIR}/${config.season}`;
+}
+
+function dataPath(config, name) {
+  return `${seasonDataDir(config)}/${config.filePrefix}_${name}.json`;
+}
+
+async function writeJson(path, data) {
+  await fs.writeFile(path, JSON.stringify(data, null, 2), "utf8");
+}
+
+async function readJson(path, fallback) {
+  try {
+    return JSON.parse(await fs.readFile(path, "utf8"));
+  } catch {
+    return fallback;
+  }
+}
+
+// Game IDs (minus skipIds) and conference info for one date across every scoreboard scope
+async function fetchScoreboards(config, date, skipIds) {
+  const dayGameIds = new Set();
+  const conferenceMap = new Map();
+
+  for (const scope of config.scoreboardScopes) {
+    const path = scoreboardPath(config, date, scope);
+    let scoreboard;
+    try {
+      scoreboard = await fetchJson(path, false);
+    } catch (e) {
+      if ((globalThis.__SCOREBOARD_FAILS__ ?? 0) < 50) {
+        globalThis.__SCOREBOARD_FAILS__ = (globalThis.__SCOREBOARD_FAILS__ ?? 0) + 1;
+        console.log("SCOREBOARD FETCH FAILED for", path);
+      }
+      continue;
+    }
+
+    const gameIds = extractGameIds(scoreboard).filter((gid) => !skipIds.has(gid));
+    gameIds.forEach(gid => dayGameIds.add(gid));
+
+    if (scoreboard.games && Array.isArray(scoreboard.games)) {
+      for (const gameObj of scoreboard.games) {
+        const confInfo = extractConferenceFromGame(gameObj);
+        if (confInfo.gameId) conferenceMap.set(confInfo.gameId, confInfo);
+      }
+    }
+  }
+
+  return { gameIds: [...dayGameIds], conferenceMap };
+}
+
+// items: [{ gid, date }] -> [{ gid, box, pbp, date }] with box/pbp null on failure.
+// Play-by-play is only fetched for games whose box score came back, and a missing
+// feed just means the game has no play_events.
+async function fetchGamePayloads(items) {
+  // The delay only exists to keep the live API from throttling us
+  const delayMs = FROM_ARCHIVE ? 0 : BOX_DELAY_MS;
+  return mapLimit(items, BOX_CONCURRENCY, async ({ gid, date }) => {
+    let box = null;
+    try {
+      box = await fetchJson(boxscorePath(gid), true);
+    } catch (e) {
+      if ((globalThis.__BOX_FAILS__ ?? 0) < 10) {
+        globalThis.__BOX_FAILS__ = (globalThis.__BOX_FAILS__ ?? 0) + 1;
+        console.log("boxscore fetch failed for gid:", gid);
+      }
+      await sleep(delayMs);
+      return { gid, box: null, pbp: null, date };
+    }
+    await sleep(delayMs);
+
+    let pbp = null;
+    try {
+      pbp = await fetchJson(playByPlayPath(gid), false);
+    } catch (e) {
+      if ((globalThis.__PBP_FAILS__ ?? 0) < 10) {
+        globalThis.__PBP_FAILS__ = (globalThis.__PBP_FAILS__ ?? 0) + 1;
+        console.log("play-by-play fetch failed for gid:", gid);
+      }
+    }
+    await sleep(delayMs);
+
+    return { gid, box, pbp, date };
+  });
+}
+
+// Parse a box score (+ play-by-play) and attach scoreboard conference, neutral-site and
+// game length (overtimes / periods / gameMinutes) info.
+// Returns null if it can't be parsed; gameData.inDivision is false when neither side is a division team.
+function parseGame(config, gid, box, pbp, date, conferenceMap) {
+  const gameData = parseCompleteGameData(gid, box, date);
+  if (!gameData) return null;
+
+  gameData.playEvents = parsePlayByPlay(gid, pbp, gameData)
+    .map((e) => ({ ...e, division: config.division, season: config.season }));
+  Object.assign(gameData, detectGameLength(config, box, gameData));
+  gameData.lineups = computeGameLineups(gameData, config.division)
+    .map((l) => ({ ...l, season: config.season }));
+
+  const confInfo = conferenceMap.get(gid);
+  if (confInfo) {
+    gameData.home.conference = confInfo.homeConf;
+    gameData.away.conference = confInfo.awayConf;
+    gameData.isConferenceGame = confInfo.isConferenceGame;
+  }
+  // The box score's own flag wins; otherwise take the scoreboard's, else a home game
+  gameData.neutralSite = gameData.neutralSite ?? confInfo?.neutralSite ?? false;
+
+  gameData.inDivision =
+    isDivisionConference(config, gameData.home.conference) ||
+    isDivisionConference(config, gameData.away.conference);
+  return gameData;
+}
+
+function buildRatingsRows(config, teamTotals) {
+  const ratingsRows = [];
+  for (const [teamId, stats] of teamTotals) {
+    ratingsRows.push({
+      teamId, team: stats.teamName, conference: stats.conference,
+      games: stats.games, ...computeRawRatings(stats, config),
+    });
+  }
+  return ratingsRows;
+}
+
+async function writeRatingsJson(config, ratingsRows) {
+  await writeJson(dataPath(config, "ratings"), {
+    generated_at_utc: new Date().toISOString(),
+    season: config.season,
+    season_start: seasonDates(config, config.season).start,
+    rows: ratingsRows,
+  });
+}
+
+// Runs the box score checks on a parsed game. Returns its issues, each tagged with
+// whether the game is blocked (failed a hard check and must be left out).
+function checkBoxScore(config, gameData) {
+  const issues = validateBoxScore(gameData, config);
+  const blocked = hasHardFailure(issues);
+  if (blocked) {
+    const errors = issues.filter((i) => i.severity === SEVERITY_ERROR).map((i) => i.message);
+    console.log(`❌ Box score for game ${gameData.gameId} on ${gameData.date} failed validation - left out: ${errors.join("; ")}`);
+  }
+  return { issues: issues.map((i) => ({ ...i, blocked })), blocked };
+}
+
+// {prefix}_data_quality.json holds the current issues for the season. Full runs
+// replace it; incremental runs replace only the games they re-checked.
+async function writeDataQualityReport(config, issues, recheckedGameIds = null) {
+  let current = issues;
+  if (recheckedGameIds) {
+    const rechecked = new Set(recheckedGameIds.map(String));
+    const previous = await readSeasonJson(config, "data_quality", { issues: [] });
+    current = [...(previous.issues || []).filter((i) => !rechecked.has(String(i.gameId))), ...issues];
+  }
+  await fs.mkdir(seasonDataDir(config), { recursive: true });
+  await writeJson(dataPath(config, "data_quality"), {
+    generated_at_utc: new Date().toISOString(),
+    season: config.season,
+    summary: summarizeIssues(current),
+    blocked_game_ids: [...new Set(current.filter((i) => i.blocked).map((i) => i.gameId))],
+    issues: current,
+  });
+  console.log(`✅ WROTE ${dataPath(config, "data_quality")} (${current.length} issues)`);
+}
+
+// Play-by-play and lineup stints for many games, written a few games at a time to keep queries small
+async function writePlayByPlay(games) {
+  let events = 0;
+  let lineups = 0;
+  for (let i = 0; i < games.length; i += 20) {
+    const chunk = games.slice(i, i + 20);
+    events += await db.insertPlayEventsBatch(chunk.flatMap((g) => g.playEvents || []));
+    lineups += await db.insertLineupGamesBatch(chunk.flatMap((g) => g.lineups || []));
+  }
+  return { events, lineups };
+}
+
+function teamRowsFor(config, teamTotals, ratingsRows) {
+  const rows = [];
+  for (const [teamId, stats] of teamTotals) {
+    const row = ratingsRows.find((r) => r.teamId === teamId);
+    if (row) rows.push({ ...stats, ...row, teamName: stats.teamName, division: config.division, season: config.season });
+  }
+  return rows;
+}
+
+async function upsertTeams(config, teamTotals, ratingsRows) {
+  for (const team of teamRowsFor(config, teamTotals, ratingsRows)) await db.upsertTeam(team);
+}
+
+async function insertGames(config, gamesLog) {
+  for (const game of gamesLog) await db.insertGame({ ...game, season: config.season });
+}
+
+async function upsertPlayers(config, players) {
+  for (const player of players) await db.upsertPlayer({ ...player, season: config.season });
+}
+
+// Advanced metrics depend on team totals too, so the whole division-season is redone.
+// client: the full rebuild's transaction
+async function buildPlayerAdvanced(config, client = null) {
+  const summary = await buildAndStorePlayerAdvanced(config.division, config.season, client);
+  console.log(`✅ Computed advanced metrics for ${summary.players} players`);
+}
+
+const perSecond = (rows, ms) => Math.round(rows / Math.max(ms, 1) * 1000).toLocaleString("en-US");
+
+// Per-table load and merge throughput from db.replaceDivisionData
+function logRebuildThroughput(rebuild) {
+  for (const [table, load] of Object.entries(rebuild.loads)) {
+    const merge = rebuild.merges[table];
+    console.log(
+      `   ${table.padEnd(13)} ${String(load.rows).padStart(8)} rows  ${load.method.padEnd(6)} ${(load.ms / 1000).toFixed(1)}s (${perSecond(load.rows, load.ms)} rows/s)` +
+      `  merge ${(merge.ms / 1000).toFixed(1)}s (${perSecond(merge.rows, merge.ms)} rows/s)` +
+      (load.duplicates ? `  ${load.duplicates} duplicates skipped` : "")
+    );
+  }
+}
+
+// Person IDs span every division and season, so they're re-resolved after each write
+async function resolvePlayers() {
+  const summary = await resolveAndStorePlayerIdentities();
+  console.log(`✅ Resolved ${summary.rows} player rows to ${summary.people} people`);
+}
+
+function playerGameRowsFor(config, gamesLog, validTeamIds) {
+  return gamesLog
+    .flatMap((game) => buildPlayerGameRows(game, validTeamIds, config.division))
+    .map((row) => ({ ...row, season: config.season }));
+}
+
+// ===== FULL REBUILD =====
+
+async function runFull(config) {
+  const today = new Date();
+  const { start: seasonStart, end: seasonEnd } = seasonDates(config, config.season);
+  const todayUtc = new Date(Date.UTC(today.getUTCFullYear(), today.getUTCMonth(), today.getUTCDate()));
+  const end = todayUtc < toDate(seasonEnd) ? todayUtc : toDate(seasonEnd);
+  const start = toDate(seasonStart);
+
+  const allGames = [];
+  const seenGameIds = new Set();
+  const sparseGameIds = new Set();
+
+  let days = 0;
+  let totalGamesFound = 0;
+  let totalBoxesFetched = 0;
+  let totalBoxesParsed = 0;
+  let totalBoxesFailed = 0;
+  let totalSparseBoxes = 0;
+  let totalBoxesBlocked = 0;
+  const qualityIssues = [];
+
+  console.log(`Scraping ${config.division} ${config.season} data (team + player stats)...\n`);
+
+  for (let dt = start; dt <= end; dt = addDays(dt, 1)) {
+    days++;
+    const d = fmtDate(dt);
+
+    if (days % 7 === 1) console.log("DATE", d);
+
+    const { gameIds, conferenceMap } = await fetchScoreboards(config, d, seenGameIds);
+    if (gameIds.length) console.log("games on", d, "=", gameIds.length);
+    if (!gameIds.length) continue;
+
+    for (const gid of gameIds) seenGameIds.add(gid);
+    totalGamesFound += gameIds.length;
+
+    const boxscoreFetches = await fetchGamePayloads(gameIds.map((gid) => ({ gid, date: d })));
+
+    for (const { gid, box, pbp, date } of boxscoreFetches) {
+      if (!box) { totalBoxesFailed++; continue; }
+      totalBoxesFetched++;
+
+      if (totalBoxesFetched === 1) {
+        await fs.mkdir(seasonDataDir(config), { recursive: true });
+        await writeJson(dataPath(config, "sample_boxscore"), box);
+        console.log(`Saved sample boxscore for game ${gid}`);
+      }
+
+      const gameData = parseGame(config, gid, box, pbp, date, conferenceMap);
+      if (!gameData) { totalBoxesFailed++; continue; }
+      if (!gameData.inDivision) continue;
+
+      const check = checkBoxScore(config, gameData);
+      qualityIssues.push(...check.issues);
+      if (check.blocked) { totalBoxesBlocked++; continue; }
+
+      // Check for sparse box score - still write to DB but don't cache
+      if (!isBoxScoreComplete(gameData.players, gameData.home.teamId, gameData.away.teamId)) {
+        totalSparseBoxes++;
+        sparseGameIds.add(gid);
+        console.log(`⚠️  Sparse box score for game ${gid} on ${date} (home: ${gameData.home.teamName}, away: ${gameData.away.teamName}) - will not cache`);
+      }
+
+      totalBoxesParsed++;
+      allGames.push(gameData);
+    }
+  }
+
+  console.log(
+    "\n=== SCRAPING COMPLETE ===",
+    "\ndays=", days,
+    "\ngamesFound=", totalGamesFound,
+    "\nboxesParsed=", totalBoxesParsed,
+    "\nboxesFailed=", totalBoxesFailed,
+    "\nsparseBoxes=", totalSparseBoxes,
+    "\nblockedBoxes=", totalBoxesBlocked,
+    "\novertimeGames=", allGames.filter((g) => g.overtimes > 0).length,
+    "\nsuccessRate=",
+    totalGamesFound > 0 ? ((totalBoxesParsed / totalGamesFound) * 100).toFixed(1) + "%" : "0%"
+  );
+
+  console.log("\nProcessing team and player statistics...");
+
+  const teamSeasonStats = new Map();
+  const playerSeasonStats = new Map();
+  const gamesLog = [];
+
+  for (const game of allGames) {
+    gamesLog.push(buildGameLogEntry(game, config.division));
+    addGameToTeamTotals(teamSeasonStats, game, config);
+    addGameToPlayerTotals(playerSeasonStats, game, config);
+  }
+
+  const ratingsRows = buildRatingsRows(config, teamSeasonStats);
+
+  // Opponent- and home-court-adjusted ratings, solved over every game between division teams
+  applyAdjustedRatings(ratingsRows, computeAdjustedRatings(gamesLog, teamSeasonStats.keys(), config));
+
+  const allPlayers = Array.from(playerSeasonStats.values()).filter((p) => p.games > 0);
+
+  await fs.mkdir(seasonDataDir(config), { recursive: true });
+
+  await writeRatingsJson(config, ratingsRows);
+  console.log(`✅ WROTE ${dataPath(config, "ratings")} (${ratingsRows.length} teams)`);
+
+  await writeJson(dataPath(config, "team_stats"), {
+    generated_at_utc: new Date().toISOString(),
+    season: config.season,
+    teams: Array.from(teamSeasonStats.values()),
+  });
+  console.log(`✅ WROTE ${dataPath(config, "team_stats")}`);
+
+  await writeJson(dataPath(config, "games"), { generated_at_utc: new Date().toISOString(), season: config.season, games: gamesLog });
+  console.log(`✅ WROTE ${dataPath(config, "games")} (${gamesLog.length} games)`);
+
+  // Only cache complete box scores - sparse ones will be re-attempted next rebuild
+  const successfullyParsedIds = allGames
+    .map(g => g.gameId)
+    .filter(gid => !sparseGameIds.has(gid));
+  console.log(`Caching ${successfullyParsedIds.length} complete games (${sparseGameIds.size} sparse games excluded from cache)`);
+
+  await writeJson(dataPath(config, "games_cache"), {
+    generated_at_utc: new Date().toISOString(),
+    season: config.season,
+    note: "Contains ONLY successfully parsed game IDs with complete box scores",
+    total_games: successfullyParsedIds.length,
+    sparse_games_excluded: sparseGameIds.size,
+    game_ids: successfullyParsedIds,
+  });
+  console.log(`✅ WROTE ${dataPath(config, "games_cache")} (${successfullyParsedIds.length} games)`);
+
+  await writeJson(dataPath(config, "player_stats"), { generated_at_utc: new Date().toISOString(), season: config.season, players: allPlayers });
+  console.log(`✅ WROTE ${dataPath(config, "player_stats")} (${allPlayers.length} players)`);
+
+  await writeDataQualityReport(config, qualityIssues);
+
+  if (process.env.POSTGRES_URL) {
+    console.log("\n📊 Writing data to database...");
+
+    let swapped = false;
+    try {
+      db.initDb();
+      if (allGames.length < MIN_GAMES_FULL_REBUILD) {
+        throw new Error(`BAD RUN: Only ${allGames.length} games parsed. API may be down. Aborting to protect existing database data.`);
+      }
+
+      console.log("Loading the season into staging tables...");
+      const validTeamIds = new Set(teamSeasonStats.keys());
+      const rebuild = await db.replaceDivisionData(config.division, config.season, {
+        teams: teamRowsFor(config, teamSeasonStats, ratingsRows),
+        games: gamesLog.map((game) => ({ ...game, season: config.season })),
+        players: allPlayers.map((player) => ({ ...player, season: config.season })),
+        player_games: playerGameRowsFor(config, gamesLog, validTeamIds),
+        play_events: allGames.flatMap((g) => g.playEvents || []),
+        lineup_games: allGames.flatMap((g) => g.lineups || []),
+      }, {
+        minShare: ALLOW_SHRINK ? 0 : db.REBUILD_MIN_SHARE,
+        beforeCommit: async (client) => {
+          await buildPlayerAdvanced(config, client);
+          await db.replaceDataQualityIssues(config.division, config.season, qualityIssues, { client });
+        },
+        copy: !NO_COPY,
+      });
+      swapped = true;
+      logRebuildThroughput(rebuild);
+      for (const [table, count] of Object.entries(rebuild.merged)) {
+        console.log(`✅ ${table}: ${count} rows (was ${rebuild.live[table]})`);
+      }
+
+      await db.insertRatingsSnapshot(config.division, config.season, fmtDate(end), ratingsRows, teamSeasonStats);
+      console.log(`✅ Saved ratings snapshot for ${ratingsRows.length} teams`);
+
+      await resolvePlayers();
+
+      await db.closeDb();
+      console.log("\n🎉 DATABASE UPDATED!");
+    } catch (err) {
+      if (swapped) console.error("❌ Database write failed after the new season was swapped in:", err);
+      else console.error(`❌ Database rebuild rolled back - ${config.division} ${config.season} in the database is unchanged:`, err.message);
+      console.log("Continuing with JSON files only...");
+    }
+  } else {
+    console.log("\n⚠️  No POSTGRES_URL found - skipping database write");
+  }
+
+  console.log("\n📊 Final Summary:");
+  console.log(`   - ${ratingsRows.length} teams`);
+  console.log(`   - ${gamesLog.length} games parsed`);
+  console.log(`   - ${allGames.filter((g) => g.playEvents.length > 0).length} games with play-by-play`);
+  console.log(`   - ${allPlayers.length} players`);
+  console.log(`   - ${totalBoxesFailed} games failed`);
+  console.log(`   - ${totalSparseBoxes} sparse box scores (not cached, will retry next rebuild)`);
+  console.log(`   - ${totalBoxesBlocked} box scores failed validation (left out, will retry next rebuild)`);
+  console.log(`   - Success rate: ${totalGamesFound > 0 ? ((totalBoxesParsed / totalGamesFound) * 100).toFixed(1) : 0}%`);
+}
+
+// ===== INCREMENTAL UPDATE =====
+
+// Season totals carried over from the last run - ignored once the season rolls over.
+// Files from before they were tagged are all from 2025-26.
+async function readSeasonJson(config, name, fallback) {
+  const data = await readJson(dataPath(config, name), fallback);
+  return (data.season ?? '2025-26') === config.season ? data : fallback;
+}
+
+async function runIncremental(config) {
+  const existingTeamStats = await readSeasonJson(config, "team_stats", { teams: [] });
+  const existingPlayerStats = await readSeasonJson(config, "player_stats", { players: [] });
+  const existingGamesCache = await readSeasonJson(config, "games_cache", { game_ids: [] });
+
+  const knownGameIds = new Set((existingGamesCache.game_ids || []).map(String));
+  console.log(`Loaded ${knownGameIds.size} known game IDs from cache`);
+
+  // Totals written before team minutes were tracked count every game as regulation
+  const teamSeasonStats = new Map();
+  for (const t of (existingTeamStats.teams || [])) {
+    teamSeasonStats.set(t.teamId, { minutes: t.games * config.minutesPerGame * PLAYERS_ON_COURT, ...t });
+  }
+
+  const playerSeasonStats = new Map();
+  for (const p of (existingPlayerStats.players || [])) playerSeasonStats.set(p.playerId, { ...p });
+
+  const today = new Date();
+  const datesToCheck = [];
+  for (let i = 1; i <= INCREMENTAL_LOOKBACK_DAYS; i++) {
+    const dt = new Date(today);
+    dt.setUTCDate(dt.getUTCDate() - i);
+    datesToCheck.push(fmtDate(dt));
+  }
+  console.log("Checking dates:", datesToCheck);
+
+  const newGameIds = [];
+  const queuedIds = new Set(knownGameIds);
+  const conferenceMap = new Map();
+
+  for (const d of datesToCheck) {
+    const day = await fetchScoreboards(config, d, queuedIds);
+    for (const [gid, confInfo] of day.conferenceMap) conferenceMap.set(gid, confInfo);
+    console.log(`${d}: ${day.gameIds.length} new games`);
+    for (const gid of day.gameIds) {
+      queuedIds.add(gid);
+      newGameIds.push({ gid, date: d });
+    }
+  }
+
+  if (newGameIds.length === 0) {
+    console.log("No new games to process. Exiting.");
+    return;
+  }
+
+  console.log(`\nNew games to process: ${newGameIds.length}`);
+
+  const newGames = [];
+  const successfulGameIds = [];
+  let sparseCount = 0;
+  let blockedCount = 0;
+  const qualityIssues = [];
+  const checkedGameIds = [];
+
+  const boxResults = await fetchGamePayloads(newGameIds);
+
+  for (const { gid, box, pbp, date } of boxResults) {
+    if (!box) continue;
+    const gameData = parseGame(config, gid, box, pbp, date, conferenceMap);
+    if (!gameData || !gameData.inDivision) continue;
+
+    const check = checkBoxScore(config, gameData);
+    qualityIssues.push(...check.issues);
+    checkedGameIds.push(gid);
+    if (check.blocked) { blockedCount++; continue; }
+
+    // Check for sparse box score - still process but don't cache
+    const boxComplete = isBoxScoreComplete(gameData.players, gameData.home.teamId, gameData.away.teamId);
+    if (!boxComplete) {
+      sparseCount++;
+      console.log(`⚠️  Sparse box score for game ${gid} on ${date} (${gameData.home.teamName} vs ${gameData.away.teamName}) - will retry next run`);
+    }
+
+    newGames.push(gameData);
+    if (boxComplete) successfulGameIds.push(gid);
+  }
+
+  console.log(`Successfully parsed ${newGames.length} new games, ${sparseCount} sparse (not cached), ${blockedCount} failed validation`);
+
+  if (checkedGameIds.length) await writeDataQualityReport(config, qualityIssues, checkedGameIds);
+  if (checkedGameIds.length && process.env.POSTGRES_URL) {
+    await db.replaceDataQualityIssues(config.division, config.season, qualityIssues, { gameIds: checkedGameIds });
+  }
+
+  if (newGames.length === 0) {
+    console.log("No games parsed successfully. Exiting.");
+    await db.closeDb();
+    return;
+  }
+
+  const newGamesLog = [];
+  for (const game of newGames) {
+    newGamesLog.push(buildGameLogEntry(game, config.division));
+    addGameToTeamTotals(teamSeasonStats, game, config);
+    addGameToPlayerTotals(playerSeasonStats, game, config);
+  }
+
+  const ratingsRows = buildRatingsRows(config, teamSeasonStats);
+  // Only the last few days of games are in memory here, so adjusted ratings are
+  // re-solved from the games table below. Without a database they fall back to raw.
+  applyAdjustedRatings(ratingsRows, new Map());
+
+  if (ratingsRows.length < config.minTeams) {
+    throw new Error(`BAD RUN: Only ${ratingsRows.length} teams found (expected ${config.minTeams}+). Aborting.`);
+  }
+
+  const allPlayers = Array.from(playerSeasonStats.values()).filter((p) => p.games > 0);
+
+  await fs.mkdir(seasonDataDir(config), { recursive: true });
+
+  await writeRatingsJson(config, ratingsRows);
+  console.log(`✅ Updated ${dataPath(config, "ratings")} (${ratingsRows.length} teams)`);
+
+  await writeJson(dataPath(config, "team_stats"), {
+    generated_at_utc: new Date().toISOString(),
+    season: config.season,
+    teams: Array.from(teamSeasonStats.values()),
+  });
+  console.log(`✅ Updated ${dataPath(config, "team_stats")}`);
+
+  await writeJson(dataPath(config, "player_stats"), { generated_at_utc: new Date().toISOString(), season: config.season, players: allPlayers });
+  console.log(`✅ Updated ${dataPath(config, "player_stats")} (${allPlayers.length} players)`);
+
+  const updatedGameIds = [...knownGameIds, ...successfulGameIds];
+  await writeJson(dataPath(config, "games_cache"), {
+    generated_at_utc: new Date().toISOString(),
+    season: config.season,
+    note: "Contains ONLY successfully parsed game IDs with complete box scores",
+    total_games: updatedGameIds.length,
+    game_ids: updatedGameIds,
+  });
+  console.log(`✅ Updated ${dataPath(config, "games_cache")} (${updatedGameIds.length} games)`);
+
+  if (process.env.POSTGRES_URL) {
+    console.log("\n📊 Writing to database...");
+    db.initDb();
+
+    await insertGames(config, newGamesLog);
+    console.log(`✅ Wrote ${newGamesLog.length} new games`);
+
+    const validTeamIds = new Set(teamSeasonStats.keys());
+    const playerGameRows = playerGameRowsFor(config, newGamesLog, validTeamIds);
+    const playerGameCount = await db.insertPlayerGamesBatch(playerGameRows);
+    console.log(`✅ Wrote ${playerGameCount} player game records`);
+
+    const pbpCounts = await writePlayByPlay(newGames);
+    console.log(`✅ Wrote ${pbpCounts.events} play events and ${pbpCounts.lineups} lineup rows`);
+
+    // Only teams and players who appeared in today's games have new totals
+    const touchedTeamIds = new Set(newGamesLog.flatMap((g) => [g.homeId, g.awayId]));
+    const touchedTeams = new Map([...teamSeasonStats].filter(([teamId]) => touchedTeamIds.has(teamId)));
+    await upsertTeams(config, touchedTeams, ratingsRows);
+    console.log(`✅ Updated ${touchedTeams.size} teams`);
+
+    const touchedPlayerIds = new Set(playerGameRows.map((r) => r.playerId));
+    const touchedPlayers = allPlayers.filter((p) => touchedPlayerIds.has(p.playerId));
+    await upsertPlayers(config, touchedPlayers);
+    console.log(`✅ Updated ${touchedPlayers.length} players`);
+
+    await buildPlayerAdvanced(config);
+
+    applyAdjustedRatings(ratingsRows, await adjustDivisionRatingsFromDb(config.division, config.season));
+    await writeRatingsJson(config, ratingsRows);
+    console.log(`✅ Updated ${dataPath(config, "ratings")} with adjusted ratings`);
+
+    await db.insertRatingsSnapshot(config.division, config.season, fmtDate(new Date()), ratingsRows, teamSeasonStats);
+    console.log(`✅ Saved ratings snapshot for ${ratingsRows.length} teams`);
+
+    await resolvePlayers();
+
+    await db.closeDb();
+  }
+
+  console.log(`\n✅ Daily update complete. Processed ${newGames.length} new games, ${sparseCount} sparse (not cached).`);
+  if (sparseCount > 0) console.log(`⚠️  ${sparseCount} sparse games will be retried on next run`);
+  if (blockedCount > 0) console.log(`⚠️  ${blockedCount} games failed validation and will be retried on next run`);
+}
+
+// ===== MAIN =====
+
+async function main() {
+  const config = { ...getDivisionConfig(DIVISION_ARG), season: SEASON };
+  console.log(`START ingest ${config.division} ${config.season} (${MODE}${FROM_ARCHIVE ? ', from archive' : ''})`, new Date().toISOString());
+
+  if (FROM_ARCHIVE) setPayloadSource("archive");
+  // Fail before fetching anything if the database can't take this run's write
+  if (process.env.POSTGRES_URL) await db.requireMigratedSchema();
+
+  if (MODE === 'full') await runFull(config);
+  else await runIncremental(config);
+}
+
+main().catch((e) => {
+  console.error("FATAL", e);
+  process.exit(1);
+});
@@ -0,0 +1,119 @@
+/**
+ * ingest_schedule.mjs — Sideline Stats
+ * Pulls the scoreboards for today and the next few days and stores every listed
+ * game in scheduled_games, which the /api/[division]/predictions route reads.
+ *
+ * USAGE:
+ *   POSTGRES_URL=your_url node scripts/ingest_schedule.mjs --division womens-d1
+ *   POSTGRES_URL=your_url node scripts/ingest_schedule.mjs --division mens-d2 --days 14
+ *
+ * FLAGS:
+ *   --division <slug>   womens-d1 | mens-d1 | womens-d2 | mens-d2 | womens-d3 | mens-d3
+ *   --days <n>          how many days to look ahead, including today (default 7)
+ */
+
+import * as db from "./db_writer.mjs";
+import { DIVISIONS, getDivisionConfig, isDivisionConference, scoreboardToday, seasonForDate } from "./divisions.mjs";
+import { fetchJson, toDate, fmtDate, addDays, scoreboardPath } from "./ncaa_client.mjs";
+import { isNeutralSite } from "./boxscore_parser.mjs";
+
+const args = process.argv.slice(2);
+
+function getArg(flag) {
+  const idx = args.indexOf(flag);
+  return idx !== -1 ? args[idx + 1] : null;
+}
+
+const DIVISION_ARG = getArg('--division');
+const DAYS = Number(getArg('--days') ?? 7);
+
+if (!DIVISION_ARG || !DIVISIONS[DIVISION_ARG] || !Number.isInteger(DAYS) || DAYS < 1) {
+  console.error('❌ Error: --division is required and --days must be a positive integer');
+  console.error(`   --division: ${Object.keys(DIVISIONS).join(' | ')}`);
+  console.error('   Example: node scripts/ingest_schedule.mjs --division womens-d1 --days 7');
+  process.exit(1);
+}
+
+if (!process.env.POSTGRES_URL) {
+  console.error('❌ Error: POSTGRES_URL is required');
+  process.exit(1);
+}
+
+// Scoreboard game object -> scheduled_games row (team IDs resolved later)
+function toScheduledGame(gameObj, date, division) {
+  const game = gameObj?.game;
+  const gameId = game?.gameID || game?.gameId;
+  if (!gameId) return null;
+
+  const homeConf = game.home?.conferences?.[0]?.conferenceSeo || null;
+  const awayConf = game.away?.conferences?.[0]?.conferenceSeo || null;
+  const epoch = parseInt(game.startTimeEpoch, 10);
+
+  return {
+    gameId: String(gameId),
+    division,
+    season: seasonForDate(date),
+    date,
+    startTime: game.startTime || null,
+    startEpoch: Number.isFinite(epoch) ? epoch : null,
+    gameState: game.gameState || null,
+    homeTeam: game.home?.names?.short || "",
+    homeConf,
+    awayTeam: game.away?.names?.short || "",
+    awayConf,
+    isConferenceGame: !!(homeConf && awayConf && homeConf === awayConf),
+    neutralSite: isNeutralSite(game) ?? false,
+  };
+}
+
+async function main() {
+  const config = getDivisionConfig(DIVISION_ARG);
+  console.log(`START ingest_schedule ${config.division} (${DAYS} days)`, new Date().toISOString());
+
+  // Eastern, like the scoreboards and the predictions route that reads these rows
+  const start = toDate(scoreboardToday());
+
+  db.initDb();
+  const teamIdsByName = await db.fetchDivisionTeamNames(config.division, seasonForDate(addDays(start, DAYS - 1)));
+
+  let stored = 0;
+  let unmatched = 0;
+
+  for (let i = 0; i < DAYS; i++) {
+    const date = fmtDate(addDays(start, i));
+    const games = new Map();
+
+    for (const scope of config.scoreboardScopes) {
+      try {
+        const scoreboard = await fetchJson(scoreboardPath(config, date, scope), false);
+        for (const gameObj of scoreboard.games || []) {
+          const g = toScheduledGame(gameObj, date, config.division);
+          if (g) games.set(g.gameId, g);
+        }
+      } catch (e) {
+        console.log("SCOREBOARD FETCH FAILED for", date, scope, e.message);
+      }
+    }
+
+    for (const g of games.values()) {
+      if (!isDivisionConference(config, g.homeConf) && !isDivisionConference(config, g.awayConf)) continue;
+
+      g.homeId = teamIdsByName.get(g.homeTeam.toLowerCase()) ?? null;
+      g.awayId = teamIdsByName.get(g.awayTeam.toLowerCase()) ?? null;
+      if (!g.homeId || !g.awayId) unmatched++;
+
+      await db.upsertScheduledGame(g);
+      stored++;
+    }
+
+    console.log(`${date}: ${games.size} games listed`);
+  }
+
+  await db.closeDb();
+  console.log(`✅ Stored ${stored} scheduled games (${unmatched} with an unrated or unmatched team)`);
+}
+
+main().catch((e) => {
+  console.error("FATAL", e);
+  process.exit(1);
+});
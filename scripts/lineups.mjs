@@ -0,0 +1,113 @@
+import { buildPlayerId } from "./boxscore_parser.mjs";
+
+// Lineup reconstruction from play-by-play.
+//
+// Each team starts the game with its box score starters on the floor and the
+// five changes with every sub_in / sub_out event. Points (from the running score),
+// possessions (from pbp_parser's possession numbers) and seconds are credited to
+// whichever five were on the floor for both teams at the time.
+//
+// Returns one row per team per lineup per game, ready for the lineup_games table.
+// Lineups that couldn't be pinned down to exactly five players are still returned
+// (isComplete: false) so team totals and player on/off splits add up.
+
+function lineupKey(players) {
+  return [...players].sort().join("|");
+}
+
+function startersFor(gameData, teamId) {
+  const entry = (gameData.players || []).find((pd) => String(pd.teamId) === teamId);
+  return (entry?.players || [])
+    .filter((p) => p.starter === true || p.starter === "true")
+    .map((p) => buildPlayerId(teamId, p));
+}
+
+export function computeGameLineups(gameData, division) {
+  const events = gameData.playEvents || [];
+  if (events.length === 0) return [];
+
+  const homeId = gameData.home.teamId;
+  const awayId = gameData.away.teamId;
+  const opponentOf = { [homeId]: awayId, [awayId]: homeId };
+
+  const floor = {
+    [homeId]: new Set(startersFor(gameData, homeId)),
+    [awayId]: new Set(startersFor(gameData, awayId)),
+  };
+
+  const stints = new Map();
+  function stint(teamId) {
+    const key = `${teamId}#${lineupKey(floor[teamId])}`;
+    if (!stints.has(key)) {
+      stints.set(key, {
+        gameId: gameData.gameId,
+        teamId,
+        division,
+        lineupKey: lineupKey(floor[teamId]),
+        playerIds: [...floor[teamId]].sort(),
+        isComplete: floor[teamId].size === 5,
+        seconds: 0, offPoss: 0, defPoss: 0, pointsFor: 0, pointsAgainst: 0,
+      });
+    }
+    return stints.get(key);
+  }
+
+  let period = null;
+  let prevClock = null;
+  let prevHome = 0;
+  let prevAway = 0;
+  let lastPossession = 0;
+
+  for (const e of events) {
+    if (e.period !== period) {
+      period = e.period;
+      // The feed rarely has an event right at the horn - assume the period started
+      // on the minute mark at or above the first clock reading
+      prevClock = e.clockSeconds != null ? Math.ceil(e.clockSeconds / 60) * 60 : null;
+    }
+
+    // Time since the previous event was played by the lineups already on the floor
+    if (e.clockSeconds != null && prevClock != null && prevClock > e.clockSeconds) {
+      const elapsed = prevClock - e.clockSeconds;
+      stint(homeId).seconds += elapsed;
+      stint(awayId).seconds += elapsed;
+    }
+    if (e.clockSeconds != null) prevClock = e.clockSeconds;
+
+    const team = e.teamId && floor[e.teamId] ? e.teamId : null;
+
+    if (team && e.playerId) {
+      if (e.eventType === 'sub_out') {
+        floor[team].delete(e.playerId);
+        continue;
+      }
+      if (e.eventType === 'sub_in') {
+        floor[team].add(e.playerId);
+        continue;
+      }
+      // Anyone making a play is on the floor, even if we missed their sub
+      if (!floor[team].has(e.playerId) && floor[team].size < 5) floor[team].add(e.playerId);
+    }
+
+    if (e.possession > lastPossession && floor[e.possessionTeamId]) {
+      lastPossession = e.possession;
+      stint(e.possessionTeamId).offPoss++;
+      stint(opponentOf[e.possessionTeamId]).defPoss++;
+    }
+
+    const homePts = e.homeScore - prevHome;
+    const awayPts = e.awayScore - prevAway;
+    if (homePts > 0) {
+      stint(homeId).pointsFor += homePts;
+      stint(awayId).pointsAgainst += homePts;
+    }
+    if (awayPts > 0) {
+      stint(awayId).pointsFor += awayPts;
+      stint(homeId).pointsAgainst += awayPts;
+    }
+    prevHome = e.homeScore;
+    prevAway = e.awayScore;
+  }
+
+  return [...stints.values()].filter((s) => s.seconds > 0 || s.offPoss > 0 || s.defPoss > 0);
+}
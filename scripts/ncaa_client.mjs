@@ -0,0 +1,152 @@
+// NCAA API client shared by the ingestion pipeline.
+// Handles the retry/backoff rules the API needs (428 and 502 show up constantly
+// under load) plus the small date and concurrency helpers every builder used.
+// Every payload fetched live is also written to the raw archive (raw_archive.mjs).
+
+import { archivePayload, readArchivedPayload } from "./raw_archive.mjs";
+
+// NCAA_API_BASE points the pipeline at scripts/ncaa_fixture_server.mjs for local runs;
+// the timeout/delay overrides let those runs exercise retries without waiting minutes
+export const NCAA_API_BASE = process.env.NCAA_API_BASE || "https://ncaa-api.henrygd.me";
+const REQUEST_TIMEOUT_MS = Number(process.env.NCAA_API_TIMEOUT_MS) || 20000;
+const REQUEST_RETRIES = 3;
+const RETRY_428_DELAY_MS = Number(process.env.NCAA_API_RETRY_DELAY_MS) || 2000;
+
+// "live": hit the API and archive each payload
+// "archive": replay payloads from the raw archive, never touching the network
+let payloadSource = "live";
+
+export function setPayloadSource(source) {
+  if (source !== "live" && source !== "archive") throw new Error(`Unknown payload source "${source}"`);
+  payloadSource = source;
+}
+
+export function toDate(s) {
+  const [y, m, d] = s.split("-").map(Number);
+  return new Date(Date.UTC(y, m - 1, d));
+}
+
+export function fmtDate(dt) {
+  const y = dt.getUTCFullYear();
+  const m = String(dt.getUTCMonth() + 1).padStart(2, "0");
+  const d = String(dt.getUTCDate()).padStart(2, "0");
+  return `${y}-${m}-${d}`;
+}
+
+export function addDays(dt, days) {
+  const x = new Date(dt);
+  x.setUTCDate(x.getUTCDate() + days);
+  return x;
+}
+
+export function sleep(ms) {
+  return new Promise((r) => setTimeout(r, ms));
+}
+
+export function scoreboardPath(config, date, scope) {
+  const [Y, M, D] = date.split("-");
+  return `/scoreboard/${config.sport}/${config.level}/${Y}/${M}/${D}/${scope}`;
+}
+
+export function boxscorePath(gameId) {
+  return `/game/${gameId}/boxscore`;
+}
+
+export function playByPlayPath(gameId) {
+  return `/game/${gameId}/play-by-play`;
+}
+
+export async function fetchJson(path, isBoxscore = false) {
+  if (payloadSource === "archive") return readArchivedPayload(path);
+
+  const url = `${NCAA_API_BASE}${path}`;
+
+  for (let attempt = 0; attempt <= REQUEST_RETRIES; attempt++) {
+    const controller = new AbortController();
+    const t = setTimeout(() => controller.abort(), REQUEST_TIMEOUT_MS);
+
+    try {
+      const res = await fetch(url, {
+        signal: controller.signal,
+        headers: {
+          "User-Agent": "baseline-analytics-bot",
+          "Accept": "application/json",
+          "Accept-Language": "en-US,en;q=0.9",
+          "Referer": "https://www.ncaa.com/",
+          "Origin": "https://www.ncaa.com/",
+        },
+      });
+
+      if (!res.ok) {
+        if (res.status === 502 || res.status === 428) {
+          if (attempt < REQUEST_RETRIES) {
+            await sleep(RETRY_428_DELAY_MS * (attempt + 1));
+            continue;
+          }
+        }
+
+        if (isBoxscore && (globalThis.__BOX_HTTP_FAILS__ ?? 0) < 10) {
+          globalThis.__BOX_HTTP_FAILS__ = (globalThis.__BOX_HTTP_FAILS__ ?? 0) + 1;
+          console.log("BOX HTTP FAIL", res.status, path);
+        }
+
+        const retryable = [429, 500, 502, 503, 504].includes(res.status);
+        if (retryable && attempt < REQUEST_RETRIES) {
+          await sleep(400 * (attempt + 1));
+          continue;
+        }
+        throw new Error(`Fetch failed ${res.status} for ${path}`);
+      }
+
+      const body = await res.text();
+      const data = JSON.parse(body);
+
+      try {
+        await archivePayload(path, body);
+      } catch (e) {
+        if ((globalThis.__ARCHIVE_FAILS__ ?? 0) < 5) {
+          globalThis.__ARCHIVE_FAILS__ = (globalThis.__ARCHIVE_FAILS__ ?? 0) + 1;
+          console.log("ARCHIVE WRITE FAILED", path, e.message);
+        }
+      }
+
+      return data;
+    } catch (e) {
+      const msg = String(e?.message ?? e);
+      const isTimeout =
+        msg.includes("AbortError") ||
+        msg.toLowerCase().includes("aborted") ||
+        msg.toLowerCase().includes("timeout");
+
+      if (
+        (isTimeout || msg.includes("ECONNRESET") || msg.includes("ENOTFOUND")) &&
+        attempt < REQUEST_RETRIES
+      ) {
+        await sleep(500 * (attempt + 1));
+        continue;
+      }
+      if (isTimeout)
+        throw new Error(`Fetch timed out after ${REQUEST_TIMEOUT_MS}ms for ${path}`);
+      throw e;
+    } finally {
+      clearTimeout(t);
+    }
+  }
+  throw new Error(`Fetch failed after retries for ${path}`);
+}
+
+export async function mapLimit(items, limit, fn) {
+  const results = new Array(items.length);
+  let i = 0;
+
+  const workers = Array.from({ length: Math.min(limit, items.length) }, async () => {
+    while (true) {
+      const idx = i++;
+      if (idx >= items.length) return;
+      results[idx] = await fn(items[idx], idx);
+    }
+  });
+
+  await Promise.all(workers);
+  return results;
+}
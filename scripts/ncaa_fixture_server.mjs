@@ -0,0 +1,247 @@
+/**
+ * ncaa_fixture_server.mjs — Sideline Stats
+ * Local stand-in for ncaa-api.henrygd.me. Replays recorded /scoreboard/...,
+ * /game/{id}/boxscore and /game/{id}/play-by-play responses and can inject the
+ * failures the real API throws at us, so the ingest pipeline can be run end to
+ * end without the network.
+ *
+ * USAGE:
+ *   node scripts/ncaa_fixture_server.mjs --port 4010 --fault 428x2 --fault sparse@/game/6515920
+ *   node scripts/ncaa_fixture_server.mjs --division mens-d1 --template-boxscores
+ *
+ *   NCAA_API_BASE=http://localhost:4010 NCAA_API_TIMEOUT_MS=1000 NCAA_API_RETRY_DELAY_MS=10 \
+ *   INGEST_DATA_DIR=/tmp/ingest RAW_ARCHIVE_DIR=/tmp/ingest/archive \
+ *     node scripts/ingest.mjs --division womens-d1 --mode full
+ *
+ * FLAGS:
+ *   --port <n>              port to listen on (default 4010)
+ *   --division <slug>       division being ingested (default womens-d1): the seed scoreboard is
+ *                           served at its scoreboard path and --template-boxscores copies its
+ *                           sample box score ({prefix}_sample_boxscore.json, else one of the same sport)
+ *   --fixtures <dir>        recorded responses laid out by API path, e.g. {dir}/game/123/boxscore.json
+ *   --latency <ms>          delay every response (default 0), so concurrent requests overlap
+ *   --template-boxscores    answer unknown game IDs with a copy of the seed box score
+ *   --fault <spec>          inject a failure; repeatable. spec is <type>[x<count>][@<path substring>]
+ *                             type:  428 | 502 | any HTTP status | timeout | malformed | sparse
+ *                             count: only the first <count> requests per path fail (default: all)
+ *                           e.g. 428x2             every path answers 428 twice, then succeeds
+ *                                timeout@/scoreboard   scoreboards never answer
+ *                                malformed@/game/6515920/boxscore
+ *
+ * Responses are looked up in order: --fixtures dir, the raw archive (RAW_ARCHIVE_DIR),
+ * then the seeds in public/data (sample_scoreboard.json for SEED_SCOREBOARD_DATE,
+ * *_sample_boxscore.json). Scoreboards with nothing recorded come back as an empty day.
+ *
+ * Tests: test/fixture_server.test.mjs (npm test) drives ncaa_client.mjs and a full
+ * ingest run against this server.
+ *
+ * GET /__stats returns request counts per path and the peak number of requests
+ * in flight, for checking retry counts and mapLimit concurrency.
+ */
+
+import http from "node:http";
+import fs from "node:fs/promises";
+import path from "node:path";
+import { pathToFileURL } from "node:url";
+import { readArchivedPayload } from "./raw_archive.mjs";
+import { MIN_PLAYERS_PER_TEAM } from "./boxscore_parser.mjs";
+import { getDivisionConfig } from "./divisions.mjs";
+import { scoreboardPath } from "./ncaa_client.mjs";
+
+const SEED_DIR = "public/data";
+const SEED_SCOREBOARD_DATE = "2026-02-15";
+// sportCode in the box scores for each divisions.mjs sport
+const SPORT_CODES = { "basketball-women": "WBB", "basketball-men": "MBB" };
+
+// Stalled requests are dropped after this long even if the client never aborts
+const TIMEOUT_HOLD_MS = 60000;
+
+export function parseFaultSpec(spec) {
+  const match = /^(\w+?)(?:x(\d+))?(?:@(.+))?$/.exec(spec);
+  if (!match) throw new Error(`Bad --fault spec "${spec}"`);
+
+  const [, type, count, pathPart] = match;
+  const status = Number(type);
+  if (!Number.isInteger(status) && !['timeout', 'malformed', 'sparse'].includes(type)) {
+    throw new Error(`Bad --fault type "${type}"`);
+  }
+
+  return {
+    type: Number.isInteger(status) ? 'status' : type,
+    status: Number.isInteger(status) ? status : null,
+    count: count ? Number(count) : Infinity,
+    pathPart: pathPart || "",
+  };
+}
+
+async function readJsonFile(file) {
+  try {
+    return JSON.parse(await fs.readFile(file, "utf8"));
+  } catch {
+    return null;
+  }
+}
+
+// Seed box scores keyed by contestId, plus the template for the division: its own
+// sample box score, else one from the same sport (D3 has no samples of its own)
+async function loadSeeds(config) {
+  const boxscores = new Map();
+  const byFile = new Map();
+  const files = (await fs.readdir(SEED_DIR)).filter((f) => f.endsWith("sample_boxscore.json"));
+  for (const f of files.sort()) {
+    const box = await readJsonFile(path.join(SEED_DIR, f));
+    if (box?.contestId == null) continue;
+    boxscores.set(String(box.contestId), box);
+    byFile.set(f, box);
+  }
+
+  const sameSport = [...byFile.values()].find((box) => box.sportCode === SPORT_CODES[config.sport]);
+  return {
+    scoreboard: await readJsonFile(path.join(SEED_DIR, "sample_scoreboard.json")),
+    boxscores,
+    template: byFile.get(`${config.filePrefix}_sample_boxscore.json`) ?? sameSport ?? null,
+  };
+}
+
+// Drop players until each team is below the sparse box score threshold
+function makeSparse(box) {
+  const copy = structuredClone(box);
+  for (const team of copy.teamBoxscore || []) {
+    if (Array.isArray(team.playerStats)) team.playerStats = team.playerStats.slice(0, MIN_PLAYERS_PER_TEAM - 1);
+  }
+  return copy;
+}
+
+export async function startFixtureServer(options = {}) {
+  const {
+    port = 4010,
+    division = "womens-d1",
+    fixturesDir = null,
+    latencyMs = 0,
+    templateBoxscores = false,
+    faults = [],
+  } = options;
+
+  const config = getDivisionConfig(division);
+  const seeds = await loadSeeds(config);
+  const seedScoreboardPath = scoreboardPath(config, SEED_SCOREBOARD_DATE, config.scoreboardScopes[0]);
+  const hits = new Map();
+  let inFlight = 0;
+  let maxInFlight = 0;
+
+  async function lookup(apiPath) {
+    if (fixturesDir) {
+      const recorded = await readJsonFile(path.join(fixturesDir, `${apiPath.replace(/\.\./g, "")}.json`));
+      if (recorded) return recorded;
+    }
+
+    try {
+      return await readArchivedPayload(apiPath);
+    } catch {
+      // not archived - fall through to seeds
+    }
+
+    if (apiPath.startsWith("/scoreboard/")) {
+      if (apiPath === seedScoreboardPath && seeds.scoreboard) return seeds.scoreboard;
+      return { games: [] };
+    }
+
+    const gameMatch = /^\/game\/(\d+)\/boxscore$/.exec(apiPath);
+    if (gameMatch) {
+      const seeded = seeds.boxscores.get(gameMatch[1]);
+      if (seeded) return seeded;
+      if (templateBoxscores && seeds.template) return { ...seeds.template, contestId: Number(gameMatch[1]) };
+    }
+
+    return null;
+  }
+
+  function sendJson(res, status, data) {
+    res.writeHead(status, { "Content-Type": "application/json" });
+    res.end(JSON.stringify(data));
+  }
+
+  const server = http.createServer(async (req, res) => {
+    const apiPath = new URL(req.url, "http://localhost").pathname;
+
+    if (apiPath === "/__stats") {
+      return sendJson(res, 200, { maxInFlight, hits: Object.fromEntries(hits) });
+    }
+
+    const hit = (hits.get(apiPath) ?? 0) + 1;
+    hits.set(apiPath, hit);
+    inFlight++;
+    maxInFlight = Math.max(maxInFlight, inFlight);
+    res.on("close", () => { inFlight--; });
+
+    if (latencyMs > 0) await new Promise((r) => setTimeout(r, latencyMs));
+
+    const fault = faults.find((f) => apiPath.includes(f.pathPart) && hit <= f.count);
+
+    if (fault?.type === "timeout") {
+      // Never answer - the client's AbortController has to give up
+      setTimeout(() => res.destroy(), TIMEOUT_HOLD_MS).unref();
+      return;
+    }
+    if (fault?.type === "status") {
+      return sendJson(res, fault.status, { message: `Injected ${fault.status}` });
+    }
+
+    const payload = await lookup(apiPath);
+    if (!payload) return sendJson(res, 404, { message: "Not found" });
+
+    if (fault?.type === "malformed") {
+      const body = JSON.stringify(payload);
+      res.writeHead(200, { "Content-Type": "application/json" });
+      return res.end(body.slice(0, Math.floor(body.length / 2)));
+    }
+    if (fault?.type === "sparse" && Array.isArray(payload.teamBoxscore)) {
+      return sendJson(res, 200, makeSparse(payload));
+    }
+
+    sendJson(res, 200, payload);
+  });
+
+  await new Promise((resolve) => server.listen(port, resolve));
+  const url = `http://localhost:${server.address().port}`;
+
+  return {
+    url,
+    stats: () => ({ maxInFlight, hits: Object.fromEntries(hits) }),
+    close: () => new Promise((resolve) => {
+      server.closeAllConnections();
+      server.close(resolve);
+    }),
+  };
+}
+
+// ===== CLI =====
+
+if (import.meta.url === pathToFileURL(process.argv[1]).href) {
+  const args = process.argv.slice(2);
+
+  function getArg(flag) {
+    const idx = args.indexOf(flag);
+    return idx !== -1 ? args[idx + 1] : null;
+  }
+
+  const faults = [];
+  args.forEach((a, i) => { if (a === '--fault') faults.push(parseFaultSpec(args[i + 1])); });
+
+  const fixture = await startFixtureServer({
+    port: Number(getArg('--port') ?? 4010),
+    division: getArg('--division') ?? 'womens-d1',
+    fixturesDir: getArg('--fixtures'),
+    latencyMs: Number(getArg('--latency') ?? 0),
+    templateBoxscores: args.includes('--template-boxscores'),
+    faults,
+  });
+
+  console.log(`✅ NCAA fixture server listening on ${fixture.url}`);
+  if (faults.length) console.log("Faults:", faults);
+
+  process.on("SIGINT", async () => {
+    await fixture.close();
+    process.exit(0);
+  });
+}
@@ -0,0 +1,175 @@
+import { toInt, pick, buildPlayerId } from "./boxscore_parser.mjs";
+
+// Play-by-play normalization.
+// /game/{id}/play-by-play comes back as periods -> plays, but the field names have
+// changed over time (playbyplayStats/eventDescription vs playStats/homeText+visitorText
+// with a "V-H" score string), so everything goes through pick() like the box score parser.
+//
+// Each play becomes one play_events row:
+//   { gameId, eventNum, period, clock, clockSeconds, teamId, playerId, eventType,
+//     description, homeScore, awayScore, possession, possessionTeamId }
+
+// Checked in order - the first pattern that matches the description wins
+const EVENT_PATTERNS = [
+  ['sub_in', /\bsub(stitution)?\s*in\b|enters the game|\bin for\b/],
+  ['sub_out', /\bsub(stitution)?\s*out\b|goes to the bench|leaves the game/],
+  ['timeout', /time\s*out/],
+  ['jump_ball', /jump\s*ball/],
+  ['period_end', /end of (period|half|quarter|game|\d)|period end/],
+  ['period_start', /start of (period|half|quarter|\d)|period start/],
+  ['ft_made', /free throw.*\b(made|good)\b|\b(made|good)\b.*free throw/],
+  ['ft_missed', /free throw.*\bmiss|\bmiss.*free throw/],
+  ['fg3_made', /(three|3pt|3-pt|3 point|3-point).*\b(made|good)\b|\b(made|good)\b.*(three|3pt|3-pt|3 point|3-point)/],
+  ['fg3_missed', /(three|3pt|3-pt|3 point|3-point).*\bmiss|\bmiss.*(three|3pt|3-pt|3 point|3-point)/],
+  ['fg2_made', /(jumper|jump shot|layup|dunk|tip|hook|two|2pt|2-pt|shot).*\b(made|good)\b|\b(made|good)\b.*(jumper|jump shot|layup|dunk|tip|hook|two|2pt|2-pt|shot)/],
+  ['fg2_missed', /(jumper|jump shot|layup|dunk|tip|hook|two|2pt|2-pt|shot).*\bmiss|\bmiss.*(jumper|jump shot|layup|dunk|tip|hook|two|2pt|2-pt|shot)/],
+  ['oreb', /offensive rebound|rebound.*\boff/],
+  ['dreb', /defensive rebound|rebound.*\bdef|\brebound/],
+  ['turnover', /turnover/],
+  ['steal', /\bsteal/],
+  ['block', /\bblock/],
+  ['assist', /\bassist/],
+  ['foul', /\bfoul/],
+];
+
+// Whose ball it is during an event, relative to the team credited with it.
+// Steals, blocks and (mostly defensive) fouls are made by the team without the ball.
+const OFFENSE_ACTIONS = new Set(['ft_made', 'ft_missed', 'fg3_made', 'fg3_missed', 'fg2_made', 'fg2_missed', 'oreb', 'dreb', 'turnover', 'assist']);
+const DEFENSE_ACTIONS = new Set(['steal', 'block', 'foul']);
+
+export function classifyEvent(description) {
+  const text = String(description || "").toLowerCase();
+  for (const [type, pattern] of EVENT_PATTERNS) {
+    if (pattern.test(text)) return type;
+  }
+  return 'other';
+}
+
+// "MM:SS" (or "MM:SS.t") remaining in the period -> seconds
+export function clockToSeconds(clock) {
+  const match = /^(\d+):(\d+)/.exec(String(clock || "").trim());
+  return match ? toInt(match[1]) * 60 + toInt(match[2]) : null;
+}
+
+function normalizeName(s) {
+  return String(s || "").toLowerCase().replace(/[^a-z ]/g, " ").replace(/\s+/g, " ").trim();
+}
+
+// Box score players for one team -> matchers against play descriptions
+function buildRoster(teamId, players) {
+  return (players || []).map((p) => {
+    const first = normalizeName(p.firstName);
+    const last = normalizeName(p.lastName);
+    return {
+      playerId: buildPlayerId(teamId, p),
+      first, last,
+      names: [`${first} ${last}`, `${last} ${first}`].filter((n) => n.trim()),
+    };
+  });
+}
+
+function findPlayer(roster, play, text) {
+  const first = normalizeName(pick(play, ["firstName", "first_name"]));
+  const last = normalizeName(pick(play, ["lastName", "last_name"]));
+  if (last) {
+    const exact = roster.find((r) => r.last === last && (!first || r.first === first));
+    if (exact) return exact.playerId;
+  }
+
+  const desc = ` ${normalizeName(text)} `;
+  const fullMatch = roster.find((r) => r.names.some((n) => desc.includes(` ${n} `)));
+  if (fullMatch) return fullMatch.playerId;
+
+  // Last name alone, only if it's unambiguous on this roster
+  const lastMatches = roster.filter((r) => r.last && desc.includes(` ${r.last} `));
+  return lastMatches.length === 1 ? lastMatches[0].playerId : null;
+}
+
+function extractPeriods(pbp) {
+  const periods = pick(pbp, ["periods", "playByPlay", "plays"]);
+  return Array.isArray(periods) ? periods : [];
+}
+
+// gameData is the parseCompleteGameData result for the same game (team IDs + rosters)
+export function parsePlayByPlay(gameId, pbp, gameData) {
+  if (!pbp || !gameData) return [];
+
+  const homeId = gameData.home.teamId;
+  const awayId = gameData.away.teamId;
+  const rosters = new Map();
+  for (const pd of gameData.players || []) {
+    if (pd.teamId) rosters.set(String(pd.teamId), buildRoster(String(pd.teamId), pd.players));
+  }
+
+  const events = [];
+  let eventNum = 0;
+  let possession = 0;
+  let possessionTeamId = null;
+  let homeScore = 0;
+  let awayScore = 0;
+
+  extractPeriods(pbp).forEach((periodObj, periodIdx) => {
+    const period = toInt(pick(periodObj, ["periodNumber", "period", "number"]), periodIdx + 1);
+    const plays = pick(periodObj, ["playbyplayStats", "playStats", "plays", "events"]) || [];
+    // Every period starts with a new possession (jump ball / alternating arrow)
+    possessionTeamId = null;
+
+    for (const play of plays) {
+      const homeText = pick(play, ["homeText"]);
+      const visitorText = pick(play, ["visitorText"]);
+      const description = String(pick(play, ["eventDescription", "description", "text"]) ?? homeText ?? visitorText ?? "").trim();
+      if (!description) continue;
+
+      let teamId = pick(play, ["teamId", "team_id"]);
+      const isHome = pick(play, ["isHome"]);
+      if (teamId == null) {
+        if (isHome === true || isHome === "true" || (homeText && !visitorText)) teamId = homeId;
+        else if (isHome === false || isHome === "false" || (visitorText && !homeText)) teamId = awayId;
+      }
+      teamId = teamId == null ? null : String(teamId);
+
+      const scoreStr = pick(play, ["score"]);
+      if (typeof scoreStr === "string" && scoreStr.includes("-")) {
+        // Old feed format is visitor-home
+        const [v, h] = scoreStr.split("-").map((x) => toInt(x, null));
+        if (h != null) homeScore = h;
+        if (v != null) awayScore = v;
+      } else {
+        homeScore = toInt(pick(play, ["homeScore", "home_score"]), homeScore);
+        awayScore = toInt(pick(play, ["visitorScore", "awayScore", "away_score"]), awayScore);
+      }
+
+      const eventType = classifyEvent(description);
+      const opponentId = teamId === homeId ? awayId : teamId === awayId ? homeId : null;
+
+      let offenseId = null;
+      if (teamId && OFFENSE_ACTIONS.has(eventType)) offenseId = teamId;
+      else if (teamId && DEFENSE_ACTIONS.has(eventType)) offenseId = opponentId;
+
+      if (offenseId && offenseId !== possessionTeamId) {
+        possession++;
+        possessionTeamId = offenseId;
+      }
+
+      const clock = String(pick(play, ["clock", "time"]) ?? "");
+
+      events.push({
+        gameId,
+        eventNum: ++eventNum,
+        period,
+        clock,
+        clockSeconds: clockToSeconds(clock),
+        teamId,
+        playerId: teamId && rosters.has(teamId) ? findPlayer(rosters.get(teamId), play, description) : null,
+        eventType,
+        description,
+        homeScore,
+        awayScore,
+        possession,
+        possessionTeamId,
+      });
+    }
+  });
+
+  return events;
+}
@@ -0,0 +1,133 @@
+// Season advanced metrics for one player against their team's totals: minutes
+// share, usage and shot share, shooting, rebound/assist/turnover/block/steal
+// rates and Dean Oliver's offensive rating (points produced per 100 possessions
+// used, with the qAST assisted-shot split).
+//
+// This is the only copy of the math. The ingest pipeline stores the results in
+// player_advanced (see build_player_advanced.mjs) and the app imports it through
+// lib/playerStats.ts for totals it re-sums on the fly (conference-only splits).
+//
+// Possession estimates use the same 0.475 free-throw factor as possessions() in
+// adjusted_ratings.mjs, for usage, TORate, TS% and the opponent possessions behind
+// Stl% alike. The 0.4 factors inside ORtg are part of Oliver's formula and stay.
+// Only the division registry is imported, so the app can pull this in without the
+// pipeline's database code.
+//
+// Every minute-denominated rate divides by the team's actual minutes
+// (PLAYERS_ON_COURT per minute of game clock, so 225 for a 40-minute game with one
+// overtime); totals from before team minutes were tracked count every game as
+// regulation for the division (config.minutesPerGame).
+//
+// config: the division (divisions.mjs or lib/divisions.ts), for its minutesPerGame
+// player: { minutes, fgm, fga, tpm, tpa, ftm, fta, orb, drb, ast, stl, blk, tov, pf, points }
+// team:   { games, minutes, points, fgm, fga, tpm, ftm, fta, orb, trb, ast, tov,
+//           opp_fga, opp_tpa, opp_fta, opp_orb, opp_trb, opp_tov }
+
+import { PLAYERS_ON_COURT } from "./divisions.mjs";
+
+export const FT_FACTOR = 0.475;
+
+// player_advanced column for each metric key of computePlayerAdvanced, in display order
+export const PLAYER_ADVANCED_COLUMNS = {
+  minPct: 'min_pct', ortg: 'ortg', usagePct: 'usage_pct', shotPct: 'shot_pct', efg: 'efg', ts: 'ts',
+  orPct: 'or_pct', drPct: 'dr_pct', aRate: 'a_rate', toRate: 'to_rate', blkPct: 'blk_pct',
+  stlPct: 'stl_pct', fc40: 'fc40', ftRate: 'ft_rate', ftPct: 'ft_pct', twoPct: 'two_pct', threePct: 'three_pct',
+};
+
+const PLAYER_KEYS = ['minutes', 'fgm', 'fga', 'tpm', 'tpa', 'ftm', 'fta', 'orb', 'drb', 'ast', 'stl', 'blk', 'tov', 'pf', 'points'];
+const TEAM_KEYS = [
+  'games', 'minutes', 'points', 'fgm', 'fga', 'tpm', 'tpa', 'ftm', 'fta', 'orb', 'trb', 'ast', 'tov',
+  'opp_fga', 'opp_tpa', 'opp_fta', 'opp_orb', 'opp_trb', 'opp_tov',
+];
+
+// pg hands back SUMs and NUMERICs as strings
+const numbers = (row, keys, prefix = '') =>
+  Object.fromEntries(keys.map((k) => [k, Number(row?.[`${prefix}${k}`]) || 0]));
+
+export const toPlayerTotals = (row) => numbers(row, PLAYER_KEYS);
+export const toTeamTotals = (row, prefix = '') => numbers(row, TEAM_KEYS, prefix);
+
+export function computePlayerAdvanced(pg, team, config) {
+  const teamMinutes = team.minutes > 0 ? team.minutes : team.games * config.minutesPerGame * PLAYERS_ON_COURT;
+  const opp_drb = team.opp_trb - team.opp_orb;
+  const drb = team.trb - team.orb;
+
+  const twoPA = pg.fga - pg.tpa;
+  const twoPM = pg.fgm - pg.tpm;
+  const minPct = teamMinutes > 0 ? (pg.minutes / teamMinutes) * 100 * PLAYERS_ON_COURT : 0;
+  const teamPossTotal = team.fga + FT_FACTOR * team.fta + team.tov;
+  const playerPoss = pg.fga + FT_FACTOR * pg.fta + pg.tov;
+  const usagePct = teamPossTotal > 0 && pg.minutes > 0
+    ? 100 * playerPoss / (teamPossTotal / teamMinutes * pg.minutes) / PLAYERS_ON_COURT : 0;
+  const shotPct = team.fga > 0 && pg.minutes > 0
+    ? (pg.fga / team.fga) / (pg.minutes / teamMinutes) / PLAYERS_ON_COURT * 100 : 0;
+  const efg = pg.fga > 0 ? ((pg.fgm + 0.5 * pg.tpm) / pg.fga) * 100 : 0;
+  const ts = (pg.fga + FT_FACTOR * pg.fta) > 0
+    ? (pg.points / (2 * (pg.fga + FT_FACTOR * pg.fta))) * 100 : 0;
+  const orPct = pg.minutes > 0 && (team.orb + opp_drb) > 0
+    ? (pg.orb / pg.minutes) * (teamMinutes / PLAYERS_ON_COURT) / (team.orb + opp_drb) * 100 : 0;
+  const drPct = pg.minutes > 0 && (drb + team.opp_orb) > 0
+    ? (pg.drb / pg.minutes) * (teamMinutes / PLAYERS_ON_COURT) / (drb + team.opp_orb) * 100 : 0;
+  const aRateDenom = ((pg.minutes / (teamMinutes / PLAYERS_ON_COURT)) * team.fgm) - pg.fgm;
+  const aRate = aRateDenom > 0 ? (pg.ast / aRateDenom) * 100 : 0;
+  const toRate = playerPoss > 0 ? (pg.tov / playerPoss) * 100 : 0;
+  const oppPoss = Math.max(1, team.opp_fga - team.opp_orb + team.opp_tov + FT_FACTOR * team.opp_fta);
+  const opp2PA = team.opp_fga - team.opp_tpa;
+  const blkPct = pg.minutes > 0 && opp2PA > 0
+    ? 100 * (pg.blk * (teamMinutes / PLAYERS_ON_COURT)) / (pg.minutes * opp2PA) : 0;
+  const stlPct = pg.minutes > 0
+    ? 100 * (pg.stl * (teamMinutes / PLAYERS_ON_COURT)) / (pg.minutes * oppPoss) : 0;
+  const fc40 = pg.minutes > 0 ? pg.pf * (40 / pg.minutes) : 0;
+  const ftRate = pg.fga > 0 ? (pg.fta / pg.fga) * 100 : 0;
+  const ftPct = pg.fta > 0 ? (pg.ftm / pg.fta) * 100 : 0;
+  const twoPct = twoPA > 0 ? (twoPM / twoPA) * 100 : 0;
+  const threePct = pg.tpa > 0 ? (pg.tpm / pg.tpa) * 100 : 0;
+
+  return {
+    minPct, ortg: offensiveRating(pg, team, teamMinutes), usagePct, shotPct, efg, ts, orPct, drPct,
+    aRate, toRate, blkPct, stlPct, fc40, ftRate, ftPct, twoPct, threePct,
+  };
+}
+
+// 0 when the player has no shots, free throws or minutes, or the team totals
+// can't support the formula
+function offensiveRating(pg, team, teamMinutes) {
+  if (!(pg.fga > 0 && pg.fta > 0 && pg.minutes > 0 && team.fta > 0 && team.fgm > pg.fgm)) return 0;
+
+  const opp_drb = team.opp_trb - team.opp_orb;
+  const Team_ORB_pct = team.orb / (team.orb + opp_drb);
+  const Team_Scoring_Poss = team.fgm +
+    (1 - Math.pow(1 - team.ftm / team.fta, 2)) * team.fta * 0.4;
+  const Team_Play_pct = Team_Scoring_Poss / (team.fga + team.fta * 0.4 + team.tov);
+  const Team_ORB_Weight =
+    ((1 - Team_ORB_pct) * Team_Play_pct) /
+    ((1 - Team_ORB_pct) * Team_Play_pct + Team_ORB_pct * (1 - Team_Play_pct));
+
+  const qAST = ((pg.minutes / (teamMinutes / PLAYERS_ON_COURT)) *
+    (1.14 * ((team.ast - pg.ast) / team.fgm))) +
+    ((((team.ast / teamMinutes) * pg.minutes * PLAYERS_ON_COURT - pg.ast) /
+      ((team.fgm / teamMinutes) * pg.minutes * PLAYERS_ON_COURT - pg.fgm)) *
+      (1 - pg.minutes / (teamMinutes / PLAYERS_ON_COURT)));
+  const FG_Part = pg.fgm * (1 - 0.5 * ((pg.points - pg.ftm) / (2 * pg.fga)) * qAST);
+  const AST_Part = 0.5 *
+    (((team.points - team.ftm) - (pg.points - pg.ftm)) / (2 * (team.fga - pg.fga))) * pg.ast;
+  const FT_Part = (1 - Math.pow(1 - pg.ftm / pg.fta, 2)) * 0.4 * pg.fta;
+  const ORB_Part_sc = pg.orb * Team_ORB_Weight * Team_Play_pct;
+  const ScPoss = (FG_Part + AST_Part + FT_Part) *
+    (1 - (team.orb / Team_Scoring_Poss) * Team_ORB_Weight * Team_Play_pct) + ORB_Part_sc;
+  const FGxPoss = (pg.fga - pg.fgm) * (1 - 1.07 * Team_ORB_pct);
+  const FTxPoss = Math.pow(1 - pg.ftm / pg.fta, 2) * 0.4 * pg.fta;
+  const TotPoss = ScPoss + FGxPoss + FTxPoss + pg.tov;
+  const PProd_FG_Part = 2 * (pg.fgm + 0.5 * pg.tpm) *
+    (1 - 0.5 * ((pg.points - pg.ftm) / (2 * pg.fga)) * qAST);
+  const PProd_AST_Part = 2 *
+    ((team.fgm - pg.fgm + 0.5 * (team.tpm - pg.tpm)) / (team.fgm - pg.fgm)) *
+    0.5 * (((team.points - team.ftm) - (pg.points - pg.ftm)) / (2 * (team.fga - pg.fga))) * pg.ast;
+  const PProd_ORB_Part = pg.orb * Team_ORB_Weight * Team_Play_pct *
+    (team.points / (team.fgm +
+      (1 - Math.pow(1 - team.ftm / team.fta, 2)) * 0.4 * team.fta));
+  const PProd = (PProd_FG_Part + PProd_AST_Part + pg.ftm) *
+    (1 - (team.orb / Team_Scoring_Poss) * Team_ORB_Weight * Team_Play_pct) + PProd_ORB_Part;
+  const ortg = TotPoss > 0 ? 100 * PProd / TotPoss : 0;
+  return Number.isFinite(ortg) ? ortg : 0;
+}
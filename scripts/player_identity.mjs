@@ -0,0 +1,256 @@
+import { createHash } from "node:crypto";
+import fs from "node:fs/promises";
+import { DIVISIONS } from "./divisions.mjs";
+
+// Player identity resolution.
+// players rows are keyed by (player_id, season), and player_id is only stable within
+// one team-season: buildPlayerId uses teamId_ncaaId_first_last, the old incremental
+// builders used teamId_number_first_last, and the NCAA "id" is usually just the
+// jersey number. This groups rows into people and gives each a person_id.
+//
+// Rules, applied in order (union-find over season|playerId), never linking a men's
+// row to a women's one:
+//   same_team_season   same team and season, same normalized name, or same NCAA id
+//                      and same last name (first-name spelling changes)
+//   same_team          same team, consecutive seasons, same normalized name
+//   transfer           different team, consecutive seasons, same normalized name, and
+//                      the only candidate on both sides (class year can't go backwards)
+//   override_merge / override_split   the manual overrides file, see loadOverrides()
+//
+// person_ids are what the career page URLs use, so they outlive the grouping: a
+// person keeps the id most of their rows had on the previous run, and only people
+// with no previous id get a new one (see assignPersonIds()).
+//
+// Input rows: { playerId, season, teamId, division, firstName, lastName, number, year }
+// Previous rows: { playerId, season, personId } (the player_identities table)
+// Output rows: { playerId, season, personId, matchRule }
+
+export const DEFAULT_OVERRIDES_PATH = process.env.PLAYER_OVERRIDES_PATH || "data/player_overrides.json";
+
+const YEAR_ORDER = { fr: 1, so: 2, jr: 3, sr: 4, gr: 5 };
+const NAME_SUFFIXES = new Set(["jr", "sr", "ii", "iii", "iv", "v"]);
+
+export function normalizeName(s) {
+  return String(s || "")
+    .normalize("NFD").replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/[^a-z ]/g, "")
+    .split(/\s+/)
+    .filter((w) => w && !NAME_SUFFIXES.has(w))
+    .join(" ");
+}
+
+function fullName(row) {
+  return `${normalizeName(row.firstName)}|${normalizeName(row.lastName)}`;
+}
+
+// Men's and women's divisions share schools and names but never players
+function sportOf(row) {
+  return DIVISIONS[row.division]?.sport ?? row.division;
+}
+
+// Second field of either ID format (ncaaId or jersey number); 0 means unknown
+function ncaaIdOf(row) {
+  const id = String(row.playerId).split("_")[1];
+  return id && id !== "0" ? id : null;
+}
+
+function seasonStartYear(season) {
+  return Number(String(season).slice(0, 4));
+}
+
+function classRank(year) {
+  return YEAR_ORDER[String(year || "").toLowerCase().replace(/[^a-z]/g, "").slice(0, 2)] ?? null;
+}
+
+function slug(s) {
+  return normalizeName(s).replace(/ /g, "-") || "unknown";
+}
+
+// { merge: [{ personId?, players: [{ playerId, season? }], note? }],
+//   split: [{ playerId, season?, note? }] }
+// A player entry without a season matches that player_id in every season.
+// Split rows are never linked automatically; merge groups are always linked
+// (and take personId when given).
+export async function loadOverrides(file = DEFAULT_OVERRIDES_PATH) {
+  let raw;
+  try {
+    raw = JSON.parse(await fs.readFile(file, "utf8"));
+  } catch (err) {
+    if (err.code === "ENOENT") return { merge: [], split: [] };
+    throw new Error(`Could not read player overrides ${file}: ${err.message}`);
+  }
+
+  const merge = raw.merge ?? [];
+  const split = raw.split ?? [];
+  for (const group of merge) {
+    if (!Array.isArray(group.players) || group.players.length === 0) {
+      throw new Error(`Player overrides ${file}: every merge needs a players list`);
+    }
+  }
+  for (const entry of [...split, ...merge.flatMap((g) => g.players)]) {
+    if (!entry.playerId) throw new Error(`Player overrides ${file}: entry without playerId ${JSON.stringify(entry)}`);
+  }
+  return { merge, split };
+}
+
+function matchesEntry(row, entry) {
+  return row.playerId === entry.playerId && (!entry.season || row.season === entry.season);
+}
+
+export function resolvePlayerIdentities(players, overrides = { merge: [], split: [] }, previous = []) {
+  const keyOf = (row) => `${row.season}|${row.playerId}`;
+  const rows = [...players].sort((a, b) =>
+    a.season.localeCompare(b.season) || a.playerId.localeCompare(b.playerId));
+
+  const parent = new Map(rows.map((r) => [keyOf(r), keyOf(r)]));
+  const rule = new Map();
+  const find = (k) => {
+    while (parent.get(k) !== k) {
+      parent.set(k, parent.get(parent.get(k)));
+      k = parent.get(k);
+    }
+    return k;
+  };
+  const union = (a, b, matchRule) => {
+    const ra = find(keyOf(a));
+    const rb = find(keyOf(b));
+    if (ra === rb) return;
+    // The earlier row stays the root so person IDs come from a player's first season
+    const [root, child] = ra < rb ? [ra, rb] : [rb, ra];
+    parent.set(child, root);
+    if (!rule.has(keyOf(b))) rule.set(keyOf(b), matchRule);
+  };
+
+  const locked = new Set(rows.filter((r) => overrides.split.some((e) => matchesEntry(r, e))).map(keyOf));
+  const auto = rows.filter((r) => !locked.has(keyOf(r)));
+
+  // Same team and season
+  const byTeamSeason = new Map();
+  for (const r of auto) {
+    const k = `${sportOf(r)}|${r.season}|${r.teamId}`;
+    if (!byTeamSeason.has(k)) byTeamSeason.set(k, []);
+    byTeamSeason.get(k).push(r);
+  }
+  for (const group of byTeamSeason.values()) {
+    for (let i = 0; i < group.length; i++) {
+      for (let j = i + 1; j < group.length; j++) {
+        const a = group[i];
+        const b = group[j];
+        const sameName = fullName(a) === fullName(b);
+        const sameIdAndLast = ncaaIdOf(a) && ncaaIdOf(a) === ncaaIdOf(b)
+          && normalizeName(a.lastName) === normalizeName(b.lastName);
+        if (sameName || sameIdAndLast) union(a, b, "same_team_season");
+      }
+    }
+  }
+
+  // One representative per person per season from here on
+  const people = () => {
+    const out = new Map();
+    for (const r of auto) {
+      const k = `${find(keyOf(r))}|${r.season}`;
+      if (!out.has(k)) out.set(k, r);
+    }
+    return [...out.values()];
+  };
+
+  const bySeasonName = new Map();
+  for (const r of people()) {
+    const k = `${sportOf(r)}|${seasonStartYear(r.season)}|${fullName(r)}`;
+    if (!bySeasonName.has(k)) bySeasonName.set(k, []);
+    bySeasonName.get(k).push(r);
+  }
+
+  // Same team, next season
+  for (const r of people()) {
+    const next = bySeasonName.get(`${sportOf(r)}|${seasonStartYear(r.season) + 1}|${fullName(r)}`) ?? [];
+    for (const n of next) {
+      if (n.teamId === r.teamId) union(r, n, "same_team");
+    }
+  }
+
+  // Transfers: same name the next season on another team, and nobody else it could be
+  for (const r of people()) {
+    const year = seasonStartYear(r.season);
+    const sameSeason = bySeasonName.get(`${sportOf(r)}|${year}|${fullName(r)}`) ?? [];
+    const allNext = bySeasonName.get(`${sportOf(r)}|${year + 1}|${fullName(r)}`) ?? [];
+    const nextSeason = allNext.filter((n) => n.teamId !== r.teamId);
+    // Stayed put, or two people with this name either side
+    if (allNext.some((n) => find(keyOf(n)) === find(keyOf(r)))) continue;
+    if (sameSeason.length !== 1 || nextSeason.length !== 1) continue;
+
+    const n = nextSeason[0];
+    const before = classRank(r.year);
+    const after = classRank(n.year);
+    if (before != null && after != null && after < before) continue;
+
+    union(r, n, "transfer");
+  }
+
+  // Manual merges win over everything
+  for (const group of overrides.merge) {
+    const members = rows.filter((r) => group.players.some((e) => matchesEntry(r, e)));
+    for (let i = 1; i < members.length; i++) {
+      union(members[0], members[i], "override_merge");
+      rule.set(keyOf(members[i]), "override_merge");
+    }
+    if (members.length > 0) rule.set(keyOf(members[0]), "override_merge");
+  }
+
+  // Person IDs: pinned by a merge override, otherwise carried over or new
+  const pinned = new Map();
+  for (const group of overrides.merge) {
+    const first = rows.find((r) => group.players.some((e) => matchesEntry(r, e)));
+    if (first && group.personId) pinned.set(find(keyOf(first)), group.personId);
+  }
+
+  const members = new Map();
+  for (const r of rows) {
+    const root = find(keyOf(r));
+    if (!members.has(root)) members.set(root, []);
+    members.get(root).push(r);
+  }
+  const personIds = assignPersonIds(members, pinned, previous);
+
+  return rows.map((r) => ({
+    playerId: r.playerId,
+    season: r.season,
+    personId: personIds.get(find(keyOf(r))),
+    matchRule: rule.get(keyOf(r)) ?? (locked.has(keyOf(r)) ? "override_split" : "seed"),
+  }));
+}
+
+// New person_id from a person's first row: readable name, plus a hash of that row's
+// season and player_id (unique per row) so namesakes never collide
+function newPersonId(row) {
+  const hash = createHash("sha1").update(`${row.season}|${row.playerId}`).digest("hex").slice(0, 8);
+  return `${slug(row.firstName)}-${slug(row.lastName)}-${hash}`;
+}
+
+// root -> person_id. members maps each root to its rows, earliest first. Pinned ids
+// win; then every person takes the previous id held by most of their rows (ties go
+// to the earliest row's) unless an earlier person already took it - the first
+// season's side keeps the id when a person is split in two.
+function assignPersonIds(members, pinned, previous) {
+  const previousIds = new Map(previous.map((p) => [`${p.season}|${p.playerId}`, p.personId]));
+  const personIds = new Map(pinned);
+  const used = new Set(pinned.values());
+
+  for (const [root, rows] of members) {
+    if (personIds.has(root)) continue;
+    const counts = new Map();
+    for (const r of rows) {
+      const id = previousIds.get(`${r.season}|${r.playerId}`);
+      if (id && !used.has(id)) counts.set(id, (counts.get(id) ?? 0) + 1);
+    }
+    let personId = null;
+    for (const [id, count] of counts) {
+      if (personId === null || count > counts.get(personId)) personId = id;
+    }
+    personId ??= newPersonId(rows[0]);
+    used.add(personId);
+    personIds.set(root, personId);
+  }
+  return personIds;
+}
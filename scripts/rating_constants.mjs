@@ -0,0 +1,6 @@
+// Constants the ratings pipeline (scripts/adjusted_ratings.mjs) and the app's
+// prediction engine (lib/predictions.ts) must agree on. No imports, so the app
+// can load it without pulling in the database writer.
+
+// Efficiency boost for the home side (and penalty for the road side), as a fraction
+export const HOME_COURT_ADVANTAGE = 0.014;
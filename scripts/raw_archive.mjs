@@ -0,0 +1,63 @@
+import fs from "node:fs/promises";
+import path from "node:path";
+import crypto from "node:crypto";
+import zlib from "node:zlib";
+import { promisify } from "node:util";
+
+// Content-addressed archive of every raw NCAA API payload we fetch.
+//
+// objects/{sha[0:2]}/{sha}.json.gz   the response body exactly as received, gzipped
+// refs/{api path}.json              { path, sha256, fetched_at_utc } for the latest fetch
+//
+// Re-fetching an unchanged payload costs nothing (same hash), and a changed one
+// (e.g. a scoreboard that was fetched mid-game) just moves the ref. The archive
+// lets ingest.mjs --from-archive re-parse a whole season without the network.
+
+const gzip = promisify(zlib.gzip);
+const gunzip = promisify(zlib.gunzip);
+
+export const RAW_ARCHIVE_DIR = process.env.RAW_ARCHIVE_DIR || "data/raw_archive";
+
+function objectPath(sha) {
+  return path.join(RAW_ARCHIVE_DIR, "objects", sha.slice(0, 2), `${sha}.json.gz`);
+}
+
+function refPath(apiPath) {
+  const clean = apiPath.replace(/^\/+/, "").replace(/\.\./g, "");
+  return path.join(RAW_ARCHIVE_DIR, "refs", `${clean}.json`);
+}
+
+export async function archivePayload(apiPath, body) {
+  const sha = crypto.createHash("sha256").update(body).digest("hex");
+  const objFile = objectPath(sha);
+
+  try {
+    await fs.access(objFile);
+  } catch {
+    await fs.mkdir(path.dirname(objFile), { recursive: true });
+    await fs.writeFile(objFile, await gzip(body));
+  }
+
+  const refFile = refPath(apiPath);
+  await fs.mkdir(path.dirname(refFile), { recursive: true });
+  await fs.writeFile(refFile, JSON.stringify({
+    path: apiPath,
+    sha256: sha,
+    fetched_at_utc: new Date().toISOString(),
+  }, null, 2), "utf8");
+
+  return sha;
+}
+
+// Latest archived payload for an API path, parsed. Throws if it was never fetched.
+export async function readArchivedPayload(apiPath) {
+  let ref;
+  try {
+    ref = JSON.parse(await fs.readFile(refPath(apiPath), "utf8"));
+  } catch {
+    throw new Error(`Not in archive: ${apiPath}`);
+  }
+
+  const body = (await gunzip(await fs.readFile(objectPath(ref.sha256)))).toString("utf8");
+  return JSON.parse(body);
+}
@@ -0,0 +1,74 @@
+/**
+ * resolve_players.mjs — Sideline Stats
+ * Groups every players row (all divisions, all seasons) into people and rewrites
+ * the player_identities table, which maps (player_id, season) -> person_id for the
+ * career pages. ingest.mjs runs this after every database write; run it by hand
+ * after editing the overrides file. People keep the person_id they had on the
+ * previous run, so career page URLs survive a re-resolve.
+ *
+ * USAGE:
+ *   POSTGRES_URL=your_url node scripts/resolve_players.mjs
+ *   POSTGRES_URL=your_url node scripts/resolve_players.mjs --dry-run
+ *   POSTGRES_URL=your_url node scripts/resolve_players.mjs --overrides /tmp/player_overrides.json
+ *
+ * FLAGS:
+ *   --overrides <file>  manual merges/splits (default data/player_overrides.json,
+ *                       or PLAYER_OVERRIDES_PATH). Format:
+ *                         { "merge": [{ "personId": "optional-fixed-id",
+ *                                       "players": [{ "playerId": "...", "season": "2025-26" }],
+ *                                       "note": "why" }],
+ *                           "split": [{ "playerId": "...", "season": "2025-26", "note": "why" }] }
+ *                       season is optional - without it the entry covers every season
+ *   --dry-run           print the match summary without writing
+ *
+ * Matching rules are described in scripts/player_identity.mjs.
+ */
+
+import { pathToFileURL } from "node:url";
+import * as db from "./db_writer.mjs";
+import { loadOverrides, resolvePlayerIdentities, DEFAULT_OVERRIDES_PATH } from "./player_identity.mjs";
+
+export async function resolveAndStorePlayerIdentities({ overridesPath = DEFAULT_OVERRIDES_PATH, dryRun = false } = {}) {
+  const overrides = await loadOverrides(overridesPath);
+  const [players, previous] = await Promise.all([db.fetchPlayersForIdentity(), db.fetchPlayerIdentities()]);
+  const identities = resolvePlayerIdentities(players, overrides, previous);
+
+  const byRule = {};
+  for (const row of identities) byRule[row.matchRule] = (byRule[row.matchRule] ?? 0) + 1;
+  const people = new Set(identities.map((row) => row.personId)).size;
+
+  if (!dryRun) await db.replacePlayerIdentities(identities);
+  return { rows: identities.length, people, byRule };
+}
+
+// ===== CLI =====
+
+if (import.meta.url === pathToFileURL(process.argv[1]).href) {
+  const args = process.argv.slice(2);
+
+  function getArg(flag) {
+    const idx = args.indexOf(flag);
+    return idx !== -1 ? args[idx + 1] : null;
+  }
+
+  if (!process.env.POSTGRES_URL) {
+    console.error("❌ Error: POSTGRES_URL is required");
+    process.exit(1);
+  }
+
+  const dryRun = args.includes("--dry-run");
+
+  try {
+    const summary = await resolveAndStorePlayerIdentities({
+      overridesPath: getArg("--overrides") ?? DEFAULT_OVERRIDES_PATH,
+      dryRun,
+    });
+    console.log(`✅ ${summary.rows} player rows -> ${summary.people} people${dryRun ? " (dry run, nothing written)" : ""}`);
+    for (const [rule, count] of Object.entries(summary.byRule)) console.log(`   - ${rule}: ${count}`);
+  } catch (err) {
+    console.error("❌ Player identity resolution failed:", err.message);
+    process.exitCode = 1;
+  } finally {
+    await db.closeDb();
+  }
+}
@@ -4,6 +4,7 @@
  *
  * All ESPN IDs verified from espn.com/mens-college-basketball/team/_/id/{ID}/
  * NO fuzzy matching — direct lookup only to prevent cross-team collisions.
+ * ESPN only serves this year's rosters, so only current-season player rows are updated.
  *
  * USAGE:
  *   POSTGRES_URL=your_url node scripts/scrape_espn_rosters.mjs
@@ -14,8 +15,10 @@
  */
 
 import pg from 'pg';
+import { currentSeason } from './divisions.mjs';
 const { Pool } = pg;
 
+const SEASON = currentSeason();
 const DELAY_MS = 1000;
 const DRY_RUN = process.argv.includes('--dry-run');
 const DIVISION_FILTER = (() => {
@@ -519,14 +522,10 @@ function parseESPNRoster(data) {
 
 // ─── DATABASE ──────────────────────────────────────────────────────────────────
 
-async function ensureHeightColumn() {
-  await pool.query(`ALTER TABLE players ADD COLUMN IF NOT EXISTS height INTEGER`);
-}
-
 async function getDBTeams(division) {
   const res = await pool.query(
-    `SELECT DISTINCT team_name FROM players WHERE division = $1 ORDER BY team_name`,
-    [division]
+    `SELECT DISTINCT team_name FROM players WHERE division = $1 AND season = $2 ORDER BY team_name`,
+    [division, SEASON]
   );
   return res.rows.map(r => r.team_name);
 }
@@ -546,15 +545,16 @@ async function updatePlayers(players, teamName, division) {
         AND LOWER(last_name) = LOWER($4)
         AND division = $5
         AND LOWER(team_name) = LOWER($6)
+        AND season = $7
       RETURNING player_id
-    `, [heightIn, year, firstName, lastName, division, teamName]);
+    `, [heightIn, year, firstName, lastName, division, teamName, SEASON]);
     if (res.rowCount === 0) misses.push(`${firstName} ${lastName}`);
     updated += res.rowCount;
   }
   if (updated === 0 && misses.length > 0) {
     const dbRes = await pool.query(
-      `SELECT first_name, last_name FROM players WHERE division = $1 AND LOWER(team_name) = LOWER($2) LIMIT 5`,
-      [division, teamName]
+      `SELECT first_name, last_name FROM players WHERE division = $1 AND LOWER(team_name) = LOWER($2) AND season = $3 LIMIT 5`,
+      [division, teamName, SEASON]
     );
     if (dbRes.rows.length === 0) {
       process.stdout.write(` [NO DB PLAYERS for "${teamName}"]`);
@@ -616,11 +616,9 @@ async function runDivision(division) {
 }
 
 async function main() {
-  console.log(`🏀 ESPN Roster Scraper v3 — Sideline Stats`);
+  console.log(`🏀 ESPN Roster Scraper v3 — Sideline Stats (${SEASON})`);
   if (DRY_RUN) console.log(`   DRY RUN: no DB writes`);
 
-  if (!DRY_RUN) await ensureHeightColumn();
-
   const divisions = DIVISION_FILTER ? [DIVISION_FILTER] : ['womens-d1', 'mens-d1'];
   let grand = 0;
   for (const div of divisions) grand += await runDivision(div);
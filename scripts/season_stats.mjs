@@ -0,0 +1,198 @@
+import { buildPlayerId } from "./boxscore_parser.mjs";
+import { PLAYERS_ON_COURT, isDivisionConference } from "./divisions.mjs";
+
+// Season aggregation shared by full and incremental ingestion.
+// Full rebuilds start from empty maps; incremental runs seed them from the
+// existing *_team_stats.json / *_player_stats.json and add only new games.
+
+const PLAYER_STAT_KEYS = ['fgm', 'fga', 'tpm', 'tpa', 'ftm', 'fta', 'orb', 'drb', 'trb', 'ast', 'stl', 'blk', 'tov', 'pf', 'points'];
+
+function boxStats(stats) {
+  return {
+    fgm: stats.fgm, fga: stats.fga,
+    tpm: stats.tpm, tpa: stats.tpa,
+    ftm: stats.ftm, fta: stats.fta,
+    orb: stats.orb,
+    drb: Math.max(0, stats.trb - stats.orb),
+    trb: stats.trb,
+    ast: stats.ast, stl: stats.stl, blk: stats.blk,
+    tov: stats.tov, pf: stats.pf,
+  };
+}
+
+function playerBoxStats(p) {
+  return {
+    fgm: parseInt(p.fieldGoalsMade || 0),
+    fga: parseInt(p.fieldGoalsAttempted || 0),
+    tpm: parseInt(p.threePointsMade || 0),
+    tpa: parseInt(p.threePointsAttempted || 0),
+    ftm: parseInt(p.freeThrowsMade || 0),
+    fta: parseInt(p.freeThrowsAttempted || 0),
+    orb: parseInt(p.offensiveRebounds || 0),
+    drb: Math.max(0, parseInt(p.totalRebounds || 0) - parseInt(p.offensiveRebounds || 0)),
+    trb: parseInt(p.totalRebounds || 0),
+    ast: parseInt(p.assists || 0),
+    stl: parseInt(p.steals || 0),
+    blk: parseInt(p.blockedShots || 0),
+    tov: parseInt(p.turnovers || 0),
+    pf: parseInt(p.personalFouls || 0),
+    points: parseInt(p.points || 0),
+  };
+}
+
+// Parsed game -> entry for *_games.json and the games table
+export function buildGameLogEntry(game, division) {
+  const { home, away } = game;
+
+  const entry = {
+    gameId: game.gameId,
+    date: game.date,
+    division,
+    homeTeam: home.teamName,
+    homeId: home.teamId,
+    homeScore: home.stats.points,
+    homeConf: home.conference,
+    homeStats: boxStats(home.stats),
+    awayTeam: away.teamName,
+    awayId: away.teamId,
+    awayScore: away.stats.points,
+    awayConf: away.conference,
+    awayStats: boxStats(away.stats),
+    isConferenceGame: game.isConferenceGame,
+    neutralSite: !!game.neutralSite,
+    overtimes: game.overtimes ?? 0,
+    periods: game.periods ?? null,
+    gameMinutes: game.gameMinutes ?? null,
+    players: [],
+  };
+
+  if (game.players && Array.isArray(game.players)) {
+    for (const playerData of game.players) {
+      if (!playerData.teamId || !playerData.players) continue;
+      const teamId = String(playerData.teamId);
+      const simplifiedPlayers = playerData.players.map((p) => ({
+        playerId: buildPlayerId(teamId, p),
+        division,
+        firstName: p.firstName || "",
+        lastName: p.lastName || "",
+        number: p.number || "",
+        minutes: parseFloat(p.minutesPlayed || p.minutes || 0),
+        ...playerBoxStats(p),
+      }));
+      entry.players.push({ teamId, players: simplifiedPlayers });
+    }
+  }
+
+  return entry;
+}
+
+// Add one game to the season totals of every division team that played in it
+export function addGameToTeamTotals(teamTotals, game, config) {
+  const { home, away } = game;
+
+  for (const [team, opp] of [[home, away], [away, home]]) {
+    if (!isDivisionConference(config, team.conference)) continue;
+
+    if (!teamTotals.has(team.teamId)) {
+      teamTotals.set(team.teamId, {
+        teamId: team.teamId, teamName: team.teamName, conference: team.conference,
+        games: 0, wins: 0, losses: 0, minutes: 0,
+        points: 0, opp_points: 0,
+        fgm: 0, fga: 0, tpm: 0, tpa: 0, ftm: 0, fta: 0,
+        orb: 0, drb: 0, trb: 0, ast: 0, stl: 0, blk: 0, tov: 0, pf: 0,
+        opp_fgm: 0, opp_fga: 0, opp_tpm: 0, opp_tpa: 0, opp_ftm: 0, opp_fta: 0,
+        opp_orb: 0, opp_drb: 0, opp_trb: 0, opp_ast: 0, opp_stl: 0, opp_blk: 0, opp_tov: 0, opp_pf: 0,
+      });
+    }
+
+    const s = teamTotals.get(team.teamId);
+    s.games++;
+    if (team.stats.points > opp.stats.points) s.wins++; else s.losses++;
+    // Team minutes (200 a regulation game), the denominator for tempo and the player rates
+    s.minutes += (game.gameMinutes ?? config.minutesPerGame) * PLAYERS_ON_COURT;
+
+    s.points += team.stats.points;
+    s.fgm += team.stats.fgm; s.fga += team.stats.fga;
+    s.tpm += team.stats.tpm; s.tpa += team.stats.tpa;
+    s.ftm += team.stats.ftm; s.fta += team.stats.fta;
+    s.orb += team.stats.orb; s.trb += team.stats.trb;
+    s.drb += Math.max(0, team.stats.trb - team.stats.orb);
+    s.ast += team.stats.ast; s.stl += team.stats.stl;
+    s.blk += team.stats.blk; s.tov += team.stats.tov; s.pf += team.stats.pf;
+
+    s.opp_points += opp.stats.points;
+    s.opp_fgm += opp.stats.fgm; s.opp_fga += opp.stats.fga;
+    s.opp_tpm += opp.stats.tpm; s.opp_tpa += opp.stats.tpa;
+    s.opp_ftm += opp.stats.ftm; s.opp_fta += opp.stats.fta;
+    s.opp_orb += opp.stats.orb; s.opp_trb += opp.stats.trb;
+    s.opp_drb += Math.max(0, opp.stats.trb - opp.stats.orb);
+    s.opp_ast += opp.stats.ast; s.opp_stl += opp.stats.stl;
+    s.opp_blk += opp.stats.blk; s.opp_tov += opp.stats.tov; s.opp_pf += opp.stats.pf;
+  }
+}
+
+// Add one game to the season totals of every division player who appeared in it.
+// Players who didn't play still get an entry (games: 0) so their roster info is kept.
+export function addGameToPlayerTotals(playerTotals, game, config) {
+  if (!game.players || !Array.isArray(game.players)) return;
+  const { home, away } = game;
+
+  for (const playerData of game.players) {
+    if (!playerData.teamId || !playerData.players) continue;
+    const teamId = String(playerData.teamId);
+    const teamName = teamId === home.teamId ? home.teamName : away.teamName;
+    const teamConf = teamId === home.teamId ? home.conference : away.conference;
+
+    if (!isDivisionConference(config, teamConf)) continue;
+
+    for (const p of playerData.players) {
+      const playerId = buildPlayerId(teamId, p);
+
+      if (!playerTotals.has(playerId)) {
+        playerTotals.set(playerId, {
+          playerId, teamId, teamName, division: config.division,
+          firstName: p.firstName || "", lastName: p.lastName || "",
+          number: p.number || "", position: p.position || "", year: p.year || "",
+          games: 0, starts: 0, minutes: 0,
+          fgm: 0, fga: 0, tpm: 0, tpa: 0, ftm: 0, fta: 0,
+          orb: 0, drb: 0, trb: 0, ast: 0, stl: 0, blk: 0, tov: 0, pf: 0, points: 0,
+        });
+      }
+
+      const ps = playerTotals.get(playerId);
+      const mins = parseFloat(p.minutesPlayed || p.minutes || 0);
+
+      if (mins > 0 || parseInt(p.points || 0) > 0) {
+        ps.games++;
+        if (p.starter === true || p.starter === "true") ps.starts++;
+        ps.minutes += mins;
+        const box = playerBoxStats(p);
+        for (const key of PLAYER_STAT_KEYS) ps[key] += box[key];
+      }
+    }
+  }
+}
+
+// player_games rows for a games-log entry, limited to the given team IDs
+export function buildPlayerGameRows(gameLogEntry, validTeamIds, division) {
+  const rows = [];
+  for (const teamData of gameLogEntry.players || []) {
+    if (!validTeamIds.has(teamData.teamId)) continue;
+    for (const p of teamData.players) {
+      rows.push({
+        gameId: gameLogEntry.gameId,
+        playerId: p.playerId,
+        teamId: teamData.teamId,
+        division: p.division || division,
+        minutes: p.minutes,
+        fgm: p.fgm, fga: p.fga,
+        tpm: p.tpm, tpa: p.tpa,
+        ftm: p.ftm, fta: p.fta,
+        orb: p.orb, drb: p.drb, trb: p.trb,
+        ast: p.ast, stl: p.stl, blk: p.blk,
+        tov: p.tov, pf: p.pf, points: p.points,
+      });
+    }
+  }
+  return rows;
+}
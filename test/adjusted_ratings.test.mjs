@@ -0,0 +1,90 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { computeAdjustedRatings, possessions } from "../scripts/adjusted_ratings.mjs";
+import { DIVISIONS } from "../scripts/divisions.mjs";
+
+// computeAdjustedRatings on small hand-built schedules: the solved ratings are a
+// fixed point of the opponent adjustment, the division average stays pinned, and
+// home court is taken out of home games but not neutral-site ones.
+
+const CONFIG = DIVISIONS["womens-d1"];
+
+// A box with `poss` possessions by the formula in possessions()
+const box = (poss) => ({ fga: poss, orb: 0, tov: 0, fta: 0 });
+
+const game = (homeId, awayId, homeScore, awayScore, extra = {}) => ({
+  homeId, awayId, homeScore, awayScore, homeStats: box(70), awayStats: box(70), ...extra,
+});
+
+// Double round robin between four teams of clearly different strength
+function roundRobin() {
+  const strength = { 1: 12, 2: 4, 3: -4, 4: -12 };
+  const games = [];
+  for (const home of Object.keys(strength)) {
+    for (const away of Object.keys(strength)) {
+      if (home === away) continue;
+      const margin = strength[home] - strength[away];
+      games.push(game(home, away, 70 + margin / 2, 70 - margin / 2, { neutralSite: true }));
+    }
+  }
+  return games;
+}
+
+const mean = (values) => values.reduce((a, b) => a + b, 0) / values.length;
+
+test("possessions uses FGA - ORB + TOV + 0.475 FTA", () => {
+  assert.equal(possessions({ fga: 60, orb: 10, tov: 14, fta: 20 }), 73.5);
+  assert.equal(possessions(undefined), 0);
+});
+
+test("adjusted ratings converge to a fixed point with the division average pinned", () => {
+  const games = roundRobin();
+  const ratings = computeAdjustedRatings(games, ["1", "2", "3", "4"], CONFIG);
+  assert.equal(ratings.size, 4);
+
+  // Every game is 140 points over 70 possessions a side
+  const avgEff = 100;
+  assert.ok(Math.abs(mean([...ratings.values()].map((r) => r.adjO)) - avgEff) < 1e-6);
+  assert.ok(Math.abs(mean([...ratings.values()].map((r) => r.adjD)) - avgEff) < 1e-6);
+
+  // One more pass of the adjustment (rescaled to the pinned average, as the solver
+  // does) barely moves anything
+  const nextO = new Map();
+  for (const teamId of ratings.keys()) {
+    const played = games.filter((g) => String(g.homeId) === teamId || String(g.awayId) === teamId);
+    nextO.set(teamId, mean(played.map((g) => {
+      const home = String(g.homeId) === teamId;
+      const opp = ratings.get(String(home ? g.awayId : g.homeId));
+      return ((home ? g.homeScore : g.awayScore) / 70) * 100 * avgEff / opp.adjD;
+    })));
+  }
+  const scale = avgEff / mean([...nextO.values()]);
+  for (const [teamId, r] of ratings) {
+    assert.ok(Math.abs(nextO.get(teamId) * scale - r.adjO) < 0.01, `team ${teamId}: ${nextO.get(teamId) * scale} vs ${r.adjO}`);
+  }
+
+  const order = [...ratings.entries()].sort((a, b) => b[1].adjEM - a[1].adjEM).map(([id]) => id);
+  assert.deepEqual(order, ["1", "2", "3", "4"]);
+  assert.ok(Math.abs(ratings.get("1").adjT - 70) < 1e-6);
+});
+
+test("home court is stripped from home games but not neutral-site ones", () => {
+  const teams = ["1", "2"];
+  const home = computeAdjustedRatings([game("1", "2", 72, 68)], teams, CONFIG);
+  const neutral = computeAdjustedRatings([game("1", "2", 72, 68, { neutralSite: true })], teams, CONFIG);
+
+  // The same four-point win is worth less when it came at home
+  assert.ok(home.get("1").adjEM > 0);
+  assert.ok(home.get("1").adjEM < neutral.get("1").adjEM);
+  assert.ok(home.get("2").adjEM > neutral.get("2").adjEM);
+
+  // A home-and-away split with the home side winning both by the same score nets out
+  const split = computeAdjustedRatings([game("1", "2", 72, 68), game("2", "1", 72, 68)], teams, CONFIG);
+  assert.ok(Math.abs(split.get("1").adjEM - split.get("2").adjEM) < 1e-6);
+});
+
+test("games against teams outside the division are left out", () => {
+  const ratings = computeAdjustedRatings([game("1", "2", 80, 60), game("1", "99", 90, 40)], ["1", "2"], CONFIG);
+  assert.deepEqual([...ratings.keys()].sort(), ["1", "2"]);
+  assert.ok(Math.abs(ratings.get("1").adjO + ratings.get("2").adjO - 200) < 1e-6);
+});
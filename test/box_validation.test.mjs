@@ -0,0 +1,86 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import { parseCompleteGameData } from "../scripts/boxscore_parser.mjs";
+import { validateBoxScore, hasHardFailure, summarizeIssues, SEVERITY_ERROR, SEVERITY_WARNING } from "../scripts/box_validation.mjs";
+import { DIVISIONS } from "../scripts/divisions.mjs";
+
+// validateBoxScore on the sample box scores in public/data, as parsed by ingest, and
+// on copies of them broken one way at a time.
+
+function sample(prefix) {
+  const json = JSON.parse(fs.readFileSync(new URL(`../public/data/${prefix}_sample_boxscore.json`, import.meta.url), "utf8"));
+  return parseCompleteGameData(String(json.contestId), json, "2025-11-10");
+}
+
+const WOMENS = DIVISIONS["womens-d1"];
+const MENS = DIVISIONS["mens-d1"];
+
+const checks = (issues) => issues.map((i) => `${i.severity}:${i.check}`).sort();
+
+test("a consistent box score has no issues", () => {
+  assert.deepEqual(validateBoxScore(sample("womens_d1"), WOMENS), []);
+});
+
+test("player lines that don't add up are warnings, not failures", () => {
+  // Queens' player lines in the men's sample are short a few baskets and ten minutes
+  const issues = validateBoxScore(sample("mens_d1"), MENS);
+  assert.deepEqual(checks(issues), ["warning:minutes_total", "warning:player_sums"]);
+  assert.ok(issues.every((i) => i.teamId === "1757" && i.gameId === "6506241"));
+  assert.equal(hasHardFailure(issues), false);
+});
+
+test("a team line that contradicts itself is an error", () => {
+  const game = sample("womens_d1");
+  game.home.stats.fgm = game.home.stats.fga + 1;
+  const issues = validateBoxScore(game, WOMENS);
+  assert.ok(checks(issues).includes("error:team_line"));
+  assert.ok(checks(issues).includes("error:team_points"));
+  assert.ok(hasHardFailure(issues));
+});
+
+test("a bad player line is an error on that player", () => {
+  const game = sample("womens_d1");
+  const raw = game.players[0].players[0];
+  Object.assign(raw, { fieldGoalsMade: "2", fieldGoalsAttempted: "2", threePointsMade: "2", threePointsAttempted: "1" });
+  const issues = validateBoxScore(game, WOMENS).filter((i) => i.check === "player_line");
+  assert.equal(issues.length, 1);
+  assert.equal(issues[0].severity, SEVERITY_ERROR);
+  assert.equal(issues[0].playerId, "2271_15_sydney_barker");
+  assert.match(issues[0].message, /3PM > 3PA/);
+});
+
+test("same team on both sides and a 0-0 score fail the game", () => {
+  const game = sample("womens_d1");
+  game.away.teamId = game.home.teamId;
+  game.home.stats = { ...game.home.stats, points: 0, fgm: 0, tpm: 0, ftm: 0 };
+  game.away.stats = { ...game.away.stats, points: 0, fgm: 0, tpm: 0, ftm: 0 };
+  const issues = validateBoxScore(game, WOMENS);
+  assert.ok(checks(issues).includes("error:same_team"));
+  assert.ok(checks(issues).includes("error:no_score"));
+});
+
+test("missing player lines and minutes off the detected length are warnings", () => {
+  const sparse = sample("womens_d1");
+  sparse.players[1].players = sparse.players[1].players.slice(0, 3);
+  assert.deepEqual(checks(validateBoxScore(sparse, WOMENS)), ["warning:sparse_box"]);
+
+  // Ingest detected an overtime the player minutes don't show
+  const overtime = sample("womens_d1");
+  overtime.gameMinutes = 45;
+  const issues = validateBoxScore(overtime, WOMENS);
+  assert.deepEqual(checks(issues), ["warning:minutes_total", "warning:minutes_total"]);
+  assert.ok(issues.every((i) => i.severity === SEVERITY_WARNING && /expected about 225/.test(i.message)));
+});
+
+test("summarizeIssues counts by severity and check", () => {
+  const broken = sample("womens_d1");
+  broken.home.stats.points += 2;
+  const issues = [...validateBoxScore(broken, WOMENS), ...validateBoxScore(sample("mens_d1"), MENS)];
+  assert.deepEqual(summarizeIssues(issues), {
+    total: 4,
+    games: 2,
+    bySeverity: { error: 1, warning: 3 },
+    byCheck: { team_points: 1, player_sums: 2, minutes_total: 1 },
+  });
+});
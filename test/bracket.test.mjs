@@ -0,0 +1,82 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { register } from "node:module";
+
+// lib/bracket.ts: validateBracket's limits, simulateBracket's probabilities, and the
+// bracket route turning an oversized seed away before it touches the database.
+
+register("./support/ts_hooks.mjs", import.meta.url);
+const { validateBracket, simulateBracket, seedOrder, MAX_SEED, MAX_REGIONS } = await import("../lib/bracket.ts");
+const { POST } = await import("../app/api/[division]/bracket/route.ts");
+
+const region = (name, teamIds, firstSeed = 1) => ({
+  name, teams: teamIds.map((teamId, i) => ({ seed: firstSeed + i, teamId })),
+});
+
+const AVG = { eff: 100, tempo: 70 };
+const rating = (adjEM) => ({ adjO: 100 + adjEM / 2, adjD: 100 - adjEM / 2, adjT: 70 });
+
+const sum = (values) => values.reduce((a, b) => a + b, 0);
+
+test("seedOrder keeps the top seeds apart", () => {
+  assert.deepEqual(seedOrder(8), [1, 8, 4, 5, 2, 7, 3, 6]);
+});
+
+test("validateBracket accepts a bracket with byes and play-ins", () => {
+  assert.equal(validateBracket({
+    regions: [region("East", ["a", "b", "c"]), region("West", ["d", "e"])],
+    playIns: [{ region: "West", seed: 4, teamIds: ["f", "g"] }],
+  }), null);
+});
+
+test("validateBracket rejects malformed and oversized brackets", () => {
+  const cases = [
+    [null, /non-empty regions/],
+    [{ regions: [region("A", ["a"]), region("B", ["b"]), region("C", ["c"])] }, /power of two/],
+    [{ regions: Array.from({ length: MAX_REGIONS * 2 }, (_, i) => region(`R${i}`, [`t${i}`])) }, /at most 16 regions/],
+    [{ regions: [region("A", ["a", "b"], 0)] }, /whole numbers/],
+    [{ regions: [region("A", ["a", "b"], 1.5)] }, /whole numbers/],
+    [{ regions: [region("A", ["a", "b"], MAX_SEED)] }, new RegExp(`from 1 to ${MAX_SEED}`)],
+    [{ regions: [{ name: "A", teams: [{ seed: 1, teamId: "a" }, { seed: 1e9, teamId: "b" }] }] }, /from 1 to/],
+    [{ regions: [{ name: "A", teams: [{ seed: 1, teamId: "a" }, { seed: 1, teamId: "b" }] }] }, /used twice/],
+    [{ regions: [region("A", ["a", "a"])] }, /more than once/],
+    [{ regions: [region("A", ["a"]), region("A", ["b"])] }, /defined twice/],
+    [{ regions: [region("A", ["a", "b"])], playIns: [{ region: "Z", seed: 3, teamIds: ["c", "d"] }] }, /not in the bracket/],
+    [{ regions: [region("A", ["a"])] }, /at least two teams/],
+  ];
+  for (const [bracket, message] of cases) {
+    assert.match(validateBracket(bracket) ?? "valid", message, JSON.stringify(bracket).slice(0, 80));
+  }
+});
+
+test("every round's probabilities sum to the teams left in it", () => {
+  const bracket = {
+    regions: [region("East", ["a", "b", "c", "d"]), region("West", ["e", "f", "g"])],
+    playIns: [{ region: "West", seed: 4, teamIds: ["h", "i"] }],
+  };
+  const ratings = new Map(["a", "b", "c", "d", "e", "f", "g", "h", "i"].map((id, i) => [id, rating(20 - 4 * i)]));
+  const result = simulateBracket(bracket, ratings, AVG, 2000);
+
+  assert.deepEqual(result.rounds, ["Quarterfinals", "Semifinals", "Final", "Champion"]);
+  assert.equal(result.teams.length, 9);
+  result.rounds.forEach((label, round) => {
+    const expected = [8, 4, 2, 1][round];
+    assert.ok(Math.abs(sum(result.teams.map((t) => t.probabilities[round])) - expected) < 1e-9, label);
+  });
+
+  // The two play-in teams share a slot, and the best team is most likely to win it all
+  const playIn = result.teams.filter((t) => t.playIn);
+  assert.deepEqual(playIn.map((t) => t.teamId).sort(), ["h", "i"]);
+  assert.equal(playIn[0].slot, playIn[1].slot);
+  assert.equal(result.teams[0].teamId, "a");
+});
+
+test("POST /api/[division]/bracket turns away an oversized seed with a 400", async () => {
+  const request = new Request("http://localhost/api/womens-d1/bracket", {
+    method: "POST",
+    body: JSON.stringify({ regions: [{ name: "A", teams: [{ seed: 1, teamId: "1" }, { seed: 1e9, teamId: "2" }] }] }),
+  });
+  const response = await POST(request, { params: Promise.resolve({ division: "womens-d1" }) });
+  assert.equal(response.status, 400);
+  assert.match((await response.json()).error, new RegExp(`from 1 to ${MAX_SEED}`));
+});
@@ -0,0 +1,162 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { execFile } from "node:child_process";
+import fs from "node:fs/promises";
+import net from "node:net";
+import os from "node:os";
+import path from "node:path";
+import { promisify } from "node:util";
+import { currentSeason } from "../scripts/divisions.mjs";
+
+// Runs ncaa_client.mjs and a full ingest against the fixture server: retry and
+// backoff on 428/502, no retries on 404 or a malformed body, the mapLimit cap on
+// concurrent box score requests, and how ingest treats sparse and missing box scores.
+
+const run = promisify(execFile);
+const SEASON = "2025-26";
+const SEED_GAME_IDS = ["6517114", "6518029", "6519163"]; // on sample_scoreboard.json
+const RETRY_DELAY_MS = 10;
+
+let tmpDir;
+let port;
+let client;
+let startFixtureServer;
+let parseFaultSpec;
+
+// A port nothing is listening on, so every test's server can reuse the one URL
+async function freePort() {
+  const probe = net.createServer();
+  await new Promise((resolve) => probe.listen(0, resolve));
+  const { port: free } = probe.address();
+  await new Promise((resolve) => probe.close(resolve));
+  return free;
+}
+
+before(async () => {
+  tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), "fixture-test-"));
+  port = await freePort();
+  // ncaa_client.mjs and raw_archive.mjs read these once, when imported - so they
+  // (and the fixture server, which imports them) load only after they're set
+  process.env.NCAA_API_BASE = `http://localhost:${port}`;
+  process.env.NCAA_API_TIMEOUT_MS = "200";
+  process.env.NCAA_API_RETRY_DELAY_MS = String(RETRY_DELAY_MS);
+  process.env.RAW_ARCHIVE_DIR = path.join(tmpDir, "client-archive");
+  client = await import("../scripts/ncaa_client.mjs");
+  ({ startFixtureServer, parseFaultSpec } = await import("../scripts/ncaa_fixture_server.mjs"));
+});
+
+after(async () => {
+  await fs.rm(tmpDir, { recursive: true, force: true });
+});
+
+// A fixture server on the shared port for the length of fn
+async function withServer(options, fn) {
+  const fixture = await startFixtureServer({ port, ...options });
+  try {
+    return await fn(fixture);
+  } finally {
+    await fixture.close();
+  }
+}
+
+test("parseFaultSpec reads type, count and path", () => {
+  assert.deepEqual(parseFaultSpec("428x2@/scoreboard"), { type: "status", status: 428, count: 2, pathPart: "/scoreboard" });
+  assert.deepEqual(parseFaultSpec("sparse"), { type: "sparse", status: null, count: Infinity, pathPart: "" });
+  assert.throws(() => parseFaultSpec("flaky"), /Bad --fault type/);
+});
+
+test("fetchJson retries 428s with growing backoff, then succeeds", async () => {
+  await withServer({ faults: [parseFaultSpec("428x2@/scoreboard/retry")] }, async (fixture) => {
+    const started = Date.now();
+    const data = await client.fetchJson("/scoreboard/retry/a");
+    assert.deepEqual(data, { games: [] });
+    assert.equal(fixture.stats().hits["/scoreboard/retry/a"], 3);
+    // attempt 1 waits 1x the delay, attempt 2 waits 2x
+    assert.ok(Date.now() - started >= RETRY_DELAY_MS * 3);
+  });
+});
+
+test("fetchJson gives up on a 502 after its retries", async () => {
+  await withServer({ faults: [parseFaultSpec("502@/scoreboard/down")] }, async (fixture) => {
+    await assert.rejects(client.fetchJson("/scoreboard/down/a"), /Fetch failed 502/);
+    assert.equal(fixture.stats().hits["/scoreboard/down/a"], 4);
+  });
+});
+
+test("fetchJson does not retry a 404 or a malformed body", async () => {
+  await withServer({ faults: [parseFaultSpec("malformed@/scoreboard/broken")] }, async (fixture) => {
+    await assert.rejects(client.fetchJson("/game/1/boxscore"), /Fetch failed 404/);
+    await assert.rejects(client.fetchJson("/scoreboard/broken/a"), SyntaxError);
+    assert.equal(fixture.stats().hits["/game/1/boxscore"], 1);
+    assert.equal(fixture.stats().hits["/scoreboard/broken/a"], 1);
+  });
+});
+
+test("fetchJson retries a request that times out", async () => {
+  await withServer({ faults: [parseFaultSpec("timeoutx1@/scoreboard/slow")] }, async (fixture) => {
+    assert.deepEqual(await client.fetchJson("/scoreboard/slow/a"), { games: [] });
+    assert.equal(fixture.stats().hits["/scoreboard/slow/a"], 2);
+  });
+});
+
+test("mapLimit never has more than `limit` box scores in flight", async () => {
+  await withServer({ latencyMs: 20, templateBoxscores: true }, async (fixture) => {
+    const ids = Array.from({ length: 12 }, (_, i) => 7000000 + i);
+    const boxes = await client.mapLimit(ids, 4, (gid) => client.fetchJson(client.boxscorePath(gid), true));
+    assert.deepEqual(boxes.map((b) => b.contestId), ids);
+    assert.equal(fixture.stats().maxInFlight, 4);
+  });
+});
+
+test("template box scores come from the requested division", async () => {
+  await withServer({ division: "mens-d1", templateBoxscores: true }, async () => {
+    const box = await client.fetchJson(client.boxscorePath(7100000));
+    assert.equal(box.sportCode, "MBB");
+  });
+  await withServer({ division: "womens-d3", templateBoxscores: true }, async () => {
+    const box = await client.fetchJson(client.boxscorePath(7100001));
+    assert.equal(box.sportCode, "WBB");
+  });
+});
+
+test("full ingest caches complete games only and survives a missing box score", { timeout: 120000 }, async () => {
+  const [sparseId, missingId, flakyId] = SEED_GAME_IDS;
+  const faults = [
+    parseFaultSpec(`sparse@/game/${sparseId}/boxscore`),
+    parseFaultSpec(`404@/game/${missingId}/boxscore`),
+    parseFaultSpec(`428x1@/game/${flakyId}/boxscore`),
+  ];
+  await withServer({ latencyMs: 10, templateBoxscores: true, faults }, async (fixture) => {
+    const dataDir = path.join(tmpDir, "data");
+    await fs.mkdir(dataDir, { recursive: true });
+    const env = {
+      ...process.env,
+      NCAA_API_TIMEOUT_MS: "1000",
+      INGEST_DATA_DIR: dataDir,
+      RAW_ARCHIVE_DIR: path.join(tmpDir, "ingest-archive"),
+    };
+    delete env.POSTGRES_URL;
+
+    const { stdout } = await run(process.execPath,
+      ["scripts/ingest.mjs", "--division", "womens-d1", "--mode", "full", "--season", SEASON],
+      { env, maxBuffer: 16 * 1024 * 1024 });
+
+    assert.match(stdout, /boxesFailed= 1\b/);
+    assert.match(stdout, /sparseBoxes= 1\b/);
+
+    const seasonDir = SEASON === currentSeason() ? dataDir : path.join(dataDir, SEASON);
+    const read = async (name) => JSON.parse(await fs.readFile(path.join(seasonDir, `womens_d1_${name}.json`), "utf8"));
+    const cached = new Set((await read("games_cache")).game_ids.map(String));
+    const logged = new Set((await read("games")).games.map((g) => String(g.gameId)));
+
+    // Sparse games are kept for the season totals but left uncached so the next run retries them
+    assert.ok(logged.has(sparseId) && !cached.has(sparseId));
+    assert.ok(!logged.has(missingId) && !cached.has(missingId));
+    assert.ok(logged.has(flakyId) && cached.has(flakyId));
+
+    const stats = fixture.stats();
+    assert.equal(stats.hits[`/game/${flakyId}/boxscore`], 2);
+    // ingest.mjs BOX_CONCURRENCY
+    assert.ok(stats.maxInFlight <= 4, `maxInFlight ${stats.maxInFlight}`);
+  });
+});
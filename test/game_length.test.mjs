@@ -0,0 +1,38 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { detectGameLength } from "../scripts/game_length.mjs";
+import { DIVISIONS } from "../scripts/divisions.mjs";
+
+// detectGameLength for regulation, one and two overtimes, from each of its sources:
+// the status line, the play-by-play's last period, and the summed player minutes.
+
+const WOMENS = DIVISIONS["womens-d1"]; // four quarters
+const MENS = DIVISIONS["mens-d1"]; // two halves
+
+// One side of player lines summing to `total` minutes
+const side = (total) => ({
+  players: Array.from({ length: 8 }, (_, i) => ({ minutesPlayed: String(i < 7 ? Math.floor(total / 8) : total - 7 * Math.floor(total / 8)) })),
+});
+
+const events = (lastPeriod) => Array.from({ length: lastPeriod }, (_, i) => ({ period: i + 1 }));
+
+test("the status line decides when it's a final score", () => {
+  assert.deepEqual(detectGameLength(WOMENS, { period: "FINAL" }, {}), { overtimes: 0, periods: 4, gameMinutes: 40 });
+  assert.deepEqual(detectGameLength(WOMENS, { period: "FINAL (OT)" }, {}), { overtimes: 1, periods: 5, gameMinutes: 45 });
+  assert.deepEqual(detectGameLength(MENS, { finalMessage: "FINAL (2OT)" }, {}), { overtimes: 2, periods: 4, gameMinutes: 50 });
+});
+
+test("without a final status the play-by-play's periods count against the division's regulation", () => {
+  assert.equal(detectGameLength(WOMENS, {}, { playEvents: events(4) }).overtimes, 0);
+  assert.equal(detectGameLength(WOMENS, {}, { playEvents: events(5) }).overtimes, 1);
+  assert.deepEqual(detectGameLength(MENS, { period: "2nd" }, { playEvents: events(4) }), { overtimes: 2, periods: 4, gameMinutes: 50 });
+});
+
+test("without status or play-by-play the player minutes place the game", () => {
+  assert.equal(detectGameLength(WOMENS, {}, { players: [side(200), side(201)] }).gameMinutes, 40);
+  assert.equal(detectGameLength(WOMENS, {}, { players: [side(225), side(224)] }).gameMinutes, 45);
+  assert.equal(detectGameLength(MENS, {}, { players: [side(250), side(250)] }).overtimes, 2);
+
+  // Lines that are nowhere near a whole number of overtimes are ignored
+  assert.equal(detectGameLength(WOMENS, {}, { players: [side(212), side(0)] }).overtimes, 0);
+});
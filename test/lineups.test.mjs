@@ -0,0 +1,72 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { computeGameLineups } from "../scripts/lineups.mjs";
+
+// computeGameLineups on a few possessions of play-by-play: seconds, possessions and
+// points land on whichever five were on the floor, and a substitution starts a new stint.
+
+const HOME = "10";
+const AWAY = "20";
+
+const roster = (teamId, count, starters) => ({
+  teamId,
+  players: Array.from({ length: count }, (_, i) => ({
+    id: i + 1, firstName: "P", lastName: `${teamId}x${i + 1}`, starter: i < starters,
+  })),
+});
+// buildPlayerId's format for the roster above
+const pid = (teamId, n) => `${teamId}_${n}_p_${teamId}x${n}`;
+
+const event = (clockSeconds, fields) => ({
+  period: 1, clockSeconds, teamId: null, playerId: null, eventType: "other",
+  homeScore: 0, awayScore: 0, possession: 0, possessionTeamId: null, ...fields,
+});
+
+function sampleGame(homeStarters = 5) {
+  return {
+    gameId: "1",
+    home: { teamId: HOME },
+    away: { teamId: AWAY },
+    players: [roster(HOME, 6, homeStarters), roster(AWAY, 5, 5)],
+    playEvents: [
+      event(1180, { teamId: HOME, playerId: pid(HOME, 1), eventType: "made_shot", homeScore: 2, possession: 1, possessionTeamId: HOME }),
+      event(1150, { teamId: AWAY, playerId: pid(AWAY, 1), eventType: "made_shot", homeScore: 2, awayScore: 3, possession: 2, possessionTeamId: AWAY }),
+      event(1100, { teamId: HOME, playerId: pid(HOME, 5), eventType: "sub_out", homeScore: 2, awayScore: 3, possession: 2, possessionTeamId: AWAY }),
+      event(1100, { teamId: HOME, playerId: pid(HOME, 6), eventType: "sub_in", homeScore: 2, awayScore: 3, possession: 2, possessionTeamId: AWAY }),
+      event(1060, { teamId: HOME, playerId: pid(HOME, 6), eventType: "made_shot", homeScore: 4, awayScore: 3, possession: 3, possessionTeamId: HOME }),
+    ],
+  };
+}
+
+const totals = ({ seconds, offPoss, defPoss, pointsFor, pointsAgainst, isComplete }) =>
+  ({ seconds, offPoss, defPoss, pointsFor, pointsAgainst, isComplete });
+
+const stintFor = (rows, teamId, playerNumbers) =>
+  rows.find((r) => r.teamId === teamId && r.lineupKey === playerNumbers.map((n) => pid(teamId, n)).sort().join("|"));
+
+test("stints split on substitutions and carry time, possessions and points", () => {
+  const rows = computeGameLineups(sampleGame(), "womens-d1");
+  assert.equal(rows.length, 3);
+
+  // The period starts at 20:00, so the first event already has 20 seconds behind it
+  assert.deepEqual(totals(stintFor(rows, HOME, [1, 2, 3, 4, 5])),
+    { seconds: 100, offPoss: 1, defPoss: 1, pointsFor: 2, pointsAgainst: 3, isComplete: true });
+  assert.deepEqual(totals(stintFor(rows, HOME, [1, 2, 3, 4, 6])),
+    { seconds: 40, offPoss: 1, defPoss: 0, pointsFor: 2, pointsAgainst: 0, isComplete: true });
+  assert.deepEqual(totals(stintFor(rows, AWAY, [1, 2, 3, 4, 5])),
+    { seconds: 140, offPoss: 1, defPoss: 2, pointsFor: 3, pointsAgainst: 4, isComplete: true });
+  assert.ok(rows.every((r) => r.division === "womens-d1" && r.gameId === "1"));
+});
+
+test("a lineup that can't be pinned to five players is kept but marked incomplete", () => {
+  // Only four home starters flagged; the sixth man's sub_in makes five
+  const rows = computeGameLineups(sampleGame(4), "womens-d1");
+  const short = stintFor(rows, HOME, [1, 2, 3, 4]);
+  assert.equal(short.isComplete, false);
+  assert.equal(short.pointsFor, 2);
+  assert.ok(rows.filter((r) => r.teamId === HOME).some((r) => r.isComplete));
+});
+
+test("a game without play-by-play has no lineups", () => {
+  assert.deepEqual(computeGameLineups({ ...sampleGame(), playEvents: [] }, "womens-d1"), []);
+});
@@ -0,0 +1,86 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { normalizeName, resolvePlayerIdentities } from "../scripts/player_identity.mjs";
+
+// resolvePlayerIdentities on a handful of player-season rows: the automatic rules,
+// the merge/split overrides, and person_ids carried over from a previous run.
+
+const row = (playerId, season, teamId, firstName, lastName, extra = {}) => ({
+  playerId, season, teamId, division: "womens-d1", firstName, lastName, number: "1", year: "Fr", ...extra,
+});
+
+const NO_OVERRIDES = { merge: [], split: [] };
+
+// playerId|season -> { personId, matchRule }
+function resolve(players, overrides = NO_OVERRIDES, previous = []) {
+  return new Map(resolvePlayerIdentities(players, overrides, previous)
+    .map((r) => [`${r.playerId}|${r.season}`, r]));
+}
+
+test("normalizeName drops accents, punctuation and suffixes", () => {
+  assert.equal(normalizeName("José  O'Neal Jr."), "jose oneal");
+});
+
+test("same team across seasons and a lone transfer are one person", () => {
+  const ids = resolve([
+    row("10_3_ana_reyes", "2024-25", "10", "Ana", "Reyes"),
+    row("10_3_ana_reyes", "2025-26", "10", "Ana", "Reyes", { year: "So" }),
+    row("10_7_bea_cole", "2024-25", "10", "Bea", "Cole"),
+    row("20_4_bea_cole", "2025-26", "20", "Bea", "Cole", { year: "So" }),
+  ]);
+  assert.equal(ids.get("10_3_ana_reyes|2024-25").personId, ids.get("10_3_ana_reyes|2025-26").personId);
+  assert.equal(ids.get("10_3_ana_reyes|2025-26").matchRule, "same_team");
+  assert.equal(ids.get("10_7_bea_cole|2024-25").personId, ids.get("20_4_bea_cole|2025-26").personId);
+  assert.equal(ids.get("20_4_bea_cole|2025-26").matchRule, "transfer");
+});
+
+test("men's and women's players are never linked", () => {
+  const ids = resolve([
+    row("10_3_sam_lee", "2025-26", "10", "Sam", "Lee"),
+    row("10_5_sam_lee", "2025-26", "10", "Sam", "Lee", { division: "mens-d1" }),
+  ]);
+  assert.notEqual(ids.get("10_3_sam_lee|2025-26").personId, ids.get("10_5_sam_lee|2025-26").personId);
+});
+
+test("overrides merge two names into one pinned person and split a false match", () => {
+  const players = [
+    row("10_3_kat_moss", "2024-25", "10", "Kat", "Moss"),
+    row("10_3_katherine_moss", "2025-26", "10", "Katherine", "Moss", { year: "So" }),
+    row("10_8_jo_park", "2024-25", "10", "Jo", "Park"),
+    row("10_9_jo_park", "2025-26", "10", "Jo", "Park", { year: "Fr" }),
+  ];
+  const unresolved = resolve(players);
+  assert.notEqual(unresolved.get("10_3_kat_moss|2024-25").personId, unresolved.get("10_3_katherine_moss|2025-26").personId);
+  assert.equal(unresolved.get("10_8_jo_park|2024-25").personId, unresolved.get("10_9_jo_park|2025-26").personId);
+
+  const ids = resolve(players, {
+    merge: [{ personId: "kat-moss", players: [{ playerId: "10_3_kat_moss" }, { playerId: "10_3_katherine_moss" }] }],
+    split: [{ playerId: "10_9_jo_park", season: "2025-26" }],
+  });
+  assert.equal(ids.get("10_3_kat_moss|2024-25").personId, "kat-moss");
+  assert.equal(ids.get("10_3_katherine_moss|2025-26").personId, "kat-moss");
+  assert.equal(ids.get("10_3_katherine_moss|2025-26").matchRule, "override_merge");
+  assert.notEqual(ids.get("10_8_jo_park|2024-25").personId, ids.get("10_9_jo_park|2025-26").personId);
+  assert.equal(ids.get("10_9_jo_park|2025-26").matchRule, "override_split");
+});
+
+test("person_ids from the previous run are kept, and the first season keeps the id on a split", () => {
+  const players = [
+    row("10_8_jo_park", "2024-25", "10", "Jo", "Park"),
+    row("10_9_jo_park", "2025-26", "10", "Jo", "Park", { year: "So" }),
+  ];
+  const previous = [
+    { playerId: "10_8_jo_park", season: "2024-25", personId: "jo-park-old" },
+    { playerId: "10_9_jo_park", season: "2025-26", personId: "jo-park-old" },
+  ];
+  const kept = resolve(players, NO_OVERRIDES, previous);
+  assert.equal(kept.get("10_8_jo_park|2024-25").personId, "jo-park-old");
+  assert.equal(kept.get("10_9_jo_park|2025-26").personId, "jo-park-old");
+
+  const split = resolve(players, { merge: [], split: [{ playerId: "10_9_jo_park" }] }, previous);
+  assert.equal(split.get("10_8_jo_park|2024-25").personId, "jo-park-old");
+  assert.match(split.get("10_9_jo_park|2025-26").personId, /^jo-park-[0-9a-f]{8}$/);
+
+  // A fresh run gives the same new ids for the same rows
+  assert.deepEqual(resolve(players), resolve(players));
+});
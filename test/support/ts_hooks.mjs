@@ -0,0 +1,39 @@
+import fs from "node:fs/promises";
+import { fileURLToPath } from "node:url";
+import ts from "typescript";
+
+// Module hooks so node:test can import the app's TypeScript (lib/, app/api/) the way
+// Next.js resolves it: "@/..." from the repo root, extensionless specifiers tried as
+// .ts, .tsx and .js, and .ts/.tsx transpiled on load. Types are not checked here -
+// that's tsc's job. Registered by tests with:
+//   register("./support/ts_hooks.mjs", import.meta.url)
+
+const ROOT = new URL("../../", import.meta.url);
+const EXTENSIONS = ["", ".ts", ".tsx", ".js", "/index.ts"];
+
+export async function resolve(specifier, context, nextResolve) {
+  const target = specifier.startsWith("@/") ? new URL(specifier.slice(2), ROOT).href : specifier;
+  let firstError;
+  for (const ext of EXTENSIONS) {
+    try {
+      return await nextResolve(`${target}${ext}`, context);
+    } catch (err) {
+      firstError ??= err;
+    }
+  }
+  throw firstError;
+}
+
+export async function load(url, context, nextLoad) {
+  if (!/\.tsx?$/.test(url)) return nextLoad(url, context);
+  const source = await fs.readFile(fileURLToPath(url), "utf8");
+  const { outputText } = ts.transpileModule(source, {
+    fileName: fileURLToPath(url),
+    compilerOptions: {
+      module: ts.ModuleKind.ESNext,
+      target: ts.ScriptTarget.ES2022,
+      jsx: ts.JsxEmit.ReactJSX,
+    },
+  });
+  return { format: "module", source: outputText, shortCircuit: true };
+}